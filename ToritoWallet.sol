@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
@@ -89,6 +90,28 @@ contract ToritoWallet is Ownable, ReentrancyGuard {
      * @param amount Amount of USDT to deposit
      */
     function deposit(uint256 amount) external nonReentrant validUser(msg.sender) {
+        _deposit(amount);
+    }
+    
+    /**
+     * @dev Deposit USDT with an EIP-2612 permit instead of a prior approve
+     * @param amount Amount of USDT to deposit
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function depositWithPermit(uint256 amount, uint256 deadline, uint8 v, bytes32 r, bytes32 s)
+        external
+        nonReentrant
+        validUser(msg.sender)
+    {
+        // A permit front-run by someone else has already set the allowance
+        try IERC20Permit(address(usdt)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _deposit(amount);
+    }
+    
+    function _deposit(uint256 amount) internal {
         require(amount > 0, "Amount must be positive");
         
         // Transfer USDT from user
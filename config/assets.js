@@ -0,0 +1,48 @@
+const { ratio } = require('../utils/money');
+
+// Assets accepted as collateral, each held as its Aave aToken. LTV and price
+// source are set per asset; token and aToken addresses per network
+// (config/networks.js). Decimals are read from the token contracts.
+//
+// Price sources (USD per token):
+// - peg: fixed at 1, for stablecoins trusted to hold their peg
+// - exchange_rate: latest <SYMBOL>/USD ExchangeRate record
+// - aave_oracle: the network's Aave price oracle (<NETWORK>_AAVE_ORACLE_ADDRESS)
+
+const PRICE_SOURCES = ['peg', 'exchange_rate', 'aave_oracle'];
+
+// LTVs are Money with 4 decimals (0.7500)
+const defaultLtv = ratio(process.env.DEFAULT_LTV_RATIO || '0.75');
+
+const buildAsset = (symbol, defaults) => {
+  const asset = {
+    symbol,
+    aTokenSymbol: `a${symbol}`,
+    ltv: process.env[`${symbol}_LTV_RATIO`] ? ratio(process.env[`${symbol}_LTV_RATIO`]) : defaults.ltv,
+    priceSource: process.env[`${symbol}_PRICE_SOURCE`] || defaults.priceSource
+  };
+
+  if (!PRICE_SOURCES.includes(asset.priceSource)) {
+    throw new Error(`${symbol}_PRICE_SOURCE must be one of: ${PRICE_SOURCES.join(', ')}`);
+  }
+
+  return asset;
+};
+
+const COLLATERAL_ASSETS = {
+  USDT: buildAsset('USDT', { ltv: defaultLtv, priceSource: 'peg' }),
+  USDC: buildAsset('USDC', { ltv: defaultLtv, priceSource: 'peg' }),
+  DAI: buildAsset('DAI', { ltv: defaultLtv, priceSource: 'peg' })
+};
+
+const COLLATERAL_SYMBOLS = Object.keys(COLLATERAL_ASSETS);
+
+// USDT is what the ToritoWallet contract holds; the others are optional per network
+const BASE_ASSET = 'USDT';
+
+module.exports = {
+  PRICE_SOURCES,
+  COLLATERAL_ASSETS,
+  COLLATERAL_SYMBOLS,
+  BASE_ASSET
+};
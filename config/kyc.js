@@ -0,0 +1,46 @@
+const { bob, usdt } = require('../utils/money');
+
+// KYC tiers and the limits that apply to each of them.
+// Amounts (Money): loans and debt in BOB, withdrawals in USDT per rolling 24 hours.
+
+const KYC_STATUSES = ['none', 'pending', 'verified', 'rejected'];
+
+const DOCUMENT_TYPES = ['national_id', 'passport', 'drivers_license', 'proof_of_address', 'selfie'];
+
+const KYC_TIERS = {
+  0: {
+    name: 'unverified',
+    maxLoanBOB: bob(0),
+    maxOutstandingDebtBOB: bob(0),
+    dailyWithdrawalUSDT: usdt(process.env.KYC_TIER0_DAILY_WITHDRAWAL_USDT || 500),
+    requiredDocuments: []
+  },
+  1: {
+    name: 'basic',
+    maxLoanBOB: bob(process.env.KYC_TIER1_MAX_LOAN_BOB || 5000),
+    maxOutstandingDebtBOB: bob(process.env.KYC_TIER1_MAX_DEBT_BOB || 10000),
+    dailyWithdrawalUSDT: usdt(process.env.KYC_TIER1_DAILY_WITHDRAWAL_USDT || 2000),
+    requiredDocuments: ['national_id', 'selfie']
+  },
+  2: {
+    name: 'full',
+    maxLoanBOB: bob(process.env.KYC_TIER2_MAX_LOAN_BOB || 50000),
+    maxOutstandingDebtBOB: bob(process.env.KYC_TIER2_MAX_DEBT_BOB || 100000),
+    dailyWithdrawalUSDT: usdt(process.env.KYC_TIER2_DAILY_WITHDRAWAL_USDT || 20000),
+    requiredDocuments: ['national_id', 'selfie', 'proof_of_address']
+  }
+};
+
+// Limits for a user; anything short of "verified" falls back to tier 0
+const getLimitsForUser = (user) => {
+  const kyc = user.kyc || {};
+  const tier = kyc.status === 'verified' ? kyc.tier : 0;
+  return { tier, ...(KYC_TIERS[tier] || KYC_TIERS[0]) };
+};
+
+module.exports = {
+  KYC_STATUSES,
+  DOCUMENT_TYPES,
+  KYC_TIERS,
+  getLimitsForUser
+};
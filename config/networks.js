@@ -0,0 +1,147 @@
+// Blockchain networks the backend serves. `NETWORKS` lists their names
+// (default: sepolia); each one is configured with variables prefixed by its
+// upper-cased name, e.g. BASE_CHAIN_ID, BASE_RPC_URLS, BASE_USDT_ADDRESS.
+// Sepolia also reads the original unprefixed variables (AAVE_POOL_ADDRESS, ...).
+// Collateral assets other than USDT are enabled on a network by setting
+// <NAME>_<SYMBOL>_ADDRESS and <NAME>_A<SYMBOL>_ADDRESS (e.g. BASE_USDC_ADDRESS).
+//
+// Loading this module never fails, so models and scripts work without chain
+// configuration. A network with missing variables lists them in `missing`;
+// creating its service (utils/blockchain.js) throws, and the server refuses to
+// start while getConfigurationErrors() reports anything.
+
+const { COLLATERAL_ASSETS } = require('./assets');
+
+// Chain ids of well-known networks, used when <NAME>_CHAIN_ID is not set
+const KNOWN_CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  arbitrum: 42161,
+  optimism: 10,
+  base: 8453,
+  polygon: 137
+};
+
+// Contract address variables, without the network prefix
+const ADDRESS_VARIABLES = {
+  aavePool: 'AAVE_POOL_ADDRESS',
+  usdt: 'USDT_ADDRESS',
+  aUsdt: 'AUSDT_ADDRESS',
+  smartContract: 'SMART_CONTRACT_ADDRESS'
+};
+
+const LEGACY_NETWORK = 'sepolia';
+
+class NetworkConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkConfigError';
+    this.code = 'NETWORK_NOT_CONFIGURED';
+  }
+}
+
+const buildNetwork = (name) => {
+  const prefix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const get = (key, legacyKey) => {
+    const value = process.env[`${prefix}_${key}`];
+    if (value) return value;
+    return name === LEGACY_NETWORK && legacyKey ? process.env[legacyKey] : undefined;
+  };
+
+  const network = {
+    name,
+    chainId: parseInt(get('CHAIN_ID', 'CHAIN_ID')) || KNOWN_CHAIN_IDS[name],
+    rpcUrls: (get('RPC_URLS') || get('RPC_URL') || '').split(',').map(url => url.trim()).filter(Boolean),
+    addresses: Object.fromEntries(Object.entries(ADDRESS_VARIABLES).map(([key, variable]) => [key, get(variable, variable)])),
+    aaveOracle: get('AAVE_ORACLE_ADDRESS', 'AAVE_ORACLE_ADDRESS'),
+    multicall: get('MULTICALL3_ADDRESS', 'MULTICALL3_ADDRESS'), // Optional; the canonical Multicall3 deployment otherwise
+    // The deployed ToritoWallet has depositWithPermit (contracts deployed before it was added don't)
+    permitDeposits: get('PERMIT_DEPOSITS', 'PERMIT_DEPOSITS') === 'true',
+    // Blocks after which a transaction or event is treated as final (falls back to TX_/INDEXER_CONFIRMATIONS)
+    confirmations: parseInt(get('CONFIRMATIONS')) || null
+  };
+
+  const missing = [];
+  if (!network.chainId) missing.push(`${prefix}_CHAIN_ID`);
+  if (!network.rpcUrls.length) missing.push(`${prefix}_RPC_URLS`);
+  Object.entries(ADDRESS_VARIABLES).forEach(([key, variable]) => {
+    if (!network.addresses[key]) missing.push(`${prefix}_${variable}`);
+  });
+
+  // Collateral token and aToken addresses by symbol
+  network.assets = {};
+  Object.values(COLLATERAL_ASSETS).forEach(({ symbol, aTokenSymbol, priceSource }) => {
+    const tokenVariable = `${symbol}_ADDRESS`;
+    const aTokenVariable = `${aTokenSymbol.toUpperCase()}_ADDRESS`;
+    const address = get(tokenVariable, tokenVariable);
+    const aTokenAddress = get(aTokenVariable, aTokenVariable);
+
+    if (!address && !aTokenAddress) {
+      return; // Not offered on this network (USDT is required above)
+    }
+    if (!address || !aTokenAddress) {
+      missing.push(`${prefix}_${address ? aTokenVariable : tokenVariable}`);
+      return;
+    }
+    if (priceSource === 'aave_oracle' && !network.aaveOracle) {
+      missing.push(`${prefix}_AAVE_ORACLE_ADDRESS`);
+    }
+    network.assets[symbol] = { address, aTokenAddress };
+  });
+
+  network.missing = missing;
+  return network;
+};
+
+const NETWORK_NAMES = (process.env.NETWORKS || LEGACY_NETWORK).split(',').map(name => name.trim()).filter(Boolean);
+
+const NETWORKS = Object.fromEntries(NETWORK_NAMES.map(name => [name, buildNetwork(name)]));
+
+const DEFAULT_NETWORK = process.env.DEFAULT_NETWORK || NETWORK_NAMES[0];
+
+// Every configuration problem, as messages; empty when all networks are usable
+const getConfigurationErrors = () => {
+  const errors = Object.values(NETWORKS)
+    .filter(network => network.missing.length)
+    .map(network => `Network ${network.name} is missing configuration: ${network.missing.join(', ')}`);
+  if (!NETWORKS[DEFAULT_NETWORK]) {
+    errors.push(`DEFAULT_NETWORK ${DEFAULT_NETWORK} is not listed in NETWORKS`);
+  }
+  return errors;
+};
+
+// Throw a NetworkConfigError unless the network has all it needs
+const assertConfigured = (network) => {
+  if (network.missing.length) {
+    throw new NetworkConfigError(`Network ${network.name} is missing configuration: ${network.missing.join(', ')}`);
+  }
+};
+
+const getNetwork = (name) => NETWORKS[name] || null;
+
+const getNetworkByChainId = (chainId) => {
+  return Object.values(NETWORKS).find(network => network.chainId === Number(chainId)) || null;
+};
+
+// Public description of a network (no RPC URLs, they may carry API keys)
+const describeNetwork = (network) => ({
+  name: network.name,
+  chainId: network.chainId,
+  addresses: network.addresses,
+  collateralAssets: Object.keys(network.assets),
+  confirmations: network.confirmations,
+  permitDeposits: network.permitDeposits,
+  isDefault: network.name === DEFAULT_NETWORK
+});
+
+module.exports = {
+  NETWORKS,
+  NETWORK_NAMES,
+  DEFAULT_NETWORK,
+  NetworkConfigError,
+  getConfigurationErrors,
+  assertConfigured,
+  getNetwork,
+  getNetworkByChainId,
+  describeNetwork
+};
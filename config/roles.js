@@ -0,0 +1,42 @@
+// Role-based access control: which permissions each role is granted
+
+const ROLES = ['user', 'operator', 'admin', 'auditor'];
+
+const PERMISSIONS = {
+  RATES_WRITE: 'rates:write',
+  RATES_REFRESH: 'rates:refresh',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read',
+  KYC_REVIEW: 'kyc:review',
+  TRANSACTIONS_READ: 'transactions:read',
+  TRANSACTIONS_MANAGE: 'transactions:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  operator: [
+    PERMISSIONS.RATES_REFRESH,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.KYC_REVIEW,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.TRANSACTIONS_MANAGE
+  ],
+  auditor: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.TRANSACTIONS_READ
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
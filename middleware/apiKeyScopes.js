@@ -0,0 +1,32 @@
+// Per-route API key scopes. Requests authenticated with a JWT pass through;
+// requests authenticated with an API key need every listed scope.
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const missing = scopes.filter(scope => !req.apiKey.hasScope(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'API key lacks the required scope.',
+      code: 'INSUFFICIENT_SCOPE',
+      required: missing
+    });
+  }
+
+  next();
+};
+
+// Routes that must never be reachable with an API key
+const denyApiKeys = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'This endpoint cannot be used with an API key.',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireScope, denyApiKeys };
@@ -1,10 +1,54 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 const logger = require('../utils/logger');
 
-const authMiddleware = async (req, res, next) => {
+// Resolve a personal API key to its owner; records last-used metadata
+const authenticateApiKey = async (rawKey, req, res) => {
+  const apiKey = await ApiKey.findByRawKey(rawKey);
+  if (!apiKey) {
+    res.status(401).json({
+      error: 'Invalid, expired or revoked API key.',
+      code: 'INVALID_API_KEY'
+    });
+    return null;
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, {
+    $set: {
+      lastUsedAt: new Date(),
+      lastUsedIp: req.ip,
+      lastUsedUserAgent: req.get('User-Agent')
+    },
+    $inc: { usageCount: 1 }
+  });
+
+  return { userId: apiKey.userId, apiKey };
+};
+
+// Resolve a session-bound JWT access token to its owner
+const authenticateJwt = async (token, res) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens are bound to a session so they can be revoked before they expire
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive || !session.userId.equals(decoded.userId)) {
+    res.status(401).json({
+      error: 'Session expired or revoked.',
+      code: 'SESSION_REVOKED'
+    });
+    return null;
+  }
+
+  return { userId: decoded.userId, session };
+};
+
+// Routers opt in to API keys with authMiddleware.withApiKeys and then declare
+// per-route scopes with requireScope (middleware/apiKeyScopes.js)
+const createAuthMiddleware = ({ allowApiKeys = false } = {}) => async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
       return res.status(401).json({
@@ -13,9 +57,24 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let auth;
+    if (ApiKey.isApiKey(token)) {
+      if (!allowApiKeys) {
+        return res.status(401).json({
+          error: 'API keys are not accepted for this endpoint.',
+          code: 'API_KEY_NOT_ALLOWED'
+        });
+      }
+      auth = await authenticateApiKey(token, req, res);
+    } else {
+      auth = await authenticateJwt(token, res);
+    }
+
+    if (!auth) {
+      return;
+    }
     
-    const user = await User.findById(decoded.userId).select('-password');
+    const user = await User.findById(auth.userId).select('-password');
     if (!user) {
       return res.status(401).json({
         error: 'Invalid token. User not found.',
@@ -31,6 +90,8 @@ const authMiddleware = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = auth.session || null;
+    req.apiKey = auth.apiKey || null;
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error);
@@ -56,4 +117,7 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
+const authMiddleware = createAuthMiddleware();
+authMiddleware.withApiKeys = createAuthMiddleware({ allowApiKeys: true });
+
 module.exports = authMiddleware;
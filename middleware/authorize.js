@@ -0,0 +1,28 @@
+const { hasPermission } = require('../config/roles');
+const logger = require('../utils/logger');
+
+// Require every listed permission; must run after authMiddleware
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied. No token provided.',
+      code: 'NO_TOKEN'
+    });
+  }
+
+  const role = req.user.role || 'user';
+  const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+  if (missing.length > 0) {
+    logger.warn(`Forbidden: ${req.user.email} (${role}) lacks ${missing.join(', ')} for ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      error: 'Insufficient permissions.',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      required: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = authorize;
@@ -0,0 +1,13 @@
+// Block operations that need a confirmed email; must run after authMiddleware
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Please verify your email address first.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireVerifiedEmail };
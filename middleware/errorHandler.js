@@ -3,6 +3,7 @@ const logger = require('../utils/logger');
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
+  let code; // Machine-readable code, only for errors mapped below
 
   // Log error
   logger.error('API Error:', {
@@ -49,6 +50,32 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 503 };
   }
 
+  // Every RPC endpoint of the network failed, or they disagreed on a critical read
+  if (err.code === 'RPC_UNAVAILABLE' || err.code === 'RPC_QUORUM_FAILED') {
+    const message = 'Blockchain network temporarily unavailable, please retry';
+    error = { message, statusCode: 503 };
+    code = err.code;
+  }
+
+  // A server-signed transaction may or may not have reached the network; the tracker follows it
+  if (err.code === 'BROADCAST_UNKNOWN') {
+    const message = 'Transaction was sent but the network did not confirm receiving it; check its status before retrying';
+    error = { message, statusCode: 503 };
+    code = err.code;
+  }
+
+  // The network has missing settings (config/networks.js); the server refuses to start with them
+  if (err.code === 'NETWORK_NOT_CONFIGURED') {
+    error = { message: 'Blockchain network is unavailable', statusCode: 503 };
+    code = err.code;
+  }
+
+  // An amount that is not a number or has more decimals than its currency allows
+  if (err.code === 'INVALID_AMOUNT') {
+    error = { message: err.message, statusCode: 400 };
+    code = err.code;
+  }
+
   if (err.code === 'INSUFFICIENT_FUNDS') {
     const message = 'Insufficient funds for transaction';
     error = { message, statusCode: 400 };
@@ -57,6 +84,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    ...(code && { code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
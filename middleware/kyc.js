@@ -0,0 +1,16 @@
+// Block operations that need a verified identity; must run after authMiddleware
+const requireKycVerified = (req, res, next) => {
+  const kyc = req.user.kyc || {};
+
+  if (kyc.status !== 'verified' || !kyc.tier) {
+    return res.status(403).json({
+      error: 'Identity verification (KYC) is required for this operation.',
+      code: 'KYC_REQUIRED',
+      kycStatus: kyc.status || 'none'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireKycVerified };
@@ -0,0 +1,49 @@
+const blockchainService = require('../utils/blockchain');
+const { NETWORK_NAMES, DEFAULT_NETWORK, getNetwork } = require('../config/networks');
+const logger = require('../utils/logger');
+
+// Pick the network for a request: `network` in the query or body, else the
+// user's network. Sets req.network (name) and req.blockchain (its service).
+// Must run after authMiddleware.
+const selectNetwork = async (req, res, next) => {
+  const name = req.query.network || (req.body && req.body.network) || (req.user && req.user.network) || DEFAULT_NETWORK;
+
+  if (!getNetwork(name)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown network: ${name}`,
+      code: 'UNKNOWN_NETWORK',
+      details: { supported: NETWORK_NAMES }
+    });
+  }
+
+  let service;
+  try {
+    service = blockchainService.forNetwork(name);
+    await service.verifyChainId();
+  } catch (error) {
+    if (error.code === 'NETWORK_NOT_CONFIGURED') {
+      logger.error(`Network ${name} unavailable: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: `Network ${name} is unavailable`,
+        code: 'NETWORK_NOT_CONFIGURED'
+      });
+    }
+    if (error.code === 'CHAIN_ID_MISMATCH') {
+      logger.error(`Network ${name} unavailable: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: `Network ${name} is unavailable`,
+        code: 'CHAIN_ID_MISMATCH'
+      });
+    }
+    return next(error);
+  }
+
+  req.network = name;
+  req.blockchain = service;
+  next();
+};
+
+module.exports = { selectNetwork };
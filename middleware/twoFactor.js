@@ -0,0 +1,59 @@
+const loginSecurity = require('../utils/loginSecurity');
+const logger = require('../utils/logger');
+
+// Respond to a step-up refused after too many invalid codes
+const sendStepUpThrottled = (res, throttle, body = {}) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    ...body,
+    error: throttle.locked
+      ? 'Too many invalid two-factor codes. Step-up temporarily locked.'
+      : 'Too many invalid two-factor codes. Please wait before retrying.',
+    code: throttle.locked ? 'STEP_UP_LOCKED' : 'STEP_UP_THROTTLED',
+    retryAfterSeconds: throttle.retryAfterSeconds
+  });
+};
+
+// Require a fresh TOTP code (X-2FA-Code header) for money-moving operations.
+// Users without 2FA enabled pass through; must run after authMiddleware.
+const requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+      return next();
+    }
+
+    const code = req.header('X-2FA-Code');
+    if (!code) {
+      return res.status(403).json({
+        error: 'Two-factor code required for this operation.',
+        code: 'STEP_UP_REQUIRED'
+      });
+    }
+
+    const throttle = await loginSecurity.checkStepUpThrottle(req.user);
+    if (throttle.blocked) {
+      return sendStepUpThrottled(res, throttle);
+    }
+
+    const isValid = await req.user.verifySecondFactor({ code });
+    if (!isValid) {
+      await loginSecurity.recordStepUpFailure(req.user);
+      logger.warn(`Invalid step-up code from ${req.user.email} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        error: 'Invalid or already used two-factor code.',
+        code: 'INVALID_STEP_UP_CODE'
+      });
+    }
+
+    await loginSecurity.recordStepUpSuccess(req.user);
+    next();
+  } catch (error) {
+    logger.error('Step-up verification error:', error);
+    res.status(500).json({
+      error: 'Two-factor verification error.',
+      code: 'STEP_UP_ERROR'
+    });
+  }
+};
+
+module.exports = { requireStepUp, sendStepUpThrottled };
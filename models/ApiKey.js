@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Scopes a personal API key can be granted
+const API_KEY_SCOPES = ['read:balance', 'read:loans', 'write:loans'];
+
+const KEY_PREFIX = 'tw_';
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Public lookup part of the key ("tw_<keyId>_<secret>"); safe to display
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  lastUsedUserAgent: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient queries
+apiKeySchema.index({ userId: 1, revokedAt: 1 });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to create a key; the raw key is returned once and never stored
+apiKeySchema.statics.generate = async function({ userId, name, scopes, expiresAt }) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+
+  const apiKey = await this.create({
+    userId,
+    name,
+    keyId,
+    secretHash: hashSecret(secret),
+    scopes,
+    expiresAt
+  });
+
+  return { apiKey, rawKey: `${KEY_PREFIX}${keyId}_${secret}` };
+};
+
+// Static method to resolve a raw key; returns null unless it is known, active and matches
+apiKeySchema.statics.findByRawKey = async function(rawKey) {
+  const match = /^tw_([a-f0-9]{12})_([a-f0-9]{48})$/.exec(String(rawKey));
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ keyId: match[1] });
+  if (!apiKey || !apiKey.isActive) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+apiKeySchema.statics.isApiKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+// Never expose the secret hash
+apiKeySchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    keyId: this.keyId,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    lastUsedUserAgent: this.lastUsedUserAgent,
+    usageCount: this.usageCount,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const authNonceSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  used: {
+    type: Boolean,
+    default: false
+  },
+  usedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient queries
+authNonceSchema.index({ walletAddress: 1, nonce: 1 });
+// Let MongoDB purge expired nonces
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a fresh nonce for an address
+authNonceSchema.statics.issue = async function(walletAddress, ttlMs) {
+  return this.create({
+    walletAddress: walletAddress.toLowerCase(),
+    // EIP-4361 requires an alphanumeric nonce of at least 8 characters
+    nonce: crypto.randomBytes(16).toString('hex'),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+// Static method to atomically consume a nonce; returns null if unknown, used or expired
+authNonceSchema.statics.consume = async function(walletAddress, nonce) {
+  return this.findOneAndUpdate(
+    {
+      walletAddress: walletAddress.toLowerCase(),
+      nonce,
+      used: false,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { used: true, usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'mined', 'confirmed', 'failed', 'dropped', 'replaced'];
+const FINAL_STATUSES = ['confirmed', 'failed', 'dropped', 'replaced'];
+
+// Every transaction we send (server signer) or track for a user (non-custodial
+// mode), with its business context. Server-signed transactions are signed and
+// stored before broadcast, so they can be re-broadcast or re-priced later.
+const chainTransactionSchema = new mongoose.Schema({
+  transactionHash: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  signer: {
+    type: String,
+    enum: ['server', 'user'],
+    required: true
+  },
+  from: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  nonce: {
+    type: Number,
+    required: true
+  },
+  chainId: Number,
+  to: {
+    type: String,
+    lowercase: true
+  },
+  data: String,
+  rawTransaction: String, // Signed payload of server-signed transactions
+  fees: {
+    gasLimit: String,
+    maxFeePerGas: String,
+    maxPriorityFeePerGas: String,
+    gasPrice: String
+  },
+  purpose: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  loanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  contractLoanId: String, // ToritoWallet loan id emitted by requestLoan
+  params: {
+    type: mongoose.Schema.Types.Mixed, // Arguments of the operation as requested
+    set: (params) => (params ? JSON.parse(JSON.stringify(params)) : params) // Money amounts become strings
+  },
+  submittedAs: {
+    type: String,
+    enum: ['raw', 'hash'] // User transactions: broadcast by us, or by the app
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    note: String
+  }],
+  replaces: String,   // Hash of the transaction this one re-prices or cancels
+  replacedBy: String, // Hash of the transaction that used this nonce instead
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  blockNumber: Number,
+  confirmations: {
+    type: Number,
+    default: 0
+  },
+  gasUsed: String,
+  error: String,
+  confirmedAt: Date,
+  lastCheckedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+chainTransactionSchema.virtual('isFinal').get(function() {
+  return FINAL_STATUSES.includes(this.status);
+});
+
+// Record the initial status
+chainTransactionSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, at: this.createdAt, note: this.error });
+  }
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Move to a new status, keeping the history; returns whether it changed
+chainTransactionSchema.methods.setStatus = function(status, note) {
+  if (this.status === status) {
+    return false;
+  }
+  this.status = status;
+  this.statusHistory.push({ status, at: new Date(), note });
+  return true;
+};
+
+// Index for efficient queries
+chainTransactionSchema.index({ status: 1, lastCheckedAt: 1 });
+chainTransactionSchema.index({ from: 1, nonce: 1 });
+chainTransactionSchema.index({ userId: 1, createdAt: -1 });
+chainTransactionSchema.index({ loanId: 1 });
+
+chainTransactionSchema.statics.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = mongoose.model('ChainTransaction', chainTransactionSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { moneyField, DECIMALS } = require('../utils/money');
+
+const EVENT_NAMES = ['Deposit', 'Withdrawal', 'LoanRequested', 'LoanFulfilled', 'RepaymentRecorded'];
+
+// Decoded ToritoWallet events, written by the indexer (utils/eventIndexer.js).
+// Events newer than INDEXER_CONFIRMATIONS blocks are unconfirmed and are
+// deleted again if their block is reorganized away.
+const contractEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: EVENT_NAMES,
+    required: true
+  },
+  network: {
+    type: String,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  blockTimestamp: Date,
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  user: {
+    type: String,
+    lowercase: true // LoanFulfilled has no user; it is taken from the matching LoanRequested
+  },
+  loanId: String,
+  amountUSDT: moneyField(DECIMALS.USDT),    // Deposit, Withdrawal, LoanRequested (collateral)
+  amountBOB: moneyField(DECIMALS.BOB),      // LoanRequested, RepaymentRecorded
+  usdtToBobRate: moneyField(DECIMALS.RATE), // LoanRequested
+  args: mongoose.Schema.Types.Mixed, // Raw event arguments in base units
+  confirmed: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { getters: true, virtuals: false }
+});
+
+// A log is identified by its block; the same transaction re-mined after a reorg is a new entry
+contractEventSchema.index({ blockHash: 1, logIndex: 1 }, { unique: true });
+contractEventSchema.index({ user: 1, blockNumber: -1 });
+contractEventSchema.index({ loanId: 1 });
+contractEventSchema.index({ confirmed: 1, blockNumber: 1 });
+
+contractEventSchema.statics.EVENT_NAMES = EVENT_NAMES;
+
+module.exports = mongoose.model('ContractEvent', contractEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { moneyField, DECIMALS } = require('../utils/money');
 
 const exchangeRateSchema = new mongoose.Schema({
   fromCurrency: {
@@ -11,10 +12,7 @@ const exchangeRateSchema = new mongoose.Schema({
     required: true,
     default: 'BOB'
   },
-  rate: {
-    type: Number,
-    required: true
-  },
+  rate: moneyField(DECIMALS.RATE, { required: true }), // Units of toCurrency per fromCurrency
   source: {
     type: String,
     required: true,
@@ -33,6 +31,8 @@ const exchangeRateSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { getters: true, virtuals: false }
 });
 
 // Index for efficient queries
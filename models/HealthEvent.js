@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { moneyField, DECIMALS } = require('../utils/money');
+const { BANDS } = require('./HealthSnapshot');
+
+// A borrower moving from one collateral health band to another, with the
+// snapshot that showed it. `fromBand` is null for a borrower's first snapshot
+// outside the healthy band. The borrower is mailed when the band worsens;
+// `notifiedAt` records that the mail went out.
+const healthEventSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fromBand: {
+    type: String,
+    enum: [...BANDS, null]
+  },
+  toBand: {
+    type: String,
+    enum: BANDS,
+    required: true
+  },
+  ltv: moneyField(DECIMALS.RATIO),
+  healthFactor: moneyField(DECIMALS.RATIO),
+  usdtToBobRate: moneyField(DECIMALS.RATE, { required: true }),
+  snapshotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HealthSnapshot'
+  },
+  notifiedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { getters: true, virtuals: false }
+});
+
+healthEventSchema.index({ network: 1, walletAddress: 1, createdAt: -1 });
+healthEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('HealthEvent', healthEventSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { moneyField, DECIMALS } = require('../utils/money');
+
+// Worst last: a borrower moving right is deteriorating
+const BANDS = ['healthy', 'warning', 'margin_call', 'liquidatable'];
+
+// Collateral health of one borrower on one network, recorded by the health
+// monitor (utils/collateralHealth.js). `ltv` is the BOB debt over the BOB
+// value of the USDT collateral at `usdtToBobRate`; it is null when there is
+// debt but no collateral. `healthFactor` is the liquidation LTV over `ltv`
+// (1 or less is liquidatable) and null without debt.
+const healthSnapshotSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usdtBalance: moneyField(DECIMALS.USDT, { required: true }),
+  bobDebt: moneyField(DECIMALS.BOB, { required: true }),
+  usdtToBobRate: moneyField(DECIMALS.RATE, { required: true }),
+  collateralBOB: moneyField(DECIMALS.BOB, { required: true }),
+  ltv: moneyField(DECIMALS.RATIO),
+  healthFactor: moneyField(DECIMALS.RATIO),
+  band: {
+    type: String,
+    enum: BANDS,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { getters: true, virtuals: false }
+});
+
+healthSnapshotSchema.index({ network: 1, walletAddress: 1, createdAt: -1 });
+healthSnapshotSchema.index({ band: 1, createdAt: -1 });
+
+healthSnapshotSchema.statics.BANDS = BANDS;
+
+module.exports = mongoose.model('HealthSnapshot', healthSnapshotSchema);
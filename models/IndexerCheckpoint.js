@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Progress of a block indexer. `recentBlocks` keeps the hashes of the blocks
+// that are not final yet, so a reorg can be detected on the next run.
+const indexerCheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  lastBlock: {
+    type: Number,
+    required: true
+  },
+  recentBlocks: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  reorgCount: {
+    type: Number,
+    default: 0
+  },
+  lastReorgAt: Date,
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update timestamp on save
+indexerCheckpointSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
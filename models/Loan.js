@@ -1,4 +1,29 @@
 const mongoose = require('mongoose');
+const { DEFAULT_NETWORK } = require('../config/networks');
+const { moneyField, fromDecimal128, DECIMALS } = require('../utils/money');
+
+const CHAIN_SYNC_STATUSES = ['pending', 'sent', 'confirmed', 'failed', 'skipped', 'abandoned'];
+
+// One owner-only ToritoWallet call made for this loan (utils/loanChainSync.js).
+// failed: retried at nextAttemptAt; abandoned: out of attempts, needs an operator.
+const chainSyncSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: CHAIN_SYNC_STATUSES
+  },
+  amountBOB: moneyField(DECIMALS.BOB), // recordRepayment only
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  transactionHash: {
+    type: String,
+    lowercase: true
+  },
+  lastError: String,
+  nextAttemptAt: Date,
+  updatedAt: Date
+}, { _id: false });
 
 const loanSchema = new mongoose.Schema({
   userId: {
@@ -11,33 +36,27 @@ const loanSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  network: {
+    type: String,
+    default: DEFAULT_NETWORK
+  },
   collateral: {
-    amount: {
-      type: Number,
-      required: true
+    asset: {
+      type: String,
+      default: 'USDT' // Underlying symbol (config/assets.js)
     },
+    amount: moneyField(null, { required: true }), // In the asset's token decimals
     token: {
       type: String,
       default: 'aUSDT'
     },
-    usdValue: {
-      type: Number,
-      required: true
-    }
+    priceUSD: moneyField(DECIMALS.PRICE),
+    usdValue: moneyField(DECIMALS.USD, { required: true })
   },
   loan: {
-    amountBOB: {
-      type: Number,
-      required: true
-    },
-    amountUSD: {
-      type: Number,
-      required: true
-    },
-    exchangeRate: {
-      type: Number,
-      required: true
-    },
+    amountBOB: moneyField(DECIMALS.BOB, { required: true }),
+    amountUSD: moneyField(DECIMALS.USD, { required: true }),
+    exchangeRate: moneyField(DECIMALS.RATE, { required: true }),
     ltvRatio: {
       type: Number,
       required: true,
@@ -49,9 +68,19 @@ const loanSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'funded', 'repaid', 'liquidated', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   partner: {
     orderId: String,
     transferId: String,
+    transferAmount: moneyField(DECIMALS.BOB),
+    transferredAt: Date,
     bankDetails: {
       accountNumber: String,
       bankName: String,
@@ -61,12 +90,21 @@ const loanSchema = new mongoose.Schema({
   blockchain: {
     transactionHash: String,
     blockNumber: Number,
-    contractAddress: String
+    contractAddress: String,
+    contractLoanId: String, // ToritoWallet loan request backing this loan
+    borrower: {
+      type: String,
+      lowercase: true // Account the contract holds the BOB debt on
+    }
+  },
+  chainSync: {
+    fulfillment: chainSyncSchema, // fulfillLoan, when the partner funds the loan
+    repayment: chainSyncSchema    // recordRepayment, when the partner confirms repayment
   },
   repayment: {
     dueDate: Date,
     repaidAt: Date,
-    repaidAmount: Number,
+    repaidAmount: moneyField(DECIMALS.BOB),
     partnerConfirmation: {
       confirmed: {
         type: Boolean,
@@ -78,7 +116,7 @@ const loanSchema = new mongoose.Schema({
   },
   liquidation: {
     liquidatedAt: Date,
-    liquidationPrice: Number,
+    liquidationPrice: moneyField(DECIMALS.PRICE),
     liquidationTxHash: String
   },
   createdAt: {
@@ -89,6 +127,9 @@ const loanSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
 });
 
 // Update timestamp on save
@@ -97,6 +138,14 @@ loanSchema.pre('save', function(next) {
   next();
 });
 
+// Record every status the loan goes through (activity feed)
+loanSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.statusHistory.push({ status: this.status, at: new Date() });
+  }
+  next();
+});
+
 // Generate unique loan ID
 loanSchema.pre('save', async function(next) {
   if (!this.loanId) {
@@ -107,9 +156,23 @@ loanSchema.pre('save', async function(next) {
   next();
 });
 
+// Static method to sum a user's outstanding (not yet repaid) BOB principal, as Money
+loanSchema.statics.getOutstandingBOB = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { userId, status: { $in: ['pending', 'approved', 'funded'] } } },
+    { $group: { _id: null, total: { $sum: { $toDecimal: '$loan.amountBOB' } } } }
+  ]);
+  return fromDecimal128(result && result.total, DECIMALS.BOB);
+};
+
 // Index for efficient queries
 loanSchema.index({ userId: 1, status: 1 });
 loanSchema.index({ loanId: 1 });
 loanSchema.index({ createdAt: -1 });
+loanSchema.index({ network: 1, 'blockchain.contractLoanId': 1 }, { unique: true, partialFilterExpression: { 'blockchain.contractLoanId': { $type: 'string' } } });
+loanSchema.index({ 'chainSync.fulfillment.status': 1, 'chainSync.fulfillment.nextAttemptAt': 1 });
+loanSchema.index({ 'chainSync.repayment.status': 1, 'chainSync.repayment.nextAttemptAt': 1 });
+
+loanSchema.statics.CHAIN_SYNC_STATUSES = CHAIN_SYNC_STATUSES;
 
 module.exports = mongoose.model('Loan', loanSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Failed login counters per account and per IP, with progressive delay and lockout
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Counters are forgotten after a quiet period
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to report whether any of the keys is currently blocked
+loginThrottleSchema.statics.check = async function(keys) {
+  const now = new Date();
+  const records = await this.find({ key: { $in: keys } });
+
+  let blockedUntil = null;
+  let locked = false;
+
+  records.forEach(record => {
+    [record.nextAttemptAt, record.lockedUntil].forEach(until => {
+      if (until && until > now && (!blockedUntil || until > blockedUntil)) {
+        blockedUntil = until;
+      }
+    });
+    if (record.lockedUntil && record.lockedUntil > now) {
+      locked = true;
+    }
+  });
+
+  return {
+    blocked: Boolean(blockedUntil),
+    locked,
+    retryAfterSeconds: blockedUntil ? Math.ceil((blockedUntil - now) / 1000) : 0
+  };
+};
+
+// Static method to count a failure against a key under the given policy
+loginThrottleSchema.statics.registerFailure = async function(key, policy) {
+  const now = new Date();
+  const record = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + policy.windowMs) }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (record.failures >= policy.lockAfter) {
+    record.lockedUntil = new Date(now.getTime() + policy.lockMs);
+    record.failures = 0;
+    record.nextAttemptAt = undefined;
+  } else if (record.failures >= policy.delayAfter) {
+    // 1s, 2s, 4s, ... capped
+    const delayMs = Math.min(1000 * 2 ** (record.failures - policy.delayAfter), policy.maxDelayMs);
+    record.nextAttemptAt = new Date(now.getTime() + delayMs);
+  }
+
+  await record.save();
+  return record;
+};
+
+// Static method to clear a key after a successful login
+loginThrottleSchema.statics.reset = async function(key) {
+  return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Periodic reading of an Aave reserve's supply side (utils/aaveYield.js).
+// Rates and indexes are rays (1e27) kept as decimal strings; `apr` and `apy`
+// are the same rate as plain fractions for querying and display.
+const reserveSnapshotSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true
+  },
+  asset: {
+    type: String,
+    required: true
+  },
+  liquidityRate: {
+    type: String,
+    required: true
+  },
+  liquidityIndex: {
+    type: String,
+    required: true // Normalized income at blockNumber, including interest since the reserve's last update
+  },
+  apr: Number,
+  apy: Number,
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  blockTimestamp: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reserveSnapshotSchema.index({ network: 1, asset: 1, blockNumber: 1 }, { unique: true });
+reserveSnapshotSchema.index({ network: 1, asset: 1, blockTimestamp: -1 });
+
+module.exports = mongoose.model('ReserveSnapshot', reserveSnapshotSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A session is one refresh-token family, bound to a single device
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    deviceId: String,
+    name: String,
+    userAgent: String,
+    ip: String
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of already-rotated refresh tokens, kept for reuse detection
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  generation: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'reuse_detected', 'replaced', 'account_closed']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient queries
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ userId: 1, 'device.deviceId': 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const MAX_PREVIOUS_HASHES = 20;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const getRefreshTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+sessionSchema.methods.buildRefreshToken = function(secret) {
+  return `${this._id}.${secret}`;
+};
+
+sessionSchema.methods.revoke = async function(reason) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Rotate the refresh token; returns the new raw refresh token
+sessionSchema.methods.rotate = async function() {
+  const secret = generateSecret();
+  this.previousTokenHashes = [this.refreshTokenHash, ...this.previousTokenHashes].slice(0, MAX_PREVIOUS_HASHES);
+  this.refreshTokenHash = hashToken(secret);
+  this.generation += 1;
+  this.lastUsedAt = new Date();
+  await this.save();
+  return this.buildRefreshToken(secret);
+};
+
+// Static method to open a session; replaces any live session on the same device
+sessionSchema.statics.start = async function(userId, device = {}) {
+  if (device.deviceId) {
+    await this.updateMany(
+      { userId, 'device.deviceId': device.deviceId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'replaced' } }
+    );
+  }
+
+  const secret = generateSecret();
+  const session = await this.create({
+    userId,
+    device,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + getRefreshTtlMs())
+  });
+
+  return { session, refreshToken: session.buildRefreshToken(secret) };
+};
+
+// Static method to resolve a raw refresh token.
+// Returns { session, reused } where reused means an already-rotated token was presented.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+    return { session: null, reused: false };
+  }
+
+  const session = await this.findById(sessionId);
+  if (!session) {
+    return { session: null, reused: false };
+  }
+
+  const tokenHash = hashToken(secret);
+  if (session.refreshTokenHash === tokenHash) {
+    return { session, reused: false };
+  }
+
+  if (session.previousTokenHashes.includes(tokenHash)) {
+    return { session, reused: true };
+  }
+
+  return { session: null, reused: false };
+};
+
+// Static method to revoke every live session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout_all') {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Never expose token hashes
+sessionSchema.methods.toJSON = function() {
+  return {
+    id: this._id,
+    device: this.device,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    revokedReason: this.revokedReason
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../config/roles');
+const { KYC_STATUSES, DOCUMENT_TYPES } = require('../config/kyc');
+const { DEFAULT_NETWORK } = require('../config/networks');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -9,6 +14,11 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: true,
@@ -20,6 +30,21 @@ const userSchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  // Every address proven by signature, including the primary `walletAddress`
+  linkedWallets: [{
+    address: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    label: String,
+    verifiedAt: Date
+  }],
+  // Network used by wallet routes unless a request selects another (config/networks.js)
+  network: {
+    type: String,
+    default: DEFAULT_NETWORK
+  },
   profile: {
     firstName: String,
     lastName: String,
@@ -30,11 +55,85 @@ const userSchema = new mongoose.Schema({
       accountHolder: String
     }
   },
+  kyc: {
+    status: {
+      type: String,
+      enum: KYC_STATUSES,
+      default: 'none'
+    },
+    tier: {
+      type: Number,
+      default: 0
+    },
+    requestedTier: Number,
+    documents: [{
+      type: {
+        type: String,
+        enum: DOCUMENT_TYPES,
+        required: true
+      },
+      country: String,
+      numberLast4: String,   // Only the last digits are kept; the file holds the rest
+      fileReference: String, // Key of the uploaded file in document storage
+      submittedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,        // Encrypted TOTP secret
+    pendingSecret: String, // Encrypted secret awaiting confirmation during enrollment
+    recoveryCodes: [String], // SHA-256 hashes of unused recovery codes
+    lastUsedStep: Number,  // Last accepted TOTP time step, to block code replay
+    enabledAt: Date
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  closedAt: Date,
   lastLogin: Date,
+  loginHistory: [{
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    ip: String,
+    userAgent: String,
+    method: {
+      type: String,
+      enum: ['password', 'wallet', '2fa']
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'failed', 'locked', '2fa_required', '2fa_failed']
+    },
+    newDevice: Boolean
+  }],
+  knownDevices: [{
+    fingerprint: String,
+    userAgent: String,
+    firstSeenAt: Date,
+    lastSeenAt: Date,
+    lastIp: String
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -45,6 +144,12 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// An address may belong to one account only
+userSchema.index(
+  { 'linkedWallets.address': 1 },
+  { unique: true, partialFilterExpression: { 'linkedWallets.address': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -69,10 +174,109 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Static method to find the user owning an address, primary or linked
+userSchema.statics.findByWalletAddress = async function(address) {
+  const normalized = address.toLowerCase();
+  return this.findOne({
+    $or: [{ walletAddress: normalized }, { 'linkedWallets.address': normalized }]
+  });
+};
+
+// All addresses of the user, primary first
+userSchema.methods.getWalletAddresses = function() {
+  const linked = (this.linkedWallets || []).map(wallet => wallet.address);
+  return [this.walletAddress, ...linked.filter(address => address !== this.walletAddress)];
+};
+
+const LOGIN_HISTORY_LIMIT = 50;
+
+// Static method to append a login event without loading the user; keeps the latest entries only
+userSchema.statics.recordLoginEvent = async function(userId, event) {
+  return this.updateOne(
+    { _id: userId },
+    { $push: { loginHistory: { $each: [{ at: new Date(), ...event }], $slice: -LOGIN_HISTORY_LIMIT } } }
+  );
+};
+
+// Remember the device a login came from; returns true when it was not seen before
+userSchema.methods.registerDevice = function(fingerprint, { userAgent, ip }) {
+  const now = new Date();
+  const known = this.knownDevices.find(device => device.fingerprint === fingerprint);
+
+  if (known) {
+    known.lastSeenAt = now;
+    known.lastIp = ip;
+    return false;
+  }
+
+  this.knownDevices.push({ fingerprint, userAgent, firstSeenAt: now, lastSeenAt: now, lastIp: ip });
+  return true;
+};
+
+// Verify a TOTP code or single-use recovery code; consumes what it accepts
+userSchema.methods.verifySecondFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor || !this.twoFactor.enabled) {
+    return false;
+  }
+
+  if (code) {
+    const step = totp.verifyCode(totp.decryptSecret(this.twoFactor.secret), code);
+    if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    await this.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  return false;
+};
+
+// Strip personal data when the account is closed. The record is kept (and its
+// id stays referenced by loans and withdrawals) but can no longer be used or
+// linked back to the person; unique fields get placeholders so the email and
+// wallet addresses can be registered again.
+userSchema.methods.anonymize = function() {
+  const placeholder = `closed-${this._id}`;
+
+  this.email = `${placeholder}@closed.invalid`;
+  this.emailVerified = false;
+  this.emailVerifiedAt = undefined;
+  this.password = crypto.randomBytes(32).toString('hex');
+  this.walletAddress = placeholder;
+  this.linkedWallets = [];
+  this.profile = {};
+  this.kyc.documents = [];
+  this.kyc.rejectionReason = undefined;
+  this.twoFactor = { enabled: false, recoveryCodes: [] };
+  this.loginHistory = [];
+  this.knownDevices = [];
+  this.isActive = false;
+  this.closedAt = new Date();
+};
+
+// Remove password and 2FA secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.knownDevices;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { Money, moneyField, fromDecimal128, DECIMALS } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Record of USDT withdrawals, used to enforce rolling daily limits. A server-signed
+// withdrawal is reserved before it is sent and gets its transactionHash once
+// broadcast; the transaction tracker removes it if the transaction fails.
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  amount: moneyField(DECIMALS.USDT, { required: true }),
+  usdtToBobRate: moneyField(DECIMALS.RATE),
+  transactionHash: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { getters: true, virtuals: false }
+});
+
+// Index for efficient queries
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+// A transaction is counted once, however often it is submitted
+withdrawalSchema.index({ transactionHash: 1 }, { unique: true, partialFilterExpression: { transactionHash: { $type: 'string' } } });
+
+// Static method to sum a user's withdrawals since a point in time, as Money
+withdrawalSchema.statics.totalSince = async function(userId, since) {
+  const [result] = await this.aggregate([
+    { $match: { userId, createdAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: { $toDecimal: '$amount' } } } }
+  ]);
+  return fromDecimal128(result && result.total, DECIMALS.USDT);
+};
+
+// Static method to reserve a withdrawal against the user's rolling 24h `limit`
+// (Money) before it is sent. The withdrawal is inserted first and the total
+// checked after, so of two concurrent withdrawals the later check always sees
+// both; one that takes the total over the limit is removed again. Resolves with
+// { withdrawal, withdrawnToday }: withdrawal is null when refused, and
+// withdrawnToday is the total without it.
+withdrawalSchema.statics.reserve = async function(fields, limit) {
+  let withdrawal;
+  try {
+    withdrawal = await this.create(fields);
+  } catch (error) {
+    if (error.code === 11000 && fields.transactionHash) {
+      // Already reserved by an earlier submission of the same transaction
+      return { withdrawal: await this.findOne({ transactionHash: fields.transactionHash }) };
+    }
+    throw error;
+  }
+
+  const total = await this.totalSince(fields.userId, new Date(Date.now() - DAY_MS));
+  const withdrawnToday = total.sub(Money.parse(withdrawal.amount, DECIMALS.USDT));
+  if (total.gt(limit)) {
+    await this.deleteOne({ _id: withdrawal._id });
+    return { withdrawal: null, withdrawnToday };
+  }
+  return { withdrawal, withdrawnToday };
+};
+
+// Give a reserved withdrawal back to the daily limit, when it was not sent
+withdrawalSchema.methods.release = function() {
+  return this.constructor.deleteOne({ _id: this._id });
+};
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
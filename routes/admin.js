@@ -0,0 +1,332 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ChainTransaction = require('../models/ChainTransaction');
+const Loan = require('../models/Loan');
+const blockchainService = require('../utils/blockchain');
+const transactionTracker = require('../utils/transactionTracker');
+const eventIndexer = require('../utils/eventIndexer');
+const loanChainSync = require('../utils/loanChainSync');
+const authorize = require('../middleware/authorize');
+const { ROLES, PERMISSIONS } = require('../config/roles');
+const logger = require('../utils/logger');
+const { isProviderFailure } = require('../utils/rpcProvider');
+
+const router = express.Router();
+
+// @route   GET /api/admin/users
+// @desc    List users (back-office)
+// @access  Private (operator, auditor, admin)
+router.get('/users', authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const { role, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (role) {
+      query.role = role;
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve users'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change a user's role
+// @access  Private (admin)
+router.put('/users/:userId/role', authorize(PERMISSIONS.USERS_MANAGE), [
+  body('role').isIn(ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+
+    if (req.user._id.equals(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    // Force re-login so existing access tokens don't outlive the old role
+    await Session.revokeAllForUser(user._id, 'user_revoked');
+
+    logger.info(`Role changed by ${req.user.email}: ${user.email} ${previousRole} -> ${role}`);
+
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        previousRole
+      }
+    });
+  } catch (error) {
+    logger.error('Admin role change error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change role'
+    });
+  }
+});
+
+// @route   GET /api/admin/transactions
+// @desc    List on-chain transactions; `stuck=true` lists pending ones older than TX_STUCK_AFTER_MS
+// @access  Private (operator, auditor, admin)
+router.get('/transactions', authorize(PERMISSIONS.TRANSACTIONS_READ), async (req, res) => {
+  try {
+    const { status, purpose, signer, userId, stuck, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (purpose) query.purpose = purpose;
+    if (signer) query.signer = signer;
+    if (userId) query.userId = userId;
+    if (stuck === 'true') {
+      query.status = 'pending';
+      query.createdAt = { $lt: new Date(Date.now() - transactionTracker.getConfig().stuckAfterMs) };
+    }
+
+    const transactions = await ChainTransaction.find(query)
+      .select('-rawTransaction')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await ChainTransaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        transactions: transactions.map(transaction => ({
+          ...transaction.toObject(),
+          stuck: transactionTracker.isStuck(transaction)
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Admin list transactions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve transactions'
+    });
+  }
+});
+
+// Speed up (same call, higher fees) or cancel (0-value self-transfer) a pending server-signed transaction
+const replaceTransaction = (action) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const record = await ChainTransaction.findOne({ transactionHash: req.params.hash.toLowerCase() });
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    if (record.signer !== 'server') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only transactions signed by the server can be replaced'
+      });
+    }
+
+    // Make sure it is still waiting before paying for a replacement
+    await transactionTracker.refreshTransaction(record);
+    if (record.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Transaction is ${record.status}, not pending`,
+        code: 'TRANSACTION_NOT_PENDING'
+      });
+    }
+
+    const service = blockchainService.forChainId(record.chainId) || blockchainService;
+    const response = await service.transactionManager.replace(record, action, {
+      feeBumpPercent: parseInt(req.body.feeBumpPercent) || undefined
+    });
+
+    logger.info(`Transaction ${record.transactionHash} ${action} requested by ${req.user.email}: ${response.hash}`);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        action,
+        originalTransactionHash: record.transactionHash,
+        transactionHash: response.hash,
+        nonce: record.nonce
+      }
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error(`Admin transaction ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} transaction`,
+      details: error.shortMessage || error.message
+    });
+  }
+};
+
+const feeBumpValidation = [
+  body('feeBumpPercent').optional().isInt({ min: 10, max: 500 })
+];
+
+// @route   POST /api/admin/transactions/:hash/speed-up
+// @desc    Re-send a stuck transaction with higher fees
+// @access  Private (operator, admin)
+router.post('/transactions/:hash/speed-up', authorize(PERMISSIONS.TRANSACTIONS_MANAGE), feeBumpValidation, replaceTransaction('speed-up'));
+
+// @route   POST /api/admin/transactions/:hash/cancel
+// @desc    Replace a stuck transaction with a 0-value self-transfer
+// @access  Private (operator, admin)
+router.post('/transactions/:hash/cancel', authorize(PERMISSIONS.TRANSACTIONS_MANAGE), feeBumpValidation, replaceTransaction('cancel'));
+
+// @route   GET /api/admin/indexer
+// @desc    Contract event indexer progress per network: last indexed block, lag behind the head, reorgs
+// @access  Private (operator, auditor, admin)
+router.get('/indexer', authorize(PERMISSIONS.TRANSACTIONS_READ), async (req, res, next) => {
+  try {
+    const networks = await eventIndexer.getStatus();
+
+    res.json({
+      success: true,
+      data: { networks }
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error('Admin indexer status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve indexer status'
+    });
+  }
+});
+
+// @route   GET /api/admin/rpc
+// @desc    RPC endpoint health per network: state (healthy, stalled, benched), score, latency, head block, last error
+// @access  Private (operator, auditor, admin)
+router.get('/rpc', authorize(PERMISSIONS.TRANSACTIONS_READ), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      networks: blockchainService.getServices().map(service => service.provider.getHealth())
+    }
+  });
+});
+
+// @route   POST /api/admin/loans/:loanId/chain-sync/:action/retry
+// @desc    Retry a failed or abandoned fulfillLoan (action: fulfillment) or recordRepayment (action: repayment) call now
+// @access  Private (operator, admin)
+router.post('/loans/:loanId/chain-sync/:action/retry', authorize(PERMISSIONS.TRANSACTIONS_MANAGE), async (req, res) => {
+  try {
+    const { loanId, action } = req.params;
+    if (!['fulfillment', 'repayment'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Action must be fulfillment or repayment'
+      });
+    }
+
+    const loan = await Loan.findOne({ loanId });
+    if (!loan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Loan not found'
+      });
+    }
+
+    const sync = loan.chainSync && loan.chainSync[action];
+    if (!sync || !['failed', 'abandoned'].includes(sync.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Loan ${action} is ${sync && sync.status ? sync.status : 'not started'}, not failed or abandoned`
+      });
+    }
+
+    const result = await loanChainSync.retry(loan, action);
+    logger.info(`Loan ${loanId} ${action} retry requested by ${req.user.email}: ${result.status}`);
+
+    res.json({
+      success: true,
+      data: {
+        loanId,
+        action,
+        chainSync: loanChainSync.describe(result)
+      }
+    });
+  } catch (error) {
+    logger.error('Admin loan chain sync retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry loan chain sync'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,97 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Loan = require('../models/Loan');
+const Withdrawal = require('../models/Withdrawal');
+const blockchainService = require('../utils/blockchain');
+const siwe = require('../utils/siwe');
+const totp = require('../utils/totp');
+const mailer = require('../utils/mailer');
+const loginSecurity = require('../utils/loginSecurity');
 const logger = require('../utils/logger');
+const { isProviderFailure } = require('../utils/rpcProvider');
+const authMiddleware = require('../middleware/auth');
+const { requireStepUp, sendStepUpThrottled } = require('../middleware/twoFactor');
+const { NETWORK_NAMES } = require('../config/networks');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Generate short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Generate short-lived challenge proving the first factor passed
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa_login' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Generate email verification token bound to the address being verified
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign({ userId: user._id, purpose: 'email_verify', email: user.email }, process.env.JWT_SECRET, {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+  });
+};
+
+// Fingerprint of the current password hash; a reset token stops working once the password changes
+const passwordFingerprint = (user) => {
+  return crypto.createHash('sha256').update(user.password).digest('hex').slice(0, 16);
+};
+
+// Generate single-use password reset token
+const generatePasswordResetToken = (user) => {
+  return jwt.sign({ userId: user._id, purpose: 'password_reset', pwd: passwordFingerprint(user) }, process.env.JWT_SECRET, {
+    expiresIn: '1h'
+  });
+};
+
+// Verify a purpose-bound token; returns null when invalid or expired
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Respond to a login attempt refused by brute-force protection
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: throttle.locked
+      ? 'Too many failed attempts. Account temporarily locked.'
+      : 'Too many failed attempts. Please wait before retrying.',
+    code: throttle.locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+    retryAfterSeconds: throttle.retryAfterSeconds
+  });
+};
+
+// Open a session for the requesting device and issue its access/refresh token pair
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, {
+    deviceId: req.body.deviceId,
+    name: req.body.deviceName,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -20,8 +99,11 @@ router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('walletAddress').isEthereumAddress(),
+  body('network').optional().isIn(NETWORK_NAMES),
   body('firstName').optional().trim().isLength({ min: 1 }),
-  body('lastName').optional().trim().isLength({ min: 1 })
+  body('lastName').optional().trim().isLength({ min: 1 }),
+  body('deviceId').optional().isString().isLength({ max: 128 }),
+  body('deviceName').optional().isString().isLength({ max: 128 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -33,12 +115,10 @@ router.post('/register', [
       });
     }
 
-    const { email, password, walletAddress, firstName, lastName } = req.body;
+    const { email, password, walletAddress, network, firstName, lastName } = req.body;
 
     // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { walletAddress: walletAddress.toLowerCase() }]
-    });
+    const existingUser = await User.findOne({ email }) || await User.findByWalletAddress(walletAddress);
 
     if (existingUser) {
       return res.status(400).json({
@@ -52,6 +132,7 @@ router.post('/register', [
       email,
       password,
       walletAddress: walletAddress.toLowerCase(),
+      network,
       profile: {
         firstName,
         lastName
@@ -60,8 +141,20 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration counts as the first login from this device; only once the
+    // user exists, so a failed save leaves the email's login counters alone
+    await loginSecurity.recordSuccess(req, email, user, { method: 'password' });
+    await user.save();
+
+    // Send verification email; registration succeeds even if the mailer is down
+    try {
+      await mailer.sendVerificationEmail(user, generateEmailVerificationToken(user));
+    } catch (error) {
+      logger.error(`Failed to send verification email to ${email}:`, error);
+    }
+
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
 
     logger.info(`New user registered: ${email} with wallet ${walletAddress}`);
 
@@ -72,9 +165,11 @@ router.post('/register', [
           id: user._id,
           email: user.email,
           walletAddress: user.walletAddress,
+          network: user.network,
+          emailVerified: user.emailVerified,
           profile: user.profile
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -91,7 +186,9 @@ router.post('/register', [
 // @access  Public
 router.post('/login', [
   body('email').isEmail().normalizeEmail(),
-  body('password').exists()
+  body('password').exists(),
+  body('deviceId').optional().isString().isLength({ max: 128 }),
+  body('deviceName').optional().isString().isLength({ max: 128 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -107,7 +204,16 @@ router.post('/login', [
 
     // Find user
     const user = await User.findOne({ email }).select('+password');
+
+    // Refuse while this account or IP is cooling down after failed attempts
+    const throttle = await loginSecurity.checkThrottle(req, email);
+    if (throttle.blocked) {
+      await loginSecurity.recordBlocked(req, user, 'password');
+      return sendThrottled(res, throttle);
+    }
+
     if (!user) {
+      await loginSecurity.recordFailure(req, email, null, { method: 'password' });
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -117,6 +223,7 @@ router.post('/login', [
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await loginSecurity.recordFailure(req, email, user, { method: 'password' });
       return res.status(401).json({
         success: false,
         error: 'Invalid credentials'
@@ -131,12 +238,26 @@ router.post('/login', [
       });
     }
 
+    // Second factor enrolled: hand back a challenge instead of tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await loginSecurity.recordSuccess(req, email, user, { method: 'password', outcome: '2fa_required' });
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    const { newDevice } = await loginSecurity.recordSuccess(req, email, user, { method: 'password' });
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
 
     logger.info(`User logged in: ${email}`);
 
@@ -150,7 +271,8 @@ router.post('/login', [
           profile: user.profile,
           lastLogin: user.lastLogin
         },
-        token
+        newDevice,
+        ...tokens
       }
     });
   } catch (error) {
@@ -162,13 +284,46 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/nonce
+// @desc    Issue a single-use nonce and SIWE (EIP-4361) message for wallet login
+// @access  Public
+router.post('/nonce', [
+  body('walletAddress').isEthereumAddress()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const challenge = await siwe.issueChallenge(req.body.walletAddress);
+
+    res.json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    logger.error('Nonce issue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue nonce'
+    });
+  }
+});
+
 // @route   POST /api/auth/wallet-login
-// @desc    Login with wallet signature (for mobile wallet integration)
+// @desc    Login with a signed SIWE (EIP-4361) message
 // @access  Public
 router.post('/wallet-login', [
   body('walletAddress').isEthereumAddress(),
-  body('signature').exists(),
-  body('message').exists()
+  body('signature').isString().notEmpty(),
+  body('message').isString().notEmpty(),
+  body('deviceId').optional().isString().isLength({ max: 128 }),
+  body('deviceName').optional().isString().isLength({ max: 128 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -182,10 +337,14 @@ router.post('/wallet-login', [
 
     const { walletAddress, signature, message } = req.body;
 
-    // Find user by wallet address
-    const user = await User.findOne({ 
-      walletAddress: walletAddress.toLowerCase() 
-    });
+    // Refuse while this wallet or IP is cooling down after failed attempts
+    const throttle = await loginSecurity.checkThrottle(req, walletAddress);
+    if (throttle.blocked) {
+      return sendThrottled(res, throttle);
+    }
+
+    // Find user by any of their linked wallet addresses
+    const user = await User.findByWalletAddress(walletAddress);
 
     if (!user) {
       return res.status(401).json({
@@ -194,9 +353,22 @@ router.post('/wallet-login', [
       });
     }
 
-    // TODO: Verify signature (implement signature verification logic)
-    // This would typically involve recovering the address from the signature
-    // and comparing it with the provided wallet address
+    // Verify message, signature and nonce
+    try {
+      await siwe.verifySignedMessage({ message, signature, walletAddress });
+    } catch (error) {
+      if (error instanceof siwe.SiweError) {
+        if (error.code === 'SIWE_INVALID_SIGNATURE') {
+          await loginSecurity.recordFailure(req, walletAddress, user, { method: 'wallet' });
+        }
+        return res.status(401).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      throw error;
+    }
 
     // Check if account is active
     if (!user.isActive) {
@@ -206,12 +378,26 @@ router.post('/wallet-login', [
       });
     }
 
+    // Second factor enrolled: hand back a challenge instead of tokens
+    if (user.twoFactor && user.twoFactor.enabled) {
+      await loginSecurity.recordSuccess(req, walletAddress, user, { method: 'wallet', outcome: '2fa_required' });
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    const { newDevice } = await loginSecurity.recordSuccess(req, walletAddress, user, { method: 'wallet' });
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
 
     logger.info(`Wallet login: ${walletAddress}`);
 
@@ -225,7 +411,8 @@ router.post('/wallet-login', [
           profile: user.profile,
           lastLogin: user.lastLogin
         },
-        token
+        newDevice,
+        ...tokens
       }
     });
   } catch (error) {
@@ -237,4 +424,1032 @@ router.post('/wallet-login', [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { session, reused } = await Session.findByRefreshToken(req.body.refreshToken);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    // A rotated token was presented again: assume theft and kill the whole family
+    if (reused) {
+      await session.revoke('reuse_detected');
+      logger.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token reuse detected. Session revoked.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired or revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await session.revoke('user_revoked');
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    const refreshToken = await session.rotate();
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user._id, session._id),
+        refreshToken,
+        sessionId: session._id
+      }
+    });
+  } catch (error) {
+    logger.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user
+// @access  Private
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    logger.info(`User logged out everywhere: ${req.user.email} (${result.modifiedCount} sessions)`);
+
+    res.json({
+      success: true,
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Logout-all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user._id
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    logger.info(`Session ${session._id} revoked by user ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: session
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public (requires challenge token from login)
+router.post('/2fa/verify', [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body('deviceId').optional().isString().isLength({ max: 128 }),
+  body('deviceName').optional().isString().isLength({ max: 128 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      challenge = null;
+    }
+
+    if (!challenge || challenge.purpose !== '2fa_login') {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge',
+        code: 'INVALID_2FA_CHALLENGE'
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: 'Account is deactivated'
+      });
+    }
+
+    // 6-digit codes are easy to guess without throttling
+    const throttle = await loginSecurity.checkThrottle(req, user.email);
+    if (throttle.blocked) {
+      await loginSecurity.recordBlocked(req, user, '2fa');
+      return sendThrottled(res, throttle);
+    }
+
+    const isValid = await user.verifySecondFactor({ code, recoveryCode });
+    if (!isValid) {
+      await loginSecurity.recordFailure(req, user.email, user, { method: '2fa', outcome: '2fa_failed' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const { newDevice } = await loginSecurity.recordSuccess(req, user.email, user, { method: '2fa' });
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Generate tokens
+    const tokens = await issueTokens(user, req);
+
+    logger.info(`User completed 2FA login: ${user.email}${recoveryCode ? ' (recovery code)' : ''}`);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user._id,
+          email: user.email,
+          walletAddress: user.walletAddress,
+          profile: user.profile,
+          lastLogin: user.lastLogin
+        },
+        newDevice,
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length,
+        ...tokens
+      }
+    });
+  } catch (error) {
+    logger.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Two-factor verification failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment; returns the secret and provisioning URI
+// @access  Private
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = totp.encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpAuthUri(secret, user.email)
+      }
+    });
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/enable', authMiddleware, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    logger.info(`2FA enabled for user ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: true,
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (requires a current TOTP or recovery code)
+// @access  Private
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const throttle = await loginSecurity.checkStepUpThrottle(user);
+    if (throttle.blocked) {
+      return sendStepUpThrottled(res, throttle, { success: false });
+    }
+
+    const isValid = await user.verifySecondFactor({ code, recoveryCode });
+    if (!isValid) {
+      await loginSecurity.recordStepUpFailure(user);
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+    await loginSecurity.recordStepUpSuccess(user);
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    logger.info(`2FA disabled for user ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: false
+      }
+    });
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private (step-up)
+router.post('/2fa/recovery-codes', authMiddleware, requireStepUp, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save();
+
+    logger.info(`2FA recovery codes regenerated for user ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile/bank-account
+// @desc    Update the bank account used for loan disbursement
+// @access  Private (step-up)
+router.put('/profile/bank-account', authMiddleware, requireStepUp, [
+  body('accountNumber').trim().notEmpty(),
+  body('bankName').trim().notEmpty(),
+  body('accountHolder').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { accountNumber, bankName, accountHolder } = req.body;
+    const user = req.user;
+
+    user.profile.bankAccount = { accountNumber, bankName, accountHolder };
+    await user.save();
+
+    logger.info(`Bank account updated for user ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        bankAccount: user.profile.bankAccount
+      }
+    });
+  } catch (error) {
+    logger.error('Bank account update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bank account'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile/network
+// @desc    Set the network wallet routes use when a request does not pick one
+// @access  Private
+router.put('/profile/network', authMiddleware, [
+  body('network').isIn(NETWORK_NAMES).withMessage(`Supported networks: ${NETWORK_NAMES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    user.network = req.body.network;
+    await user.save();
+
+    logger.info(`Default network set to ${user.network} for user ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        network: user.network
+      }
+    });
+  } catch (error) {
+    logger.error('Network update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update network'
+    });
+  }
+});
+
+// @route   POST /api/auth/email/verify/request
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/email/verify/request', authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    await mailer.sendVerificationEmail(user, generateEmailVerificationToken(user));
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Email verification request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/email/verify/confirm
+// @desc    Confirm email ownership with the emailed token
+// @access  Public
+router.post('/email/verify/confirm', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const decoded = verifyPurposeToken(req.body.token, 'email_verify');
+    const user = decoded ? await User.findById(decoded.userId) : null;
+
+    // The token only verifies the address it was issued for
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      logger.info(`Email verified: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: user.email,
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Email verification failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/password/forgot
+// @desc    Email a password reset link
+// @access  Public
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      await mailer.sendPasswordResetEmail(user, generatePasswordResetToken(user));
+      logger.info(`Password reset requested: ${user.email}`);
+    }
+
+    // Same response whether or not the account exists, to avoid email enumeration
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Password forgot error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/password/reset
+// @desc    Set a new password with the emailed token
+// @access  Public
+router.post('/password/reset', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const decoded = verifyPurposeToken(req.body.token, 'password_reset');
+    const user = decoded ? await User.findById(decoded.userId) : null;
+
+    if (!user || !user.isActive || decoded.pwd !== passwordFingerprint(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await Session.revokeAllForUser(user._id, 'logout_all');
+
+    logger.info(`Password reset completed: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in again.'
+    });
+  } catch (error) {
+    logger.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed'
+    });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Get the current user's recent login attempts
+// @access  Private
+router.get('/login-history', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const history = [...req.user.loginHistory]
+      .sort((a, b) => b.at - a.at)
+      .slice(0, limit)
+      .map(entry => ({
+        at: entry.at,
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        method: entry.method,
+        outcome: entry.outcome,
+        newDevice: Boolean(entry.newDevice)
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        knownDevices: req.user.knownDevices.length
+      }
+    });
+  } catch (error) {
+    logger.error('Login history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve login history'
+    });
+  }
+});
+
+const MAX_ACTIVE_API_KEYS = 10;
+
+// @route   GET /api/auth/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/api-keys', authMiddleware, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        availableScopes: ApiKey.SCOPES
+      }
+    });
+  } catch (error) {
+    logger.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve API keys'
+    });
+  }
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create a scoped API key; the key is only shown in this response
+// @access  Private (step-up)
+router.post('/api-keys', authMiddleware, requireStepUp, [
+  body('name').trim().isLength({ min: 1, max: 64 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(ApiKey.SCOPES),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays = 90 } = req.body;
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (activeKeys >= MAX_ACTIVE_API_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_ACTIVE_API_KEYS} active API keys`
+      });
+    }
+
+    const { apiKey, rawKey } = await ApiKey.generate({
+      userId: req.user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info(`API key ${apiKey.keyId} created by ${req.user.email} with scopes ${apiKey.scopes.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/api-keys/:keyId
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/api-keys/:keyId', authMiddleware, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      keyId: req.params.keyId,
+      userId: req.user._id
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`API key ${apiKey.keyId} revoked by ${req.user.email}`);
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+const ACTIVE_LOAN_STATUSES = ['pending', 'approved', 'funded'];
+
+// @route   GET /api/auth/me/export
+// @desc    Download everything we hold about the current user
+// @access  Private (step-up)
+router.get('/me/export', authMiddleware, requireStepUp, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const [loans, withdrawals, sessions, apiKeys] = await Promise.all([
+      Loan.find({ userId: user._id }).sort({ createdAt: -1 }),
+      Withdrawal.find({ userId: user._id }).sort({ createdAt: -1 }),
+      Session.find({ userId: user._id }).sort({ createdAt: -1 }),
+      ApiKey.find({ userId: user._id }).sort({ createdAt: -1 })
+    ]);
+
+    // USDT/BOB conversions applied to the user's loans and withdrawals
+    const exchangeHistory = [
+      ...loans.map(loan => ({
+        type: 'loan',
+        reference: loan.loanId,
+        fromCurrency: 'USDT',
+        toCurrency: 'BOB',
+        rate: loan.loan.exchangeRate,
+        amountBOB: loan.loan.amountBOB,
+        amountUSD: loan.loan.amountUSD,
+        at: loan.createdAt
+      })),
+      ...withdrawals.map(withdrawal => ({
+        type: 'withdrawal',
+        reference: withdrawal.transactionHash,
+        fromCurrency: 'USDT',
+        toCurrency: 'BOB',
+        rate: withdrawal.usdtToBobRate,
+        amountUSDT: withdrawal.amount,
+        walletAddress: withdrawal.walletAddress,
+        at: withdrawal.createdAt
+      }))
+    ].sort((a, b) => b.at - a.at);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        ...user.toJSON(),
+        loginHistory: undefined
+      },
+      loans,
+      exchangeHistory,
+      loginHistory: [...user.loginHistory].sort((a, b) => b.at - a.at),
+      knownDevices: user.knownDevices,
+      sessions,
+      apiKeys
+    };
+
+    logger.info(`Data export generated for ${user.email}`);
+
+    res.set('Content-Disposition', `attachment; filename="torito-export-${user._id}.json"`);
+    res.json({
+      success: true,
+      data: archive
+    });
+  } catch (error) {
+    logger.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export account data'
+    });
+  }
+});
+
+// @route   POST /api/auth/me/close
+// @desc    Close the account and anonymize personal data; refused while debt is outstanding
+// @access  Private (step-up)
+router.post('/me/close', authMiddleware, requireStepUp, [
+  body('password').exists()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password'
+      });
+    }
+
+    const activeLoans = await Loan.find({
+      userId: user._id,
+      status: { $in: ACTIVE_LOAN_STATUSES }
+    }).select('loanId status loan.amountBOB');
+
+    // Debt on any configured network blocks closure
+    const accounts = await Promise.all(blockchainService.getServices().flatMap(service =>
+      user.getWalletAddresses().map(async (address) => ({
+        network: service.network.name,
+        address,
+        bobDebt: (await service.getToritoUserAccount(address, { quorum: true })).bobDebt
+      }))
+    ));
+    const onChainDebt = accounts.filter(account => account.bobDebt.isPositive());
+
+    if (activeLoans.length || onChainDebt.length) {
+      return res.status(409).json({
+        success: false,
+        error: 'Account cannot be closed while loans or debt are outstanding',
+        code: 'ACCOUNT_HAS_DEBT',
+        details: {
+          activeLoans: activeLoans.map(loan => ({
+            loanId: loan.loanId,
+            status: loan.status,
+            amountBOB: loan.loan.amountBOB
+          })),
+          onChainDebt
+        }
+      });
+    }
+
+    // Notify before the email address is wiped
+    try {
+      await mailer.sendAccountClosedEmail(user);
+    } catch (mailError) {
+      logger.warn(`Could not send closure email for account ${user._id}`);
+    }
+
+    user.anonymize();
+    await user.save();
+
+    // Bank details copied onto loans are personal data too; the loans themselves are kept
+    await Loan.updateMany({ userId: user._id }, { $unset: { 'partner.bankDetails': '' } });
+    await Session.revokeAllForUser(user._id, 'account_closed');
+    await ApiKey.updateMany({ userId: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+    logger.info(`Account ${user._id} closed`);
+
+    res.json({
+      success: true,
+      message: 'Account closed',
+      data: {
+        closedAt: user.closedAt
+      }
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error('Account closure error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close account'
+    });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,9 @@ const axios = require('axios');
 const cron = require('node-cron');
 const ExchangeRate = require('../models/ExchangeRate');
 const logger = require('../utils/logger');
+const authorize = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/roles');
+const { Money, DECIMALS, ROUNDING, isAmount, rate: toRate } = require('../utils/money');
 
 const router = express.Router();
 
@@ -55,7 +58,8 @@ class ExchangeRateService {
       const exchangeRate = new ExchangeRate({
         fromCurrency: 'USDT',
         toCurrency: 'BOB',
-        rate: rateData.rate,
+        // Providers quote floats; keep the rate's 8 decimals, to nearest
+        rate: toRate(rateData.rate, ROUNDING.HALF_UP),
         source: rateData.source,
         metadata: rateData.metadata
       });
@@ -119,8 +123,8 @@ router.get('/rates', async (req, res) => {
 
 // @route   POST /api/exchange/rates/update
 // @desc    Manually trigger exchange rate update
-// @access  Private
-router.post('/rates/update', async (req, res) => {
+// @access  Private (operator, admin)
+router.post('/rates/update', authorize(PERMISSIONS.RATES_REFRESH), async (req, res) => {
   try {
     const updatedRate = await exchangeRateService.updateExchangeRate();
     
@@ -145,23 +149,23 @@ router.post('/rates/update', async (req, res) => {
 });
 
 // @route   POST /api/exchange/rates/manual
-// @desc    Manually set exchange rate (admin function)
-// @access  Private
-router.post('/rates/manual', async (req, res) => {
+// @desc    Manually set exchange rate
+// @access  Private (admin)
+router.post('/rates/manual', authorize(PERMISSIONS.RATES_WRITE), async (req, res) => {
   try {
     const { rate, fromCurrency = 'USDT', toCurrency = 'BOB' } = req.body;
 
-    if (!rate || isNaN(rate) || rate <= 0) {
+    if (!isAmount(DECIMALS.RATE)(rate) || !toRate(rate).isPositive()) {
       return res.status(400).json({
         success: false,
-        error: 'Valid exchange rate required'
+        error: 'Valid exchange rate required, with at most 8 decimals'
       });
     }
 
     const exchangeRate = new ExchangeRate({
       fromCurrency,
       toCurrency,
-      rate: parseFloat(rate),
+      rate: toRate(rate),
       source: 'manual',
       metadata: {
         setBy: req.user.email,
@@ -236,14 +240,15 @@ router.get('/rates/history', async (req, res) => {
     .limit(parseInt(limit));
 
     // Calculate analytics
-    const rateValues = rates.map(r => r.rate);
+    const rateValues = rates.map(r => toRate(r.rate));
+    const zero = Money.zero(DECIMALS.RATE);
     const analytics = {
       count: rates.length,
-      latest: rateValues[0] || 0,
-      highest: Math.max(...rateValues) || 0,
-      lowest: Math.min(...rateValues) || 0,
-      average: rateValues.length > 0 ? rateValues.reduce((a, b) => a + b, 0) / rateValues.length : 0,
-      volatility: rateValues.length > 1 ? calculateVolatility(rateValues) : 0
+      latest: rateValues[0] || zero,
+      highest: rateValues.length > 0 ? Money.max(...rateValues) : zero,
+      lowest: rateValues.length > 0 ? Money.min(...rateValues) : zero,
+      average: rateValues.length > 0 ? Money.sum(rateValues, DECIMALS.RATE).div(Money.fromUnits(rateValues.length, 0)) : zero,
+      volatility: rateValues.length > 1 ? calculateVolatility(rateValues.map(value => value.toNumber())) : 0
     };
 
     res.json({
@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const authorize = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/roles');
+const { KYC_TIERS, DOCUMENT_TYPES, getLimitsForUser } = require('../config/kyc');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Format a user's KYC state for responses
+const formatKyc = (user) => ({
+  status: user.kyc.status,
+  tier: user.kyc.tier,
+  requestedTier: user.kyc.requestedTier,
+  documents: user.kyc.documents.map(doc => ({
+    type: doc.type,
+    country: doc.country,
+    numberLast4: doc.numberLast4,
+    submittedAt: doc.submittedAt
+  })),
+  submittedAt: user.kyc.submittedAt,
+  reviewedAt: user.kyc.reviewedAt,
+  rejectionReason: user.kyc.rejectionReason,
+  limits: getLimitsForUser(user)
+});
+
+// @route   GET /api/kyc/status
+// @desc    Get current user's KYC status and limits
+// @access  Private
+router.get('/status', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: formatKyc(req.user)
+    });
+  } catch (error) {
+    logger.error('KYC status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve KYC status'
+    });
+  }
+});
+
+// @route   GET /api/kyc/tiers
+// @desc    List KYC tiers with their limits and required documents
+// @access  Private
+router.get('/tiers', (req, res) => {
+  res.json({
+    success: true,
+    data: KYC_TIERS
+  });
+});
+
+// @route   POST /api/kyc/submit
+// @desc    Submit identity documents for review
+// @access  Private
+router.post('/submit', [
+  body('tier').isInt({ min: 1 }).custom(tier => Boolean(KYC_TIERS[tier])).withMessage('Unknown KYC tier'),
+  body('documents').isArray({ min: 1 }),
+  body('documents.*.type').isIn(DOCUMENT_TYPES),
+  body('documents.*.country').optional().isISO31661Alpha2(),
+  body('documents.*.number').optional().isString().isLength({ min: 4, max: 64 }),
+  body('documents.*.fileReference').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tier = parseInt(req.body.tier);
+    const { documents } = req.body;
+    const user = req.user;
+
+    if (user.kyc.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'A KYC submission is already under review'
+      });
+    }
+
+    if (user.kyc.status === 'verified' && user.kyc.tier >= tier) {
+      return res.status(400).json({
+        success: false,
+        error: `Already verified at tier ${user.kyc.tier}`
+      });
+    }
+
+    const submittedTypes = documents.map(doc => doc.type);
+    const missing = KYC_TIERS[tier].requiredDocuments.filter(type => !submittedTypes.includes(type));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required documents',
+        details: { tier, missing }
+      });
+    }
+
+    const now = new Date();
+    user.kyc.documents = documents.map(doc => ({
+      type: doc.type,
+      country: doc.country,
+      numberLast4: doc.number ? doc.number.slice(-4) : undefined,
+      fileReference: doc.fileReference,
+      submittedAt: now
+    }));
+    user.kyc.requestedTier = tier;
+    user.kyc.submittedAt = now;
+    user.kyc.rejectionReason = undefined;
+    // A verified user asking for a higher tier keeps their current tier while pending
+    if (user.kyc.status !== 'verified') {
+      user.kyc.status = 'pending';
+    }
+    await user.save();
+
+    logger.info(`KYC submitted by ${user.email} for tier ${tier}`);
+
+    res.status(201).json({
+      success: true,
+      data: formatKyc(user)
+    });
+  } catch (error) {
+    logger.error('KYC submit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit KYC documents'
+    });
+  }
+});
+
+// @route   GET /api/kyc/reviews
+// @desc    List KYC submissions awaiting review
+// @access  Private (operator, admin)
+router.get('/reviews', authorize(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Pending first-time submissions plus tier upgrades of verified users
+    const query = {
+      'kyc.requestedTier': { $ne: null },
+      'kyc.status': { $in: ['pending', 'verified'] }
+    };
+
+    const users = await User.find(query)
+      .select('email profile.firstName profile.lastName kyc')
+      .sort({ 'kyc.submittedAt': 1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: users.map(user => ({
+          userId: user._id,
+          email: user.email,
+          name: `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim(),
+          kyc: user.kyc
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('KYC reviews error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve KYC reviews'
+    });
+  }
+});
+
+// @route   POST /api/kyc/reviews/:userId/approve
+// @desc    Approve a KYC submission at the requested (or a lower) tier
+// @access  Private (operator, admin)
+router.post('/reviews/:userId/approve', authorize(PERMISSIONS.KYC_REVIEW), [
+  body('tier').optional().isInt({ min: 1 }).custom(tier => Boolean(KYC_TIERS[tier])).withMessage('Unknown KYC tier')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user || !user.kyc.requestedTier) {
+      return res.status(404).json({
+        success: false,
+        error: 'No KYC submission pending for this user'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot review your own KYC submission',
+        code: 'SELF_REVIEW_FORBIDDEN'
+      });
+    }
+
+    const tier = req.body.tier ? parseInt(req.body.tier) : user.kyc.requestedTier;
+    if (tier > user.kyc.requestedTier) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot approve a higher tier than requested'
+      });
+    }
+
+    user.kyc.status = 'verified';
+    user.kyc.tier = Math.max(tier, user.kyc.tier || 0);
+    user.kyc.requestedTier = undefined;
+    user.kyc.reviewedAt = new Date();
+    user.kyc.reviewedBy = req.user._id;
+    user.kyc.rejectionReason = undefined;
+    await user.save();
+
+    logger.info(`KYC approved by ${req.user.email}: ${user.email} -> tier ${user.kyc.tier}`);
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        ...formatKyc(user)
+      }
+    });
+  } catch (error) {
+    logger.error('KYC approve error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to approve KYC submission'
+    });
+  }
+});
+
+// @route   POST /api/kyc/reviews/:userId/reject
+// @desc    Reject a KYC submission
+// @access  Private (operator, admin)
+router.post('/reviews/:userId/reject', authorize(PERMISSIONS.KYC_REVIEW), [
+  body('reason').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user || !user.kyc.requestedTier) {
+      return res.status(404).json({
+        success: false,
+        error: 'No KYC submission pending for this user'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot review your own KYC submission',
+        code: 'SELF_REVIEW_FORBIDDEN'
+      });
+    }
+
+    // A rejected upgrade leaves an already verified user at their current tier
+    if (user.kyc.status !== 'verified') {
+      user.kyc.status = 'rejected';
+    }
+    user.kyc.requestedTier = undefined;
+    user.kyc.reviewedAt = new Date();
+    user.kyc.reviewedBy = req.user._id;
+    user.kyc.rejectionReason = req.body.reason;
+    await user.save();
+
+    logger.info(`KYC rejected by ${req.user.email}: ${user.email} (${req.body.reason})`);
+
+    res.json({
+      success: true,
+      data: {
+        userId: user._id,
+        ...formatKyc(user)
+      }
+    });
+  } catch (error) {
+    logger.error('KYC reject error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reject KYC submission'
+    });
+  }
+});
+
+module.exports = router;
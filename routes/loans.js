@@ -2,34 +2,110 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
 const ExchangeRate = require('../models/ExchangeRate');
-const blockchainService = require('../utils/blockchain');
+const ChainTransaction = require('../models/ChainTransaction');
+const ContractEvent = require('../models/ContractEvent');
 const logger = require('../utils/logger');
+const { isProviderFailure } = require('../utils/rpcProvider');
+const { requireStepUp } = require('../middleware/twoFactor');
+const { requireScope } = require('../middleware/apiKeyScopes');
+const { requireVerifiedEmail } = require('../middleware/emailVerified');
+const { requireKycVerified } = require('../middleware/kyc');
+const { selectNetwork } = require('../middleware/network');
+const { getLimitsForUser } = require('../config/kyc');
+const { COLLATERAL_SYMBOLS, BASE_ASSET } = require('../config/assets');
+const { Money, DECIMALS, ROUNDING, fromDecimal128, isAmount, bob, rate } = require('../utils/money');
 
 const router = express.Router();
 
+// Collateral amounts of every asset summed together need the finest token precision
+const MAX_TOKEN_DECIMALS = 18;
+
+// Global loan size limits
+const getLoanLimits = () => ({
+  minLoanBOB: bob(process.env.MIN_LOAN_AMOUNT_BOB || 100),
+  maxLoanBOB: bob(process.env.MAX_LOAN_AMOUNT_BOB || 50000)
+});
+
+const sendUnsupportedAsset = (req, res, symbol) => {
+  return res.status(400).json({
+    success: false,
+    error: `${symbol} is not accepted as collateral on ${req.network}`,
+    code: 'UNSUPPORTED_COLLATERAL',
+    details: { supported: Object.keys(req.blockchain.assets) }
+  });
+};
+
+// The user's newest ToritoWallet loan request for `loanAmountBOB` that no loan is
+// linked to yet, for clients that do not send contractLoanId. Candidates are the
+// indexed LoanRequested events of the user's addresses and the requests the
+// server made on their behalf; the one picked is checked on chain.
+const findUnlinkedLoanRequest = async (req, loanAmountBOB) => {
+  const addresses = req.user.getWalletAddresses();
+  const [events, sent] = await Promise.all([
+    ContractEvent.find({ network: req.network, name: 'LoanRequested', user: { $in: addresses } }).sort({ blockNumber: -1 }).limit(20),
+    ChainTransaction.find({
+      userId: req.user._id,
+      chainId: req.blockchain.network.chainId,
+      purpose: 'loan_request',
+      contractLoanId: { $type: 'string' }
+    }).sort({ createdAt: -1 }).limit(20)
+  ]);
+
+  const candidates = [
+    ...events.filter(event => event.amountBOB && bob(event.amountBOB).eq(loanAmountBOB)).map(event => event.loanId),
+    ...sent.filter(record => record.params && record.params.bobAmount && bob(record.params.bobAmount).eq(loanAmountBOB)).map(record => record.contractLoanId)
+  ];
+
+  for (const contractLoanId of new Set(candidates)) {
+    if (await Loan.exists({ network: req.network, 'blockchain.contractLoanId': contractLoanId })) {
+      continue;
+    }
+    const contractLoan = await req.blockchain.getLoanRequest(contractLoanId, { quorum: true });
+    const ownRequest = contractLoan && (addresses.includes(contractLoan.user) || sent.some(record => record.contractLoanId === contractLoanId));
+    if (ownRequest && contractLoan.bobAmount.eq(loanAmountBOB) && !contractLoan.fulfilled) {
+      return contractLoan;
+    }
+  }
+  return null;
+};
+
 // @route   GET /api/loans/quote
-// @desc    Get loan quote based on aUSDT collateral and LTV ratio
+// @desc    Get loan quote based on aToken collateral and the asset's LTV ratio
 // @access  Private
-router.get('/quote', async (req, res) => {
+// @query   amount - collateral amount; asset - collateral symbol (default: USDT)
+router.get('/quote', requireScope('read:loans'), selectNetwork, async (req, res, next) => {
   try {
     const { amount } = req.query;
     const { walletAddress } = req.user;
 
-    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+    if (!isAmount(MAX_TOKEN_DECIMALS)(amount) || !Money.parse(amount, MAX_TOKEN_DECIMALS).isPositive()) {
       return res.status(400).json({
         success: false,
         error: 'Valid collateral amount required'
       });
     }
 
-    const collateralAmount = parseFloat(amount);
+    const symbol = (req.query.asset || BASE_ASSET).toUpperCase();
+    const asset = req.blockchain.getCollateralAsset(symbol);
+    if (!asset) {
+      return sendUnsupportedAsset(req, res, symbol);
+    }
 
-    // Get user's aUSDT balance
-    const aUsdtBalance = await blockchainService.getAUSDTBalance(walletAddress);
-    if (parseFloat(aUsdtBalance) < collateralAmount) {
+    // Get user's collateral across assets
+    const collateral = await req.blockchain.getCollateralPositions(walletAddress);
+    const position = collateral.assets.find(entry => entry.symbol === symbol);
+    if (!isAmount(position.decimals)(amount)) {
       return res.status(400).json({
         success: false,
-        error: 'Insufficient aUSDT balance'
+        error: `${asset.aTokenSymbol} amounts have at most ${position.decimals} decimals`
+      });
+    }
+
+    const collateralAmount = Money.parse(amount, position.decimals);
+    if (position.balance.lt(collateralAmount)) {
+      return res.status(400).json({
+        success: false,
+        error: `Insufficient ${asset.aTokenSymbol} balance`
       });
     }
 
@@ -42,31 +118,40 @@ router.get('/quote', async (req, res) => {
       });
     }
 
-    // Calculate loan parameters
-    const ltvRatio = parseFloat(process.env.DEFAULT_LTV_RATIO) || 0.75;
-    const maxLoanUSD = collateralAmount * ltvRatio;
-    const maxLoanBOB = maxLoanUSD * exchangeRate.rate;
+    // Calculate loan parameters, rounding down as the contract does
+    const ltvRatio = asset.ltv;
+    const usdValue = collateralAmount.mul(position.priceUSD, DECIMALS.USD);
+    const maxLoanUSD = usdValue.mul(ltvRatio);
+    const maxLoanBOB = maxLoanUSD.mul(rate(exchangeRate.rate), DECIMALS.BOB);
 
-    // Check loan limits
-    const minLoanBOB = parseFloat(process.env.MIN_LOAN_AMOUNT_BOB) || 100;
-    const maxLoanBOBLimit = parseFloat(process.env.MAX_LOAN_AMOUNT_BOB) || 50000;
+    // Check loan limits (global and per KYC tier)
+    const { minLoanBOB, maxLoanBOB: maxLoanBOBLimit } = getLoanLimits();
+    const kycLimits = getLimitsForUser(req.user);
 
     const quote = {
       collateral: {
+        asset: symbol,
         amount: collateralAmount,
-        token: 'aUSDT',
-        usdValue: collateralAmount
+        token: asset.aTokenSymbol,
+        priceUSD: position.priceUSD,
+        usdValue
       },
+      collateralPositions: collateral,
       loan: {
         maxAmountUSD: maxLoanUSD,
-        maxAmountBOB: Math.min(maxLoanBOB, maxLoanBOBLimit),
+        maxAmountBOB: Money.min(maxLoanBOB, maxLoanBOBLimit, kycLimits.maxLoanBOB),
         minAmountBOB: minLoanBOB,
-        ltvRatio: ltvRatio * 100, // Convert to percentage
+        ltvRatio: ltvRatio.toNumber() * 100, // Convert to percentage
         exchangeRate: exchangeRate.rate
       },
       limits: {
         minLoanBOB,
-        maxLoanBOB: maxLoanBOBLimit
+        maxLoanBOB: maxLoanBOBLimit,
+        kyc: {
+          tier: kycLimits.tier,
+          maxLoanBOB: kycLimits.maxLoanBOB,
+          maxOutstandingDebtBOB: kycLimits.maxOutstandingDebtBOB
+        }
       },
       fees: {
         originationFee: 0, // Could add fees here
@@ -79,13 +164,16 @@ router.get('/quote', async (req, res) => {
       }
     };
 
-    logger.info(`Loan quote generated for user ${req.user.email}: ${collateralAmount} aUSDT -> ${maxLoanBOB} BOB`);
+    logger.info(`Loan quote generated for user ${req.user.email}: ${collateralAmount} ${asset.aTokenSymbol} -> ${maxLoanBOB} BOB`);
 
     res.json({
       success: true,
       data: quote
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Loan quote error:', error);
     res.status(500).json({
       success: false,
@@ -96,14 +184,16 @@ router.get('/quote', async (req, res) => {
 
 // @route   POST /api/loans/request
 // @desc    Create a new loan request
-// @access  Private
-router.post('/request', [
-  body('collateralAmount').isFloat({ min: 0.01 }),
-  body('loanAmountBOB').isFloat({ min: 1 }),
+// @access  Private (step-up)
+router.post('/request', requireScope('write:loans'), requireVerifiedEmail, requireKycVerified, requireStepUp, selectNetwork, [
+  body('collateralAmount').custom(isAmount(MAX_TOKEN_DECIMALS, '0.01')),
+  body('collateralAsset').optional().toUpperCase().isIn(COLLATERAL_SYMBOLS),
+  body('loanAmountBOB').custom(isAmount(DECIMALS.BOB, 1)).withMessage('Loan amount must be at least 1 BOB, with at most 2 decimals'),
+  body('contractLoanId').optional().isInt({ min: 1 }).toInt(),
   body('bankAccount.accountNumber').notEmpty(),
   body('bankAccount.bankName').notEmpty(),
   body('bankAccount.accountHolder').notEmpty()
-], async (req, res) => {
+], async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -114,15 +204,32 @@ router.post('/request', [
       });
     }
 
-    const { collateralAmount, loanAmountBOB, bankAccount } = req.body;
+    const { bankAccount } = req.body;
+    const loanAmountBOB = bob(req.body.loanAmountBOB);
     const { walletAddress } = req.user;
+    const symbol = req.body.collateralAsset || BASE_ASSET;
+    const asset = req.blockchain.getCollateralAsset(symbol);
+    if (!asset) {
+      return sendUnsupportedAsset(req, res, symbol);
+    }
+
+    // Verify user has sufficient aToken balance, confirmed by several RPC endpoints
+    const [aTokenBalance, priceUSD] = await Promise.all([
+      req.blockchain.getTokenBalance(asset.aToken, walletAddress, { quorum: true }),
+      req.blockchain.getAssetPriceUSD(symbol)
+    ]);
+    if (!isAmount(aTokenBalance.decimals)(req.body.collateralAmount)) {
+      return res.status(400).json({
+        success: false,
+        error: `${asset.aTokenSymbol} amounts have at most ${aTokenBalance.decimals} decimals`
+      });
+    }
 
-    // Verify user has sufficient aUSDT balance
-    const aUsdtBalance = await blockchainService.getAUSDTBalance(walletAddress);
-    if (parseFloat(aUsdtBalance) < collateralAmount) {
+    const collateralAmount = Money.parse(req.body.collateralAmount, aTokenBalance.decimals);
+    if (aTokenBalance.lt(collateralAmount)) {
       return res.status(400).json({
         success: false,
-        error: 'Insufficient aUSDT balance'
+        error: `Insufficient ${asset.aTokenSymbol} balance`
       });
     }
 
@@ -135,47 +242,129 @@ router.post('/request', [
       });
     }
 
-    // Validate loan parameters
-    const ltvRatio = parseFloat(process.env.DEFAULT_LTV_RATIO) || 0.75;
-    const maxLoanUSD = collateralAmount * ltvRatio;
-    const maxLoanBOB = maxLoanUSD * exchangeRate.rate;
-    const loanAmountUSD = loanAmountBOB / exchangeRate.rate;
+    // Validate loan parameters, rounding down as the contract does
+    const ltvRatio = asset.ltv;
+    const usdtToBobRate = rate(exchangeRate.rate);
+    const usdValue = collateralAmount.mul(priceUSD, DECIMALS.USD);
+    const maxLoanUSD = usdValue.mul(ltvRatio);
+    const maxLoanBOB = maxLoanUSD.mul(usdtToBobRate, DECIMALS.BOB);
+    const loanAmountUSD = loanAmountBOB.div(usdtToBobRate, DECIMALS.USD);
 
-    if (loanAmountBOB > maxLoanBOB) {
+    if (loanAmountBOB.gt(maxLoanBOB)) {
       return res.status(400).json({
         success: false,
-        error: `Loan amount exceeds maximum allowed: ${maxLoanBOB.toFixed(2)} BOB`
+        error: `Loan amount exceeds maximum allowed: ${maxLoanBOB} BOB`
       });
     }
 
-    const minLoanBOB = parseFloat(process.env.MIN_LOAN_AMOUNT_BOB) || 100;
-    if (loanAmountBOB < minLoanBOB) {
+    const { minLoanBOB, maxLoanBOB: maxLoanBOBLimit } = getLoanLimits();
+    if (loanAmountBOB.lt(minLoanBOB)) {
       return res.status(400).json({
         success: false,
         error: `Loan amount below minimum: ${minLoanBOB} BOB`
       });
     }
 
+    if (loanAmountBOB.gt(maxLoanBOBLimit)) {
+      return res.status(400).json({
+        success: false,
+        error: `Loan amount exceeds maximum: ${maxLoanBOBLimit} BOB`
+      });
+    }
+
+    // Enforce KYC tier limits
+    const kycLimits = getLimitsForUser(req.user);
+    if (loanAmountBOB.gt(kycLimits.maxLoanBOB)) {
+      return res.status(403).json({
+        success: false,
+        error: `Loan amount exceeds your KYC tier limit: ${kycLimits.maxLoanBOB} BOB`,
+        code: 'KYC_LIMIT_EXCEEDED',
+        details: { tier: kycLimits.tier, maxLoanBOB: kycLimits.maxLoanBOB }
+      });
+    }
+
+    const outstandingBOB = await Loan.getOutstandingBOB(req.user._id);
+    if (outstandingBOB.add(loanAmountBOB).gt(kycLimits.maxOutstandingDebtBOB)) {
+      return res.status(403).json({
+        success: false,
+        error: `Loan would exceed your KYC tier debt limit: ${kycLimits.maxOutstandingDebtBOB} BOB`,
+        code: 'KYC_LIMIT_EXCEEDED',
+        details: {
+          tier: kycLimits.tier,
+          outstandingBOB,
+          maxOutstandingDebtBOB: kycLimits.maxOutstandingDebtBOB
+        }
+      });
+    }
+
+    // Link the ToritoWallet loan request, so partner callbacks are mirrored on chain
+    let contractLoan = null;
+    if (req.body.contractLoanId) {
+      contractLoan = await req.blockchain.getLoanRequest(req.body.contractLoanId, { quorum: true });
+      if (!contractLoan) {
+        return res.status(400).json({
+          success: false,
+          error: 'ToritoWallet loan request not found'
+        });
+      }
+
+      const ownRequest = req.user.getWalletAddresses().includes(contractLoan.user) || await ChainTransaction.exists({
+        contractLoanId: contractLoan.contractLoanId,
+        userId: req.user._id,
+        chainId: req.blockchain.network.chainId
+      });
+      if (!ownRequest) {
+        return res.status(403).json({
+          success: false,
+          error: 'ToritoWallet loan request belongs to another user'
+        });
+      }
+
+      if (!contractLoan.bobAmount.eq(loanAmountBOB)) {
+        return res.status(400).json({
+          success: false,
+          error: `ToritoWallet loan request is for ${contractLoan.bobAmount} BOB`
+        });
+      }
+
+      if (await Loan.exists({ network: req.network, 'blockchain.contractLoanId': contractLoan.contractLoanId })) {
+        return res.status(409).json({
+          success: false,
+          error: 'ToritoWallet loan request is already linked to a loan'
+        });
+      }
+    } else {
+      contractLoan = await findUnlinkedLoanRequest(req, loanAmountBOB);
+    }
+
     // Create loan record
     const loan = new Loan({
       userId: req.user._id,
+      network: req.network,
       collateral: {
+        asset: symbol,
         amount: collateralAmount,
-        token: 'aUSDT',
-        usdValue: collateralAmount
+        token: asset.aTokenSymbol,
+        priceUSD,
+        usdValue
       },
       loan: {
         amountBOB: loanAmountBOB,
         amountUSD: loanAmountUSD,
-        exchangeRate: exchangeRate.rate,
-        ltvRatio
+        exchangeRate: usdtToBobRate,
+        ltvRatio: ltvRatio.toNumber()
       },
       partner: {
         bankDetails: bankAccount
       },
       repayment: {
         dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-      }
+      },
+      blockchain: contractLoan ? {
+        contractAddress: req.blockchain.contracts.toritoWallet.target,
+        contractLoanId: contractLoan.contractLoanId,
+        borrower: contractLoan.user
+      } : undefined
     });
 
     await loan.save();
@@ -185,21 +374,29 @@ router.post('/request', [
     
     logger.info(`Loan request created: ${loan.loanId} for user ${req.user.email}`);
 
+    // Amounts come out of toJSON as strings
+    const saved = loan.toJSON();
+
     res.status(201).json({
       success: true,
       data: {
         loanId: loan.loanId,
+        network: loan.network,
         status: loan.status,
-        collateral: loan.collateral,
-        loan: loan.loan,
+        collateral: saved.collateral,
+        loan: saved.loan,
         bankDetails: loan.partner.bankDetails,
         repayment: {
           dueDate: loan.repayment.dueDate
         },
+        contractLoanId: loan.blockchain && loan.blockchain.contractLoanId,
         createdAt: loan.createdAt
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Loan request error:', error);
     res.status(500).json({
       success: false,
@@ -211,7 +408,7 @@ router.post('/request', [
 // @route   GET /api/loans
 // @desc    Get user's loans
 // @access  Private
-router.get('/', async (req, res) => {
+router.get('/', requireScope('read:loans'), async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
     
@@ -257,7 +454,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/loans/:loanId
 // @desc    Get specific loan details
 // @access  Private
-router.get('/:loanId', async (req, res) => {
+router.get('/:loanId', requireScope('read:loans'), async (req, res) => {
   try {
     const { loanId } = req.params;
 
@@ -289,7 +486,7 @@ router.get('/:loanId', async (req, res) => {
 // @route   GET /api/loans/summary/debt
 // @desc    Get user's debt summary
 // @access  Private
-router.get('/summary/debt', async (req, res) => {
+router.get('/summary/debt', requireScope('read:loans'), selectNetwork, async (req, res, next) => {
   try {
     const userId = req.user._id;
 
@@ -300,39 +497,64 @@ router.get('/summary/debt', async (req, res) => {
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          totalAmountBOB: { $sum: '$loan.amountBOB' },
-          totalAmountUSD: { $sum: '$loan.amountUSD' },
-          totalCollateral: { $sum: '$collateral.amount' }
+          totalAmountBOB: { $sum: { $toDecimal: '$loan.amountBOB' } },
+          totalAmountUSD: { $sum: { $toDecimal: '$loan.amountUSD' } },
+          totalCollateral: { $sum: { $toDecimal: '$collateral.amount' } },
+          totalCollateralUSD: { $sum: { $toDecimal: '$collateral.usdValue' } }
         }
       }
     ]);
 
+    // Collateral held by active loans, per asset (loans from before multi-asset support are USDT)
+    const lockedByAsset = await Loan.aggregate([
+      { $match: { userId, status: { $in: ['pending', 'approved', 'funded'] } } },
+      { $group: { _id: { $ifNull: ['$collateral.asset', BASE_ASSET] }, amount: { $sum: { $toDecimal: '$collateral.amount' } } } }
+    ]);
+
     // Calculate totals
     let totalActiveLoans = 0;
-    let totalDebtBOB = 0;
-    let totalDebtUSD = 0;
-    let totalCollateralLocked = 0;
+    let totalDebtBOB = Money.zero(DECIMALS.BOB);
+    let totalDebtUSD = Money.zero(DECIMALS.USD);
+    let totalCollateralLocked = Money.zero(MAX_TOKEN_DECIMALS);
+    let totalCollateralLockedUSD = Money.zero(DECIMALS.USD);
 
     const statusBreakdown = {};
 
     summary.forEach(item => {
-      statusBreakdown[item._id] = {
+      const totals = {
         count: item.count,
-        totalAmountBOB: item.totalAmountBOB,
-        totalAmountUSD: item.totalAmountUSD,
-        totalCollateral: item.totalCollateral
+        totalAmountBOB: fromDecimal128(item.totalAmountBOB, DECIMALS.BOB),
+        totalAmountUSD: fromDecimal128(item.totalAmountUSD, DECIMALS.USD),
+        totalCollateral: fromDecimal128(item.totalCollateral, MAX_TOKEN_DECIMALS),
+        totalCollateralUSD: fromDecimal128(item.totalCollateralUSD, DECIMALS.USD)
       };
+      statusBreakdown[item._id] = totals;
 
       if (['pending', 'approved', 'funded'].includes(item._id)) {
         totalActiveLoans += item.count;
-        totalDebtBOB += item.totalAmountBOB;
-        totalDebtUSD += item.totalAmountUSD;
-        totalCollateralLocked += item.totalCollateral;
+        totalDebtBOB = totalDebtBOB.add(totals.totalAmountBOB);
+        totalDebtUSD = totalDebtUSD.add(totals.totalAmountUSD);
+        totalCollateralLocked = totalCollateralLocked.add(totals.totalCollateral);
+        totalCollateralLockedUSD = totalCollateralLockedUSD.add(totals.totalCollateralUSD);
       }
     });
 
-    // Get current aUSDT balance
-    const aUsdtBalance = await blockchainService.getAUSDTBalance(req.user.walletAddress);
+    // Current aToken balances, less what active loans hold
+    const positions = await req.blockchain.getCollateralPositions(req.user.walletAddress);
+    const collateral = positions.assets.map(position => {
+      const locked = lockedByAsset.find(entry => entry._id === position.symbol);
+      const lockedAmount = locked ? Money.parse(locked.amount.toString(), position.decimals, ROUNDING.HALF_UP) : Money.zero(position.decimals);
+      return {
+        symbol: position.symbol,
+        token: position.token,
+        balance: position.balance,
+        locked: lockedAmount,
+        available: position.balance.sub(lockedAmount),
+        priceUSD: position.priceUSD,
+        valueUSD: position.valueUSD
+      };
+    });
+    const usdtCollateral = collateral.find(entry => entry.symbol === BASE_ASSET);
 
     res.json({
       success: true,
@@ -342,14 +564,21 @@ router.get('/summary/debt', async (req, res) => {
           totalDebtBOB,
           totalDebtUSD,
           totalCollateralLocked,
-          availableCollateral: parseFloat(aUsdtBalance) - totalCollateralLocked
+          totalCollateralLockedUSD,
+          totalCollateralValueUSD: positions.totalValueUSD,
+          availableCollateral: usdtCollateral.available,
+          availableCollateralUSD: positions.totalValueUSD.sub(totalCollateralLockedUSD)
         },
+        collateral,
         statusBreakdown,
         walletAddress: req.user.walletAddress,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Debt summary error:', error);
     res.status(500).json({
       success: false,
@@ -361,7 +590,7 @@ router.get('/summary/debt', async (req, res) => {
 // @route   PUT /api/loans/:loanId/cancel
 // @desc    Cancel a pending loan
 // @access  Private
-router.put('/:loanId/cancel', async (req, res) => {
+router.put('/:loanId/cancel', requireScope('write:loans'), async (req, res) => {
   try {
     const { loanId } = req.params;
 
@@ -1,6 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
+const loanChainSync = require('../utils/loanChainSync');
+const { DECIMALS, isAmount } = require('../utils/money');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -59,6 +61,11 @@ router.post('/loan/status', verifyPartnerAuth, [
       loan.partner.transferId = transferId;
     }
 
+    // Mirrored on chain by fulfillLoan, saved with the status
+    if (status === 'funded') {
+      loanChainSync.queue(loan, 'fulfillment');
+    }
+
     await loan.save();
 
     logger.info(`Loan status updated by partner: ${loanId} -> ${status}`);
@@ -68,9 +75,12 @@ router.post('/loan/status', verifyPartnerAuth, [
       data: {
         loanId: loan.loanId,
         status: loan.status,
+        chainSync: loanChainSync.describe(loan.chainSync && loan.chainSync.fulfillment),
         updatedAt: loan.updatedAt
       }
     });
+
+    loanChainSync.attemptInBackground(loan, 'fulfillment');
   } catch (error) {
     logger.error('Partner loan status update error:', error);
     res.status(500).json({
@@ -85,7 +95,7 @@ router.post('/loan/status', verifyPartnerAuth, [
 // @access  Partner API
 router.post('/loan/repayment', verifyPartnerAuth, [
   body('loanId').notEmpty(),
-  body('repaidAmount').isFloat({ min: 0 }),
+  body('repaidAmount').custom(isAmount(DECIMALS.BOB)).withMessage('Repaid amount must be a BOB amount with at most 2 decimals'),
   body('confirmationId').notEmpty(),
   body('repaymentDate').optional().isISO8601()
 ], async (req, res) => {
@@ -131,6 +141,9 @@ router.post('/loan/repayment', verifyPartnerAuth, [
     loan.repayment.partnerConfirmation.confirmedAt = new Date();
     loan.repayment.partnerConfirmation.confirmationId = confirmationId;
 
+    // Mirrored on chain by recordRepayment, saved with the repayment
+    const chainSync = loanChainSync.queue(loan, 'repayment', { amountBOB: repaidAmount });
+
     await loan.save();
 
     logger.info(`Loan repayment confirmed by partner: ${loanId} - ${repaidAmount} BOB`);
@@ -145,9 +158,12 @@ router.post('/loan/repayment', verifyPartnerAuth, [
           repaidAt: loan.repayment.repaidAt,
           confirmationId: loan.repayment.partnerConfirmation.confirmationId
         },
+        chainSync: loanChainSync.describe(chainSync),
         updatedAt: loan.updatedAt
       }
     });
+
+    loanChainSync.attemptInBackground(loan, 'repayment');
   } catch (error) {
     logger.error('Partner repayment confirmation error:', error);
     res.status(500).json({
@@ -163,7 +179,7 @@ router.post('/loan/repayment', verifyPartnerAuth, [
 router.post('/loan/transfer', verifyPartnerAuth, [
   body('loanId').notEmpty(),
   body('transferId').notEmpty(),
-  body('transferAmount').isFloat({ min: 0 }),
+  body('transferAmount').custom(isAmount(DECIMALS.BOB)).withMessage('Transfer amount must be a BOB amount with at most 2 decimals'),
   body('transferDate').optional().isISO8601(),
   body('bankDetails.accountNumber').notEmpty(),
   body('bankDetails.bankName').notEmpty()
@@ -198,11 +214,17 @@ router.post('/loan/transfer', verifyPartnerAuth, [
     // Update loan with transfer information
     loan.status = 'funded';
     loan.partner.transferId = transferId;
+    loan.partner.transferAmount = transferAmount;
+    loan.partner.transferredAt = transferDate ? new Date(transferDate) : new Date();
     loan.partner.bankDetails = {
       ...loan.partner.bankDetails,
       ...bankDetails
     };
 
+    // Mirrored on chain by fulfillLoan, saved with the transfer. The call is
+    // made after responding, so its outcome never fails the callback.
+    const chainSync = loanChainSync.queue(loan, 'fulfillment');
+
     await loan.save();
 
     logger.info(`Bank transfer confirmed by partner: ${loanId} - ${transferAmount} BOB to ${bankDetails.accountNumber}`);
@@ -215,12 +237,15 @@ router.post('/loan/transfer', verifyPartnerAuth, [
         transfer: {
           transferId,
           transferAmount,
-          transferDate: transferDate || new Date().toISOString(),
+          transferDate: loan.partner.transferredAt.toISOString(),
           bankDetails
         },
+        chainSync: loanChainSync.describe(chainSync),
         updatedAt: loan.updatedAt
       }
     });
+
+    loanChainSync.attemptInBackground(loan, 'fulfillment');
   } catch (error) {
     logger.error('Partner transfer notification error:', error);
     res.status(500).json({
@@ -260,7 +285,7 @@ router.get('/loans/pending', verifyPartnerAuth, async (req, res) => {
         exchangeRate: loan.loan.exchangeRate
       },
       bankDetails: loan.partner.bankDetails,
-      collateral: loan.collateral,
+      collateral: loan.toJSON().collateral,
       createdAt: loan.createdAt,
       dueDate: loan.repayment.dueDate
     }));
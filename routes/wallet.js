@@ -1,70 +1,231 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { ethers } = require('ethers');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const ChainTransaction = require('../models/ChainTransaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const HealthEvent = require('../models/HealthEvent');
 const blockchainService = require('../utils/blockchain');
+const siwe = require('../utils/siwe');
+const transactionTracker = require('../utils/transactionTracker');
+const activityFeed = require('../utils/activityFeed');
+const aaveYield = require('../utils/aaveYield');
+const collateralHealth = require('../utils/collateralHealth');
 const logger = require('../utils/logger');
+const { isProviderFailure } = require('../utils/rpcProvider');
+const { requireStepUp } = require('../middleware/twoFactor');
+const { requireScope, denyApiKeys } = require('../middleware/apiKeyScopes');
+const { requireVerifiedEmail } = require('../middleware/emailVerified');
+const { requireKycVerified } = require('../middleware/kyc');
+const { selectNetwork } = require('../middleware/network');
+const { getLimitsForUser } = require('../config/kyc');
+const { Money, DECIMALS, isAmount, usdt, bob, rate } = require('../utils/money');
+const { NETWORKS, describeNetwork } = require('../config/networks');
 
 const router = express.Router();
 
+// Every wallet route works on one network: ?network= / body.network, else the user's
+router.use(selectNetwork);
+
+// 'custodial' signs with the server key; 'non-custodial' returns unsigned
+// transactions for the user's own wallet to sign and submit to POST /transactions
+const WALLET_MODES = ['custodial', 'non-custodial'];
+
+const getWalletMode = (req) => req.body.mode || process.env.WALLET_DEFAULT_MODE || 'custodial';
+
+const sendUnsignedTransactions = (req, res, transactions, details) => {
+  return res.json({
+    success: true,
+    data: {
+      mode: 'non-custodial',
+      network: req.network,
+      ...details,
+      transactions,
+      submitUrl: '/api/wallet/transactions',
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+// Statement bound to the account, so a signature for one account can't link to another
+const linkStatement = (user) => `Link this wallet to Torito Wallet account ${user._id}.`;
+
+// Resolve the `address` query selector: a linked address, 'all', or the primary by default.
+// Returns null when the address is not linked to the user.
+const resolveAddresses = (req) => {
+  const { address } = req.query;
+  const addresses = req.user.getWalletAddresses();
+
+  if (!address) {
+    return [req.user.walletAddress];
+  }
+
+  if (address === 'all') {
+    return addresses;
+  }
+
+  const normalized = address.toLowerCase();
+  return addresses.includes(normalized) ? [normalized] : null;
+};
+
+const sendUnknownAddress = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Address is not linked to your account',
+    code: 'ADDRESS_NOT_LINKED'
+  });
+};
+
+// Refuse a withdrawal over the rolling 24h limit of the user's KYC tier
+const sendWithdrawalLimitExceeded = (res, kycLimits, withdrawnToday) => {
+  return res.status(403).json({
+    success: false,
+    error: 'Withdrawal exceeds your daily limit',
+    code: 'KYC_LIMIT_EXCEEDED',
+    details: {
+      tier: kycLimits.tier,
+      dailyWithdrawalUSDT: kycLimits.dailyWithdrawalUSDT,
+      withdrawnToday,
+      remaining: Money.max(usdt(0), kycLimits.dailyWithdrawalUSDT.sub(withdrawnToday))
+    }
+  });
+};
+
+// Get wallet, Aave and ToritoWallet balances for one address on one network
+const getAddressBalances = async (service, walletAddress) => {
+  // Issued together so the reads share one multicall (see utils/chainReader.js)
+  const [usdtBalance, aUsdtBalance, accountData, toritoUserAccount, collateral, usdtDecimals, aUsdtDecimals] = await Promise.all([
+    service.getUSDTBalance(walletAddress),
+    service.getAUSDTBalance(walletAddress),
+    service.getUserAccountData(walletAddress),
+    service.getToritoUserAccount(walletAddress),
+    service.getCollateralPositions(walletAddress),
+    service.getDecimals(service.contracts.usdt),
+    service.getDecimals(service.contracts.aUsdt)
+  ]);
+
+  return {
+    usdt: {
+      balance: usdtBalance,
+      symbol: 'USDT',
+      decimals: usdtDecimals
+    },
+    aUsdt: {
+      balance: aUsdtBalance,
+      symbol: 'aUSDT',
+      decimals: aUsdtDecimals
+    },
+    aave: {
+      totalCollateralETH: accountData.totalCollateralETH,
+      totalDebtETH: accountData.totalDebtETH,
+      availableBorrowsETH: accountData.availableBorrowsETH,
+      healthFactor: parseFloat(accountData.healthFactor),
+      ltv: parseInt(accountData.ltv) / 100 // Convert to percentage
+    },
+    toritoWallet: toritoUserAccount,
+    collateral
+  };
+};
+
+// Sum collateral positions (see BlockchainService.getCollateralPositions) across addresses, per asset
+const aggregateCollateral = (positionsList) => {
+  const bySymbol = {};
+  positionsList.forEach(positions => positions.assets.forEach(asset => {
+    const total = bySymbol[asset.symbol];
+    bySymbol[asset.symbol] = total ? {
+      ...total,
+      balance: total.balance.add(asset.balance),
+      valueUSD: total.valueUSD.add(asset.valueUSD),
+      borrowableUSD: total.borrowableUSD.add(asset.borrowableUSD)
+    } : asset;
+  }));
+
+  const assets = Object.values(bySymbol);
+  return {
+    assets,
+    totalValueUSD: Money.sum(assets.map(asset => asset.valueUSD), DECIMALS.USD),
+    totalBorrowableUSD: Money.sum(assets.map(asset => asset.borrowableUSD), DECIMALS.USD)
+  };
+};
+
+// Sum token and ToritoWallet balances across addresses (Aave health data is per address)
+const aggregateBalances = (perAddress) => {
+  const sum = (pick) => perAddress.slice(1).reduce((total, entry) => total.add(pick(entry.balances)), pick(perAddress[0].balances));
+
+  return {
+    usdt: { ...perAddress[0].balances.usdt, balance: sum(b => b.usdt.balance) },
+    aUsdt: { ...perAddress[0].balances.aUsdt, balance: sum(b => b.aUsdt.balance) },
+    toritoWallet: {
+      usdtBalance: sum(b => b.toritoWallet.usdtBalance),
+      bobDebt: sum(b => b.toritoWallet.bobDebt),
+      totalBobBorrowed: sum(b => b.toritoWallet.totalBobBorrowed),
+      totalBobRepaid: sum(b => b.toritoWallet.totalBobRepaid),
+      isActive: perAddress.some(entry => entry.balances.toritoWallet.isActive)
+    },
+    collateral: aggregateCollateral(perAddress.map(entry => entry.balances.collateral))
+  };
+};
+
+// @route   GET /api/wallet/networks
+// @desc    List the networks the wallet can use and which one this request resolved to
+// @access  Private
+router.get('/networks', requireScope('read:balance'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      selected: req.network,
+      userDefault: req.user.network,
+      networks: Object.values(NETWORKS).map(describeNetwork)
+    }
+  });
+});
+
 // @route   GET /api/wallet/balance
 // @desc    Get user's wallet balances (USDT, aUSDT, and ToritoWallet data)
 // @access  Private
-router.get('/balance', async (req, res) => {
+// @query   address - a linked address, or 'all' to aggregate (default: primary)
+router.get('/balance', requireScope('read:balance'), async (req, res, next) => {
   try {
-    const { walletAddress } = req.user;
+    const addresses = resolveAddresses(req);
+    if (!addresses) {
+      return sendUnknownAddress(res);
+    }
 
     // Get balances from blockchain and ToritoWallet contract
-    const [usdtBalance, aUsdtBalance, accountData, toritoUserAccount, contractStats] = await Promise.all([
-      blockchainService.getUSDTBalance(walletAddress),
-      blockchainService.getAUSDTBalance(walletAddress),
-      blockchainService.getUserAccountData(walletAddress),
-      blockchainService.getToritoUserAccount(walletAddress),
-      blockchainService.getContractStats()
+    const [perAddress, contractStats] = await Promise.all([
+      Promise.all(addresses.map(async walletAddress => ({
+        walletAddress,
+        balances: await getAddressBalances(req.blockchain, walletAddress)
+      }))),
+      req.blockchain.getContractStats()
     ]);
 
-    const balances = {
-      usdt: {
-        balance: parseFloat(usdtBalance),
-        symbol: 'USDT',
-        decimals: 6
-      },
-      aUsdt: {
-        balance: parseFloat(aUsdtBalance),
-        symbol: 'aUSDT',
-        decimals: 6
-      },
-      aave: {
-        totalCollateralETH: parseFloat(accountData.totalCollateralETH),
-        totalDebtETH: parseFloat(accountData.totalDebtETH),
-        availableBorrowsETH: parseFloat(accountData.availableBorrowsETH),
-        healthFactor: parseFloat(accountData.healthFactor),
-        ltv: parseInt(accountData.ltv) / 100 // Convert to percentage
-      },
-      toritoWallet: {
-        usdtBalance: parseFloat(toritoUserAccount.usdtBalance),
-        bobDebt: parseFloat(toritoUserAccount.bobDebt),
-        totalBobBorrowed: parseFloat(toritoUserAccount.totalBobBorrowed),
-        totalBobRepaid: parseFloat(toritoUserAccount.totalBobRepaid),
-        isActive: toritoUserAccount.isActive
-      }
-    };
-
     const stats = {
-      contractTotalDeposits: parseFloat(contractStats.totalDeposits),
-      contractTotalBobLoans: parseFloat(contractStats.totalBobLoans)
+      contractTotalDeposits: contractStats.totalDeposits,
+      contractTotalBobLoans: contractStats.totalBobLoans
     };
 
-    logger.info(`Balance retrieved for user ${req.user.email}: USDT=${usdtBalance}, aUSDT=${aUsdtBalance}, ToritoBalance=${toritoUserAccount.usdtBalance}`);
+    const isAggregate = req.query.address === 'all';
+    const balances = isAggregate ? aggregateBalances(perAddress) : perAddress[0].balances;
+
+    logger.info(`Balance retrieved for user ${req.user.email}: ${addresses.length} address(es), USDT=${balances.usdt.balance}, ToritoBalance=${balances.toritoWallet.usdtBalance}`);
 
     res.json({
       success: true,
       data: {
-        walletAddress,
+        network: req.network,
+        walletAddress: isAggregate ? req.user.walletAddress : addresses[0],
         balances,
+        ...(isAggregate && { addresses: perAddress }),
         contractStats: stats,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Balance retrieval error:', error);
     res.status(500).json({
       success: false,
@@ -74,12 +235,17 @@ router.get('/balance', async (req, res) => {
 });
 
 // @route   POST /api/wallet/deposit
-// @desc    Deposit USDT to ToritoWallet contract
+// @desc    Deposit USDT to ToritoWallet contract. The response's `path` says how the
+//          contract gets its allowance: 'allowance' (already enough), 'permit'
+//          (EIP-2612, one transaction) or 'approve' (approve, then deposit)
 // @access  Private
-router.post('/deposit', [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
-  body('transactionHash').optional().isLength({ min: 66, max: 66 })
-], async (req, res) => {
+router.post('/deposit', denyApiKeys, [
+  body('amount').custom(isAmount(DECIMALS.USDT, '0.01')).withMessage('Amount must be at least 0.01, with at most 6 decimals'),
+  body('transactionHash').optional().isLength({ min: 66, max: 66 }),
+  body('mode').optional().isIn(WALLET_MODES),
+  body('permit.deadline').if(body('permit').exists()).isInt({ min: 1 }).toInt(),
+  body('permit.signature').if(body('permit').exists()).matches(/^0x[0-9a-fA-F]{130}$/).withMessage('Permit signature must be a 65-byte hex string')
+], async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -90,12 +256,13 @@ router.post('/deposit', [
       });
     }
 
-    const { amount, transactionHash } = req.body;
+    const { transactionHash } = req.body;
+    const amount = usdt(req.body.amount);
     const { walletAddress } = req.user;
 
     // If transaction hash is provided, verify it
     if (transactionHash) {
-      const txStatus = await blockchainService.getTransactionStatus(transactionHash);
+      const txStatus = await req.blockchain.getTransactionStatus(transactionHash);
       if (txStatus.status !== 'confirmed') {
         return res.status(400).json({
           success: false,
@@ -105,43 +272,85 @@ router.post('/deposit', [
     }
 
     // Check user's USDT balance before deposit
-    const usdtBalance = await blockchainService.getUSDTBalance(walletAddress);
-    if (parseFloat(usdtBalance) < parseFloat(amount)) {
+    const usdtBalance = await req.blockchain.getUSDTBalance(walletAddress);
+    if (usdtBalance.lt(amount)) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient USDT balance'
       });
     }
 
+    if (getWalletMode(req) === 'non-custodial') {
+      const { permit } = req.body;
+      const { path, calls } = await req.blockchain.getDepositCalls(amount, walletAddress, { permit });
+
+      if (path === 'permit' && !permit) {
+        // Sign this with eth_signTypedData_v4, then send it back as `permit`
+        const deadline = req.blockchain.getPermitDeadline();
+        const { typedData } = await req.blockchain.buildDepositPermit(walletAddress, amount, deadline);
+        return res.json({
+          success: true,
+          data: {
+            mode: 'non-custodial',
+            network: req.network,
+            path,
+            amount,
+            walletAddress,
+            permit: { deadline, typedData },
+            submitUrl: '/api/wallet/deposit',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (path === 'permit') {
+        if (permit.deadline <= Math.floor(Date.now() / 1000)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Permit has expired',
+            code: 'PERMIT_EXPIRED'
+          });
+        }
+        if (!await req.blockchain.verifyDepositPermit(walletAddress, amount, permit.deadline, permit.signature)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Permit signature does not match this deposit',
+            code: 'INVALID_PERMIT'
+          });
+        }
+      }
+
+      const transactions = await req.blockchain.buildUnsignedTransactions(walletAddress, calls);
+      return sendUnsignedTransactions(req, res, transactions, { path, amount, walletAddress });
+    }
+
     // Deposit USDT to ToritoWallet contract (which automatically supplies to Aave)
-    const depositResult = await blockchainService.depositToToritoContract(amount, walletAddress);
+    const depositResult = await req.blockchain.depositToToritoContract(amount, walletAddress, { userId: req.user._id });
 
     // Get updated user account data from contract
-    const userAccount = await blockchainService.getToritoUserAccount(walletAddress);
+    const userAccount = await req.blockchain.getToritoUserAccount(walletAddress);
 
     logger.info(`USDT deposit processed for user ${req.user.email}: ${amount} USDT`);
 
     res.json({
       success: true,
       data: {
-        amount: parseFloat(amount),
+        path: depositResult.path,
+        amount,
         walletAddress,
         contractTransaction: {
           transactionHash: depositResult.transactionHash,
           blockNumber: depositResult.blockNumber,
           gasUsed: depositResult.gasUsed
         },
-        userAccount: {
-          usdtBalance: parseFloat(userAccount.usdtBalance),
-          bobDebt: parseFloat(userAccount.bobDebt),
-          totalBobBorrowed: parseFloat(userAccount.totalBobBorrowed),
-          totalBobRepaid: parseFloat(userAccount.totalBobRepaid),
-          isActive: userAccount.isActive
-        },
+        userAccount,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Deposit error:', error);
     
     // Provide more specific error messages
@@ -164,11 +373,12 @@ router.post('/deposit', [
 
 // @route   POST /api/wallet/withdraw
 // @desc    Withdraw USDT from ToritoWallet contract
-// @access  Private
-router.post('/withdraw', [
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
-  body('usdtToBobRate').isFloat({ min: 0.01 }).withMessage('USDT to BOB rate is required')
-], async (req, res) => {
+// @access  Private (step-up)
+router.post('/withdraw', denyApiKeys, requireStepUp, [
+  body('amount').custom(isAmount(DECIMALS.USDT, '0.01')).withMessage('Amount must be at least 0.01, with at most 6 decimals'),
+  body('usdtToBobRate').custom(isAmount(DECIMALS.RATE, '0.01')).withMessage('USDT to BOB rate is required, with at most 8 decimals'),
+  body('mode').optional().isIn(WALLET_MODES)
+], async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -179,13 +389,22 @@ router.post('/withdraw', [
       });
     }
 
-    const { amount, usdtToBobRate } = req.body;
+    const amount = usdt(req.body.amount);
+    const usdtToBobRate = rate(req.body.usdtToBobRate);
     const { walletAddress } = req.user;
 
-    // Get user's current balance in ToritoWallet contract
-    const userAccount = await blockchainService.getToritoUserAccount(walletAddress);
+    // Enforce the rolling 24h withdrawal limit of the user's KYC tier. Checked
+    // here to fail early, and again by the reservation made before sending.
+    const kycLimits = getLimitsForUser(req.user);
+    const withdrawnToday = await Withdrawal.totalSince(req.user._id, new Date(Date.now() - 24 * 60 * 60 * 1000));
+    if (withdrawnToday.add(amount).gt(kycLimits.dailyWithdrawalUSDT)) {
+      return sendWithdrawalLimitExceeded(res, kycLimits, withdrawnToday);
+    }
+
+    // Get user's current balance in ToritoWallet contract, confirmed by several RPC endpoints
+    const userAccount = await req.blockchain.getToritoUserAccount(walletAddress, { quorum: true });
     
-    if (parseFloat(userAccount.usdtBalance) < parseFloat(amount)) {
+    if (userAccount.usdtBalance.lt(amount)) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient balance in ToritoWallet contract'
@@ -193,62 +412,92 @@ router.post('/withdraw', [
     }
 
     // If user has debt, check if withdrawal would leave insufficient collateral
-    if (parseFloat(userAccount.bobDebt) > 0) {
-      const requiredCollateral = await blockchainService.calculateRequiredCollateral(
+    if (userAccount.bobDebt.isPositive()) {
+      const requiredCollateral = await req.blockchain.calculateRequiredCollateral(
         userAccount.bobDebt, 
         usdtToBobRate
       );
-      const remainingBalance = parseFloat(userAccount.usdtBalance) - parseFloat(amount);
+      const remainingBalance = userAccount.usdtBalance.sub(amount);
       
-      if (remainingBalance < parseFloat(requiredCollateral)) {
+      if (remainingBalance.lt(requiredCollateral)) {
         return res.status(400).json({
           success: false,
           error: 'Withdrawal would leave insufficient collateral for existing debt',
           details: {
-            currentBalance: parseFloat(userAccount.usdtBalance),
-            requestedWithdrawal: parseFloat(amount),
+            currentBalance: userAccount.usdtBalance,
+            requestedWithdrawal: amount,
             remainingAfterWithdrawal: remainingBalance,
-            requiredCollateral: parseFloat(requiredCollateral),
-            currentDebt: parseFloat(userAccount.bobDebt)
+            requiredCollateral,
+            currentDebt: userAccount.bobDebt
           }
         });
       }
     }
 
-    // Withdraw from ToritoWallet contract
-    const withdrawResult = await blockchainService.withdrawFromToritoContract(
-      amount, 
-      usdtToBobRate, 
-      walletAddress
-    );
+    if (getWalletMode(req) === 'non-custodial') {
+      const transactions = await req.blockchain.prepareWithdrawTransactions(amount, usdtToBobRate, walletAddress);
+      return sendUnsignedTransactions(req, res, transactions, {
+        amount,
+        usdtToBobRate,
+        walletAddress
+      });
+    }
+
+    // Reserve the amount, so concurrent withdrawals cannot both pass the limit
+    const reservation = await Withdrawal.reserve({ userId: req.user._id, walletAddress, amount, usdtToBobRate }, kycLimits.dailyWithdrawalUSDT);
+    if (!reservation.withdrawal) {
+      return sendWithdrawalLimitExceeded(res, kycLimits, reservation.withdrawnToday);
+    }
+
+    // Withdraw from ToritoWallet contract. Once sent, the reservation follows the
+    // transaction: the tracker removes it if the transaction fails or is dropped.
+    let transactionHash = null;
+    const linkTransaction = async (hash) => {
+      transactionHash = hash;
+      await Withdrawal.updateOne({ _id: reservation.withdrawal._id }, { $set: { transactionHash: hash } });
+    };
+    let withdrawResult;
+    try {
+      withdrawResult = await req.blockchain.withdrawFromToritoContract(
+        amount, 
+        usdtToBobRate, 
+        walletAddress,
+        { userId: req.user._id },
+        { onSent: (response) => linkTransaction(response.hash) }
+      );
+    } catch (error) {
+      if (error.code === 'BROADCAST_UNKNOWN') {
+        await linkTransaction(error.transactionHash);
+      } else if (!transactionHash) {
+        await reservation.withdrawal.release();
+      }
+      throw error;
+    }
 
     // Get updated user account data
-    const updatedUserAccount = await blockchainService.getToritoUserAccount(walletAddress);
+    const updatedUserAccount = await req.blockchain.getToritoUserAccount(walletAddress);
 
     logger.info(`USDT withdrawal processed for user ${req.user.email}: ${amount} USDT`);
 
     res.json({
       success: true,
       data: {
-        amount: parseFloat(amount),
+        amount,
         walletAddress,
-        usdtToBobRate: parseFloat(usdtToBobRate),
+        usdtToBobRate,
         contractTransaction: {
           transactionHash: withdrawResult.transactionHash,
           blockNumber: withdrawResult.blockNumber,
           gasUsed: withdrawResult.gasUsed
         },
-        userAccount: {
-          usdtBalance: parseFloat(updatedUserAccount.usdtBalance),
-          bobDebt: parseFloat(updatedUserAccount.bobDebt),
-          totalBobBorrowed: parseFloat(updatedUserAccount.totalBobBorrowed),
-          totalBobRepaid: parseFloat(updatedUserAccount.totalBobRepaid),
-          isActive: updatedUserAccount.isActive
-        },
+        userAccount: updatedUserAccount,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Withdrawal error:', error);
     
     // Provide more specific error messages
@@ -270,9 +519,9 @@ router.post('/withdraw', [
 });
 
 // @route   GET /api/wallet/transaction/:hash
-// @desc    Get transaction status
+// @desc    Get transaction status, with our own context when we sent or tracked it
 // @access  Private
-router.get('/transaction/:hash', async (req, res) => {
+router.get('/transaction/:hash', requireScope('read:balance'), async (req, res, next) => {
   try {
     const { hash } = req.params;
 
@@ -283,17 +532,55 @@ router.get('/transaction/:hash', async (req, res) => {
       });
     }
 
-    const txStatus = await blockchainService.getTransactionStatus(hash);
+    // Our own record, if this transaction was sent for or submitted by the user
+    const record = await ChainTransaction.findOne({
+      transactionHash: hash.toLowerCase(),
+      $or: [{ userId: req.user._id }, { from: { $in: req.user.getWalletAddresses() } }]
+    }).populate('loanId', 'loanId status loan.amountBOB');
+
+    if (!record) {
+      const txStatus = await req.blockchain.getTransactionStatus(hash);
+      return res.json({
+        success: true,
+        data: {
+          transactionHash: hash,
+          tracked: false,
+          ...txStatus,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await transactionTracker.refreshTransaction(record);
 
     res.json({
       success: true,
       data: {
-        transactionHash: hash,
-        ...txStatus,
+        transactionHash: record.transactionHash,
+        tracked: true,
+        status: record.status,
+        purpose: record.purpose,
+        signer: record.signer,
+        from: record.from,
+        nonce: record.nonce,
+        params: record.params,
+        loan: record.loanId || null,
+        contractLoanId: record.contractLoanId,
+        blockNumber: record.blockNumber,
+        gasUsed: record.gasUsed,
+        confirmations: record.confirmations,
+        requiredConfirmations: transactionTracker.getConfig().confirmations,
+        replaces: record.replaces,
+        replacedBy: record.replacedBy,
+        statusHistory: record.statusHistory,
+        createdAt: record.createdAt,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Transaction status error:', error);
     res.status(500).json({
       success: false,
@@ -302,61 +589,282 @@ router.get('/transaction/:hash', async (req, res) => {
   }
 });
 
-// @route   GET /api/wallet/gas-estimate
-// @desc    Get gas estimates for common operations
+// @route   POST /api/wallet/transactions
+// @desc    Submit a transaction signed by the user's wallet (non-custodial mode) for tracking
 // @access  Private
-router.get('/gas-estimate', async (req, res) => {
+router.post('/transactions', denyApiKeys, [
+  body('signedTransaction').optional().matches(/^0x[a-fA-F0-9]+$/),
+  body('transactionHash').optional().matches(/^0x[a-fA-F0-9]{64}$/)
+], async (req, res, next) => {
   try {
-    const { operation, amount } = req.query;
-    const { walletAddress } = req.user;
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || (!req.body.signedTransaction === !req.body.transactionHash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide either signedTransaction or transactionHash',
+        details: errors.array()
+      });
+    }
 
-    let gasEstimate;
+    const { signedTransaction } = req.body;
 
-    switch (operation) {
-      case 'deposit':
-        if (!amount) {
-          return res.status(400).json({
-            success: false,
-            error: 'Amount required for deposit operation'
-          });
-        }
-        gasEstimate = { gasLimit: '200000', gasPrice: '20000000000', estimatedCost: '0.004' };
-        break;
-      case 'withdraw':
-        if (!amount) {
-          return res.status(400).json({
-            success: false,
-            error: 'Amount required for withdraw operation'
-          });
+    let transaction;
+    if (signedTransaction) {
+      try {
+        transaction = ethers.Transaction.from(signedTransaction);
+      } catch (parseError) {
+        transaction = null;
+      }
+      if (!transaction || !transaction.from) {
+        return res.status(400).json({
+          success: false,
+          error: 'Malformed or unsigned transaction',
+          code: 'INVALID_TRANSACTION'
+        });
+      }
+    } else {
+      transaction = await req.blockchain.getTransaction(req.body.transactionHash);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Transaction not found on the network'
+        });
+      }
+    }
+
+    const transactionHash = transaction.hash.toLowerCase();
+    const walletAddress = transaction.from.toLowerCase();
+
+    if (!req.user.getWalletAddresses().includes(walletAddress)) {
+      return sendUnknownAddress(res);
+    }
+
+    const existing = await ChainTransaction.findOne({ transactionHash, userId: req.user._id });
+    if (existing) {
+      return res.json({
+        success: true,
+        data: existing
+      });
+    }
+
+    const chainId = await req.blockchain.getChainId();
+    if (transaction.chainId !== chainId) {
+      return res.status(400).json({
+        success: false,
+        error: `Transaction is for chain ${transaction.chainId}, expected ${chainId}`,
+        code: 'CHAIN_ID_MISMATCH'
+      });
+    }
+
+    const description = await req.blockchain.describeTransaction(transaction);
+    if (!description) {
+      return res.status(400).json({
+        success: false,
+        error: 'Transaction is not a Torito Wallet approve, deposit, withdraw or loan request',
+        code: 'UNSUPPORTED_TRANSACTION'
+      });
+    }
+
+    const { params } = description;
+
+    let reservation = null;
+    if (signedTransaction) {
+      // Same daily limit as server-signed withdrawals, reserved before the transaction goes out
+      if (description.purpose === 'withdraw') {
+        const kycLimits = getLimitsForUser(req.user);
+        reservation = await Withdrawal.reserve({
+          userId: req.user._id,
+          walletAddress,
+          amount: params.amount,
+          usdtToBobRate: params.usdtToBobRate,
+          transactionHash
+        }, kycLimits.dailyWithdrawalUSDT);
+        if (!reservation.withdrawal) {
+          return sendWithdrawalLimitExceeded(res, kycLimits, reservation.withdrawnToday);
         }
-        gasEstimate = { gasLimit: '150000', gasPrice: '20000000000', estimatedCost: '0.003' };
-        break;
-      case 'requestLoan':
-        if (!amount) {
+      }
+
+      try {
+        await req.blockchain.broadcastSignedTransaction(signedTransaction);
+      } catch (broadcastError) {
+        // Already in the mempool is fine; anything else (bad nonce, underpriced, no funds) goes back to the app
+        if (!/already known/i.test(broadcastError.message)) {
+          if (reservation) {
+            await reservation.withdrawal.release();
+          }
           return res.status(400).json({
             success: false,
-            error: 'Amount required for loan request operation'
+            error: 'Transaction was rejected by the network',
+            code: 'BROADCAST_FAILED',
+            details: broadcastError.shortMessage || broadcastError.message
           });
         }
-        gasEstimate = { gasLimit: '180000', gasPrice: '20000000000', estimatedCost: '0.0036' };
-        break;
-      default:
+      }
+    }
+
+    const record = await ChainTransaction.create({
+      transactionHash,
+      signer: 'user',
+      from: walletAddress,
+      nonce: transaction.nonce,
+      chainId: Number(transaction.chainId),
+      to: transaction.to,
+      data: transaction.data,
+      purpose: description.purpose,
+      userId: req.user._id,
+      params,
+      submittedAs: signedTransaction ? 'raw' : 'hash'
+    });
+
+    if (record.purpose === 'withdraw' && !reservation) {
+      // Broadcast by the app already; counted as it is
+      await Withdrawal.create({
+        userId: req.user._id,
+        walletAddress,
+        amount: params.amount,
+        usdtToBobRate: params.usdtToBobRate,
+        transactionHash
+      });
+    }
+
+    logger.info(`User transaction submitted by ${req.user.email}: ${record.purpose} ${transactionHash}`);
+
+    res.status(202).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error('Transaction submission error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit transaction'
+    });
+  }
+});
+
+// @route   GET /api/wallet/gas-estimate
+// @desc    Estimate gas and fees for an operation from the caller's address
+// @access  Private
+router.get('/gas-estimate', requireScope('read:balance'), async (req, res, next) => {
+  try {
+    const { operation } = req.query;
+
+    if (!['deposit', 'withdraw', 'requestLoan'].includes(operation)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid operation. Supported: deposit, withdraw, requestLoan'
+      });
+    }
+
+    // requestLoan amounts are in BOB, the others in USDT
+    const decimals = operation === 'requestLoan' ? DECIMALS.BOB : DECIMALS.USDT;
+    if (!isAmount(decimals)(req.query.amount) || !Money.parse(req.query.amount, decimals).isPositive()) {
+      return res.status(400).json({
+        success: false,
+        error: `Amount required for ${operation} operation, with at most ${decimals} decimals`
+      });
+    }
+    const amount = Money.parse(req.query.amount, decimals);
+
+    const addresses = resolveAddresses(req);
+    if (!addresses) {
+      return sendUnknownAddress(res);
+    }
+    if (addresses.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Gas can only be estimated for a single address'
+      });
+    }
+    const [walletAddress] = addresses;
+
+    const [usdtBobRate, ethUsdtRate] = await Promise.all([
+      ExchangeRate.getLatestRate('USDT', 'BOB'),
+      ExchangeRate.getLatestRate('ETH', 'USDT')
+    ]);
+
+    let calls;
+    let depositPath = null;
+    let usdtToBobRate = null;
+    if (operation === 'deposit') {
+      ({ path: depositPath, calls } = await req.blockchain.getDepositCalls(amount, walletAddress));
+    } else {
+      const requestedRate = req.query.usdtToBobRate || (usdtBobRate && usdtBobRate.rate);
+      if (!isAmount(DECIMALS.RATE)(requestedRate) || !rate(requestedRate).isPositive()) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid operation. Supported: deposit, withdraw, requestLoan'
+          error: 'USDT to BOB rate is required, with at most 8 decimals'
         });
+      }
+      usdtToBobRate = rate(requestedRate);
+      calls = operation === 'withdraw'
+        ? await req.blockchain.getWithdrawCalls(amount, usdtToBobRate)
+        : req.blockchain.getLoanRequestCalls(amount, usdtToBobRate);
+    }
+
+    const [steps, fees] = await Promise.all([
+      req.blockchain.estimateGas(walletAddress, calls),
+      req.blockchain.getFeeTiers()
+    ]);
+
+    const reverted = steps.find(step => step.wouldRevert);
+    const totalGas = reverted ? null : steps.reduce((sum, step) => sum + step.gasLimit, 0n);
+
+    // Cost of the whole operation per tier, in ETH and converted with the latest rates
+    const convert = (wei) => {
+      const costUSDT = ethUsdtRate ? Money.fromUnits(wei, 18).mul(rate(ethUsdtRate.rate), DECIMALS.USDT) : null;
+      return {
+        ETH: ethers.formatEther(wei),
+        USDT: costUSDT,
+        BOB: costUSDT && usdtBobRate ? costUSDT.mul(rate(usdtBobRate.rate), DECIMALS.BOB) : null
+      };
+    };
+
+    const tiers = {};
+    for (const [name, tier] of Object.entries(fees.tiers)) {
+      tiers[name] = {
+        maxFeePerGas: tier.maxFeePerGas.toString(),
+        maxPriorityFeePerGas: tier.maxPriorityFeePerGas.toString(),
+        estimatedCost: totalGas === null ? null : convert(totalGas * tier.expectedFeePerGas),
+        maxCost: totalGas === null ? null : convert(totalGas * tier.maxFeePerGas)
+      };
     }
 
     res.json({
       success: true,
       data: {
         operation,
-        amount: amount ? parseFloat(amount) : null,
-        gasEstimate,
+        amount,
+        usdtToBobRate,
+        depositPath,
+        walletAddress,
+        wouldRevert: Boolean(reverted),
+        revertReason: reverted ? reverted.revertReason : null,
+        steps: steps.map(step => ({
+          ...step,
+          gasLimit: step.gasLimit === null ? null : step.gasLimit.toString()
+        })),
+        gasEstimate: {
+          gasLimit: totalGas === null ? null : totalGas.toString(),
+          baseFeePerGas: fees.baseFeePerGas.toString(),
+          gasPrice: fees.tiers.normal.expectedFeePerGas.toString(),
+          estimatedCost: totalGas === null ? null : ethers.formatEther(totalGas * fees.tiers.normal.expectedFeePerGas),
+          tiers
+        },
+        rates: {
+          ETH_USDT: ethUsdtRate ? ethUsdtRate.rate : null,
+          USDT_BOB: usdtBobRate ? usdtBobRate.rate : null
+        },
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Gas estimate error:', error);
     res.status(500).json({
       success: false,
@@ -367,11 +875,12 @@ router.get('/gas-estimate', async (req, res) => {
 
 // @route   POST /api/wallet/loan/request
 // @desc    Request a BOB loan using USDT collateral
-// @access  Private
-router.post('/loan/request', [
-  body('bobAmount').isFloat({ min: 0.01 }).withMessage('BOB amount must be at least 0.01'),
-  body('usdtToBobRate').isFloat({ min: 0.01 }).withMessage('USDT to BOB rate is required')
-], async (req, res) => {
+// @access  Private (step-up)
+router.post('/loan/request', requireScope('write:loans'), requireVerifiedEmail, requireKycVerified, requireStepUp, [
+  body('bobAmount').custom(isAmount(DECIMALS.BOB, '0.01')).withMessage('BOB amount must be at least 0.01, with at most 2 decimals'),
+  body('usdtToBobRate').custom(isAmount(DECIMALS.RATE, '0.01')).withMessage('USDT to BOB rate is required, with at most 8 decimals'),
+  body('mode').optional().isIn(WALLET_MODES)
+], async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -382,11 +891,23 @@ router.post('/loan/request', [
       });
     }
 
-    const { bobAmount, usdtToBobRate } = req.body;
+    const bobAmount = bob(req.body.bobAmount);
+    const usdtToBobRate = rate(req.body.usdtToBobRate);
     const { walletAddress } = req.user;
 
-    // Get user's current account data
-    const userAccount = await blockchainService.getToritoUserAccount(walletAddress);
+    // Enforce KYC tier limits
+    const kycLimits = getLimitsForUser(req.user);
+    if (bobAmount.gt(kycLimits.maxLoanBOB)) {
+      return res.status(403).json({
+        success: false,
+        error: `Loan amount exceeds your KYC tier limit: ${kycLimits.maxLoanBOB} BOB`,
+        code: 'KYC_LIMIT_EXCEEDED',
+        details: { tier: kycLimits.tier, maxLoanBOB: kycLimits.maxLoanBOB }
+      });
+    }
+
+    // Get user's current account data, confirmed by several RPC endpoints
+    const userAccount = await req.blockchain.getToritoUserAccount(walletAddress, { quorum: true });
     
     if (!userAccount.isActive) {
       return res.status(400).json({
@@ -397,47 +918,71 @@ router.post('/loan/request', [
 
     // Calculate required collateral and max borrowable
     const [requiredCollateral, maxBorrowable] = await Promise.all([
-      blockchainService.calculateRequiredCollateral(bobAmount, usdtToBobRate),
-      blockchainService.calculateMaxBorrowable(userAccount.usdtBalance, usdtToBobRate)
+      req.blockchain.calculateRequiredCollateral(bobAmount, usdtToBobRate),
+      req.blockchain.calculateMaxBorrowable(userAccount.usdtBalance, usdtToBobRate)
     ]);
 
     // Check if user has sufficient collateral
-    if (parseFloat(userAccount.usdtBalance) < parseFloat(requiredCollateral)) {
+    if (userAccount.usdtBalance.lt(requiredCollateral)) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient collateral',
         details: {
-          requestedBobAmount: parseFloat(bobAmount),
-          requiredCollateral: parseFloat(requiredCollateral),
-          currentBalance: parseFloat(userAccount.usdtBalance)
+          requestedBobAmount: bobAmount,
+          requiredCollateral,
+          currentBalance: userAccount.usdtBalance
         }
       });
     }
 
     // Check if request exceeds borrowing capacity
-    const newTotalDebt = parseFloat(userAccount.bobDebt) + parseFloat(bobAmount);
-    if (newTotalDebt > parseFloat(maxBorrowable)) {
+    const newTotalDebt = userAccount.bobDebt.add(bobAmount);
+    if (newTotalDebt.gt(kycLimits.maxOutstandingDebtBOB)) {
+      return res.status(403).json({
+        success: false,
+        error: `Loan would exceed your KYC tier debt limit: ${kycLimits.maxOutstandingDebtBOB} BOB`,
+        code: 'KYC_LIMIT_EXCEEDED',
+        details: {
+          tier: kycLimits.tier,
+          currentDebt: userAccount.bobDebt,
+          maxOutstandingDebtBOB: kycLimits.maxOutstandingDebtBOB
+        }
+      });
+    }
+
+    if (newTotalDebt.gt(maxBorrowable)) {
       return res.status(400).json({
         success: false,
         error: 'Loan request exceeds borrowing capacity',
         details: {
-          requestedBobAmount: parseFloat(bobAmount),
-          currentDebt: parseFloat(userAccount.bobDebt),
+          requestedBobAmount: bobAmount,
+          currentDebt: userAccount.bobDebt,
           newTotalDebt,
-          maxBorrowable: parseFloat(maxBorrowable)
+          maxBorrowable
         }
       });
     }
 
+    if (getWalletMode(req) === 'non-custodial') {
+      const transactions = await req.blockchain.prepareLoanRequestTransactions(bobAmount, usdtToBobRate, walletAddress);
+      return sendUnsignedTransactions(req, res, transactions, {
+        bobAmount,
+        usdtToBobRate,
+        requiredCollateral,
+        walletAddress
+      });
+    }
+
     // Request loan from contract
-    const loanResult = await blockchainService.requestLoanFromTorito(
+    const loanResult = await req.blockchain.requestLoanFromTorito(
       bobAmount,
       usdtToBobRate,
-      walletAddress
+      walletAddress,
+      { userId: req.user._id }
     );
 
     // Get updated user account data
-    const updatedUserAccount = await blockchainService.getToritoUserAccount(walletAddress);
+    const updatedUserAccount = await req.blockchain.getToritoUserAccount(walletAddress);
 
     logger.info(`Loan requested for user ${req.user.email}: ${bobAmount} BOB, loanId: ${loanResult.loanId}`);
 
@@ -445,26 +990,23 @@ router.post('/loan/request', [
       success: true,
       data: {
         loanId: loanResult.loanId,
-        bobAmount: parseFloat(bobAmount),
-        usdtToBobRate: parseFloat(usdtToBobRate),
-        requiredCollateral: parseFloat(requiredCollateral),
+        bobAmount,
+        usdtToBobRate,
+        requiredCollateral,
         walletAddress,
         contractTransaction: {
           transactionHash: loanResult.transactionHash,
           blockNumber: loanResult.blockNumber,
           gasUsed: loanResult.gasUsed
         },
-        userAccount: {
-          usdtBalance: parseFloat(updatedUserAccount.usdtBalance),
-          bobDebt: parseFloat(updatedUserAccount.bobDebt),
-          totalBobBorrowed: parseFloat(updatedUserAccount.totalBobBorrowed),
-          totalBobRepaid: parseFloat(updatedUserAccount.totalBobRepaid),
-          isActive: updatedUserAccount.isActive
-        },
+        userAccount: updatedUserAccount,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Loan request error:', error);
     
     let errorMessage = 'Loan request failed';
@@ -487,12 +1029,12 @@ router.post('/loan/request', [
 // @route   GET /api/wallet/loan/history
 // @desc    Get user's loan history
 // @access  Private
-router.get('/loan/history', async (req, res) => {
+router.get('/loan/history', requireScope('read:loans'), async (req, res, next) => {
   try {
     const { walletAddress } = req.user;
 
     // Get user's loan IDs
-    const loanIds = await blockchainService.getUserLoanIds(walletAddress);
+    const loanIds = await req.blockchain.getUserLoanIds(walletAddress);
 
     logger.info(`Loan history retrieved for user ${req.user.email}: ${loanIds.length} loans`);
 
@@ -506,6 +1048,9 @@ router.get('/loan/history', async (req, res) => {
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Loan history error:', error);
     res.status(500).json({
       success: false,
@@ -514,50 +1059,227 @@ router.get('/loan/history', async (req, res) => {
   }
 });
 
+// @route   GET /api/wallet/activity
+// @desc    Chronological feed of deposits, withdrawals, loans, transfers and repayments
+// @access  Private
+// @query   type - comma-separated activity types; from, to - ISO 8601 dates;
+//          cursor - nextCursor of the previous page; limit (max 100);
+//          address - a linked address (default: all linked addresses)
+router.get('/activity', requireScope('read:balance'), [
+  query('type').optional().custom(value => value.split(',').every(type => activityFeed.ACTIVITY_TYPES.includes(type)))
+    .withMessage(`Supported types: ${activityFeed.ACTIVITY_TYPES.join(', ')}`),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().custom(value => activityFeed.decodeCursor(value) !== null).withMessage('Invalid cursor')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const addresses = req.query.address ? resolveAddresses(req) : req.user.getWalletAddresses();
+    if (!addresses) {
+      return sendUnknownAddress(res);
+    }
+
+    const { type, from, to, cursor } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { items, nextCursor } = await activityFeed.getActivity({
+      userId: req.user._id,
+      addresses,
+      types: type ? type.split(',') : activityFeed.ACTIVITY_TYPES,
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      cursor: cursor ? activityFeed.decodeCursor(cursor) : null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        activity: items,
+        pagination: {
+          limit,
+          nextCursor,
+          hasMore: nextCursor !== null
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Activity feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve activity'
+    });
+  }
+});
+
+// @route   GET /api/wallet/yield
+// @desc    Aave supply APY, yield accrued on deposits and projected yield
+// @access  Private
+// @query   address - a linked address, or 'all' to aggregate (default: primary);
+//          amount - USDT to project (default: current deposit value); days (default 365)
+router.get('/yield', requireScope('read:balance'), [
+  query('amount').optional()
+    .custom(value => isAmount(DECIMALS.USDT)(value) && Money.parse(value, DECIMALS.USDT).isPositive())
+    .withMessage('Amount must be greater than 0, with at most 6 decimals'),
+  query('days').optional().isInt({ min: 1, max: 3650 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const addresses = resolveAddresses(req);
+    if (!addresses) {
+      return sendUnknownAddress(res);
+    }
+
+    const reserve = await aaveYield.readReserve(req.blockchain);
+    const perAddress = await Promise.all(addresses.map(async walletAddress => ({
+      walletAddress,
+      ...await aaveYield.getUserYield(req.blockchain, [walletAddress], reserve)
+    })));
+
+    const sumOf = (key) => Money.sum(perAddress.map(entry => entry[key]), perAddress[0][key].decimals);
+    const totals = {
+      deposited: sumOf('deposited'),
+      withdrawn: sumOf('withdrawn'),
+      principal: sumOf('principal'),
+      currentValue: sumOf('currentValue'),
+      accruedYield: sumOf('accruedYield')
+    };
+
+    const { decimals } = totals.currentValue;
+    if (req.query.amount && !isAmount(decimals)(req.query.amount)) {
+      return res.status(400).json({
+        success: false,
+        error: `Amount must be a number with at most ${decimals} decimals`
+      });
+    }
+    const amount = req.query.amount ? Money.parse(req.query.amount, decimals) : totals.currentValue;
+    const days = parseInt(req.query.days) || 365;
+
+    const isAggregate = req.query.address === 'all';
+
+    res.json({
+      success: true,
+      data: {
+        network: req.network,
+        walletAddress: isAggregate ? req.user.walletAddress : addresses[0],
+        asset: reserve.asset,
+        reserve: {
+          apr: reserve.apr,
+          apy: reserve.apy,
+          liquidityRate: reserve.liquidityRate,
+          liquidityIndex: reserve.liquidityIndex,
+          blockNumber: reserve.blockNumber,
+          updatedAt: reserve.blockTimestamp
+        },
+        yield: totals,
+        projection: aaveYield.projectYield(amount, reserve.apr, days),
+        ...(isAggregate && { addresses: perAddress }),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error('Yield report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve yield'
+    });
+  }
+});
+
 // @route   GET /api/wallet/borrowing-capacity
 // @desc    Get user's borrowing capacity information
 // @access  Private
-router.get('/borrowing-capacity', async (req, res) => {
+// @query   address - a linked address, or 'all' to aggregate (default: primary)
+router.get('/borrowing-capacity', requireScope('read:balance'), async (req, res, next) => {
   try {
-    const { usdtToBobRate } = req.query;
-    const { walletAddress } = req.user;
-
-    if (!usdtToBobRate) {
+    if (!isAmount(DECIMALS.RATE, '0.01')(req.query.usdtToBobRate)) {
       return res.status(400).json({
         success: false,
-        error: 'USDT to BOB rate is required'
+        error: 'USDT to BOB rate is required, with at most 8 decimals'
       });
     }
+    const usdtToBobRate = rate(req.query.usdtToBobRate);
 
-    // Get user account data
-    const userAccount = await blockchainService.getToritoUserAccount(walletAddress);
-    
-    // Calculate borrowing capacity
-    const maxBorrowable = await blockchainService.calculateMaxBorrowable(
-      userAccount.usdtBalance, 
-      usdtToBobRate
-    );
+    const addresses = resolveAddresses(req);
+    if (!addresses) {
+      return sendUnknownAddress(res);
+    }
 
-    const availableToBorrow = Math.max(0, parseFloat(maxBorrowable) - parseFloat(userAccount.bobDebt));
+    // Capacity is tracked per address by the contract
+    const perAddress = await Promise.all(addresses.map(async walletAddress => {
+      const [userAccount, collateral] = await Promise.all([
+        req.blockchain.getToritoUserAccount(walletAddress),
+        req.blockchain.getCollateralPositions(walletAddress)
+      ]);
+      const maxBorrowable = await req.blockchain.calculateMaxBorrowable(
+        userAccount.usdtBalance, 
+        usdtToBobRate
+      );
+
+      return {
+        walletAddress,
+        collateral,
+        currentBalance: userAccount.usdtBalance,
+        currentDebt: userAccount.bobDebt,
+        maxBorrowable,
+        availableToBorrow: Money.max(bob(0), maxBorrowable.sub(userAccount.bobDebt)),
+        isActive: userAccount.isActive
+      };
+    }));
+
+    const totals = {
+      currentBalance: Money.sum(perAddress.map(entry => entry.currentBalance), DECIMALS.USDT),
+      currentDebt: Money.sum(perAddress.map(entry => entry.currentDebt), DECIMALS.BOB),
+      maxBorrowable: Money.sum(perAddress.map(entry => entry.maxBorrowable), DECIMALS.BOB),
+      availableToBorrow: Money.sum(perAddress.map(entry => entry.availableToBorrow), DECIMALS.BOB)
+    };
+
+    // Aave collateral backing /api/loans, valued per asset at its own price and LTV
+    const collateral = aggregateCollateral(perAddress.map(entry => entry.collateral));
+    collateral.totalBorrowableBOB = collateral.totalBorrowableUSD.mul(usdtToBobRate, DECIMALS.BOB);
+
+    const isAggregate = req.query.address === 'all';
 
     logger.info(`Borrowing capacity retrieved for user ${req.user.email}`);
 
     res.json({
       success: true,
       data: {
-        walletAddress,
-        usdtToBobRate: parseFloat(usdtToBobRate),
-        currentBalance: parseFloat(userAccount.usdtBalance),
-        currentDebt: parseFloat(userAccount.bobDebt),
-        maxBorrowable: parseFloat(maxBorrowable),
-        availableToBorrow,
-        utilizationRatio: parseFloat(maxBorrowable) > 0 ? 
-          (parseFloat(userAccount.bobDebt) / parseFloat(maxBorrowable)) * 100 : 0,
-        isActive: userAccount.isActive,
+        walletAddress: isAggregate ? req.user.walletAddress : addresses[0],
+        usdtToBobRate,
+        ...totals,
+        utilizationRatio: totals.maxBorrowable.isPositive() ?
+          (totals.currentDebt.toNumber() / totals.maxBorrowable.toNumber()) * 100 : 0,
+        isActive: perAddress.some(entry => entry.isActive),
+        collateral,
+        ...(isAggregate && { addresses: perAddress }),
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
     logger.error('Borrowing capacity error:', error);
     res.status(500).json({
       success: false,
@@ -566,4 +1288,291 @@ router.get('/borrowing-capacity', async (req, res) => {
   }
 });
 
+// @route   GET /api/wallet/health
+// @desc    Get the collateral health (LTV, health factor, band) of the user's ToritoWallet account at the latest USDT/BOB rate, with recent band changes
+// @access  Private
+// @query   address - a linked address, or 'all' to report each address and the worst band (default: primary)
+router.get('/health', requireScope('read:loans'), async (req, res, next) => {
+  try {
+    const addresses = resolveAddresses(req);
+    if (!addresses) {
+      return sendUnknownAddress(res);
+    }
+
+    const usdtToBobRate = await collateralHealth.getLatestRate();
+    if (!usdtToBobRate) {
+      return res.status(503).json({
+        success: false,
+        error: 'Exchange rate not available'
+      });
+    }
+
+    // Debt and collateral are tracked per address by the contract, so is health
+    const [perAddress, events] = await Promise.all([
+      Promise.all(addresses.map(async walletAddress => ({
+        walletAddress,
+        ...await collateralHealth.getHealth(req.blockchain, walletAddress, usdtToBobRate)
+      }))),
+      HealthEvent.find({ network: req.network, walletAddress: { $in: addresses } })
+        .sort({ createdAt: -1 })
+        .limit(20)
+    ]);
+
+    const { warningLtv, marginCallLtv, liquidationLtv } = collateralHealth.getConfig();
+    const worst = perAddress.reduce((worstEntry, entry) => (
+      collateralHealth.BANDS.indexOf(entry.band) > collateralHealth.BANDS.indexOf(worstEntry.band) ? entry : worstEntry
+    ));
+
+    const isAggregate = req.query.address === 'all';
+
+    res.json({
+      success: true,
+      data: {
+        network: req.network,
+        walletAddress: isAggregate ? req.user.walletAddress : addresses[0],
+        usdtToBobRate,
+        thresholds: { warningLtv, marginCallLtv, liquidationLtv },
+        ...(isAggregate ? { band: worst.band, addresses: perAddress } : perAddress[0]),
+        bandChanges: events.map(event => {
+          const { walletAddress, fromBand, toBand, ltv, healthFactor, usdtToBobRate: rateAtChange, createdAt } = event.toJSON();
+          return { walletAddress, fromBand, toBand, ltv, healthFactor, usdtToBobRate: rateAtChange, at: createdAt };
+        }),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error('Collateral health error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve collateral health'
+    });
+  }
+});
+
+// @route   GET /api/wallet/addresses
+// @desc    List the wallet addresses linked to the account
+// @access  Private
+router.get('/addresses', requireScope('read:balance'), async (req, res) => {
+  try {
+    const linked = req.user.linkedWallets || [];
+
+    res.json({
+      success: true,
+      data: {
+        addresses: req.user.getWalletAddresses().map(address => {
+          const wallet = linked.find(entry => entry.address === address);
+          return {
+            address,
+            label: wallet ? wallet.label : undefined,
+            verifiedAt: wallet ? wallet.verifiedAt : undefined,
+            isPrimary: address === req.user.walletAddress
+          };
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('List addresses error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve addresses'
+    });
+  }
+});
+
+// @route   POST /api/wallet/addresses/nonce
+// @desc    Get the message to sign to prove ownership of an address
+// @access  Private
+router.post('/addresses/nonce', denyApiKeys, [
+  body('walletAddress').isEthereumAddress()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const challenge = await siwe.issueChallenge(req.body.walletAddress, linkStatement(req.user));
+
+    res.json({
+      success: true,
+      data: challenge
+    });
+  } catch (error) {
+    logger.error('Address nonce error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue nonce'
+    });
+  }
+});
+
+// @route   POST /api/wallet/addresses
+// @desc    Link a new address, proven by a signed message
+// @access  Private
+router.post('/addresses', denyApiKeys, [
+  body('walletAddress').isEthereumAddress(),
+  body('message').isString().notEmpty(),
+  body('signature').isString().notEmpty(),
+  body('label').optional().trim().isLength({ max: 64 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { walletAddress, message, signature, label } = req.body;
+    const normalized = walletAddress.toLowerCase();
+
+    const owner = await User.findByWalletAddress(normalized);
+    if (owner) {
+      return res.status(400).json({
+        success: false,
+        error: owner._id.equals(req.user._id)
+          ? 'Address is already linked to your account'
+          : 'Address is linked to another account',
+        code: 'ADDRESS_ALREADY_LINKED'
+      });
+    }
+
+    try {
+      await siwe.verifySignedMessage({ message, signature, walletAddress, statement: linkStatement(req.user) });
+    } catch (error) {
+      if (error instanceof siwe.SiweError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          code: error.code
+        });
+      }
+      throw error;
+    }
+
+    req.user.linkedWallets.push({ address: normalized, label, verifiedAt: new Date() });
+    await req.user.save();
+
+    logger.info(`Address linked for user ${req.user.email}: ${normalized}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        address: normalized,
+        label,
+        isPrimary: false
+      }
+    });
+  } catch (error) {
+    logger.error('Link address error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to link address'
+    });
+  }
+});
+
+// @route   PUT /api/wallet/addresses/:address/primary
+// @desc    Make a linked address the primary one
+// @access  Private (step-up)
+router.put('/addresses/:address/primary', denyApiKeys, requireStepUp, async (req, res) => {
+  try {
+    const normalized = req.params.address.toLowerCase();
+    const user = req.user;
+
+    const wallet = user.linkedWallets.find(entry => entry.address === normalized);
+    if (!wallet) {
+      return sendUnknownAddress(res);
+    }
+
+    // Keep the previous primary linked so it is not lost
+    if (!user.linkedWallets.some(entry => entry.address === user.walletAddress)) {
+      user.linkedWallets.push({ address: user.walletAddress });
+    }
+    user.walletAddress = normalized;
+    await user.save();
+
+    logger.info(`Primary address changed for user ${user.email}: ${normalized}`);
+
+    res.json({
+      success: true,
+      data: {
+        walletAddress: user.walletAddress
+      }
+    });
+  } catch (error) {
+    logger.error('Set primary address error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set primary address'
+    });
+  }
+});
+
+// @route   DELETE /api/wallet/addresses/:address
+// @desc    Unlink a non-primary address
+// @access  Private (step-up)
+router.delete('/addresses/:address', denyApiKeys, requireStepUp, async (req, res, next) => {
+  try {
+    const normalized = req.params.address.toLowerCase();
+    const user = req.user;
+
+    if (normalized === user.walletAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot remove the primary address. Set another primary first.'
+      });
+    }
+
+    const wallet = user.linkedWallets.find(entry => entry.address === normalized);
+    if (!wallet) {
+      return sendUnknownAddress(res);
+    }
+
+    // Outstanding debt must stay attributable to this account, on every configured network
+    const accounts = await Promise.all(blockchainService.getServices().map(async (service) => ({
+      network: service.network.name,
+      bobDebt: (await service.getToritoUserAccount(normalized, { quorum: true })).bobDebt
+    })));
+    const onChainDebt = accounts.filter(account => account.bobDebt.isPositive());
+    if (onChainDebt.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Address has outstanding BOB debt',
+        details: { onChainDebt }
+      });
+    }
+
+    user.linkedWallets.pull(wallet._id);
+    await user.save();
+
+    logger.info(`Address unlinked for user ${user.email}: ${normalized}`);
+
+    res.json({
+      success: true,
+      data: {
+        removed: normalized
+      }
+    });
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      return next(error);
+    }
+    logger.error('Unlink address error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove address'
+    });
+  }
+});
+
 module.exports = router;
@@ -10,6 +10,13 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
+const blockchainService = require('./utils/blockchain');
+const { getConfigurationErrors } = require('./config/networks');
+const eventIndexer = require('./utils/eventIndexer');
+const transactionTracker = require('./utils/transactionTracker');
+const aaveYield = require('./utils/aaveYield');
+const loanChainSync = require('./utils/loanChainSync');
+const collateralHealth = require('./utils/collateralHealth');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -17,6 +24,8 @@ const walletRoutes = require('./routes/wallet');
 const loanRoutes = require('./routes/loans');
 const exchangeRoutes = require('./routes/exchange');
 const partnerRoutes = require('./routes/partner');
+const adminRoutes = require('./routes/admin');
+const kycRoutes = require('./routes/kyc');
 
 // Initialize Express app
 const app = express();
@@ -62,10 +71,12 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
-app.use('/api/wallet', authMiddleware, walletRoutes);
-app.use('/api/loans', authMiddleware, loanRoutes);
+app.use('/api/wallet', authMiddleware.withApiKeys, walletRoutes); // Per-route API key scopes
+app.use('/api/loans', authMiddleware.withApiKeys, loanRoutes);
 app.use('/api/exchange', authMiddleware, exchangeRoutes);
+app.use('/api/kyc', authMiddleware, kycRoutes);
 app.use('/api/partner', partnerRoutes); // No auth for partner callbacks
+app.use('/api/admin', authMiddleware, adminRoutes); // Per-route permissions via authorize()
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -78,11 +89,65 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
-// Start server
+// Start server when run directly (`node server.js`); tests require the app only
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logger.info(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
+
+    if (process.env.NODE_ENV !== 'test') {
+      startBlockchain();
+    }
+  });
+}
+
+// Check every configured network, then re-broadcast or settle transactions left
+// pending by the last run and pick up each chain's nonce
+async function startBlockchain() {
+  const configurationErrors = getConfigurationErrors();
+  if (configurationErrors.length) {
+    configurationErrors.forEach(message => logger.error(`Refusing to start: ${message}`));
+    process.exit(1);
+  }
+
+  const services = blockchainService.getServices();
+
+  services.forEach(service => service.provider.startHealthChecks());
+
+  for (const service of services) {
+    try {
+      await service.verifyChainId();
+    } catch (error) {
+      if (error.code === 'CHAIN_ID_MISMATCH') {
+        logger.error(`Refusing to start: ${error.message}`);
+        process.exit(1);
+      }
+      logger.error(`Could not reach ${service.network.name} RPC, will retry on first use:`, error);
+    }
+  }
+
+  services.forEach(service => {
+    service.transactionManager.init().catch(error => {
+      logger.error(`Transaction manager startup sync failed on ${service.network.name}:`, error);
+    });
+  });
+
+  transactionTracker.start();
+
+  if (process.env.INDEXER_ENABLED !== 'false') {
+    eventIndexer.start();
+  }
+
+  if (process.env.AAVE_SNAPSHOTS_ENABLED !== 'false') {
+    aaveYield.start();
+  }
+
+  loanChainSync.start();
+
+  if (process.env.HEALTH_MONITOR_ENABLED !== 'false') {
+    collateralHealth.start();
+  }
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,128 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/mailer', () => ({ sendAccountClosedEmail: jest.fn() }));
+jest.mock('../middleware/auth', () => (req, res, next) => next());
+jest.mock('../middleware/twoFactor', () => ({ requireStepUp: (req, res, next) => next() }));
+jest.mock('../utils/blockchain', () => {
+  const service = (name) => ({ network: { name }, getToritoUserAccount: jest.fn() });
+  const services = [service('sepolia'), service('base')];
+  return { getServices: () => services };
+});
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Withdrawal = require('../models/Withdrawal');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const blockchainService = require('../utils/blockchain');
+const mailer = require('../utils/mailer');
+const { usdt, bob } = require('../utils/money');
+const authRoutes = require('../routes/auth');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+
+let user;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/auth', authRoutes);
+
+// A Mongoose query resolving to `documents`
+const query = (documents) => ({ sort: async () => documents, select: async () => documents });
+
+const close = (password = 'secret-password') => request(app).post('/api/auth/me/close').send({ password });
+
+const debtOn = (network, amount) => {
+  blockchainService.getServices().forEach(service => {
+    service.getToritoUserAccount.mockResolvedValue({ usdtBalance: usdt(0), bobDebt: bob(service.network.name === network ? amount : 0) });
+  });
+};
+
+beforeEach(() => {
+  user = new User({
+    email: 'user@example.com',
+    password: 'stored-bcrypt-hash',
+    walletAddress: WALLET,
+    profile: { firstName: 'Ana', lastName: 'Quispe' },
+    twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP' }
+  });
+  debtOn(null);
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User.prototype, 'comparePassword').mockImplementation(async (password) => password === 'secret-password');
+  jest.spyOn(Loan, 'find').mockReturnValue(query([]));
+  jest.spyOn(Loan, 'updateMany').mockResolvedValue({});
+  jest.spyOn(Withdrawal, 'find').mockReturnValue(query([]));
+  jest.spyOn(Session, 'find').mockReturnValue(query([]));
+  jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue(0);
+  jest.spyOn(ApiKey, 'find').mockReturnValue(query([]));
+  jest.spyOn(ApiKey, 'updateMany').mockResolvedValue({});
+  mailer.sendAccountClosedEmail.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/auth/me/export', () => {
+  it('includes the profile but no secrets', async () => {
+    const response = await request(app).get('/api/auth/me/export');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="torito-export-${user._id}.json"`);
+    expect(response.body.data.profile).toMatchObject({ email: 'user@example.com', profile: { firstName: 'Ana' } });
+    expect(JSON.stringify(response.body)).not.toMatch(/stored-bcrypt-hash|JBSWY3DPEHPK3PXP/);
+  });
+});
+
+describe('POST /api/auth/me/close', () => {
+  it('needs the password', async () => {
+    expect((await close('wrong')).status).toBe(401);
+    expect(user.isActive).toBe(true);
+  });
+
+  it('is refused while debt is outstanding on any network', async () => {
+    debtOn('base', '50');
+
+    const response = await close();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ACCOUNT_HAS_DEBT');
+    expect(response.body.details.onChainDebt).toEqual([{ network: 'base', address: WALLET, bobDebt: '50.00' }]);
+    expect(user.email).toBe('user@example.com');
+  });
+
+  it('is refused while a loan is active', async () => {
+    Loan.find.mockReturnValue(query([{ loanId: 'LN-1', status: 'active', loan: { amountBOB: bob('100') } }]));
+
+    const response = await close();
+
+    expect(response.status).toBe(409);
+    expect(response.body.details.activeLoans).toEqual([{ loanId: 'LN-1', status: 'active', amountBOB: '100.00' }]);
+  });
+
+  it('anonymizes the user and revokes every way back in', async () => {
+    const response = await close();
+
+    expect(response.status).toBe(200);
+    expect(mailer.sendAccountClosedEmail).toHaveBeenCalledWith(expect.objectContaining({ _id: user._id }));
+    expect(user).toMatchObject({ email: `closed-${user._id}@closed.invalid`, walletAddress: `closed-${user._id}`, isActive: false });
+    expect(user.profile.firstName).toBeUndefined();
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(Loan.updateMany).toHaveBeenCalledWith({ userId: user._id }, { $unset: { 'partner.bankDetails': '' } });
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, 'account_closed');
+    expect(ApiKey.updateMany).toHaveBeenCalledWith({ userId: user._id, revokedAt: null }, { $set: { revokedAt: expect.any(Date) } });
+  });
+
+  it('still closes the account when the goodbye mail fails', async () => {
+    mailer.sendAccountClosedEmail.mockRejectedValue(new Error('SMTP down'));
+
+    expect((await close()).status).toBe(200);
+    expect(user.isActive).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const mongoose = require('mongoose');
+const ContractEvent = require('../models/ContractEvent');
+const Loan = require('../models/Loan');
+const ExchangeRate = require('../models/ExchangeRate');
+const { decodeCursor, getActivity } = require('../utils/activityFeed');
+const { usdt, bob, rate } = require('../utils/money');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+const userId = new mongoose.Types.ObjectId();
+
+const at = (minute) => new Date(Date.UTC(2026, 9, 19, 12, minute));
+
+// Whether `date` is within a Mongo range filter as the feed builds them
+const inRange = (date, range) => Boolean(date) &&
+  (!range.$gte || date >= range.$gte) &&
+  (!range.$lte || date <= range.$lte);
+
+// A Mongoose query over `documents` sorted newest first by `field`
+const query = (documents, field) => ({
+  sort: () => ({ limit: async (limit) => [...documents].sort((a, b) => field(b) - field(a)).slice(0, limit) })
+});
+
+let events;
+let loans;
+
+beforeEach(() => {
+  events = [];
+  loans = [];
+  jest.spyOn(ContractEvent, 'find').mockImplementation(({ blockTimestamp }) => query(
+    events.filter(event => inRange(event.blockTimestamp, blockTimestamp)),
+    event => event.blockTimestamp
+  ));
+  jest.spyOn(Loan, 'aggregate').mockResolvedValue([]);
+  jest.spyOn(Loan, 'find').mockImplementation((filter) => {
+    const [path, range] = Object.entries(filter).find(([key]) => key !== 'userId');
+    const field = (loan) => path.split('.').reduce((value, key) => value && value[key], loan);
+    return query(loans.filter(loan => inRange(field(loan), range)), field);
+  });
+  jest.spyOn(ExchangeRate, 'findOne').mockReturnValue({ sort: async () => ({ rate: rate('6.96') }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const deposit = (minute, amount = '100') => new ContractEvent({
+  name: 'Deposit',
+  network: 'sepolia',
+  contractAddress: '0x00000000000000000000000000000000000000c0',
+  blockNumber: minute,
+  blockHash: `0x${String(minute).padStart(64, '0')}`,
+  blockTimestamp: at(minute),
+  transactionHash: `0x${String(minute).padStart(64, '1')}`,
+  logIndex: 0,
+  user: WALLET,
+  amountUSDT: usdt(amount),
+  confirmed: true
+});
+
+const feed = (options = {}) => getActivity({ userId, addresses: [WALLET], ...options });
+
+describe('getActivity', () => {
+  it('merges chain events and partner transfers newest first, in both currencies', async () => {
+    events = [deposit(1)];
+    loans = [{
+      _id: new mongoose.Types.ObjectId(),
+      loanId: 'LN-1',
+      network: 'sepolia',
+      loan: { exchangeRate: rate('7') },
+      partner: { transferredAt: at(2), transferId: 'TR-1', transferAmount: bob('350') }
+    }];
+
+    const { items, nextCursor } = await feed();
+
+    expect(items.map(item => item.type)).toEqual(['transfer', 'deposit']);
+    expect(items[0].amount).toEqual({ USDT: usdt('50'), BOB: bob('350') });
+    // The deposit has no rate of its own and takes the one in effect at its time
+    expect(items[1].amount).toEqual({ USDT: usdt('100'), BOB: bob('696') });
+    expect(nextCursor).toBeNull();
+  });
+
+  it('pages through items sharing a timestamp without skipping or repeating any', async () => {
+    events = [deposit(5), deposit(4), deposit(4, '1'), deposit(4, '2'), deposit(3)];
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await feed({ limit: 2, cursor: cursor && decodeCursor(cursor) });
+      seen.push(...page.items.map(item => item.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(5);
+    expect(new Set(seen).size).toBe(5);
+    expect(seen[0]).toBe(`event:${events[0]._id}`);
+    expect(seen[4]).toBe(`event:${events[4]._id}`);
+  });
+
+  it('only includes the requested types', async () => {
+    events = [deposit(1)];
+    loans = [{ _id: new mongoose.Types.ObjectId(), loan: {}, partner: { transferredAt: at(2), transferAmount: bob('1') } }];
+
+    const { items } = await feed({ types: ['transfer'] });
+
+    expect(items.map(item => item.type)).toEqual(['transfer']);
+    expect(ContractEvent.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('decodeCursor', () => {
+  it('rejects anything it did not produce', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ before: 'soon' })).toString('base64url'))).toBeNull();
+  });
+});
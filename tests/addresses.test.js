@@ -0,0 +1,71 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../middleware/twoFactor', () => ({ requireStepUp: (req, res, next) => next() }));
+jest.mock('../utils/blockchain', () => {
+  const makeService = (name) => ({
+    network: { name },
+    verifyChainId: async () => {},
+    getToritoUserAccount: jest.fn()
+  });
+  const services = { sepolia: makeService('sepolia'), base: makeService('base') };
+  return { services, forNetwork: (name) => services[name], getServices: () => Object.values(services) };
+});
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const { services } = require('../utils/blockchain');
+const { bob } = require('../utils/money');
+const walletRoutes = require('../routes/wallet');
+
+const PRIMARY = '0x00000000000000000000000000000000000000aa';
+const LINKED = '0x00000000000000000000000000000000000000bb';
+
+let user;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/wallet', walletRoutes);
+
+const unlink = () => request(app).delete(`/api/wallet/addresses/${LINKED}`).query({ network: 'sepolia' });
+
+beforeEach(() => {
+  user = new User({ email: 'user@example.com', password: 'secret-password', walletAddress: PRIMARY, linkedWallets: [{ address: LINKED }] });
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  Object.values(services).forEach(service => service.getToritoUserAccount.mockReset().mockResolvedValue({ bobDebt: bob(0) }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/wallet/addresses/:address', () => {
+  it('refuses while the address owes BOB on another network', async () => {
+    services.base.getToritoUserAccount.mockResolvedValue({ bobDebt: bob('12.50') });
+
+    const response = await unlink();
+
+    expect(response.status).toBe(400);
+    expect(response.body.details.onChainDebt).toEqual([{ network: 'base', bobDebt: '12.50' }]);
+    expect(user.linkedWallets).toHaveLength(1);
+    expect(services.base.getToritoUserAccount).toHaveBeenCalledWith(LINKED, { quorum: true });
+  });
+
+  it('unlinks an address without debt anywhere', async () => {
+    const response = await unlink();
+
+    expect(response.status).toBe(200);
+    expect(services.sepolia.getToritoUserAccount).toHaveBeenCalledWith(LINKED, { quorum: true });
+    expect(user.linkedWallets).toHaveLength(0);
+  });
+
+  it('keeps the primary address', async () => {
+    const response = await request(app).delete(`/api/wallet/addresses/${PRIMARY}`);
+
+    expect(response.status).toBe(400);
+    expect(services.sepolia.getToritoUserAccount).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const { requireScope, denyApiKeys } = require('../middleware/apiKeyScopes');
+
+// API keys kept in memory in place of MongoDB
+let apiKeys;
+
+const user = new User({ email: 'user@example.com', password: 'secret-password', walletAddress: '0x00000000000000000000000000000000000000aa' });
+
+const app = express();
+app.get('/api/wallet/balance', authMiddleware.withApiKeys, requireScope('read:balance'), (req, res) => res.json({ success: true }));
+app.post('/api/wallet/withdraw', authMiddleware.withApiKeys, denyApiKeys, (req, res) => res.json({ success: true }));
+app.get('/api/auth/me', authMiddleware, (req, res) => res.json({ success: true }));
+
+const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const generate = (fields = {}) => ApiKey.generate({ userId: user._id, name: 'Reports', scopes: ['read:balance'], expiresAt: inDays(30), ...fields });
+
+beforeEach(() => {
+  apiKeys = [];
+  jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => {
+    const apiKey = new ApiKey(fields);
+    apiKeys.push(apiKey);
+    return apiKey;
+  });
+  jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyId }) => apiKeys.find(apiKey => apiKey.keyId === keyId) || null);
+  jest.spyOn(ApiKey, 'updateOne').mockImplementation(async ({ _id }, { $set, $inc }) => {
+    const apiKey = apiKeys.find(key => key._id.equals(_id));
+    apiKey.set({ ...$set, usageCount: apiKey.usageCount + $inc.usageCount });
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ApiKey', () => {
+  it('stores only a hash of the secret and resolves the raw key', async () => {
+    const { apiKey, rawKey } = await generate();
+
+    expect(rawKey).toMatch(new RegExp(`^tw_${apiKey.keyId}_[a-f0-9]{48}$`));
+    expect(apiKey.secretHash).not.toContain(rawKey.split('_')[2]);
+    expect(apiKey.toJSON()).not.toHaveProperty('secretHash');
+    expect(await ApiKey.findByRawKey(rawKey)).toBe(apiKey);
+  });
+
+  it('does not resolve a wrong secret, a revoked key or an expired key', async () => {
+    const { rawKey } = await generate();
+    const { apiKey: revoked, rawKey: revokedKey } = await generate();
+    const { rawKey: expiredKey } = await generate({ expiresAt: inDays(-1) });
+    revoked.revokedAt = new Date();
+
+    expect(await ApiKey.findByRawKey(`${rawKey.slice(0, -1)}${rawKey.endsWith('0') ? '1' : '0'}`)).toBeNull();
+    expect(await ApiKey.findByRawKey(revokedKey)).toBeNull();
+    expect(await ApiKey.findByRawKey(expiredKey)).toBeNull();
+    expect(await ApiKey.findByRawKey('tw_not_a_key')).toBeNull();
+  });
+});
+
+describe('authenticating with an API key', () => {
+  it('reaches routes within its scopes and records the use', async () => {
+    const { apiKey, rawKey } = await generate();
+
+    const response = await request(app).get('/api/wallet/balance').set('X-API-Key', rawKey).set('User-Agent', 'reports/1.0');
+
+    expect(response.status).toBe(200);
+    expect(apiKey).toMatchObject({ usageCount: 1, lastUsedUserAgent: 'reports/1.0' });
+    expect(apiKey.lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  it('is refused on routes outside its scopes', async () => {
+    const { rawKey } = await generate({ scopes: ['read:loans'] });
+
+    const response = await request(app).get('/api/wallet/balance').set('X-API-Key', rawKey);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', required: ['read:balance'] });
+  });
+
+  it('never moves funds, whatever its scopes', async () => {
+    const { rawKey } = await generate({ scopes: ApiKey.SCOPES });
+
+    const response = await request(app).post('/api/wallet/withdraw').set('Authorization', `Bearer ${rawKey}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('API_KEY_NOT_ALLOWED');
+  });
+
+  it('is refused by routers that do not opt in', async () => {
+    const { rawKey } = await generate();
+
+    const response = await request(app).get('/api/auth/me').set('X-API-Key', rawKey);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('API_KEY_NOT_ALLOWED');
+  });
+
+  it('is refused once revoked', async () => {
+    const { apiKey, rawKey } = await generate();
+    apiKey.revokedAt = new Date();
+
+    const response = await request(app).get('/api/wallet/balance').set('X-API-Key', rawKey);
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_API_KEY');
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
+const adminRoutes = require('../routes/admin');
+
+let currentUser;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.use('/api/admin', adminRoutes);
+
+const asRole = (role) => {
+  currentUser = { _id: new mongoose.Types.ObjectId(), email: `${role}@example.com`, role };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('roles', () => {
+  it('give admins every permission and users none', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission('admin', permission)).toBe(true);
+      expect(hasPermission('user', permission)).toBe(false);
+    });
+  });
+
+  it('keep auditors read-only', () => {
+    expect(hasPermission('auditor', PERMISSIONS.AUDIT_READ)).toBe(true);
+    expect(hasPermission('auditor', PERMISSIONS.TRANSACTIONS_MANAGE)).toBe(false);
+    expect(hasPermission('auditor', PERMISSIONS.USERS_MANAGE)).toBe(false);
+  });
+
+  it('grant nothing to unknown roles', () => {
+    expect(hasPermission('root', PERMISSIONS.USERS_READ)).toBe(false);
+  });
+});
+
+describe('authorize', () => {
+  const target = new mongoose.Types.ObjectId();
+  const changeRole = () => request(app).put(`/api/admin/users/${target}/role`).send({ role: 'operator' });
+
+  it('refuses a role without the permission and names what is missing', async () => {
+    asRole('operator');
+
+    const response = await changeRole();
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Insufficient permissions.', code: 'INSUFFICIENT_PERMISSIONS', required: [PERMISSIONS.USERS_MANAGE] });
+  });
+
+  it('treats a user without a role as a plain user', async () => {
+    currentUser = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com' };
+    expect((await request(app).get('/api/admin/users')).status).toBe(403);
+  });
+
+  it('lets an admin change a role and revokes the target sessions', async () => {
+    asRole('admin');
+    const user = new User({ _id: target, email: 'target@example.com', password: 'secret-password', walletAddress: '0x00000000000000000000000000000000000000aa' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    const revoke = jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 1 });
+
+    const response = await changeRole();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ role: 'operator', previousRole: 'user' });
+    expect(revoke).toHaveBeenCalledWith(target, 'user_revoked');
+  });
+
+  it.each(ROLES.filter(role => role !== 'user'))('lets %s list users', async (role) => {
+    asRole(role);
+    const query = { select: () => query, sort: () => query, limit: () => query, skip: async () => [] };
+    jest.spyOn(User, 'find').mockReturnValue(query);
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+    expect((await request(app).get('/api/admin/users')).status).toBe(200);
+  });
+});
@@ -0,0 +1,122 @@
+const { ethers } = require('ethers');
+const ChainReader = require('../utils/chainReader');
+
+const TOKEN = '0x00000000000000000000000000000000000000d0';
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const ALICE = '0x00000000000000000000000000000000000000aa';
+const BOB = '0x00000000000000000000000000000000000000bb';
+
+const erc20 = new ethers.Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+]);
+const multicall = new ethers.Interface([
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+]);
+
+// A node with one token, whose balanceOf reverts for the zero address
+const fakeProvider = () => {
+  const provider = {
+    blockNumber: 100,
+    balances: { [ALICE.toLowerCase()]: 5n, [BOB.toLowerCase()]: 7n },
+    getBlockNumber: jest.fn(async () => provider.blockNumber),
+    answer: (data) => {
+      const call = erc20.parseTransaction({ data });
+      if (call.name === 'decimals') {
+        return { success: true, returnData: erc20.encodeFunctionResult('decimals', [6]) };
+      }
+      const owner = call.args[0].toLowerCase();
+      if (owner === ethers.ZeroAddress) {
+        return { success: false, returnData: erc20.encodeErrorResult('Error(string)', ['zero address']) };
+      }
+      return { success: true, returnData: erc20.encodeFunctionResult('balanceOf', [provider.balances[owner] || 0n]) };
+    },
+    call: jest.fn(async ({ to, data }) => {
+      if (to.toLowerCase() !== MULTICALL.toLowerCase()) {
+        const { success, returnData } = provider.answer(data);
+        if (!success) throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+        return returnData;
+      }
+      const [calls] = multicall.decodeFunctionData('aggregate3', data);
+      return multicall.encodeFunctionResult('aggregate3', [calls.map(({ callData }) => provider.answer(callData))]);
+    })
+  };
+  return provider;
+};
+
+const token = new ethers.Contract(TOKEN, erc20);
+
+let provider;
+let reader;
+
+beforeEach(() => {
+  provider = fakeProvider();
+  reader = new ChainReader(provider);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const multicalls = () => provider.call.mock.calls.filter(([tx]) => tx.to.toLowerCase() === MULTICALL.toLowerCase());
+
+describe('ChainReader', () => {
+  it('batches concurrent reads into one multicall pinned to the current block', async () => {
+    const [alice, bob, decimals] = await Promise.all([
+      reader.read(token, 'balanceOf', [ALICE]),
+      reader.read(token, 'balanceOf', [BOB]),
+      reader.readImmutable(token, 'decimals')
+    ]);
+
+    expect([alice, bob, decimals]).toEqual([5n, 7n, 6n]);
+    expect(multicalls()).toHaveLength(1);
+    expect(multicalls()[0][0].blockTag).toBe(100);
+    // The immutable read is batched separately, at `latest`
+    expect(provider.call).toHaveBeenCalledWith(expect.objectContaining({ to: TOKEN, blockTag: 'latest' }));
+  });
+
+  it('serves repeated reads from the cache until a new block', async () => {
+    await reader.read(token, 'balanceOf', [ALICE]);
+    provider.balances[ALICE.toLowerCase()] = 9n;
+
+    expect(await reader.read(token, 'balanceOf', [ALICE])).toBe(5n);
+    expect(provider.call).toHaveBeenCalledTimes(1);
+
+    provider.blockNumber = 101;
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000); // Past CHAIN_READ_HEAD_TTL_MS
+    expect(await reader.read(token, 'balanceOf', [ALICE])).toBe(9n);
+  });
+
+  it('asks the node for the head at most once per CHAIN_READ_HEAD_TTL_MS', async () => {
+    await Promise.all([reader.read(token, 'balanceOf', [ALICE]), reader.read(token, 'balanceOf', [BOB])]);
+    await reader.read(token, 'balanceOf', [ALICE]);
+
+    expect(provider.getBlockNumber).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails only the reverted call of a batch, and does not cache it', async () => {
+    const [alice, zero] = await Promise.allSettled([
+      reader.read(token, 'balanceOf', [ALICE]),
+      reader.read(token, 'balanceOf', [ethers.ZeroAddress])
+    ]);
+
+    expect(alice.value).toBe(5n);
+    expect(zero.reason.reason).toBe('zero address');
+
+    await expect(reader.read(token, 'balanceOf', [ethers.ZeroAddress])).rejects.toThrow();
+    expect(provider.call).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails the whole batch when the multicall itself fails', async () => {
+    provider.call.mockRejectedValueOnce(new Error('request timeout'));
+
+    const results = await Promise.allSettled([
+      reader.read(token, 'balanceOf', [ALICE]),
+      reader.read(token, 'balanceOf', [BOB])
+    ]);
+
+    expect(results.map(result => result.reason && result.reason.message)).toEqual(['request timeout', 'request timeout']);
+    // Retried on the next read
+    expect(await reader.read(token, 'balanceOf', [ALICE])).toBe(5n);
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+
+Object.assign(process.env, {
+  NETWORKS: 'sepolia,base',
+  SEPOLIA_RPC_URLS: 'http://127.0.0.1:1',
+  SEPOLIA_AAVE_POOL_ADDRESS: '0x0000000000000000000000000000000000000001',
+  SEPOLIA_USDT_ADDRESS: '0x00000000000000000000000000000000000000d0',
+  SEPOLIA_AUSDT_ADDRESS: '0x00000000000000000000000000000000000000d1',
+  SEPOLIA_USDC_ADDRESS: '0x00000000000000000000000000000000000000e0',
+  SEPOLIA_AUSDC_ADDRESS: '0x00000000000000000000000000000000000000e1',
+  SEPOLIA_DAI_ADDRESS: '0x00000000000000000000000000000000000000f0',
+  SEPOLIA_ADAI_ADDRESS: '0x00000000000000000000000000000000000000f1',
+  SEPOLIA_SMART_CONTRACT_ADDRESS: '0x00000000000000000000000000000000000000c0',
+  BASE_DAI_ADDRESS: '0x00000000000000000000000000000000000000f0',
+  USDC_LTV_RATIO: '0.80',
+  DAI_PRICE_SOURCE: 'exchange_rate',
+  PRIVATE_KEY: '0x' + '11'.repeat(32)
+});
+
+const ExchangeRate = require('../models/ExchangeRate');
+const blockchainService = require('../utils/blockchain');
+const { getConfigurationErrors } = require('../config/networks');
+const { Money, usd, price, ratio } = require('../utils/money');
+
+const service = blockchainService.forNetwork('sepolia');
+
+// aToken balances and decimals by symbol
+const DECIMALS = { USDT: 6, USDC: 6, DAI: 18 };
+let balances;
+
+const symbolOf = (contract) => Object.values(service.assets).find(asset => asset.aToken === contract).symbol;
+
+beforeEach(() => {
+  balances = { USDT: '100', USDC: '200', DAI: '50' };
+  jest.spyOn(service, 'getTokenBalance').mockImplementation(async (contract) => {
+    const symbol = symbolOf(contract);
+    return Money.parse(balances[symbol], DECIMALS[symbol]);
+  });
+  jest.spyOn(service, 'getDecimals').mockImplementation(async (contract) => DECIMALS[symbolOf(contract)]);
+  jest.spyOn(ExchangeRate, 'getLatestRate').mockResolvedValue({ rate: '0.998' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('collateral assets', () => {
+  it('are offered on a network once both token and aToken addresses are set', () => {
+    expect(Object.keys(service.assets)).toEqual(['USDT', 'USDC', 'DAI']);
+    expect(service.getCollateralAsset('USDC')).toMatchObject({ aTokenSymbol: 'aUSDC', ltv: ratio('0.80'), priceSource: 'peg' });
+    expect(service.getCollateralAsset('WBTC')).toBeNull();
+  });
+
+  it('report a network with only half an asset configured', () => {
+    expect(getConfigurationErrors().join('\n')).toMatch(/Network base is missing configuration: .*BASE_ADAI_ADDRESS/);
+  });
+
+  it('are priced from their configured source', async () => {
+    expect(await service.getAssetPriceUSD('USDC')).toEqual(price(1));
+    expect(await service.getAssetPriceUSD('DAI')).toEqual(price('0.998'));
+    expect(ExchangeRate.getLatestRate).toHaveBeenCalledWith('DAI', 'USD');
+
+    ExchangeRate.getLatestRate.mockResolvedValue(null);
+    await expect(service.getAssetPriceUSD('DAI')).rejects.toThrow('No DAI/USD exchange rate available');
+  });
+
+  it('add up to the collateral value and borrowing power at each asset\'s LTV', async () => {
+    const positions = await service.getCollateralPositions(WALLET);
+
+    const dai = positions.assets.find(asset => asset.symbol === 'DAI');
+    expect(dai).toMatchObject({ token: 'aDAI', decimals: 18, valueUSD: usd('49.9'), borrowableUSD: usd('37.425') });
+    expect(positions.assets.find(asset => asset.symbol === 'USDC').borrowableUSD).toEqual(usd('160'));
+    // 100 + 200 + 49.9 USD; 75 + 160 + 37.425 borrowable
+    expect(positions.totalValueUSD).toEqual(usd('349.9'));
+    expect(positions.totalBorrowableUSD).toEqual(usd('272.425'));
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/mailer', () => ({ sendCollateralHealthEmail: jest.fn() }));
+
+const mongoose = require('mongoose');
+const HealthSnapshot = require('../models/HealthSnapshot');
+const HealthEvent = require('../models/HealthEvent');
+const User = require('../models/User');
+const mailer = require('../utils/mailer');
+const { assess, check } = require('../utils/collateralHealth');
+const { usdt, bob, rate, ratio } = require('../utils/money');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+const RATE = rate('6.96');
+
+// 100 USDT of collateral is worth 696 BOB
+const account = (bobDebt, usdtBalance = '100') => ({ usdtBalance: usdt(usdtBalance), bobDebt: bob(bobDebt) });
+
+describe('assess', () => {
+  it.each([
+    ['0', 'healthy', '0.0000'],
+    ['417.50', 'healthy', '0.5999'],
+    ['417.60', 'warning', '0.6000'],
+    ['487.20', 'margin_call', '0.7000'],
+    ['556.80', 'liquidatable', '0.8000']
+  ])('bands a debt of %s BOB as %s', (debt, band, ltv) => {
+    const health = assess(account(debt), RATE);
+
+    expect(health.band).toBe(band);
+    expect(health.ltv.toString()).toBe(ltv);
+    expect(health.collateralBOB.toString()).toBe('696.00');
+  });
+
+  it('rounds the LTV up, so rounding never keeps a borrower out of a band', () => {
+    // 417.59 / 696 = 0.599985...
+    const health = assess(account('417.59'), RATE);
+
+    expect(health.ltv.toString()).toBe('0.6000');
+    expect(health.band).toBe('warning');
+  });
+
+  it.each(['487.20', '556.70', '556.79', '556.80', '600'])('puts the health factor at 1 or less exactly when a debt of %s BOB is liquidatable', (debt) => {
+    const health = assess(account(debt), RATE);
+
+    expect(health.healthFactor.lte(ratio(1))).toBe(health.band === 'liquidatable');
+  });
+
+  it('treats debt without collateral as liquidatable', () => {
+    const health = assess(account('10', '0'), RATE);
+
+    expect(health).toMatchObject({ ltv: null, band: 'liquidatable' });
+    expect(health.healthFactor.isZero()).toBe(true);
+  });
+});
+
+describe('check', () => {
+  const service = { network: { name: 'sepolia' }, getToritoUserAccount: jest.fn() };
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'borrower@example.com' };
+
+  let snapshots;
+  let events;
+
+  const checkWith = async (bobDebt) => {
+    service.getToritoUserAccount.mockResolvedValue(account(bobDebt));
+    return check(service, WALLET, RATE);
+  };
+
+  beforeEach(() => {
+    snapshots = [];
+    events = [];
+    mailer.sendCollateralHealthEmail.mockReset();
+    jest.spyOn(User, 'findByWalletAddress').mockResolvedValue(user);
+    jest.spyOn(HealthSnapshot, 'findOne').mockReturnValue({ sort: async () => snapshots[snapshots.length - 1] || null });
+    jest.spyOn(HealthSnapshot, 'create').mockImplementation(async (fields) => {
+      const snapshot = new HealthSnapshot(fields);
+      snapshots.push(snapshot);
+      return snapshot;
+    });
+    jest.spyOn(HealthEvent, 'create').mockImplementation(async (fields) => {
+      const event = new HealthEvent(fields);
+      events.push(event);
+      return event;
+    });
+    jest.spyOn(HealthEvent.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records a band change and mails the borrower when it worsens', async () => {
+    await checkWith('100');
+    await checkWith('500');
+
+    expect(events.map(event => [event.fromBand, event.toBand])).toEqual([['healthy', 'margin_call']]);
+    expect(mailer.sendCollateralHealthEmail).toHaveBeenCalledWith(user, events[0]);
+    expect(events[0].notifiedAt).toBeInstanceOf(Date);
+  });
+
+  it('records an improvement without mailing', async () => {
+    await checkWith('500');
+    mailer.sendCollateralHealthEmail.mockClear();
+
+    await checkWith('100');
+
+    expect(events.map(event => event.toBand)).toEqual(['margin_call', 'healthy']);
+    expect(mailer.sendCollateralHealthEmail).not.toHaveBeenCalled();
+  });
+
+  it('keeps a snapshot per check but no event while the band holds', async () => {
+    await checkWith('450');
+    await checkWith('460');
+
+    expect(snapshots).toHaveLength(2);
+    expect(events).toHaveLength(1);
+    expect(mailer.sendCollateralHealthEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a repaid borrower once', async () => {
+    await checkWith('100');
+    expect(await checkWith('0')).not.toBeNull();
+    expect(await checkWith('0')).toBeNull();
+
+    expect(snapshots).toHaveLength(2);
+  });
+
+  it('still records the event when the mail fails', async () => {
+    mailer.sendCollateralHealthEmail.mockRejectedValue(new Error('SMTP down'));
+
+    await checkWith('600');
+
+    expect(events).toHaveLength(1);
+    expect(events[0].notifiedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/mailer', () => ({ sendVerificationEmail: jest.fn(), sendPasswordResetEmail: jest.fn() }));
+jest.mock('../middleware/auth', () => (req, res, next) => next());
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const mailer = require('../utils/mailer');
+const { requireVerifiedEmail } = require('../middleware/emailVerified');
+const authRoutes = require('../routes/auth');
+
+let user;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/auth', authRoutes);
+app.post('/api/loans/request', requireVerifiedEmail, (req, res) => res.status(201).json({ success: true }));
+
+// Token handed to the mailer by the last call of `method`
+const mailedToken = (method) => mailer[method].mock.calls[mailer[method].mock.calls.length - 1][1];
+
+const requestVerification = async () => {
+  await request(app).post('/api/auth/email/verify/request');
+  return mailedToken('sendVerificationEmail');
+};
+
+const requestReset = async () => {
+  await request(app).post('/api/auth/password/forgot').send({ email: user.email });
+  return mailedToken('sendPasswordResetEmail');
+};
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  user = new User({ email: 'user@example.com', password: 'old-password-hash', walletAddress: '0x00000000000000000000000000000000000000aa' });
+  mailer.sendVerificationEmail.mockReset();
+  mailer.sendPasswordResetEmail.mockReset();
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => (user._id.equals(id) ? user : null));
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+  jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue(0);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('email verification', () => {
+  it('confirms the address with the emailed token', async () => {
+    const token = await requestVerification();
+
+    const response = await request(app).post('/api/auth/email/verify/confirm').send({ token });
+
+    expect(response.status).toBe(200);
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+  });
+
+  it('does not verify an address the token was not issued for', async () => {
+    const token = await requestVerification();
+    user.email = 'new@example.com';
+
+    const response = await request(app).post('/api/auth/email/verify/confirm').send({ token });
+
+    expect(response.body.code).toBe('INVALID_VERIFICATION_TOKEN');
+    expect(user.emailVerified).toBe(false);
+  });
+
+  it('keeps unverified users away from borrowing', async () => {
+    expect((await request(app).post('/api/loans/request')).body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    user.emailVerified = true;
+    expect((await request(app).post('/api/loans/request')).status).toBe(201);
+  });
+});
+
+describe('password reset', () => {
+  const reset = (token, password = 'new-password') => request(app).post('/api/auth/password/reset').send({ token, password });
+
+  it('sets the new password, verifies the email and logs out every session', async () => {
+    const token = await requestReset();
+
+    const response = await reset(token);
+
+    expect(response.status).toBe(200);
+    expect(user.password).toBe('new-password');
+    expect(user.emailVerified).toBe(true);
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, 'logout_all');
+  });
+
+  it('accepts each token only until the password changes', async () => {
+    const token = await requestReset();
+    await reset(token);
+
+    const response = await reset(token, 'another-password');
+
+    expect(response.body.code).toBe('INVALID_RESET_TOKEN');
+    expect(user.password).toBe('new-password');
+  });
+
+  it('does not take a token issued for another purpose', async () => {
+    const token = await requestVerification();
+
+    expect((await reset(token)).body.code).toBe('INVALID_RESET_TOKEN');
+  });
+
+  it('answers the same whether or not the account exists', async () => {
+    const known = await request(app).post('/api/auth/password/forgot').send({ email: user.email });
+    const unknown = await request(app).post('/api/auth/password/forgot').send({ email: 'nobody@example.com' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+    expect(mailer.sendPasswordResetEmail).toHaveBeenCalledTimes(1);
+  });
+});
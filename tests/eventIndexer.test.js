@@ -0,0 +1,173 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { ethers } = require('ethers');
+const ContractEvent = require('../models/ContractEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const { EventIndexer } = require('../utils/eventIndexer');
+const { Money, DECIMALS } = require('../utils/money');
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const USER = '0x00000000000000000000000000000000000000aa';
+
+const toritoWallet = new ethers.Interface([
+  'event Deposit(address indexed user, uint256 amount)',
+  'event LoanRequested(address indexed user, uint256 loanId, uint256 bobAmount, uint256 usdtCollateral, uint256 rate)',
+  'event LoanFulfilled(uint256 indexed loanId)'
+]);
+
+// A chain whose blocks can be replaced, to stage reorgs. Each block has a
+// hash derived from its number and fork, and the logs emitted in it.
+const fakeChain = (head) => {
+  const chain = { head, blocks: new Map() };
+
+  chain.mine = (number, fork, events = []) => {
+    const hash = ethers.id(`${fork}:${number}`);
+    chain.blocks.set(number, {
+      number,
+      hash,
+      timestamp: 1700000000 + number * 12,
+      logs: events.map(([name, args], index) => ({
+        ...toritoWallet.encodeEventLog(name, args),
+        address: CONTRACT,
+        blockNumber: number,
+        blockHash: hash,
+        transactionHash: ethers.id(`${fork}:${number}:tx${index}`),
+        index
+      }))
+    });
+  };
+  for (let number = 0; number <= head; number++) {
+    chain.mine(number, 'a');
+  }
+
+  chain.provider = {
+    getBlockNumber: jest.fn(async () => chain.head),
+    getBlock: jest.fn(async (number) => chain.blocks.get(number) || null),
+    getLogs: jest.fn(async ({ fromBlock, toBlock }) => [...chain.blocks.values()]
+      .filter(block => block.number >= fromBlock && block.number <= toBlock)
+      .flatMap(block => block.logs))
+  };
+
+  return chain;
+};
+
+const fakeService = (chain) => ({
+  network: { name: 'sepolia', confirmations: 3 },
+  provider: chain.provider,
+  addresses: { smartContract: CONTRACT },
+  contracts: { toritoWallet: { interface: toritoWallet }, usdt: {} },
+  verifyChainId: async () => {},
+  fromTokenUnits: async (token, units) => Money.fromUnits(units, DECIMALS.USDT)
+});
+
+// Events and the checkpoint kept in memory in place of MongoDB
+let events;
+let checkpoints;
+
+beforeEach(() => {
+  events = [];
+  checkpoints = [];
+  process.env.INDEXER_START_BLOCK = '1';
+
+  jest.spyOn(IndexerCheckpoint, 'findOne').mockImplementation(async ({ name }) => checkpoints.find(checkpoint => checkpoint.name === name) || null);
+  jest.spyOn(IndexerCheckpoint, 'create').mockImplementation(async (fields) => {
+    const checkpoint = new IndexerCheckpoint(fields);
+    checkpoints.push(checkpoint);
+    return checkpoint;
+  });
+  jest.spyOn(IndexerCheckpoint.prototype, 'save').mockImplementation(async function() { return this; });
+
+  jest.spyOn(ContractEvent, 'updateOne').mockImplementation(async ({ blockHash, logIndex }, { $setOnInsert }) => {
+    if (!events.some(event => event.blockHash === blockHash && event.logIndex === logIndex)) {
+      events.push(new ContractEvent($setOnInsert));
+    }
+    return {};
+  });
+  jest.spyOn(ContractEvent, 'findOne').mockImplementation(async ({ name, loanId }) => events.find(event => event.name === name && event.loanId === loanId) || null);
+  jest.spyOn(ContractEvent, 'deleteMany').mockImplementation(async ({ blockNumber, confirmed }) => {
+    const before = events.length;
+    events = events.filter(event => event.blockNumber < blockNumber.$gte || event.confirmed !== confirmed);
+    return { deletedCount: before - events.length };
+  });
+  jest.spyOn(ContractEvent, 'updateMany').mockImplementation(async ({ blockNumber }, { $set }) => {
+    events.filter(event => event.blockNumber <= blockNumber.$lte).forEach(event => event.set($set));
+    return {};
+  });
+});
+
+afterEach(() => {
+  delete process.env.INDEXER_START_BLOCK;
+  jest.restoreAllMocks();
+});
+
+describe('EventIndexer', () => {
+  it('decodes events and confirms them once they are deep enough', async () => {
+    const chain = fakeChain(10);
+    chain.mine(4, 'a', [['LoanRequested', [USER, 7, 10000n, 100000000n, 696n * 10n ** 16n]]]);
+    chain.mine(9, 'a', [['LoanFulfilled', [7]]]);
+    const indexer = new EventIndexer(fakeService(chain));
+
+    await indexer.run();
+
+    expect(events.map(event => [event.name, event.blockNumber, event.confirmed])).toEqual([
+      ['LoanRequested', 4, true],
+      ['LoanFulfilled', 9, false]
+    ]);
+    expect(events[0]).toMatchObject({ user: USER, loanId: '7' });
+    expect(events[0].amountBOB.toString()).toBe('100.00');
+    expect(events[0].amountUSDT.toString()).toBe('100.000000');
+    // LoanFulfilled takes its user from the request
+    expect(events[1].user).toBe(USER);
+    expect(checkpoints[0].lastBlock).toBe(10);
+    expect(checkpoints[0].recentBlocks.map(block => block.number)).toEqual([8, 9, 10]);
+  });
+
+  it('rolls back unconfirmed events of blocks that were reorganized away', async () => {
+    const chain = fakeChain(10);
+    chain.mine(5, 'a', [['Deposit', [USER, 1000000n]]]);
+    chain.mine(9, 'a', [['Deposit', [USER, 2000000n]]]);
+    const indexer = new EventIndexer(fakeService(chain));
+    await indexer.run();
+
+    // Blocks 9 and 10 are replaced; the deposit lands in block 10 on the new fork
+    chain.mine(9, 'b');
+    chain.mine(10, 'b', [['Deposit', [USER, 2000000n]]]);
+    chain.mine(11, 'b');
+    chain.head = 11;
+    await indexer.run();
+
+    expect(events.map(event => [event.blockNumber, event.blockHash, event.confirmed])).toEqual([
+      [5, chain.blocks.get(5).hash, true],
+      [10, chain.blocks.get(10).hash, false]
+    ]);
+    expect(checkpoints[0]).toMatchObject({ lastBlock: 11, reorgCount: 1 });
+    expect(checkpoints[0].recentBlocks.map(block => block.hash)).toEqual([9, 10, 11].map(number => chain.blocks.get(number).hash));
+  });
+
+  it('keeps events when the chain only grew', async () => {
+    const chain = fakeChain(10);
+    chain.mine(9, 'a', [['Deposit', [USER, 1000000n]]]);
+    const indexer = new EventIndexer(fakeService(chain));
+    await indexer.run();
+
+    chain.mine(11, 'a');
+    chain.mine(12, 'a');
+    chain.head = 12;
+    await indexer.run();
+
+    expect(events.map(event => [event.blockNumber, event.confirmed])).toEqual([[9, true]]);
+    expect(checkpoints[0].reorgCount).toBe(0);
+    expect(ContractEvent.deleteMany).not.toHaveBeenCalled();
+  });
+
+  it('follows from the current head when no start block is configured', async () => {
+    delete process.env.INDEXER_START_BLOCK;
+    const chain = fakeChain(10);
+    chain.mine(5, 'a', [['Deposit', [USER, 1000000n]]]);
+
+    await new EventIndexer(fakeService(chain)).run();
+
+    expect(events).toHaveLength(0);
+    expect(chain.provider.getLogs).toHaveBeenCalledWith({ address: CONTRACT, fromBlock: 10, toBlock: 10 });
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const TORITO_WALLET = '0x00000000000000000000000000000000000000c0';
+const WALLET = '0x00000000000000000000000000000000000000aa';
+
+Object.assign(process.env, {
+  NETWORKS: 'sepolia',
+  SEPOLIA_RPC_URLS: 'http://127.0.0.1:1',
+  SEPOLIA_AAVE_POOL_ADDRESS: '0x0000000000000000000000000000000000000001',
+  SEPOLIA_USDT_ADDRESS: '0x00000000000000000000000000000000000000d0',
+  SEPOLIA_AUSDT_ADDRESS: '0x0000000000000000000000000000000000000003',
+  SEPOLIA_SMART_CONTRACT_ADDRESS: TORITO_WALLET,
+  PRIVATE_KEY: '0x' + '11'.repeat(32)
+});
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const ExchangeRate = require('../models/ExchangeRate');
+const blockchainService = require('../utils/blockchain');
+const walletRoutes = require('../routes/wallet');
+
+const GWEI = 10n ** 9n;
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'user@example.com',
+  walletAddress: WALLET,
+  network: 'sepolia',
+  getWalletAddresses: () => [WALLET]
+};
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/wallet', walletRoutes);
+
+const service = blockchainService.forNetwork('sepolia');
+
+const estimate = (query) => request(app).get('/api/wallet/gas-estimate').query(query);
+
+beforeEach(() => {
+  jest.spyOn(service, 'verifyChainId').mockResolvedValue();
+  jest.spyOn(service, 'getDecimals').mockResolvedValue(6);
+  jest.spyOn(ExchangeRate, 'getLatestRate').mockImplementation(async (from) => ({ rate: from === 'ETH' ? '2500' : '6.96' }));
+  jest.spyOn(service.provider, 'estimateGas').mockResolvedValue(100000n);
+  // Base fee of the next block last; priority fees paid at the 10th/50th/90th percentile per block
+  jest.spyOn(service.provider, 'send').mockImplementation(async (method) => {
+    if (method !== 'eth_feeHistory') throw new Error(`Unexpected ${method}`);
+    return {
+      baseFeePerGas: [ethers.toQuantity(9n * GWEI), ethers.toQuantity(10n * GWEI)],
+      reward: [[1n, 2n, 3n].map(fee => ethers.toQuantity(fee * GWEI)), [3n, 4n, 5n].map(fee => ethers.toQuantity(fee * GWEI))]
+    };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/wallet/gas-estimate', () => {
+  it('prices the simulated gas at each fee tier', async () => {
+    const response = await estimate({ operation: 'withdraw', amount: '100', usdtToBobRate: '6.96' });
+
+    expect(response.status).toBe(200);
+    const { gasEstimate } = response.body.data;
+    expect(gasEstimate).toMatchObject({ gasLimit: '100000', baseFeePerGas: String(10n * GWEI), gasPrice: String(13n * GWEI), estimatedCost: '0.0013' });
+    expect(gasEstimate.tiers.slow).toMatchObject({ maxPriorityFeePerGas: String(2n * GWEI), maxFeePerGas: String(22n * GWEI) });
+    expect(gasEstimate.tiers.fast).toMatchObject({ maxPriorityFeePerGas: String(4n * GWEI), maxFeePerGas: String(24n * GWEI) });
+    expect(gasEstimate.tiers.normal.estimatedCost).toEqual({ ETH: '0.0013', USDT: '3.250000', BOB: '22.62' });
+    expect(service.provider.estimateGas).toHaveBeenCalledWith(expect.objectContaining({ from: WALLET, to: TORITO_WALLET }));
+  });
+
+  it('spreads the node\'s suggested fee when eth_feeHistory is unavailable', async () => {
+    service.provider.send.mockRejectedValue(new Error('method not found'));
+    jest.spyOn(service.provider, 'getFeeData').mockResolvedValue({ maxPriorityFeePerGas: 2n * GWEI, gasPrice: 12n * GWEI });
+    jest.spyOn(service.provider, 'getBlock').mockResolvedValue({ baseFeePerGas: 10n * GWEI });
+
+    const response = await estimate({ operation: 'requestLoan', amount: '500', usdtToBobRate: '6.96' });
+
+    const { tiers } = response.body.data.gasEstimate;
+    expect([tiers.slow, tiers.normal, tiers.fast].map(tier => tier.maxPriorityFeePerGas)).toEqual([1600000000n, 2n * GWEI, 3n * GWEI].map(String));
+  });
+
+  it('reports a call that would revert instead of pricing it', async () => {
+    service.provider.estimateGas.mockRejectedValue(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', reason: 'Insufficient balance' }));
+
+    const response = await estimate({ operation: 'withdraw', amount: '100', usdtToBobRate: '6.96' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ wouldRevert: true, revertReason: 'Insufficient balance' });
+    expect(response.body.data.gasEstimate.gasLimit).toBeNull();
+    expect(response.body.data.gasEstimate.tiers.normal.estimatedCost).toBeNull();
+  });
+
+  it('uses the fallback gas limit for a deposit that needs its approve mined first', async () => {
+    jest.spyOn(service, 'getDepositPath').mockResolvedValue('approve');
+    service.provider.estimateGas
+      .mockResolvedValueOnce(46000n)
+      .mockRejectedValueOnce(Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }));
+
+    const response = await estimate({ operation: 'deposit', amount: '100' });
+
+    expect(response.body.data).toMatchObject({ depositPath: 'approve', wouldRevert: false });
+    expect(response.body.data.steps).toEqual([
+      { purpose: 'approve', gasLimit: '46000', simulated: true, wouldRevert: false },
+      { purpose: 'deposit', gasLimit: '300000', simulated: false, wouldRevert: false }
+    ]);
+    expect(response.body.data.gasEstimate.gasLimit).toBe('346000');
+  });
+
+  it('needs an amount with no more decimals than the currency has', async () => {
+    expect((await estimate({ operation: 'requestLoan', amount: '1.001' })).status).toBe(400);
+    expect((await estimate({ operation: 'withdraw' })).status).toBe(400);
+    expect((await estimate({ operation: 'borrow', amount: '1' })).status).toBe(400);
+  });
+});
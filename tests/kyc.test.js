@@ -0,0 +1,140 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const { getLimitsForUser } = require('../config/kyc');
+const { requireKycVerified } = require('../middleware/kyc');
+const kycRoutes = require('../routes/kyc');
+
+let currentUser;
+let applicant;
+
+const makeUser = (fields = {}) => new User({
+  email: `${fields.role || 'user'}-${Math.random().toString(16).slice(2)}@example.com`,
+  password: 'secret-password',
+  walletAddress: `0x${Math.random().toString(16).slice(2).padStart(40, '0')}`,
+  ...fields
+});
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = currentUser;
+  next();
+});
+app.post('/api/loans/request', requireKycVerified, (req, res) => res.status(201).json({ success: true }));
+app.use('/api/kyc', kycRoutes);
+
+const documents = (...types) => types.map(type => ({ type, country: 'BO', number: '1234567', fileReference: `kyc/${type}.jpg` }));
+
+const submit = (tier, ...types) => request(app).post('/api/kyc/submit').send({ tier, documents: documents(...types) });
+
+beforeEach(() => {
+  applicant = makeUser();
+  currentUser = applicant;
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => (applicant._id.equals(id) ? applicant : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('limits', () => {
+  it('fall back to tier 0 until the user is verified', () => {
+    const pending = makeUser({ kyc: { status: 'pending', tier: 2 } });
+    const verified = makeUser({ kyc: { status: 'verified', tier: 2 } });
+
+    expect(getLimitsForUser(pending)).toMatchObject({ tier: 0, name: 'unverified' });
+    expect(getLimitsForUser(pending).maxLoanBOB.isZero()).toBe(true);
+    expect(getLimitsForUser(verified)).toMatchObject({ tier: 2, name: 'full' });
+  });
+
+  it('keep unverified users away from loans', async () => {
+    const response = await request(app).post('/api/loans/request');
+
+    expect(response.status).toBe(403);
+    expect(response.body).toMatchObject({ code: 'KYC_REQUIRED', kycStatus: 'none' });
+
+    applicant.kyc.status = 'verified';
+    applicant.kyc.tier = 1;
+    expect((await request(app).post('/api/loans/request')).status).toBe(201);
+  });
+});
+
+describe('POST /api/kyc/submit', () => {
+  it('requires every document of the tier', async () => {
+    const response = await submit(2, 'national_id', 'selfie');
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual({ tier: 2, missing: ['proof_of_address'] });
+  });
+
+  it('puts the submission under review and keeps only the last digits of document numbers', async () => {
+    const response = await submit(1, 'national_id', 'selfie');
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ status: 'pending', requestedTier: 1 });
+    expect(response.body.data.documents[0].numberLast4).toBe('4567');
+    expect(JSON.stringify(response.body)).not.toContain('1234567');
+
+    expect((await submit(1, 'national_id', 'selfie')).status).toBe(400);
+  });
+});
+
+describe('KYC reviews', () => {
+  const approve = (tier) => request(app).post(`/api/kyc/reviews/${applicant._id}/approve`).send(tier ? { tier } : {});
+
+  beforeEach(async () => {
+    await submit(2, 'national_id', 'selfie', 'proof_of_address');
+    currentUser = makeUser({ role: 'operator' });
+  });
+
+  it('are closed to users', async () => {
+    currentUser = makeUser();
+
+    expect((await approve()).status).toBe(403);
+    expect(applicant.kyc.status).toBe('pending');
+  });
+
+  it('cannot be done on your own submission', async () => {
+    applicant.role = 'operator';
+    currentUser = applicant;
+
+    const response = await approve();
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('SELF_REVIEW_FORBIDDEN');
+  });
+
+  it('approve at a lower tier than requested', async () => {
+    const response = await approve(1);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'verified', tier: 1 });
+    expect(applicant.kyc.reviewedBy).toEqual(currentUser._id);
+  });
+
+  it('do not approve a higher tier than requested', async () => {
+    applicant.kyc.requestedTier = 1;
+
+    const response = await approve(2);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Cannot approve a higher tier than requested');
+    expect(applicant.kyc.status).toBe('pending');
+  });
+
+  it('leave a verified user at their tier when an upgrade is rejected', async () => {
+    await approve(1);
+    currentUser = applicant;
+    await submit(2, 'national_id', 'selfie', 'proof_of_address');
+    currentUser = makeUser({ role: 'operator' });
+
+    const response = await request(app).post(`/api/kyc/reviews/${applicant._id}/reject`).send({ reason: 'Blurry proof of address' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ status: 'verified', tier: 1, rejectionReason: 'Blurry proof of address' });
+  });
+});
@@ -0,0 +1,301 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/blockchain', () => {
+  const service = {
+    getLoanRequest: jest.fn(),
+    fulfillLoan: jest.fn(),
+    getToritoUserAccount: jest.fn(),
+    recordRepayment: jest.fn(),
+    getTransactionStatus: jest.fn()
+  };
+  return { service, forNetwork: jest.fn(() => service) };
+});
+
+const mongoose = require('mongoose');
+const Loan = require('../models/Loan');
+const ChainTransaction = require('../models/ChainTransaction');
+const logger = require('../utils/logger');
+const { service } = require('../utils/blockchain');
+const { bob } = require('../utils/money');
+const loanChainSync = require('../utils/loanChainSync');
+
+const NOW = new Date('2026-10-19T12:00:00.000Z');
+const BORROWER = '0x00000000000000000000000000000000000000aa';
+
+const makeLoan = (blockchain = { contractLoanId: '3', borrower: BORROWER }) => new Loan({
+  userId: new mongoose.Types.ObjectId(),
+  loanId: `LOAN-${Math.random().toString(36).slice(2)}`,
+  network: 'sepolia',
+  blockchain
+});
+
+// Let a background attempt finish
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+  jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() { return this; });
+  service.getLoanRequest.mockReset().mockResolvedValue({ fulfilled: false });
+  service.fulfillLoan.mockReset().mockResolvedValue({ hash: '0xabc' });
+  service.getToritoUserAccount.mockReset().mockResolvedValue({ bobDebt: bob('100') });
+  service.recordRepayment.mockReset().mockResolvedValue({ hash: '0xdef' });
+  service.getTransactionStatus.mockReset().mockResolvedValue({ status: 'pending' });
+  jest.spyOn(ChainTransaction, 'find').mockResolvedValue([]);
+  logger.error.mockClear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  delete process.env.LOAN_SYNC_MAX_ATTEMPTS;
+  delete process.env.LOAN_SYNC_RETRY_MS;
+});
+
+describe('queue', () => {
+  it('marks a linked call as due now without saving or sending it', () => {
+    const loan = makeLoan();
+    const sync = loanChainSync.queue(loan, 'repayment', { amountBOB: '25.50' });
+
+    expect(sync).toMatchObject({ status: 'pending', attempts: 0, nextAttemptAt: NOW });
+    expect(sync.amountBOB).toBe('25.50');
+    expect(Loan.prototype.save).not.toHaveBeenCalled();
+    expect(service.recordRepayment).not.toHaveBeenCalled();
+  });
+
+  it('skips loans without a ToritoWallet counterpart', () => {
+    const sync = loanChainSync.queue(makeLoan({}), 'fulfillment');
+    expect(sync.status).toBe('skipped');
+    expect(sync.nextAttemptAt).toBeUndefined();
+  });
+
+  it('leaves a call alone when the callback is delivered again', () => {
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'fulfillment');
+    loan.chainSync.fulfillment.status = 'sent';
+
+    expect(loanChainSync.queue(loan, 'fulfillment').status).toBe('sent');
+  });
+});
+
+describe('attemptInBackground', () => {
+  it('sends the queued call and saves the outcome', async () => {
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'fulfillment');
+    loanChainSync.attemptInBackground(loan, 'fulfillment');
+    await settled();
+
+    expect(service.fulfillLoan).toHaveBeenCalledWith('3', { userId: loan.userId, loanId: loan._id });
+    expect(loan.chainSync.fulfillment).toMatchObject({ status: 'sent', attempts: 1, transactionHash: '0xabc' });
+    expect(loan.chainSync.fulfillment.nextAttemptAt).toBeUndefined();
+    expect(Loan.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('caps a repayment at the debt on chain', async () => {
+    service.getToritoUserAccount.mockResolvedValue({ bobDebt: bob('10') });
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'repayment', { amountBOB: '25.50' });
+    loanChainSync.attemptInBackground(loan, 'repayment');
+    await settled();
+
+    expect(service.recordRepayment.mock.calls[0][1].toString()).toBe('10.00');
+  });
+
+  it('logs a failed save instead of rejecting', async () => {
+    Loan.prototype.save.mockRejectedValue(new Error('connection lost'));
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'fulfillment');
+
+    expect(() => loanChainSync.attemptInBackground(loan, 'fulfillment')).not.toThrow();
+    await settled();
+    expect(logger.error).toHaveBeenCalledWith(`Loan ${loan.loanId} fulfillment attempt failed:`, expect.any(Error));
+  });
+
+  it('does nothing for skipped calls', async () => {
+    const loan = makeLoan({});
+    loanChainSync.queue(loan, 'fulfillment');
+    loanChainSync.attemptInBackground(loan, 'fulfillment');
+    await settled();
+
+    expect(service.fulfillLoan).not.toHaveBeenCalled();
+  });
+});
+
+describe('unknown broadcast outcomes', () => {
+  const broadcastUnknown = () => Object.assign(new Error('Transaction 0xdef may not have reached the network: request timeout'), {
+    code: 'BROADCAST_UNKNOWN',
+    transactionHash: '0xdef'
+  });
+
+  const repaidLoan = () => {
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'repayment', { amountBOB: '25.50' });
+    return loan;
+  };
+
+  it('follows the transaction instead of scheduling a retry', async () => {
+    service.recordRepayment.mockRejectedValue(broadcastUnknown());
+    const loan = repaidLoan();
+    loanChainSync.attemptInBackground(loan, 'repayment');
+    await settled();
+
+    expect(loan.chainSync.repayment).toMatchObject({ status: 'sent', transactionHash: '0xdef' });
+    expect(loan.chainSync.repayment.nextAttemptAt).toBeUndefined();
+  });
+
+  it('does not record a repayment again when the broadcast threw but the transaction was mined', async () => {
+    service.recordRepayment.mockRejectedValueOnce(broadcastUnknown());
+    const loan = repaidLoan();
+    loanChainSync.attemptInBackground(loan, 'repayment');
+    await settled();
+
+    // Retried by hand before the tracker got to it
+    ChainTransaction.find.mockResolvedValue([{ transactionHash: '0xdef', status: 'pending' }]);
+    service.getTransactionStatus.mockResolvedValue({ status: 'confirmed' });
+    const sync = await loanChainSync.retry(loan, 'repayment');
+
+    expect(service.recordRepayment).toHaveBeenCalledTimes(1);
+    expect(ChainTransaction.find).toHaveBeenCalledWith(expect.objectContaining({ loanId: loan._id, purpose: 'loan_repayment' }));
+    expect(sync).toMatchObject({ status: 'confirmed', transactionHash: '0xdef' });
+  });
+
+  it('waits for an earlier repayment transaction that is still out', async () => {
+    ChainTransaction.find.mockResolvedValue([{ transactionHash: '0x123', status: 'pending' }]);
+    const loan = repaidLoan();
+    loanChainSync.attemptInBackground(loan, 'repayment');
+    await settled();
+
+    expect(service.recordRepayment).not.toHaveBeenCalled();
+    expect(loan.chainSync.repayment).toMatchObject({ status: 'sent', transactionHash: '0x123' });
+  });
+});
+
+describe('retry scheduling', () => {
+  const failingLoan = () => {
+    service.fulfillLoan.mockRejectedValue(new Error('execution reverted'));
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'fulfillment');
+    return loan;
+  };
+
+  it('retries a failed call after LOAN_SYNC_RETRY_MS, doubling each attempt', async () => {
+    process.env.LOAN_SYNC_RETRY_MS = '1000';
+    const loan = failingLoan();
+    jest.spyOn(Loan, 'find').mockReturnValue({ limit: async () => [loan] });
+
+    loanChainSync.attemptInBackground(loan, 'fulfillment');
+    await settled();
+    const sync = loan.chainSync.fulfillment;
+    expect(sync).toMatchObject({ status: 'failed', attempts: 1, lastError: 'execution reverted' });
+    expect(sync.nextAttemptAt).toEqual(new Date(NOW.getTime() + 1000));
+
+    // Not due yet
+    await loanChainSync.retryDue();
+    expect(sync.attempts).toBe(1);
+
+    jest.advanceTimersByTime(1000);
+    await loanChainSync.retryDue();
+    expect(sync.attempts).toBe(2);
+    expect(sync.nextAttemptAt).toEqual(new Date(NOW.getTime() + 1000 + 2000));
+
+    jest.advanceTimersByTime(2000);
+    await loanChainSync.retryDue();
+    expect(sync.attempts).toBe(3);
+    expect(sync.nextAttemptAt).toEqual(new Date(NOW.getTime() + 3000 + 4000));
+  });
+
+  it('picks up a queued call whose first attempt never ran', async () => {
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'fulfillment');
+    const find = jest.spyOn(Loan, 'find').mockReturnValue({ limit: async () => [loan] });
+
+    await loanChainSync.retryDue();
+
+    expect(find.mock.calls[0][0].$or[0]).toEqual({
+      'chainSync.fulfillment.status': { $in: ['pending', 'failed'] },
+      'chainSync.fulfillment.nextAttemptAt': { $lte: NOW }
+    });
+    expect(loan.chainSync.fulfillment.status).toBe('sent');
+  });
+
+  it('abandons a call after LOAN_SYNC_MAX_ATTEMPTS', async () => {
+    process.env.LOAN_SYNC_MAX_ATTEMPTS = '2';
+    const loan = failingLoan();
+    jest.spyOn(Loan, 'find').mockReturnValue({ limit: async () => [loan] });
+
+    await loanChainSync.retryDue();
+    jest.advanceTimersByTime(60 * 1000);
+    await loanChainSync.retryDue();
+
+    expect(loan.chainSync.fulfillment).toMatchObject({ status: 'abandoned', attempts: 2 });
+    expect(loan.chainSync.fulfillment.nextAttemptAt).toBeUndefined();
+  });
+
+  it('puts an abandoned call back in line on retry', async () => {
+    process.env.LOAN_SYNC_MAX_ATTEMPTS = '1';
+    const loan = failingLoan();
+    jest.spyOn(Loan, 'find').mockReturnValue({ limit: async () => [loan] });
+    await loanChainSync.retryDue();
+    expect(loan.chainSync.fulfillment.status).toBe('abandoned');
+
+    service.fulfillLoan.mockResolvedValue({ hash: '0xabc' });
+    const sync = await loanChainSync.retry(loan, 'fulfillment');
+    expect(sync).toMatchObject({ status: 'sent', attempts: 1 });
+  });
+
+  it('does not send a call again while its attempt is still out', async () => {
+    let finish;
+    service.fulfillLoan.mockReturnValue(new Promise(resolve => { finish = resolve; }));
+    const loan = makeLoan();
+    loanChainSync.queue(loan, 'fulfillment');
+    jest.spyOn(Loan, 'find').mockReturnValue({ limit: async () => [loan] });
+
+    loanChainSync.attemptInBackground(loan, 'fulfillment');
+    await settled();
+    await loanChainSync.retryDue();
+    finish({ hash: '0xabc' });
+    await settled();
+
+    expect(service.fulfillLoan).toHaveBeenCalledTimes(1);
+    expect(loan.chainSync.fulfillment).toMatchObject({ status: 'sent', attempts: 1 });
+  });
+
+  describe('settle', () => {
+    const sentLoan = async () => {
+      const loan = makeLoan();
+      loanChainSync.queue(loan, 'fulfillment');
+      loanChainSync.attemptInBackground(loan, 'fulfillment');
+      await settled();
+      jest.spyOn(Loan, 'findById').mockResolvedValue(loan);
+      return loan;
+    };
+
+    const record = (fields) => ({ purpose: 'loan_fulfill', loanId: 'id', transactionHash: '0xabc', ...fields });
+
+    it('confirms the call when its transaction confirms', async () => {
+      const loan = await sentLoan();
+      await loanChainSync.settle(record({ status: 'confirmed' }));
+      expect(loan.chainSync.fulfillment.status).toBe('confirmed');
+    });
+
+    it('schedules a retry when its transaction is dropped', async () => {
+      const loan = await sentLoan();
+      await loanChainSync.settle(record({ status: 'dropped' }));
+      expect(loan.chainSync.fulfillment).toMatchObject({ status: 'failed', lastError: 'Transaction 0xabc dropped' });
+      expect(loan.chainSync.fulfillment.nextAttemptAt).toEqual(new Date(NOW.getTime() + 60 * 1000));
+    });
+
+    it('follows a sped-up replacement', async () => {
+      const loan = await sentLoan();
+      await loanChainSync.settle(
+        record({ status: 'replaced' }),
+        record({ status: 'confirmed', transactionHash: '0xfff' })
+      );
+      expect(loan.chainSync.fulfillment).toMatchObject({ status: 'confirmed', transactionHash: '0xfff' });
+    });
+
+    it('ignores transactions of earlier attempts', async () => {
+      const loan = await sentLoan();
+      await loanChainSync.settle(record({ status: 'dropped', transactionHash: '0x123' }));
+      expect(loan.chainSync.fulfillment.status).toBe('sent');
+    });
+  });
+});
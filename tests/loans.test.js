@@ -0,0 +1,131 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../middleware/twoFactor', () => ({ requireStepUp: (req, res, next) => next() }));
+jest.mock('../middleware/apiKeyScopes', () => ({ requireScope: () => (req, res, next) => next() }));
+jest.mock('../middleware/emailVerified', () => ({ requireVerifiedEmail: (req, res, next) => next() }));
+jest.mock('../middleware/kyc', () => ({ requireKycVerified: (req, res, next) => next() }));
+jest.mock('../utils/blockchain', () => {
+  const { usdt, price, ratio } = require('../utils/money');
+  const service = {
+    network: { name: 'sepolia', chainId: 11155111 },
+    contracts: { toritoWallet: { target: '0x00000000000000000000000000000000000000c0' } },
+    verifyChainId: async () => {},
+    getCollateralAsset: () => ({ aToken: 'aUSDT', aTokenSymbol: 'aUSDT', ltv: ratio('0.5') }),
+    getTokenBalance: async () => usdt('1000'),
+    getAssetPriceUSD: async () => price(1),
+    getLoanRequest: jest.fn()
+  };
+  return { service, forNetwork: () => service };
+});
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Loan = require('../models/Loan');
+const ExchangeRate = require('../models/ExchangeRate');
+const ChainTransaction = require('../models/ChainTransaction');
+const ContractEvent = require('../models/ContractEvent');
+const { service } = require('../utils/blockchain');
+const { bob } = require('../utils/money');
+const loanRoutes = require('../routes/loans');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+const OTHER = '0x00000000000000000000000000000000000000bb';
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'borrower@example.com',
+  walletAddress: WALLET,
+  network: 'sepolia',
+  kyc: { status: 'verified', tier: 1 },
+  getWalletAddresses: () => [WALLET]
+};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/loans', loanRoutes);
+
+// A Mongoose query resolving to `documents`
+const query = (documents) => ({ sort: () => ({ limit: async () => documents }) });
+
+const loanRequest = (fields) => ({
+  contractLoanId: '7',
+  user: WALLET,
+  bobAmount: bob('100'),
+  fulfilled: false,
+  ...fields
+});
+
+const requestLoan = (fields = {}) => request(app).post('/api/loans/request').send({
+  collateralAmount: '100',
+  loanAmountBOB: '100',
+  bankAccount: { accountNumber: '123', bankName: 'Bank', accountHolder: 'Borrower' },
+  ...fields
+});
+
+let linked;
+
+beforeEach(() => {
+  linked = [];
+  jest.spyOn(ExchangeRate, 'getLatestRate').mockResolvedValue({ rate: '6.96' });
+  jest.spyOn(Loan, 'getOutstandingBOB').mockResolvedValue(bob(0));
+  jest.spyOn(Loan, 'exists').mockImplementation(async (filter) => linked.includes(filter['blockchain.contractLoanId']));
+  jest.spyOn(Loan.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(ContractEvent, 'find').mockReturnValue(query([]));
+  jest.spyOn(ChainTransaction, 'find').mockReturnValue(query([]));
+  jest.spyOn(ChainTransaction, 'exists').mockResolvedValue(null);
+  service.getLoanRequest.mockReset().mockImplementation(async (id) => loanRequest({ contractLoanId: id }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/loans/request', () => {
+  it('refuses a contractLoanId requested from another wallet', async () => {
+    service.getLoanRequest.mockResolvedValue(loanRequest({ user: OTHER }));
+
+    const response = await requestLoan({ contractLoanId: 7 });
+
+    expect(response.status).toBe(403);
+    expect(Loan.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('links the newest indexed request for the amount when no contractLoanId is sent', async () => {
+    ContractEvent.find.mockReturnValue(query([
+      { loanId: '9', amountBOB: '250.00' },
+      { loanId: '8', amountBOB: '100.00' },
+      { loanId: '7', amountBOB: '100.00' }
+    ]));
+    linked = ['8'];
+
+    const response = await requestLoan();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.contractLoanId).toBe('7');
+    expect(ContractEvent.find).toHaveBeenCalledWith({ network: 'sepolia', name: 'LoanRequested', user: { $in: [WALLET] } });
+    expect(service.getLoanRequest).toHaveBeenCalledWith('7', { quorum: true });
+  });
+
+  it('links a request the server made for the user', async () => {
+    ChainTransaction.find.mockReturnValue(query([{ contractLoanId: '5', params: { bobAmount: '100' } }]));
+    service.getLoanRequest.mockResolvedValue(loanRequest({ contractLoanId: '5', user: OTHER }));
+
+    const response = await requestLoan();
+
+    expect(response.body.data.contractLoanId).toBe('5');
+  });
+
+  it('leaves the loan unlinked when the chain disagrees with the index', async () => {
+    ContractEvent.find.mockReturnValue(query([{ loanId: '7', amountBOB: '100.00' }]));
+    service.getLoanRequest.mockResolvedValue(loanRequest({ fulfilled: true }));
+
+    const response = await requestLoan();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.contractLoanId).toBeUndefined();
+  });
+});
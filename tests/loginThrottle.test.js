@@ -0,0 +1,193 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/mailer', () => ({
+  sendNewDeviceEmail: jest.fn().mockResolvedValue('id'),
+  sendVerificationEmail: jest.fn().mockResolvedValue('id')
+}));
+
+const express = require('express');
+const request = require('supertest');
+const LoginThrottle = require('../models/LoginThrottle');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const loginSecurity = require('../utils/loginSecurity');
+const authRoutes = require('../routes/auth');
+
+// Throttle records kept in memory in place of MongoDB
+const records = new Map();
+
+const apply = (record, { $inc = {}, $set = {} }) => {
+  Object.entries($inc).forEach(([path, amount]) => record.set(path, (record.get(path) || 0) + amount));
+  Object.entries($set).forEach(([path, value]) => record.set(path, value));
+  return record;
+};
+
+beforeEach(() => {
+  records.clear();
+  jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async ({ key }, update) => {
+    const record = records.get(key) || new LoginThrottle({ key });
+    records.set(key, record);
+    return apply(record, update);
+  });
+  jest.spyOn(LoginThrottle, 'find').mockImplementation(async ({ key }) => key.$in.filter(k => records.has(k)).map(k => records.get(k)));
+  jest.spyOn(LoginThrottle, 'deleteOne').mockImplementation(async ({ key }) => ({ deletedCount: records.delete(key) ? 1 : 0 }));
+  jest.spyOn(LoginThrottle.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'recordLoginEvent').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const policy = { delayAfter: 3, lockAfter: 5, lockMs: 15 * 60 * 1000, maxDelayMs: 30 * 1000, windowMs: 60 * 60 * 1000 };
+
+describe('LoginThrottle', () => {
+  const fail = (times) => Promise.all(Array.from({ length: times }, () => LoginThrottle.registerFailure('account:a@b.c', policy)));
+
+  it('lets the first failures through', async () => {
+    await fail(2);
+    expect(await LoginThrottle.check(['account:a@b.c'])).toEqual({ blocked: false, locked: false, retryAfterSeconds: 0 });
+  });
+
+  it('delays attempts progressively after delayAfter failures', async () => {
+    await fail(3);
+    expect(await LoginThrottle.check(['account:a@b.c'])).toEqual({ blocked: true, locked: false, retryAfterSeconds: 1 });
+
+    await fail(1);
+    expect((await LoginThrottle.check(['account:a@b.c'])).retryAfterSeconds).toBe(2);
+
+    jest.advanceTimersByTime(2000);
+    expect((await LoginThrottle.check(['account:a@b.c'])).blocked).toBe(false);
+  });
+
+  it('locks the key after lockAfter failures until lockMs has passed', async () => {
+    await fail(5);
+    const record = records.get('account:a@b.c');
+    expect(record.failures).toBe(0);
+    expect(await LoginThrottle.check(['ip:1.2.3.4', 'account:a@b.c'])).toEqual({ blocked: true, locked: true, retryAfterSeconds: 900 });
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect((await LoginThrottle.check(['account:a@b.c'])).locked).toBe(false);
+  });
+
+  it('forgets the key on reset', async () => {
+    await fail(5);
+    await LoginThrottle.reset('account:a@b.c');
+    expect((await LoginThrottle.check(['account:a@b.c'])).blocked).toBe(false);
+  });
+});
+
+describe('loginSecurity', () => {
+  const req = { ip: '1.2.3.4', body: {}, get: () => 'jest' };
+
+  const existingUser = () => {
+    const user = new User({
+      email: 'a@b.c',
+      password: 'secret-password',
+      walletAddress: '0x00000000000000000000000000000000000000aa',
+      linkedWallets: [{ address: '0x00000000000000000000000000000000000000bb' }]
+    });
+    user.isNew = false;
+    return user;
+  };
+
+  const lockAccount = async (accountKey, user) => {
+    for (let i = 0; i < 10; i++) {
+      await loginSecurity.recordFailure(req, accountKey, user, { method: 'password' });
+    }
+  };
+
+  it('locks an account after repeated failures and logs each one atomically', async () => {
+    const user = existingUser();
+    await lockAccount('a@b.c', user);
+
+    expect(await loginSecurity.checkThrottle(req, 'A@B.C')).toMatchObject({ blocked: true, locked: true });
+    expect(User.recordLoginEvent).toHaveBeenCalledTimes(10);
+    expect(User.recordLoginEvent).toHaveBeenLastCalledWith(user._id, expect.objectContaining({ method: 'password', outcome: 'failed' }));
+  });
+
+  it('keeps the lockout when the first factor only earns a 2FA challenge', async () => {
+    const user = existingUser();
+    await lockAccount('a@b.c', user);
+
+    await loginSecurity.recordSuccess(req, 'a@b.c', user, { method: 'password', outcome: '2fa_required' });
+    expect(await loginSecurity.checkThrottle(req, 'a@b.c')).toMatchObject({ locked: true });
+    expect(User.recordLoginEvent).toHaveBeenLastCalledWith(user._id, expect.objectContaining({ outcome: '2fa_required' }));
+  });
+
+  it('clears every identifier of the user once 2FA passes', async () => {
+    const user = existingUser();
+    await lockAccount('a@b.c', user);
+    await lockAccount(user.walletAddress, user);
+
+    await loginSecurity.recordSuccess(req, 'a@b.c', user, { method: '2fa' });
+    expect(records.has('account:a@b.c')).toBe(false);
+    expect(records.has(`account:${user.walletAddress}`)).toBe(false);
+    // The IP counter is not the account's to clear
+    expect(records.has('ip:1.2.3.4')).toBe(true);
+  });
+
+  it('clears only the account used for a single-factor login', async () => {
+    const user = existingUser();
+    await lockAccount('a@b.c', user);
+    await lockAccount(user.walletAddress, user);
+
+    await loginSecurity.recordSuccess(req, user.walletAddress, user, { method: 'siwe' });
+    expect(records.has(`account:${user.walletAddress}`)).toBe(false);
+    expect(records.has('account:a@b.c')).toBe(true);
+  });
+
+  it('does not flag the first device of a new user', async () => {
+    const user = existingUser();
+
+    const { newDevice } = await loginSecurity.recordSuccess(req, 'a@b.c', user, { method: 'password' });
+    expect(newDevice).toBe(false);
+    expect(User.recordLoginEvent).toHaveBeenCalledWith(user._id, expect.objectContaining({ outcome: 'success', newDevice: false }));
+    expect(user.knownDevices).toHaveLength(1);
+  });
+});
+
+describe('POST /api/auth/register', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const register = () => request(app).post('/api/auth/register').send({
+    email: 'user@example.com',
+    password: 'secret-password',
+    walletAddress: '0x00000000000000000000000000000000000000aa'
+  });
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findByWalletAddress').mockResolvedValue(null);
+    jest.spyOn(Session, 'start').mockResolvedValue({ session: { _id: 'session' }, refreshToken: 'refresh' });
+    records.set('account:user@example.com', new LoginThrottle({ key: 'account:user@example.com', failures: 2 }));
+  });
+
+  it('records the first login once the user is saved', async () => {
+    const save = jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const response = await register();
+
+    expect(response.status).toBe(201);
+    expect(save.mock.invocationCallOrder[0]).toBeLessThan(User.recordLoginEvent.mock.invocationCallOrder[0]);
+    expect(records.has('account:user@example.com')).toBe(false);
+    // The first device is saved too
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(save.mock.contexts[1].knownDevices).toHaveLength(1);
+  });
+
+  it('leaves the login counters and history alone when saving fails', async () => {
+    jest.spyOn(User.prototype, 'save').mockRejectedValue(new Error('E11000 duplicate key'));
+
+    const response = await register();
+
+    expect(response.status).toBe(500);
+    expect(records.has('account:user@example.com')).toBe(true);
+    expect(User.recordLoginEvent).not.toHaveBeenCalled();
+  });
+});
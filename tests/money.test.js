@@ -0,0 +1,152 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { Money, AmountError, DECIMALS, ROUNDING, isAmount, moneyField, fromDecimal128, usdt, bob, rate, ratio } = require('../utils/money');
+
+// ToritoWallet.sol, in base units: USDT has 6 decimals, BOB 2, the rate 8
+const RATE_DECIMALS = 8n;
+const LTV_RATIO = 50n;
+const PRECISION = 100n;
+
+const calculateMaxBorrowable = (usdtBalance, usdtToBobRate) => {
+  const bobValue = (usdtBalance * usdtToBobRate) / 10n ** (RATE_DECIMALS + 6n - 2n);
+  return (bobValue * LTV_RATIO) / PRECISION;
+};
+
+const calculateRequiredCollateral = (bobAmount, usdtToBobRate) => {
+  const usdtValue = (bobAmount * 10n ** (RATE_DECIMALS + 6n - 2n)) / usdtToBobRate;
+  return (usdtValue * PRECISION) / LTV_RATIO;
+};
+
+// Deterministic amounts with awkward remainders
+const samples = (count, seed, max) => {
+  const values = [];
+  let state = seed;
+  for (let i = 0; i < count; i++) {
+    state = (state * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+    values.push(state % max);
+  }
+  return values;
+};
+
+describe('Money', () => {
+  describe('parse', () => {
+    it('reads strings, numbers and exponents into base units', () => {
+      expect(usdt('12.5').units).toBe(12500000n);
+      expect(usdt(12.5).units).toBe(12500000n);
+      expect(bob('-0.5').units).toBe(-50n);
+      expect(bob('.25').units).toBe(25n);
+      expect(usdt('1.5e3').units).toBe(1500000000n);
+      expect(usdt(1e-6).units).toBe(1n);
+    });
+
+    it('rejects lost digits unless told how to round', () => {
+      expect(() => bob('1.005')).toThrow(AmountError);
+      expect(bob('1.005', ROUNDING.DOWN).toString()).toBe('1.00');
+      expect(bob('1.001', ROUNDING.UP).toString()).toBe('1.01');
+      expect(bob('1.005', ROUNDING.HALF_UP).toString()).toBe('1.01');
+      expect(bob('1.004', ROUNDING.HALF_UP).toString()).toBe('1.00');
+    });
+
+    it('rounds negative amounts symmetrically', () => {
+      expect(bob('-1.005', ROUNDING.DOWN).toString()).toBe('-1.00');
+      expect(bob('-1.001', ROUNDING.UP).toString()).toBe('-1.01');
+      expect(bob('-1.005', ROUNDING.HALF_UP).toString()).toBe('-1.01');
+    });
+
+    it('rejects malformed and out of range amounts', () => {
+      for (const value of ['', 'abc', '.', '1..2', '0x10', NaN, Infinity, null, undefined]) {
+        expect(() => bob(value)).toThrow(AmountError);
+      }
+      expect(() => bob('1e10000000')).toThrow('Amount out of range');
+      expect(() => bob('1'.repeat(101))).toThrow('Amount out of range');
+    });
+  });
+
+  it('prints every decimal', () => {
+    expect(bob(5).toString()).toBe('5.00');
+    expect(usdt('0.000001').toString()).toBe('0.000001');
+    expect(bob('-0.05').toString()).toBe('-0.05');
+    expect(JSON.stringify({ amount: bob('12.5') })).toBe('{"amount":"12.50"}');
+  });
+
+  it('rescales toward zero by default', () => {
+    expect(usdt('1.239999').rescale(DECIMALS.BOB).toString()).toBe('1.23');
+    expect(usdt('1.231').rescale(DECIMALS.BOB, ROUNDING.UP).toString()).toBe('1.24');
+    expect(bob('1.23').rescale(DECIMALS.USDT).toString()).toBe('1.230000');
+  });
+
+  it('refuses to combine amounts with different decimals', () => {
+    expect(() => bob(1).add(usdt(1))).toThrow(AmountError);
+    expect(bob(1).add('0.5').toString()).toBe('1.50');
+  });
+
+  describe('against the ToritoWallet formulas', () => {
+    const rates = [rate('6.96'), rate('6.96123457'), rate('13.33333333'), rate('0.00000001')];
+
+    it('matches calculateMaxBorrowable', () => {
+      for (const usdtToBobRate of rates) {
+        for (const units of samples(200, 1n, 10n ** 15n)) {
+          const usdtBalance = Money.fromUnits(units, DECIMALS.USDT);
+          const maxBorrowable = usdtBalance.mul(usdtToBobRate, DECIMALS.BOB).mul(ratio('0.5'));
+          expect(maxBorrowable.units).toBe(calculateMaxBorrowable(units, usdtToBobRate.units));
+        }
+      }
+    });
+
+    it('matches calculateRequiredCollateral', () => {
+      for (const usdtToBobRate of rates) {
+        for (const units of samples(200, 2n, 10n ** 10n)) {
+          const bobAmount = Money.fromUnits(units, DECIMALS.BOB);
+          const required = bobAmount.div(usdtToBobRate, DECIMALS.USDT).div(ratio('0.5'), DECIMALS.USDT);
+          expect(required.units).toBe(calculateRequiredCollateral(units, usdtToBobRate.units));
+        }
+      }
+    });
+  });
+});
+
+describe('isAmount', () => {
+  const check = isAmount(DECIMALS.BOB, 1);
+
+  it('accepts numbers and plain decimal strings', () => {
+    expect(check('1')).toBe(true);
+    expect(check('12.50')).toBe(true);
+    expect(check(12.5)).toBe(true);
+  });
+
+  it('rejects amounts below the minimum or with too many decimals', () => {
+    expect(check('0.99')).toBe(false);
+    expect(check('-5')).toBe(false);
+    expect(check('1.001')).toBe(false);
+  });
+
+  it('rejects other types, padding and exponents', () => {
+    for (const value of [[1], { amount: 1 }, true, null, undefined, ' 5 ', '5 ', '1e3', '1e10000000']) {
+      expect(check(value)).toBe(false);
+    }
+  });
+});
+
+describe('stored amounts', () => {
+  const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+  const { get } = moneyField(DECIMALS.BOB);
+
+  beforeEach(() => {
+    logger.warn.mockClear();
+  });
+
+  it('reads exact amounts quietly', () => {
+    expect(get(decimal('12.5'))).toBe('12.50');
+    expect(fromDecimal128(decimal('300.25'), DECIMALS.BOB).toString()).toBe('300.25');
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('rounds legacy floats half up and logs it', () => {
+    expect(get(decimal('12.4999999'))).toBe('12.50');
+    expect(fromDecimal128(decimal('0.005'), DECIMALS.BOB).toString()).toBe('0.01');
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+    expect(logger.warn).toHaveBeenCalledWith('Stored amount 12.4999999 has more than 2 decimals, read as 12.50');
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../middleware/twoFactor', () => ({ requireStepUp: (req, res, next) => next() }));
+jest.mock('../utils/blockchain', () => {
+  const service = {
+    network: { name: 'sepolia', chainId: 11155111 },
+    verifyChainId: async () => {},
+    getChainId: async () => 11155111n,
+    getToritoUserAccount: jest.fn(),
+    prepareWithdrawTransactions: jest.fn(),
+    withdrawFromToritoContract: jest.fn(),
+    describeTransaction: jest.fn(),
+    broadcastSignedTransaction: jest.fn(),
+    getTransaction: jest.fn()
+  };
+  return { service, forNetwork: () => service };
+});
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const ChainTransaction = require('../models/ChainTransaction');
+const Withdrawal = require('../models/Withdrawal');
+const { service } = require('../utils/blockchain');
+const { usdt, bob, rate } = require('../utils/money');
+const walletRoutes = require('../routes/wallet');
+
+const TORITO_WALLET = '0x00000000000000000000000000000000000000c0';
+
+const signer = ethers.Wallet.createRandom();
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'user@example.com',
+  walletAddress: signer.address.toLowerCase(),
+  network: 'sepolia',
+  kyc: { status: 'verified', tier: 1 },
+  getWalletAddresses: () => [signer.address.toLowerCase()]
+};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/wallet', walletRoutes);
+
+const sign = (fields = {}, wallet = signer) => wallet.signTransaction({
+  type: 2,
+  chainId: 11155111,
+  nonce: 0,
+  to: TORITO_WALLET,
+  data: '0xb6b55f25',
+  gasLimit: 100000,
+  maxFeePerGas: 10n ** 10n,
+  maxPriorityFeePerGas: 10n ** 9n,
+  ...fields
+});
+
+const submit = (signedTransaction) => request(app).post('/api/wallet/transactions').send({ signedTransaction });
+
+let records;
+
+beforeEach(() => {
+  records = [];
+  jest.spyOn(ChainTransaction, 'findOne').mockImplementation(async ({ transactionHash }) => records.find(record => record.transactionHash === transactionHash) || null);
+  jest.spyOn(ChainTransaction, 'create').mockImplementation(async (fields) => {
+    const record = new ChainTransaction(fields);
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(Withdrawal, 'totalSince').mockResolvedValue(usdt(0));
+
+  service.describeTransaction.mockReset().mockResolvedValue({ purpose: 'deposit', params: { amount: usdt('100') } });
+  service.broadcastSignedTransaction.mockReset().mockResolvedValue({ hash: '0x' });
+  service.getToritoUserAccount.mockReset().mockResolvedValue({ usdtBalance: usdt('500'), bobDebt: bob(0) });
+  service.prepareWithdrawTransactions.mockReset().mockResolvedValue([{ purpose: 'withdraw', to: TORITO_WALLET, nonce: 0 }]);
+  service.withdrawFromToritoContract.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/wallet/withdraw in non-custodial mode', () => {
+  it('returns the transactions to sign and sends nothing', async () => {
+    const response = await request(app).post('/api/wallet/withdraw').send({ amount: '100', usdtToBobRate: '6.96', mode: 'non-custodial' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ mode: 'non-custodial', submitUrl: '/api/wallet/transactions', amount: '100.000000' });
+    expect(response.body.data.transactions).toEqual([{ purpose: 'withdraw', to: TORITO_WALLET, nonce: 0 }]);
+    expect(service.prepareWithdrawTransactions).toHaveBeenCalledWith(usdt('100'), rate('6.96'), user.walletAddress);
+    expect(service.withdrawFromToritoContract).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/wallet/transactions', () => {
+  it('broadcasts a signed Torito Wallet call and tracks it', async () => {
+    const signedTransaction = await sign();
+
+    const response = await submit(signedTransaction);
+
+    expect(response.status).toBe(202);
+    expect(service.broadcastSignedTransaction).toHaveBeenCalledWith(signedTransaction);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({
+      transactionHash: ethers.keccak256(signedTransaction),
+      signer: 'user',
+      from: user.walletAddress,
+      purpose: 'deposit',
+      submittedAs: 'raw'
+    });
+  });
+
+  it('returns the record already tracked for the same transaction', async () => {
+    const signedTransaction = await sign();
+    await submit(signedTransaction);
+
+    const response = await submit(signedTransaction);
+
+    expect(response.status).toBe(200);
+    expect(records).toHaveLength(1);
+    expect(service.broadcastSignedTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses transactions signed by an address the user has not linked', async () => {
+    const response = await submit(await sign({}, ethers.Wallet.createRandom()));
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('ADDRESS_NOT_LINKED');
+    expect(service.broadcastSignedTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses transactions for another chain', async () => {
+    const response = await submit(await sign({ chainId: 1 }));
+
+    expect(response.body.code).toBe('CHAIN_ID_MISMATCH');
+    expect(service.broadcastSignedTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses anything but a Torito Wallet call', async () => {
+    service.describeTransaction.mockResolvedValue(null);
+
+    const response = await submit(await sign({ to: ethers.Wallet.createRandom().address, data: '0x' }));
+
+    expect(response.body.code).toBe('UNSUPPORTED_TRANSACTION');
+    expect(service.broadcastSignedTransaction).not.toHaveBeenCalled();
+  });
+
+  it('refuses unsigned and malformed transactions', async () => {
+    const unsigned = ethers.Transaction.from({ type: 2, chainId: 11155111, nonce: 0, to: TORITO_WALLET, gasLimit: 100000 }).unsignedSerialized;
+
+    expect((await submit(unsigned)).body.code).toBe('INVALID_TRANSACTION');
+    expect((await submit('0x1234')).body.code).toBe('INVALID_TRANSACTION');
+  });
+
+  it('hands a rejected broadcast back to the app without tracking it', async () => {
+    service.broadcastSignedTransaction.mockRejectedValue(Object.assign(new Error('nonce too low'), { shortMessage: 'nonce too low' }));
+
+    const response = await submit(await sign());
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ code: 'BROADCAST_FAILED', details: 'nonce too low' });
+    expect(records).toHaveLength(0);
+  });
+
+  it('tracks a transaction the node already had', async () => {
+    service.broadcastSignedTransaction.mockRejectedValue(new Error('already known'));
+
+    expect((await submit(await sign())).status).toBe(202);
+    expect(records).toHaveLength(1);
+  });
+});
@@ -0,0 +1,181 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { ethers } = require('ethers');
+
+const USDT = '0x00000000000000000000000000000000000000d0';
+const TORITO_WALLET = '0x00000000000000000000000000000000000000c0';
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+Object.assign(process.env, {
+  NETWORKS: 'sepolia',
+  SEPOLIA_RPC_URLS: 'http://127.0.0.1:1',
+  SEPOLIA_AAVE_POOL_ADDRESS: '0x0000000000000000000000000000000000000001',
+  SEPOLIA_USDT_ADDRESS: USDT,
+  SEPOLIA_AUSDT_ADDRESS: '0x0000000000000000000000000000000000000003',
+  SEPOLIA_SMART_CONTRACT_ADDRESS: TORITO_WALLET,
+  SEPOLIA_PERMIT_DEPOSITS: 'true',
+  PRIVATE_KEY: '0x' + '11'.repeat(32)
+});
+
+const blockchainService = require('../utils/blockchain');
+const ChainReader = require('../utils/chainReader');
+const { usdt } = require('../utils/money');
+
+const token = new ethers.Interface([
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function name() view returns (string)',
+  'function version() view returns (string)'
+]);
+const multicall = new ethers.Interface([
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+]);
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const DOMAIN = { name: 'Tether USD', version: '1', chainId: 11155111, verifyingContract: ethers.getAddress(USDT) };
+
+// USDT as the node answers for it. Getters set to null revert, like on a token that lacks them.
+let usdtState;
+
+const answer = (data) => {
+  const call = token.parseTransaction({ data });
+  if (!call) {
+    return { success: false, returnData: '0x' }; // eip712Domain() and anything else USDT lacks
+  }
+  const values = {
+    decimals: 6,
+    allowance: usdtState.allowance,
+    nonces: usdtState.nonce,
+    DOMAIN_SEPARATOR: usdtState.domainSeparator,
+    name: usdtState.name,
+    version: usdtState.version
+  };
+  const value = values[call.name];
+  return value === null || value === undefined
+    ? { success: false, returnData: '0x' }
+    : { success: true, returnData: token.encodeFunctionResult(call.name, [value]) };
+};
+
+const owner = ethers.Wallet.createRandom();
+const service = blockchainService.forNetwork('sepolia');
+const DEADLINE = 2000000000;
+
+beforeEach(() => {
+  usdtState = {
+    allowance: 0n,
+    nonce: 3n,
+    domainSeparator: ethers.TypedDataEncoder.hashDomain(DOMAIN),
+    name: 'Tether USD',
+    version: null
+  };
+  service.permitDomains.clear();
+  service.reader = new ChainReader(service.provider); // Nothing cached from the previous test
+
+  jest.spyOn(service.provider, 'getBlockNumber').mockResolvedValue(100);
+  jest.spyOn(service.provider, 'call').mockImplementation(async ({ to, data }) => {
+    if (to.toLowerCase() === MULTICALL.toLowerCase()) {
+      const [calls] = multicall.decodeFunctionData('aggregate3', data);
+      return multicall.encodeFunctionResult('aggregate3', [calls.map(({ callData }) => answer(callData))]);
+    }
+    const { success, returnData } = answer(data);
+    if (!success) {
+      throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', { action: 'call', data: '0x', reason: null, transaction: { to, data }, invocation: null, revert: null });
+    }
+    return returnData;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const signPermit = (signer, fields = {}) => signer.signTypedData(DOMAIN, PERMIT_TYPES, {
+  owner: owner.address,
+  spender: TORITO_WALLET,
+  value: 100000000n,
+  nonce: 3n,
+  deadline: DEADLINE,
+  ...fields
+});
+
+describe('deposit permits', () => {
+  it('rebuild the token\'s domain, falling back to version "1" without version()', async () => {
+    const permit = await service.buildDepositPermit(owner.address, usdt('100'), DEADLINE);
+
+    expect(permit.domain).toEqual(DOMAIN);
+    expect(permit.message).toEqual({
+      owner: owner.address,
+      spender: ethers.getAddress(TORITO_WALLET),
+      value: '100000000',
+      nonce: '3',
+      deadline: String(DEADLINE)
+    });
+    expect(permit.typedData.primaryType).toBe('Permit');
+  });
+
+  it('accept the owner\'s signature of exactly these terms', async () => {
+    const signature = await signPermit(owner);
+
+    expect(await service.verifyDepositPermit(owner.address, usdt('100'), DEADLINE, signature)).toBe(true);
+  });
+
+  it('refuse a signature of other terms, by someone else or at a spent nonce', async () => {
+    expect(await service.verifyDepositPermit(owner.address, usdt('100'), DEADLINE, await signPermit(owner, { value: 1n }))).toBe(false);
+    expect(await service.verifyDepositPermit(owner.address, usdt('100'), DEADLINE, await signPermit(ethers.Wallet.createRandom()))).toBe(false);
+
+    const signature = await signPermit(owner);
+    usdtState.nonce = 4n;
+    expect(await service.verifyDepositPermit(owner.address, usdt('100'), DEADLINE, signature)).toBe(false);
+  });
+
+  it('are not offered when the domain cannot be rebuilt', async () => {
+    usdtState.name = 'Another name';
+
+    expect(await service.buildDepositPermit(owner.address, usdt('100'), DEADLINE)).toBeNull();
+    expect(await service.getDepositPath(owner.address, 100000000n)).toBe('approve');
+  });
+});
+
+describe('getDepositPath', () => {
+  it('uses the allowance already given', async () => {
+    usdtState.allowance = 100000000n;
+
+    expect(await service.getDepositPath(owner.address, 100000000n)).toBe('allowance');
+  });
+
+  it('signs a permit when the token has one', async () => {
+    const { path, calls } = await service.getDepositCalls(usdt('100'), owner.address);
+
+    expect(path).toBe('permit');
+    expect(calls).toEqual([expect.objectContaining({ purpose: 'deposit', to: TORITO_WALLET, awaitingSignature: true })]);
+  });
+
+  it('approves first when the token has no permit', async () => {
+    usdtState.domainSeparator = null;
+
+    const { path, calls } = await service.getDepositCalls(usdt('100'), owner.address);
+
+    expect(path).toBe('approve');
+    expect(calls.map(call => call.purpose)).toEqual(['approve', 'deposit']);
+  });
+
+  it('approves first on networks whose ToritoWallet has no depositWithPermit', async () => {
+    service.network.permitDeposits = false;
+    try {
+      expect(await service.getDepositPath(owner.address, 100000000n)).toBe('approve');
+    } finally {
+      service.network.permitDeposits = true;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { ethers } = require('ethers');
+const { FailoverProvider, RpcUnavailableError } = require('../utils/rpcProvider');
+
+const CHAIN_ID = 11155111;
+const URLS = ['https://one.example/rpc', 'https://two.example/rpc', 'https://three.example/rpc'];
+
+const rawTransaction = async (nonce = 0) => ethers.Wallet.createRandom().signTransaction({
+  type: 2,
+  chainId: CHAIN_ID,
+  nonce,
+  to: '0x00000000000000000000000000000000000000aa',
+  gasLimit: 21000,
+  maxFeePerGas: 10n ** 10n,
+  maxPriorityFeePerGas: 10n ** 9n
+});
+
+const timeout = () => Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+
+// `answers` maps an endpoint host to a function answering one request: a
+// JSON-RPC response, or an Error thrown as a transport failure
+const makeProvider = (answers) => {
+  const provider = new FailoverProvider({ name: 'sepolia', chainId: CHAIN_ID, rpcUrls: URLS });
+  jest.spyOn(provider, 'sendTo').mockImplementation(async (endpoint, payload) => {
+    const responses = (Array.isArray(payload) ? payload : [payload]).map(answers[endpoint.host]);
+    const failure = responses.find(response => response instanceof Error);
+    if (failure) {
+      provider.recordFailure(endpoint, failure);
+      throw failure;
+    }
+    provider.recordSuccess(endpoint, 5);
+    return Array.isArray(payload) ? responses : responses[0];
+  });
+  return provider;
+};
+
+const isBroadcast = (payload) => payload.method === 'eth_sendRawTransaction';
+
+// Accepts transactions and answers block 16 to reads
+const accept = (payload) => ({
+  jsonrpc: '2.0',
+  id: payload.id,
+  result: isBroadcast(payload) ? ethers.keccak256(payload.params[0]) : '0x10'
+});
+// Rejects transactions with `message`
+const reject = (message) => (payload) => (isBroadcast(payload)
+  ? { jsonrpc: '2.0', id: payload.id, error: { code: -32000, message } }
+  : accept(payload));
+const fail = () => timeout();
+// Times out on transactions, which it may still have taken
+const lose = (payload) => (isBroadcast(payload) ? timeout() : accept(payload));
+
+const broadcasts = (provider) => provider.sendTo.mock.calls
+  .filter(([, payload]) => (Array.isArray(payload) ? payload : [payload]).some(isBroadcast))
+  .map(([endpoint]) => endpoint.host)
+  .sort();
+
+describe('FailoverProvider', () => {
+  describe('reads', () => {
+    it('fail over to the next endpoint on transport errors', async () => {
+      const provider = makeProvider({ 'one.example': fail, 'two.example': accept, 'three.example': accept });
+
+      expect(await provider.getBlockNumber()).toBe(16);
+      expect(provider.sendTo.mock.calls.map(([endpoint]) => endpoint.host)).toEqual(['one.example', 'two.example']);
+    });
+
+    it('throw RpcUnavailableError when every endpoint fails', async () => {
+      const provider = makeProvider({ 'one.example': fail, 'two.example': fail, 'three.example': fail });
+      await expect(provider._send({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] })).rejects.toBeInstanceOf(RpcUnavailableError);
+    });
+  });
+
+  describe('eth_sendRawTransaction', () => {
+    it('is sent to every endpoint instead of failing over', async () => {
+      const raw = await rawTransaction();
+      const provider = makeProvider({ 'one.example': lose, 'two.example': accept, 'three.example': accept });
+
+      const response = await provider.broadcastTransaction(raw);
+
+      expect(response.hash).toBe(ethers.keccak256(raw));
+      expect(broadcasts(provider)).toEqual(['one.example', 'three.example', 'two.example']);
+    });
+
+    it('succeeds when the only answering endpoint already knows the transaction', async () => {
+      const raw = await rawTransaction();
+      const provider = makeProvider({ 'one.example': fail, 'two.example': reject('already known'), 'three.example': fail });
+
+      const response = await provider.broadcastTransaction(raw);
+      expect(response.hash).toBe(ethers.keccak256(raw));
+    });
+
+    it('prefers an acceptance over other nodes saying the nonce is used', async () => {
+      const raw = await rawTransaction(4);
+      const provider = makeProvider({
+        'one.example': accept,
+        'two.example': reject('nonce too low'),
+        'three.example': reject('nonce too low')
+      });
+
+      const response = await provider.broadcastTransaction(raw);
+      expect(response.hash).toBe(ethers.keccak256(raw));
+    });
+
+    it('returns the node rejection when no endpoint took it', async () => {
+      const raw = await rawTransaction();
+      const provider = makeProvider({
+        'one.example': reject('insufficient funds for gas * price + value'),
+        'two.example': fail,
+        'three.example': fail
+      });
+
+      await expect(provider.broadcastTransaction(raw)).rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS' });
+    });
+
+    it('is unavailable only when no endpoint answered', async () => {
+      const raw = await rawTransaction();
+      const provider = makeProvider({ 'one.example': fail, 'two.example': fail, 'three.example': fail });
+
+      await expect(provider._send({ jsonrpc: '2.0', id: 7, method: 'eth_sendRawTransaction', params: [raw] }))
+        .rejects.toBeInstanceOf(RpcUnavailableError);
+      expect(broadcasts(provider)).toEqual(['one.example', 'three.example', 'two.example']);
+    });
+
+    it('answers a batch with reads and a broadcast by id', async () => {
+      const raw = await rawTransaction();
+      const provider = makeProvider({ 'one.example': accept, 'two.example': fail, 'three.example': fail });
+
+      const responses = await provider._send([
+        { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] },
+        { jsonrpc: '2.0', id: 2, method: 'eth_sendRawTransaction', params: [raw] }
+      ]);
+
+      expect(responses.find(response => response.id === 1).result).toBe('0x10');
+      expect(responses.find(response => response.id === 2).result).toBe(ethers.keccak256(raw));
+    });
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const authRoutes = require('../routes/auth');
+
+// Sessions kept in memory in place of MongoDB
+let sessions;
+
+const user = new User({ email: 'user@example.com', password: 'secret-password', walletAddress: '0x00000000000000000000000000000000000000aa' });
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.get('/protected', authMiddleware, (req, res) => res.json({ success: true, sessionId: req.authSession._id }));
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+const accessToken = (session) => jwt.sign({ userId: user._id, sid: session._id }, process.env.JWT_SECRET);
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  sessions = [];
+  jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+    const session = new Session(fields);
+    sessions.push(session);
+    return session;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(async (id) => sessions.find(session => session._id.equals(id)) || null);
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, { $set }) => {
+    const matches = sessions.filter(session => session.userId.equals(filter.userId) && !session.revokedAt &&
+      (!filter['device.deviceId'] || session.device.deviceId === filter['device.deviceId']));
+    matches.forEach(session => session.set($set));
+    return { modifiedCount: matches.length };
+  });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'findById').mockReturnValue(Object.assign(Promise.resolve(user), { select: async () => user }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refresh tokens', () => {
+  it('rotate on every refresh', async () => {
+    const { refreshToken } = await Session.start(user._id);
+
+    const response = await refresh(refreshToken);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    expect(sessions[0].generation).toBe(1);
+    expect((await refresh(response.body.data.refreshToken)).status).toBe(200);
+  });
+
+  it('revoke the whole session when a rotated token is presented again', async () => {
+    const { session, refreshToken } = await Session.start(user._id);
+    const rotated = (await refresh(refreshToken)).body.data.refreshToken;
+
+    const response = await refresh(refreshToken);
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(session.revokedReason).toBe('reuse_detected');
+
+    // The thief's fresh token dies with it
+    expect((await refresh(rotated)).body.code).toBe('SESSION_REVOKED');
+  });
+
+  it('reject unknown and malformed tokens', async () => {
+    const { session } = await Session.start(user._id);
+
+    expect((await refresh(`${session._id}.${'0'.repeat(64)}`)).body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect((await refresh('not-a-token')).body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+});
+
+describe('sessions', () => {
+  it('reject access tokens as soon as their session is revoked', async () => {
+    const { session } = await Session.start(user._id);
+    const token = accessToken(session);
+
+    expect((await request(app).get('/protected').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+
+    await session.revoke('logout');
+    const response = await request(app).get('/protected').set('Authorization', `Bearer ${token}`);
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('SESSION_REVOKED');
+  });
+
+  it('replace the live session of the same device', async () => {
+    const first = await Session.start(user._id, { deviceId: 'phone' });
+    const other = await Session.start(user._id, { deviceId: 'tablet' });
+    await Session.start(user._id, { deviceId: 'phone' });
+
+    expect(first.session.revokedReason).toBe('replaced');
+    expect(other.session.isActive).toBe(true);
+  });
+
+  it('never expose token hashes', async () => {
+    const { session } = await Session.start(user._id);
+    expect(JSON.stringify(session)).not.toContain(session.refreshTokenHash);
+    expect(mongoose.isValidObjectId(session.toJSON().id)).toBe(true);
+  });
+});
@@ -0,0 +1,150 @@
+const { ethers } = require('ethers');
+
+jest.mock('../models/AuthNonce', () => ({
+  issue: jest.fn(),
+  consume: jest.fn()
+}));
+jest.mock('../utils/blockchain', () => {
+  const { ethers } = require('ethers');
+  const service = {
+    network: { chainId: 11155111 },
+    verifySignature: jest.fn(async (address, message, signature) => (
+      ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase()
+    ))
+  };
+  return { ...service, forChainId: jest.fn(() => service) };
+});
+
+const AuthNonce = require('../models/AuthNonce');
+const siwe = require('../utils/siwe');
+
+const wallet = ethers.Wallet.createRandom();
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+const fields = (overrides = {}) => ({
+  domain: 'localhost:3000',
+  address: wallet.address,
+  statement: 'Sign in to Torito Wallet.',
+  uri: 'http://localhost:3000',
+  chainId: 11155111,
+  nonce: 'abc123def456',
+  issuedAt: '2026-10-19T11:59:00.000Z',
+  expirationTime: '2026-10-19T12:04:00.000Z',
+  ...overrides
+});
+
+const expectCode = (fn, code) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(siwe.SiweError);
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('parseMessage', () => {
+  it('reads back a built message', () => {
+    const parsed = siwe.parseMessage(siwe.buildMessage(fields()));
+    expect(parsed).toMatchObject({
+      domain: 'localhost:3000',
+      address: wallet.address,
+      statement: 'Sign in to Torito Wallet.',
+      uri: 'http://localhost:3000',
+      version: '1',
+      chainId: 11155111,
+      nonce: 'abc123def456',
+      issuedAt: '2026-10-19T11:59:00.000Z',
+      expirationTime: '2026-10-19T12:04:00.000Z',
+      resources: []
+    });
+  });
+
+  it('accepts CRLF line endings, no statement and resources', () => {
+    const message = [
+      siwe.buildMessage(fields({ statement: null })),
+      'Not Before: 2026-10-19T11:59:30.000Z',
+      'Request ID: 7',
+      'Resources:',
+      '- https://torito.app/terms'
+    ].join('\n').replace(/\n/g, '\r\n');
+
+    const parsed = siwe.parseMessage(message);
+    expect(parsed.statement).toBeNull();
+    expect(parsed.notBefore).toBe('2026-10-19T11:59:30.000Z');
+    expect(parsed.requestId).toBe('7');
+    expect(parsed.resources).toEqual(['https://torito.app/terms']);
+  });
+
+  it('rejects malformed messages', () => {
+    const message = siwe.buildMessage(fields());
+    expectCode(() => siwe.parseMessage('hello'), 'SIWE_MALFORMED');
+    expectCode(() => siwe.parseMessage(message.replace(wallet.address, '0x1234')), 'SIWE_MALFORMED');
+    expectCode(() => siwe.parseMessage(message.replace(/Nonce: .*\n/, '')), 'SIWE_MALFORMED');
+    expectCode(() => siwe.parseMessage(message.replace('Version: 1', 'Version: 2')), 'SIWE_MALFORMED');
+  });
+});
+
+describe('validateFields', () => {
+  const config = { domain: 'localhost:3000', chainIds: [11155111, 8453], now };
+  const validate = (overrides) => () => siwe.validateFields(siwe.parseMessage(siwe.buildMessage(fields(overrides))), config);
+
+  it('accepts a current message for a known domain and chain', () => {
+    expect(validate({ chainId: 8453 })).not.toThrow();
+  });
+
+  it('rejects a foreign domain or chain', () => {
+    expectCode(validate({ domain: 'evil.example' }), 'SIWE_DOMAIN_MISMATCH');
+    expectCode(validate({ chainId: 1 }), 'SIWE_CHAIN_MISMATCH');
+  });
+
+  it('enforces the validity window', () => {
+    expectCode(validate({ issuedAt: '2026-10-19T12:01:00.000Z' }), 'SIWE_INVALID_TIME');
+    expectCode(validate({ issuedAt: 'yesterday' }), 'SIWE_INVALID_TIME');
+    expectCode(validate({ expirationTime: '2026-10-19T12:00:00.000Z' }), 'SIWE_EXPIRED');
+
+    const parsed = siwe.parseMessage(siwe.buildMessage(fields()));
+    parsed.notBefore = '2026-10-19T12:00:01.000Z';
+    expectCode(() => siwe.validateFields(parsed, config), 'SIWE_NOT_YET_VALID');
+  });
+});
+
+describe('verifySignedMessage', () => {
+  const sign = async (overrides) => {
+    const issuedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    const expirationTime = new Date(Date.now() + 4 * 60 * 1000).toISOString();
+    const message = siwe.buildMessage(fields({ issuedAt, expirationTime, ...overrides }));
+    return { message, signature: await wallet.signMessage(message), walletAddress: wallet.address };
+  };
+
+  beforeEach(() => {
+    AuthNonce.consume.mockReset().mockResolvedValue({ nonce: 'abc123def456' });
+  });
+
+  it('verifies the signature, then consumes the nonce', async () => {
+    const parsed = await siwe.verifySignedMessage(await sign());
+    expect(parsed.address).toBe(wallet.address);
+    expect(AuthNonce.consume).toHaveBeenCalledWith(wallet.address, 'abc123def456');
+  });
+
+  it('rejects a signature by another key without consuming the nonce', async () => {
+    const signed = await sign();
+    signed.signature = await ethers.Wallet.createRandom().signMessage(signed.message);
+    await expect(siwe.verifySignedMessage(signed)).rejects.toMatchObject({ code: 'SIWE_INVALID_SIGNATURE' });
+    expect(AuthNonce.consume).not.toHaveBeenCalled();
+  });
+
+  it('rejects a message for another address or purpose', async () => {
+    const signed = await sign();
+    await expect(siwe.verifySignedMessage({ ...signed, walletAddress: ethers.Wallet.createRandom().address }))
+      .rejects.toMatchObject({ code: 'SIWE_ADDRESS_MISMATCH' });
+    await expect(siwe.verifySignedMessage({ ...signed, statement: 'Link this wallet.' }))
+      .rejects.toMatchObject({ code: 'SIWE_STATEMENT_MISMATCH' });
+  });
+
+  it('rejects a used or unknown nonce', async () => {
+    AuthNonce.consume.mockResolvedValue(null);
+    await expect(siwe.verifySignedMessage(await sign())).rejects.toMatchObject({ code: 'SIWE_INVALID_NONCE' });
+  });
+});
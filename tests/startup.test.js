@@ -0,0 +1,81 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const request = require('supertest');
+
+// Loading the app must not need chain configuration: the server reports it at
+// startup (startBlockchain) and requests to an unconfigured network get a 503.
+
+const originalEnv = process.env;
+
+const baseConfig = {
+  BASE_RPC_URLS: 'http://127.0.0.1:1',
+  BASE_AAVE_POOL_ADDRESS: '0x0000000000000000000000000000000000000001',
+  BASE_USDT_ADDRESS: '0x0000000000000000000000000000000000000002',
+  BASE_AUSDT_ADDRESS: '0x0000000000000000000000000000000000000003',
+  BASE_SMART_CONTRACT_ADDRESS: '0x0000000000000000000000000000000000000004',
+  PRIVATE_KEY: '0x' + '11'.repeat(32)
+};
+
+beforeEach(() => {
+  jest.resetModules();
+  process.env = { PATH: originalEnv.PATH, NODE_ENV: 'test', NETWORKS: 'sepolia,base', JWT_SECRET: 'test-secret' };
+});
+
+afterEach(() => {
+  process.env = originalEnv;
+});
+
+describe('without network configuration', () => {
+  it('loads the whole app', () => {
+    expect(() => require('../server')).not.toThrow();
+  });
+
+  it('loads every worker and route module on its own', () => {
+    for (const path of ['../utils/eventIndexer', '../utils/aaveYield', '../utils/collateralHealth', '../utils/transactionTracker',
+      '../utils/loanChainSync', '../utils/siwe', '../routes/admin', '../routes/auth', '../routes/wallet']) {
+      jest.resetModules();
+      expect(() => require(path)).not.toThrow();
+    }
+  });
+
+  it('reports what is missing for the startup check', () => {
+    const { getConfigurationErrors } = require('../config/networks');
+    const errors = getConfigurationErrors();
+
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/^Network sepolia is missing configuration: SEPOLIA_RPC_URLS/);
+    expect(errors[1]).toMatch(/^Network base is missing configuration: BASE_RPC_URLS/);
+  });
+
+  it('serves routes that need no chain', async () => {
+    const app = require('../server');
+    const response = await request(app).get('/health');
+    expect(response.status).toBe(200);
+  });
+
+  it('answers requests for an unconfigured network with a 503', async () => {
+    const { selectNetwork } = require('../middleware/network');
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await selectNetwork({ query: { network: 'base' }, body: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NETWORK_NOT_CONFIGURED' }));
+  });
+
+  it('looks up other networks without the default network', () => {
+    process.env = { ...process.env, ...baseConfig };
+    const blockchainService = require('../utils/blockchain');
+
+    expect(blockchainService.forNetwork('base').network.chainId).toBe(8453);
+    expect(blockchainService.forChainId(8453).network.name).toBe('base');
+    expect(() => blockchainService.network).toThrow('Network sepolia is missing configuration');
+  });
+
+  it('fails the indexer status with a NetworkConfigError only when asked', async () => {
+    const eventIndexer = require('../utils/eventIndexer');
+    await expect(Promise.resolve().then(eventIndexer.getStatus)).rejects.toMatchObject({ code: 'NETWORK_NOT_CONFIGURED' });
+  });
+});
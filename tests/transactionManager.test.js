@@ -0,0 +1,253 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { ethers } = require('ethers');
+const ChainTransaction = require('../models/ChainTransaction');
+const TransactionManager = require('../utils/transactionManager');
+const { RpcUnavailableError } = require('../utils/rpcProvider');
+
+const { BroadcastUnknownError } = TransactionManager;
+
+const CHAIN_ID = 11155111;
+const GWEI = 10n ** 9n;
+
+// A node that knows `latest` mined and `pending` broadcast nonces for the signer
+const fakeProvider = ({ latest = 0, pending = latest } = {}) => {
+  const provider = {
+    latest,
+    pending,
+    mempool: new Map(),
+    getTransactionCount: jest.fn(async (address, blockTag) => (blockTag === 'latest' ? provider.latest : provider.pending)),
+    getTransaction: jest.fn(async (hash) => provider.mempool.get(hash) || null),
+    getFeeData: jest.fn(async () => ({ maxFeePerGas: 20n * GWEI, maxPriorityFeePerGas: GWEI, gasPrice: 20n * GWEI })),
+    broadcastTransaction: jest.fn(async (rawTransaction) => {
+      const transaction = ethers.Transaction.from(rawTransaction);
+      if (transaction.nonce < provider.pending && ![...provider.mempool.values()].some(tx => tx.nonce === transaction.nonce)) {
+        throw Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+      }
+      const queued = [...provider.mempool.values()].find(tx => tx.nonce === transaction.nonce && tx.hash !== transaction.hash);
+      if (queued && transaction.maxFeePerGas * 10n < queued.maxFeePerGas * 11n) {
+        throw Object.assign(new Error('replacement transaction underpriced'), { code: 'REPLACEMENT_UNDERPRICED' });
+      }
+      provider.mempool.set(transaction.hash, transaction);
+      provider.pending = Math.max(provider.pending, transaction.nonce + 1);
+      return { hash: transaction.hash, nonce: transaction.nonce };
+    })
+  };
+  return provider;
+};
+
+// Signs for real, with fees filled in instead of asked from the node
+const fakeWallet = (provider) => {
+  const wallet = ethers.Wallet.createRandom();
+  return {
+    address: wallet.address,
+    provider,
+    populateTransaction: jest.fn(async (transaction) => ({
+      type: 2,
+      chainId: BigInt(CHAIN_ID),
+      value: 0n,
+      data: '0x',
+      gasLimit: 100000n,
+      maxFeePerGas: 10n * GWEI,
+      maxPriorityFeePerGas: GWEI,
+      ...transaction
+    })),
+    signTransaction: (transaction) => wallet.signTransaction(transaction)
+  };
+};
+
+let records;
+
+beforeEach(() => {
+  records = [];
+  jest.spyOn(ChainTransaction, 'create').mockImplementation(async (fields) => {
+    const record = new ChainTransaction(fields);
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(ChainTransaction.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(ChainTransaction, 'find').mockImplementation((query) => ({
+    sort: async () => records
+      .filter(record => record.status === query.status && record.from === query.from && record.nonce >= query.nonce.$gte)
+      .sort((a, b) => a.nonce - b.nonce)
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const TO = '0x00000000000000000000000000000000000000aa';
+
+describe('TransactionManager', () => {
+  it('starts from the pending nonce and numbers transactions in order', async () => {
+    const provider = fakeProvider({ latest: 5, pending: 7 });
+    const manager = new TransactionManager(fakeWallet(provider));
+
+    const responses = await Promise.all([
+      manager.send({ to: TO }, { purpose: 'loan_fulfill' }),
+      manager.send({ to: TO }, { purpose: 'loan_repayment' })
+    ]);
+
+    expect(responses.map(response => response.nonce)).toEqual([7, 8]);
+    expect(records.map(record => [record.purpose, record.nonce, record.attempts])).toEqual([['loan_fulfill', 7, 1], ['loan_repayment', 8, 1]]);
+    expect(manager.nextNonce).toBe(9);
+  });
+
+  it('verifies the network before signing anything', async () => {
+    const provider = fakeProvider();
+    const verifyNetwork = jest.fn().mockRejectedValueOnce(new Error('Chain ID mismatch'));
+    const manager = new TransactionManager(fakeWallet(provider), { chainId: CHAIN_ID, verifyNetwork });
+
+    await expect(manager.send({ to: TO }, { purpose: 'loan_fulfill' })).rejects.toThrow('Chain ID mismatch');
+    expect(provider.broadcastTransaction).not.toHaveBeenCalled();
+
+    // Checked again on the next send
+    await manager.send({ to: TO }, { purpose: 'loan_fulfill' });
+    expect(verifyNetwork).toHaveBeenCalledTimes(2);
+  });
+
+  it('resyncs the nonce and retries when the node has moved on', async () => {
+    const provider = fakeProvider();
+    const manager = new TransactionManager(fakeWallet(provider));
+    await manager.send({ to: TO }, { purpose: 'loan_fulfill' });
+
+    // Another process used nonces 1 and 2 behind our back
+    provider.latest = 3;
+    provider.pending = 3;
+    const response = await manager.send({ to: TO }, { purpose: 'loan_repayment' });
+
+    expect(response.nonce).toBe(3);
+    expect(records.map(record => [record.nonce, record.status, record.attempts])).toEqual([
+      [0, 'pending', 1],
+      [1, 'failed', 1],
+      [3, 'pending', 2]
+    ]);
+    expect(manager.nextNonce).toBe(4);
+  });
+
+  it('gives up after TX_NONCE_RETRIES attempts', async () => {
+    const provider = fakeProvider();
+    provider.broadcastTransaction.mockRejectedValue(Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' }));
+    const manager = new TransactionManager(fakeWallet(provider));
+
+    await expect(manager.send({ to: TO }, { purpose: 'loan_fulfill' })).rejects.toThrow('nonce too low');
+    expect(provider.broadcastTransaction).toHaveBeenCalledTimes(3);
+    expect(records.every(record => record.status === 'failed')).toBe(true);
+  });
+
+  it('marks a transaction the node refused as failed, and the queue keeps going', async () => {
+    const provider = fakeProvider();
+    provider.broadcastTransaction.mockRejectedValueOnce(Object.assign(new Error('insufficient funds'), { code: 'INSUFFICIENT_FUNDS' }));
+    const manager = new TransactionManager(fakeWallet(provider));
+
+    await expect(manager.send({ to: TO }, { purpose: 'loan_fulfill' })).rejects.toThrow('insufficient funds');
+    expect(records[0].status).toBe('failed');
+
+    const response = await manager.send({ to: TO }, { purpose: 'loan_fulfill' });
+    expect(response.nonce).toBe(0);
+  });
+
+  it('leaves a transaction whose broadcast timed out pending for the tracker', async () => {
+    const provider = fakeProvider();
+    provider.broadcastTransaction.mockRejectedValueOnce(new RpcUnavailableError('sepolia', []));
+    const manager = new TransactionManager(fakeWallet(provider));
+
+    const error = await manager.send({ to: TO }, { purpose: 'loan_repayment' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(BroadcastUnknownError);
+    expect(error.transactionHash).toBe(records[0].transactionHash);
+    expect(records[0].status).toBe('pending');
+    expect(provider.broadcastTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('moves past a timed-out transaction that did reach the node', async () => {
+    const provider = fakeProvider();
+    const broadcast = provider.broadcastTransaction.getMockImplementation();
+    provider.broadcastTransaction.mockImplementationOnce(async (rawTransaction) => {
+      await broadcast(rawTransaction);
+      throw new RpcUnavailableError('sepolia', []);
+    });
+    const manager = new TransactionManager(fakeWallet(provider));
+    provider.getTransaction.mockResolvedValueOnce(null); // Not visible yet when asked right away
+
+    await expect(manager.send({ to: TO }, { purpose: 'loan_repayment' })).rejects.toBeInstanceOf(BroadcastUnknownError);
+
+    // The next transaction is refused on nonce 0 and resyncs to 1
+    const response = await manager.send({ to: TO, data: '0x01' }, { purpose: 'loan_fulfill' });
+    expect(response.nonce).toBe(1);
+    expect(records.map(record => [record.nonce, record.status])).toEqual([[0, 'pending'], [0, 'failed'], [1, 'pending']]);
+  });
+
+  it('treats a broadcast error as sent when the node has the transaction', async () => {
+    const provider = fakeProvider();
+    const broadcast = provider.broadcastTransaction.getMockImplementation();
+    provider.broadcastTransaction.mockImplementationOnce(async (rawTransaction) => {
+      await broadcast(rawTransaction);
+      throw new Error('already known');
+    });
+    const manager = new TransactionManager(fakeWallet(provider));
+
+    const response = await manager.send({ to: TO }, { purpose: 'loan_fulfill' });
+
+    expect(response.hash).toBe(records[0].transactionHash);
+    expect(records[0].status).toBe('pending');
+    expect(manager.nextNonce).toBe(1);
+  });
+
+  it('re-broadcasts pending transactions the node has forgotten on startup', async () => {
+    const provider = fakeProvider();
+    const wallet = fakeWallet(provider);
+    await new TransactionManager(wallet).send({ to: TO }, { purpose: 'loan_fulfill' });
+
+    // The node restarted without its mempool
+    provider.mempool.clear();
+    provider.pending = 0;
+    provider.broadcastTransaction.mockClear();
+
+    const manager = new TransactionManager(wallet);
+    const response = await manager.send({ to: TO }, { purpose: 'loan_repayment' });
+
+    expect(provider.broadcastTransaction).toHaveBeenCalledWith(records[0].rawTransaction);
+    expect(response.nonce).toBe(1);
+  });
+
+  describe('replace', () => {
+    const sendOne = async () => {
+      const provider = fakeProvider();
+      const manager = new TransactionManager(fakeWallet(provider));
+      await manager.send({ to: TO, data: '0x1234', gasLimit: 90000n }, { purpose: 'loan_fulfill', params: { loanId: 1 } });
+      return { provider, manager, record: records[0] };
+    };
+
+    it('speeds up the same call with the same nonce and bumped fees', async () => {
+      const { provider, manager, record } = await sendOne();
+      provider.getFeeData.mockResolvedValue({ maxFeePerGas: GWEI, maxPriorityFeePerGas: GWEI });
+
+      const response = await manager.replace(record, 'speed-up', { feeBumpPercent: 5 });
+      const replacement = records[1];
+
+      expect(response.nonce).toBe(record.nonce);
+      expect(replacement).toMatchObject({ purpose: 'loan_fulfill', to: TO, data: '0x1234', replaces: record.transactionHash, attempts: 2 });
+      expect(replacement.params).toEqual({ loanId: 1 });
+      // At least the 10% nodes require
+      expect(replacement.fees.maxFeePerGas).toBe((11n * GWEI).toString());
+      expect(replacement.fees.maxPriorityFeePerGas).toBe((11n * GWEI / 10n).toString());
+    });
+
+    it('pays the current fees when they are higher than the bump', async () => {
+      const { manager, record } = await sendOne();
+
+      await manager.replace(record, 'speed-up');
+      expect(records[1].fees.maxFeePerGas).toBe((20n * GWEI).toString());
+    });
+
+    it('cancels with a zero-value transfer to itself', async () => {
+      const { manager, record } = await sendOne();
+
+      await manager.replace(record, 'cancel');
+      expect(records[1]).toMatchObject({ purpose: 'cancel', to: manager.address, data: '0x', nonce: record.nonce });
+      expect(records[1].fees.gasLimit).toBe('21000');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/loanChainSync', () => ({ settle: jest.fn() }));
+jest.mock('../utils/blockchain', () => {
+  const service = {
+    network: { name: 'sepolia', chainId: 11155111, confirmations: 2 },
+    getTransactionStatus: jest.fn(),
+    getTransaction: jest.fn(),
+    getTransactionCount: jest.fn()
+  };
+  return { service, network: service.network, forChainId: () => service };
+});
+
+const ChainTransaction = require('../models/ChainTransaction');
+const Withdrawal = require('../models/Withdrawal');
+const { service } = require('../utils/blockchain');
+const loanChainSync = require('../utils/loanChainSync');
+const { refreshTransaction, isStuck } = require('../utils/transactionTracker');
+
+const FROM = '0x00000000000000000000000000000000000000aa';
+const hash = (n) => `0x${String(n).padStart(64, '0')}`;
+
+const record = (fields = {}) => new ChainTransaction({
+  transactionHash: hash(1),
+  from: FROM,
+  nonce: 4,
+  chainId: 11155111,
+  to: '0x00000000000000000000000000000000000000c0',
+  purpose: 'withdraw',
+  status: 'pending',
+  ...fields
+});
+
+// Receipts by hash; a hash without one is pending
+let receipts;
+let siblings;
+
+beforeEach(() => {
+  receipts = {};
+  siblings = [];
+  service.getTransactionStatus.mockReset().mockImplementation(async (transactionHash) => receipts[transactionHash] || { status: 'pending' });
+  service.getTransaction.mockReset().mockResolvedValue({});
+  service.getTransactionCount.mockReset().mockResolvedValue(4);
+  loanChainSync.settle.mockReset();
+  jest.spyOn(ChainTransaction.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(ChainTransaction, 'find').mockImplementation(async () => siblings);
+  jest.spyOn(Withdrawal, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(Withdrawal, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('refreshTransaction', () => {
+  it('moves a transaction from mined to confirmed as blocks pile up', async () => {
+    const transaction = record();
+
+    receipts[hash(1)] = { status: 'confirmed', blockNumber: 100, gasUsed: '50000', confirmations: 1 };
+    await refreshTransaction(transaction);
+    expect(transaction.status).toBe('mined');
+
+    receipts[hash(1)].confirmations = 2;
+    await refreshTransaction(transaction);
+    expect(transaction.status).toBe('confirmed');
+    expect(transaction.confirmedAt).toBeInstanceOf(Date);
+    expect(transaction.statusHistory.map(entry => entry.status)).toEqual(['mined', 'confirmed']);
+    expect(loanChainSync.settle).toHaveBeenCalledTimes(2);
+  });
+
+  it('puts a mined transaction back to pending when its receipt disappears in a reorg', async () => {
+    const transaction = record({ status: 'mined', blockNumber: 100 });
+
+    await refreshTransaction(transaction);
+
+    expect(transaction.status).toBe('pending');
+    expect(transaction.statusHistory[transaction.statusHistory.length - 1].note).toBe('Receipt disappeared in a reorg');
+  });
+
+  it('follows a withdrawal sped up by an operator to its replacement', async () => {
+    const transaction = record();
+    const speedUp = record({ transactionHash: hash(2), replaces: hash(1) });
+    siblings = [speedUp];
+    receipts[hash(2)] = { status: 'confirmed', blockNumber: 100, confirmations: 1 };
+    service.getTransaction.mockResolvedValue(null);
+    service.getTransactionCount.mockResolvedValue(5);
+
+    await refreshTransaction(transaction);
+
+    expect(transaction).toMatchObject({ status: 'replaced', replacedBy: hash(2) });
+    expect(Withdrawal.updateOne).toHaveBeenCalledWith({ transactionHash: hash(1) }, { $set: { transactionHash: hash(2) } });
+    expect(loanChainSync.settle).toHaveBeenCalledWith(transaction, speedUp);
+  });
+
+  it('frees the withdrawal limit when the withdrawal was cancelled', async () => {
+    const transaction = record();
+    siblings = [record({ transactionHash: hash(2), purpose: 'cancel' })];
+    receipts[hash(2)] = { status: 'confirmed', blockNumber: 100, confirmations: 1 };
+    service.getTransaction.mockResolvedValue(null);
+    service.getTransactionCount.mockResolvedValue(5);
+
+    await refreshTransaction(transaction);
+
+    expect(transaction.status).toBe('replaced');
+    expect(Withdrawal.deleteOne).toHaveBeenCalledWith({ transactionHash: hash(1) });
+  });
+
+  it('marks a transaction the node forgot as dropped only after TX_DROP_AFTER_MS', async () => {
+    service.getTransaction.mockResolvedValue(null);
+
+    const recent = record();
+    await refreshTransaction(recent);
+    expect(recent.status).toBe('pending');
+
+    const old = record({ createdAt: new Date(Date.now() - 31 * 60 * 1000) });
+    await refreshTransaction(old);
+    expect(old.status).toBe('dropped');
+    expect(Withdrawal.deleteOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves final transactions alone', async () => {
+    const transaction = record({ status: 'confirmed' });
+
+    await refreshTransaction(transaction);
+
+    expect(service.getTransactionStatus).not.toHaveBeenCalled();
+  });
+});
+
+describe('isStuck', () => {
+  it('flags pending transactions older than TX_STUCK_AFTER_MS', () => {
+    expect(isStuck(record({ createdAt: new Date(Date.now() - 11 * 60 * 1000) }))).toBe(true);
+    expect(isStuck(record())).toBe(false);
+    expect(isStuck(record({ status: 'mined', createdAt: new Date(0) }))).toBe(false);
+  });
+});
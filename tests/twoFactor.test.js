@@ -0,0 +1,157 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../middleware/auth', () => (req, res, next) => next());
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const LoginThrottle = require('../models/LoginThrottle');
+const { requireStepUp } = require('../middleware/twoFactor');
+const authRoutes = require('../routes/auth');
+
+const VALID_CODE = '123456';
+
+// Throttle records kept in memory in place of MongoDB
+const records = new Map();
+
+const makeUser = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'a@b.c',
+  twoFactor: { enabled: true },
+  verifySecondFactor: jest.fn(async ({ code }) => code === VALID_CODE),
+  save: jest.fn(async function() { return this; })
+});
+
+const makeApp = (user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post('/withdraw', requireStepUp, (req, res) => res.json({ success: true }));
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+beforeEach(() => {
+  records.clear();
+  jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async ({ key }, { $inc, $set }) => {
+    const record = records.get(key) || new LoginThrottle({ key });
+    records.set(key, record);
+    record.failures += $inc.failures;
+    record.set($set);
+    return record;
+  });
+  jest.spyOn(LoginThrottle, 'find').mockImplementation(async ({ key }) => key.$in.filter(k => records.has(k)).map(k => records.get(k)));
+  jest.spyOn(LoginThrottle, 'deleteOne').mockImplementation(async ({ key }) => ({ deletedCount: records.delete(key) ? 1 : 0 }));
+  jest.spyOn(LoginThrottle.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('requireStepUp', () => {
+  const withdraw = (app, code) => request(app).post('/withdraw').set('X-2FA-Code', code);
+
+  it('asks users with 2FA on for a code', async () => {
+    const response = await request(makeApp(makeUser())).post('/withdraw');
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('STEP_UP_REQUIRED');
+  });
+
+  it('refuses a wrong code and passes a correct one', async () => {
+    const app = makeApp(makeUser());
+
+    expect((await withdraw(app, '000000')).body.code).toBe('INVALID_STEP_UP_CODE');
+    expect((await withdraw(app, VALID_CODE)).status).toBe(200);
+  });
+
+  it('lets users without 2FA through', async () => {
+    const user = { ...makeUser(), twoFactor: { enabled: false } };
+
+    expect((await request(makeApp(user)).post('/withdraw')).status).toBe(200);
+    expect(user.verifySecondFactor).not.toHaveBeenCalled();
+  });
+
+  it('counts wrong codes per user and answers 429 once they pile up', async () => {
+    const user = makeUser();
+    const app = makeApp(user);
+
+    for (let i = 0; i < 3; i++) {
+      expect((await withdraw(app, '000000')).status).toBe(403);
+    }
+
+    const response = await withdraw(app, VALID_CODE);
+    expect(response.status).toBe(429);
+    expect(response.body).toMatchObject({ code: 'STEP_UP_THROTTLED', retryAfterSeconds: 1 });
+    expect(response.headers['retry-after']).toBe('1');
+    // Not even checked while throttled
+    expect(user.verifySecondFactor).toHaveBeenCalledTimes(3);
+  });
+
+  it('locks step-up after STEP_UP_LOCK_AFTER failures', async () => {
+    const user = makeUser();
+    const app = makeApp(user);
+
+    for (let i = 0; i < 5; i++) {
+      await withdraw(app, '000000');
+      jest.advanceTimersByTime(30 * 1000); // Past each delay
+    }
+
+    const response = await withdraw(app, VALID_CODE);
+    expect(response.status).toBe(429);
+    expect(response.body.code).toBe('STEP_UP_LOCKED');
+
+    jest.advanceTimersByTime(15 * 60 * 1000);
+    expect((await withdraw(app, VALID_CODE)).status).toBe(200);
+  });
+
+  it('clears the count after a correct code', async () => {
+    const user = makeUser();
+    const app = makeApp(user);
+
+    await withdraw(app, '000000');
+    await withdraw(app, '000000');
+    expect((await withdraw(app, VALID_CODE)).status).toBe(200);
+    expect(records.has(`stepup:${user._id}`)).toBe(false);
+  });
+
+  it('keeps each user apart', async () => {
+    const app = makeApp(makeUser());
+    for (let i = 0; i < 3; i++) {
+      await withdraw(app, '000000');
+    }
+
+    expect((await withdraw(makeApp(makeUser()), VALID_CODE)).status).toBe(200);
+  });
+});
+
+describe('POST /api/auth/2fa/disable', () => {
+  it('shares the step-up count', async () => {
+    const user = makeUser();
+    const app = makeApp(user);
+
+    for (let i = 0; i < 2; i++) {
+      expect((await request(app).post('/api/auth/2fa/disable').send({ code: '000000' })).status).toBe(403);
+    }
+    await request(app).post('/withdraw').set('X-2FA-Code', '000000');
+
+    const response = await request(app).post('/api/auth/2fa/disable').send({ code: VALID_CODE });
+    expect(response.status).toBe(429);
+    expect(response.body).toMatchObject({ success: false, code: 'STEP_UP_THROTTLED' });
+    expect(user.twoFactor.enabled).toBe(true);
+  });
+
+  it('turns 2FA off with a correct code', async () => {
+    const user = makeUser();
+
+    const response = await request(makeApp(user)).post('/api/auth/2fa/disable').send({ code: VALID_CODE });
+    expect(response.status).toBe(200);
+    expect(user.twoFactor).toEqual({ enabled: false });
+  });
+});
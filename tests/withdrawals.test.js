@@ -0,0 +1,131 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../middleware/twoFactor', () => ({ requireStepUp: (req, res, next) => next() }));
+jest.mock('../utils/blockchain', () => {
+  const service = {
+    network: { name: 'sepolia', chainId: 11155111 },
+    verifyChainId: async () => {},
+    getToritoUserAccount: jest.fn(),
+    withdrawFromToritoContract: jest.fn()
+  };
+  return { service, forNetwork: () => service };
+});
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Withdrawal = require('../models/Withdrawal');
+const { service } = require('../utils/blockchain');
+const { Money, DECIMALS, usdt, bob } = require('../utils/money');
+const walletRoutes = require('../routes/wallet');
+const errorHandler = require('../middleware/errorHandler');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+
+// Withdrawals kept in memory in place of MongoDB. Each call yields first, so
+// concurrent requests interleave between their reads and writes.
+let rows;
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'a@b.c',
+  walletAddress: WALLET,
+  network: 'sepolia',
+  kyc: { status: 'verified', tier: 1 } // 2000 USDT a day
+};
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/wallet', walletRoutes);
+app.use(errorHandler);
+
+const withdraw = (amount) => request(app).post('/api/wallet/withdraw').send({ amount, usdtToBobRate: '6.96' });
+
+beforeEach(() => {
+  rows = [];
+  jest.spyOn(Withdrawal, 'create').mockImplementation(async (fields) => {
+    await tick();
+    const row = new Withdrawal(fields);
+    rows.push(row);
+    return row;
+  });
+  jest.spyOn(Withdrawal, 'aggregate').mockImplementation(async () => {
+    await tick();
+    const total = Money.sum(rows.map(row => Money.parse(row.amount, DECIMALS.USDT)), DECIMALS.USDT);
+    return [{ total: total.toString() }];
+  });
+  jest.spyOn(Withdrawal, 'deleteOne').mockImplementation(async ({ _id }) => {
+    rows = rows.filter(row => !row._id.equals(_id));
+    return { deletedCount: 1 };
+  });
+  jest.spyOn(Withdrawal, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+    rows.find(row => row._id.equals(_id)).set($set);
+    return { modifiedCount: 1 };
+  });
+
+  service.getToritoUserAccount.mockReset().mockResolvedValue({ usdtBalance: usdt('10000'), bobDebt: bob(0) });
+  service.withdrawFromToritoContract.mockReset().mockImplementation(async (amount, usdtToBobRate, userAddress, context, { onSent }) => {
+    const hash = `0x${String(rows.length).padStart(64, '0')}`;
+    await onSent({ hash });
+    return { transactionHash: hash, blockNumber: 1, gasUsed: '50000' };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/wallet/withdraw', () => {
+  it('lets only one of two concurrent withdrawals through when both do not fit the daily limit', async () => {
+    const responses = await Promise.all([withdraw('1500'), withdraw('1500')]);
+
+    expect(responses.filter(response => response.status === 200).length).toBeLessThanOrEqual(1);
+    expect(responses.some(response => response.body.code === 'KYC_LIMIT_EXCEEDED')).toBe(true);
+    expect(service.withdrawFromToritoContract.mock.calls.length).toBeLessThanOrEqual(1);
+    expect(rows.length).toBeLessThanOrEqual(1);
+  });
+
+  it('lets concurrent withdrawals that fit the limit together through', async () => {
+    const responses = await Promise.all([withdraw('900'), withdraw('900')]);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(rows.map(row => row.transactionHash)).toEqual([expect.stringMatching(/^0x/), expect.stringMatching(/^0x/)]);
+  });
+
+  it('releases the reservation when the transaction is refused', async () => {
+    service.withdrawFromToritoContract.mockRejectedValue(Object.assign(new Error('insufficient funds'), { code: 'INSUFFICIENT_FUNDS' }));
+
+    const response = await withdraw('100');
+
+    expect(response.status).toBe(500);
+    expect(rows).toHaveLength(0);
+  });
+
+  it('keeps the reservation, with its hash, while the broadcast outcome is unknown', async () => {
+    service.withdrawFromToritoContract.mockRejectedValue(Object.assign(new Error('may not have reached the network'), {
+      code: 'BROADCAST_UNKNOWN',
+      transactionHash: '0xabc'
+    }));
+
+    const response = await withdraw('100');
+
+    expect(response.status).toBe(503);
+    expect(response.body.code).toBe('BROADCAST_UNKNOWN');
+    expect(rows.map(row => row.transactionHash)).toEqual(['0xabc']);
+  });
+
+  it('keeps the reservation of a sent transaction whose receipt wait failed', async () => {
+    service.withdrawFromToritoContract.mockImplementation(async (amount, usdtToBobRate, userAddress, context, { onSent }) => {
+      await onSent({ hash: '0xdef' });
+      throw Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+    });
+
+    await withdraw('100');
+
+    expect(rows.map(row => row.transactionHash)).toEqual(['0xdef']);
+  });
+});
@@ -0,0 +1,45 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../utils/blockchain', () => {
+  const service = { network: { name: 'sepolia' }, verifyChainId: async () => {} };
+  return { forNetwork: () => service };
+});
+jest.mock('../utils/aaveYield', () => {
+  const { usdt, ratio } = require('../utils/money');
+  const yieldOf = { deposited: usdt(100), withdrawn: usdt(0), principal: usdt(100), currentValue: usdt(101), accruedYield: usdt(1) };
+  return {
+    readReserve: jest.fn(async () => ({ asset: 'USDT', apr: ratio('0.05'), apy: ratio('0.05') })),
+    getUserYield: jest.fn(async () => yieldOf),
+    projectYield: jest.fn((amount) => ({ amount }))
+  };
+});
+
+const express = require('express');
+const request = require('supertest');
+const aaveYield = require('../utils/aaveYield');
+const walletRoutes = require('../routes/wallet');
+
+const WALLET = '0x00000000000000000000000000000000000000aa';
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { walletAddress: WALLET, network: 'sepolia', getWalletAddresses: () => [WALLET] };
+  next();
+});
+app.use('/api/wallet', walletRoutes);
+
+const getYield = (amount) => request(app).get('/api/wallet/yield').query({ amount });
+
+describe('GET /api/wallet/yield', () => {
+  it.each(['0', '-5', '1e3', 'Infinity', '0x10', '1.0000001', ' 5'])('rejects the amount %p', async (amount) => {
+    const response = await getYield(amount);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Validation failed');
+  });
+
+  it('projects a valid amount exactly', async () => {
+    const response = await getYield('250.000001');
+
+    expect(response.status).toBe(200);
+    expect(aaveYield.projectYield.mock.calls[0][0].toString()).toBe('250.000001');
+  });
+});
@@ -0,0 +1,159 @@
+const cron = require('node-cron');
+const { ethers } = require('ethers');
+const ContractEvent = require('../models/ContractEvent');
+const ReserveSnapshot = require('../models/ReserveSnapshot');
+const blockchainService = require('./blockchain');
+const logger = require('./logger');
+const { BASE_ASSET } = require('../config/assets');
+const { Money, ROUNDING } = require('./money');
+
+// Yield earned on deposits through Aave. ToritoWallet supplies every deposit to
+// the USDT reserve, so a deposit of `amount` at liquidity index I_d is worth
+// amount * I_now / I_d today. A user's accrued yield is that growth summed over
+// their indexed deposits, less the growth withdrawn funds would have had after
+// they left.
+//
+// The index at a past time comes from ReserveSnapshot: the last snapshot before
+// it, grown linearly at that snapshot's rate as Aave does between reserve
+// updates. Deposits older than the first snapshot start from the first snapshot,
+// so yield earned before snapshots began is not counted.
+
+const RAY = 10n ** 27n;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const toApr = (liquidityRate) => parseFloat(ethers.formatUnits(liquidityRate, 27));
+
+// Aave compounds supply interest every second
+const compoundedGrowth = (apr, seconds) => Math.expm1(seconds * Math.log1p(apr / SECONDS_PER_YEAR));
+
+const toApy = (apr) => compoundedGrowth(apr, SECONDS_PER_YEAR);
+
+// Current state of a reserve, in ReserveSnapshot shape
+const readReserve = async (service, asset = BASE_ASSET) => {
+  const reserve = await service.getReserveData(asset);
+  const apr = toApr(reserve.liquidityRate);
+
+  return {
+    network: service.network.name,
+    asset,
+    liquidityRate: reserve.liquidityRate.toString(),
+    liquidityIndex: reserve.normalizedIncome.toString(),
+    apr,
+    apy: toApy(apr),
+    blockNumber: reserve.blockNumber,
+    blockTimestamp: new Date(reserve.blockTimestamp * 1000)
+  };
+};
+
+const takeSnapshot = async (service, asset = BASE_ASSET) => {
+  const snapshot = await readReserve(service, asset);
+  await ReserveSnapshot.updateOne(
+    { network: snapshot.network, asset, blockNumber: snapshot.blockNumber },
+    { $setOnInsert: snapshot },
+    { upsert: true }
+  );
+  return snapshot;
+};
+
+// Liquidity index at `date`, never above the current one
+const indexAt = async (current, date) => {
+  const { network, asset } = current;
+  const currentIndex = BigInt(current.liquidityIndex);
+
+  const before = await ReserveSnapshot.findOne({ network, asset, blockTimestamp: { $lte: date } })
+    .sort({ blockTimestamp: -1 });
+
+  if (!before) {
+    const first = await ReserveSnapshot.findOne({ network, asset }).sort({ blockTimestamp: 1 });
+    return first ? BigInt(first.liquidityIndex) : currentIndex;
+  }
+
+  const index = BigInt(before.liquidityIndex);
+  const elapsed = BigInt(Math.floor((date - before.blockTimestamp) / 1000));
+  const grown = index + index * BigInt(before.liquidityRate) * elapsed / (RAY * BigInt(SECONDS_PER_YEAR));
+  return grown < currentIndex ? grown : currentIndex;
+};
+
+// Accrued yield of one or more addresses on the service's network, given the
+// current reserve from readReserve()
+const getUserYield = async (service, addresses, current) => {
+  const events = await ContractEvent.find({
+    network: service.network.name,
+    user: { $in: addresses },
+    name: { $in: ['Deposit', 'Withdrawal'] }
+  }).sort({ blockNumber: 1, logIndex: 1 });
+
+  let scaled = 0n;
+  let deposited = 0n;
+  let withdrawn = 0n;
+
+  for (const event of events) {
+    const amount = BigInt(event.args.amount);
+    const scaledAmount = amount * RAY / await indexAt(current, event.blockTimestamp || event.createdAt);
+
+    if (event.name === 'Deposit') {
+      scaled += scaledAmount;
+      deposited += amount;
+    } else {
+      scaled -= scaledAmount;
+      withdrawn += amount;
+    }
+  }
+
+  const principal = deposited - withdrawn;
+  const currentValue = scaled * BigInt(current.liquidityIndex) / RAY;
+  // Withdrawals of deposits made before indexing began can leave these negative
+  const accrued = currentValue > principal ? currentValue - principal : 0n;
+
+  const usdt = service.contracts.usdt;
+  const format = (value) => service.fromTokenUnits(usdt, value > 0n ? value : 0n);
+
+  return {
+    deposited: await format(deposited),
+    withdrawn: await format(withdrawn),
+    principal: await format(principal),
+    currentValue: await format(principal + accrued),
+    accruedYield: await format(accrued),
+    since: events.length ? events[0].blockTimestamp : null
+  };
+};
+
+// Yield `amount` (Money) would earn over `days` at the given APR, compounded
+// per second. The growth factor is a float, so the projection is an estimate
+// rounded down to the amount's decimals.
+const projectYield = (amount, apr, days) => {
+  const growth = Money.parse(compoundedGrowth(apr, days * 24 * 60 * 60), 18, ROUNDING.DOWN);
+  const projectedYield = amount.mul(growth);
+  return {
+    amount,
+    days,
+    projectedYield,
+    projectedValue: amount.add(projectedYield)
+  };
+};
+
+let task = null;
+
+// Snapshot the USDT reserve of every network on AAVE_SNAPSHOT_CRON (default hourly)
+const start = () => {
+  if (task) {
+    return;
+  }
+  const schedule = process.env.AAVE_SNAPSHOT_CRON || '0 * * * *';
+  const snapshotAll = () => blockchainService.getServices().forEach(service => {
+    takeSnapshot(service).catch(error => {
+      logger.error(`Aave reserve snapshot failed on ${service.network.name}:`, error);
+    });
+  });
+  task = cron.schedule(schedule, snapshotAll);
+  snapshotAll();
+  logger.info(`Aave reserve snapshots scheduled (${schedule})`);
+};
+
+module.exports = {
+  readReserve,
+  takeSnapshot,
+  getUserYield,
+  projectYield,
+  start
+};
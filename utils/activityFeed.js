@@ -0,0 +1,229 @@
+const ContractEvent = require('../models/ContractEvent');
+const Loan = require('../models/Loan');
+const ExchangeRate = require('../models/ExchangeRate');
+const { Money, DECIMALS, ROUNDING } = require('./money');
+
+// Builds a user's activity feed from indexed contract events, loan status
+// changes, partner bank transfers and partner-confirmed repayments, newest first.
+//
+// Pagination uses an opaque cursor: the timestamp of the last item returned plus
+// the ids already returned at that exact timestamp, so items sharing a
+// timestamp are neither skipped nor repeated across pages.
+
+const EVENT_TYPES = {
+  Deposit: 'deposit',
+  Withdrawal: 'withdrawal',
+  LoanRequested: 'loan_requested',
+  LoanFulfilled: 'loan_fulfilled',
+  RepaymentRecorded: 'repayment_recorded'
+};
+
+const ACTIVITY_TYPES = [...Object.values(EVENT_TYPES), 'loan_status', 'transfer', 'repayment'];
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+// Returns null for a malformed cursor
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+    if (typeof cursor.before !== 'number' || !Array.isArray(cursor.seen)) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+// A stored amount (string, Decimal128 or a Number saved before amounts were
+// Decimal128) as Money, or null
+const toMoney = (value, decimals) => (value == null ? null : Money.parse(value.toString(), decimals, ROUNDING.HALF_UP));
+
+// Express an amount in both currencies with the given BOB per USDT rate,
+// converting down as the contract does
+const toAmounts = ({ usdt, bob }, rate) => {
+  const usdtAmount = toMoney(usdt, DECIMALS.USDT);
+  const bobAmount = toMoney(bob, DECIMALS.BOB);
+  const usdtToBobRate = toMoney(rate, DECIMALS.RATE);
+  const convertible = usdtToBobRate && usdtToBobRate.isPositive();
+
+  return {
+    USDT: usdtAmount || (bobAmount && convertible ? bobAmount.div(usdtToBobRate, DECIMALS.USDT) : null),
+    BOB: bobAmount || (usdtAmount && convertible ? usdtAmount.mul(usdtToBobRate, DECIMALS.BOB) : null)
+  };
+};
+
+const eventItem = (event) => ({
+  id: `event:${event._id}`,
+  type: EVENT_TYPES[event.name],
+  occurredAt: event.blockTimestamp,
+  source: 'chain',
+  network: event.network,
+  walletAddress: event.user,
+  loanId: event.loanId,
+  amountUSDT: event.amountUSDT,
+  amountBOB: event.amountBOB,
+  usdtToBobRate: event.usdtToBobRate,
+  transactionHash: event.transactionHash,
+  blockNumber: event.blockNumber,
+  confirmed: event.confirmed
+});
+
+const fetchEvents = async ({ addresses, types, range, limit }) => {
+  const names = Object.keys(EVENT_TYPES).filter(name => types.includes(EVENT_TYPES[name]));
+  if (!names.length || !addresses.length) {
+    return [];
+  }
+
+  const events = await ContractEvent.find({
+    user: { $in: addresses },
+    name: { $in: names },
+    blockTimestamp: range
+  }).sort({ blockTimestamp: -1, logIndex: -1 }).limit(limit);
+
+  return events.map(eventItem);
+};
+
+const fetchStatusChanges = async ({ userId, range, limit }) => {
+  const changes = await Loan.aggregate([
+    { $match: { userId } },
+    // Loans saved before status history was kept only have their current status
+    { $addFields: { statusHistory: { $ifNull: ['$statusHistory', [{ status: '$status', at: '$createdAt' }]] } } },
+    { $unwind: '$statusHistory' },
+    { $match: { 'statusHistory.at': range } },
+    { $sort: { 'statusHistory.at': -1 } },
+    { $limit: limit }
+  ]);
+
+  return changes.map(loan => ({
+    id: `loan_status:${loan._id}:${loan.statusHistory.status}:${loan.statusHistory.at.getTime()}`,
+    type: 'loan_status',
+    occurredAt: loan.statusHistory.at,
+    source: 'loan',
+    network: loan.network,
+    loanId: loan.loanId,
+    status: loan.statusHistory.status,
+    // Raw aggregation results, not documents: no getters
+    amountUSDT: toMoney(loan.loan.amountUSD, DECIMALS.USDT),
+    amountBOB: toMoney(loan.loan.amountBOB, DECIMALS.BOB),
+    usdtToBobRate: toMoney(loan.loan.exchangeRate, DECIMALS.RATE)
+  }));
+};
+
+const fetchTransfers = async ({ userId, range, limit }) => {
+  const loans = await Loan.find({ userId, 'partner.transferredAt': range })
+    .sort({ 'partner.transferredAt': -1 })
+    .limit(limit);
+
+  return loans.map(loan => ({
+    id: `transfer:${loan._id}`,
+    type: 'transfer',
+    occurredAt: loan.partner.transferredAt,
+    source: 'partner',
+    network: loan.network,
+    loanId: loan.loanId,
+    transferId: loan.partner.transferId,
+    amountBOB: loan.partner.transferAmount,
+    usdtToBobRate: loan.loan.exchangeRate
+  }));
+};
+
+const fetchRepayments = async ({ userId, range, limit }) => {
+  const loans = await Loan.find({ userId, 'repayment.repaidAt': range })
+    .sort({ 'repayment.repaidAt': -1 })
+    .limit(limit);
+
+  return loans.map(loan => ({
+    id: `repayment:${loan._id}`,
+    type: 'repayment',
+    occurredAt: loan.repayment.repaidAt,
+    source: 'partner',
+    network: loan.network,
+    loanId: loan.loanId,
+    confirmationId: loan.repayment.partnerConfirmation.confirmationId,
+    amountBOB: loan.repayment.repaidAmount,
+    usdtToBobRate: loan.loan.exchangeRate
+  }));
+};
+
+// USDT/BOB rate in effect at `date`, falling back to the oldest known rate
+const rateAt = async (date) => {
+  const rate = await ExchangeRate.findOne({
+    fromCurrency: 'USDT',
+    toCurrency: 'BOB',
+    isActive: true,
+    createdAt: { $lte: date }
+  }).sort({ createdAt: -1 }) || await ExchangeRate.findOne({
+    fromCurrency: 'USDT',
+    toCurrency: 'BOB',
+    isActive: true
+  }).sort({ createdAt: 1 });
+
+  return rate ? rate.rate : null;
+};
+
+// Fill both currencies; items without their own rate use the rate of their time
+const withAmounts = async (item) => {
+  const { amountUSDT, amountBOB, ...rest } = item;
+  if (amountUSDT == null && amountBOB == null) {
+    return { ...rest, amount: null };
+  }
+
+  const usdtToBobRate = item.usdtToBobRate || await rateAt(item.occurredAt);
+  return {
+    ...rest,
+    usdtToBobRate,
+    amount: toAmounts({ usdt: amountUSDT, bob: amountBOB }, usdtToBobRate)
+  };
+};
+
+// options: { userId, addresses, types, from, to, cursor, limit }
+const getActivity = async ({ userId, addresses, types = ACTIVITY_TYPES, from, to, cursor, limit = 20 }) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  if (cursor && (!to || cursor.before < to.getTime())) {
+    range.$lte = new Date(cursor.before);
+  }
+  if (!range.$gte && !range.$lte) {
+    range.$ne = null;
+  }
+
+  const seen = cursor ? cursor.seen : [];
+  // Fetch enough to cover items already returned at the cursor timestamp, plus one to detect a next page
+  const fetchOptions = { userId, addresses, types, range, limit: limit + seen.length + 1 };
+
+  const sources = [fetchEvents(fetchOptions)];
+  if (types.includes('loan_status')) sources.push(fetchStatusChanges(fetchOptions));
+  if (types.includes('transfer')) sources.push(fetchTransfers(fetchOptions));
+  if (types.includes('repayment')) sources.push(fetchRepayments(fetchOptions));
+
+  const merged = (await Promise.all(sources))
+    .flat()
+    .filter(item => !(cursor && item.occurredAt.getTime() === cursor.before && seen.includes(item.id)))
+    .sort((a, b) => b.occurredAt - a.occurredAt || (a.id < b.id ? 1 : -1));
+
+  const page = merged.slice(0, limit);
+  const hasMore = merged.length > limit;
+
+  let nextCursor = null;
+  if (hasMore && page.length) {
+    const before = page[page.length - 1].occurredAt.getTime();
+    const atBefore = page.filter(item => item.occurredAt.getTime() === before).map(item => item.id);
+    nextCursor = encodeCursor({
+      before,
+      seen: cursor && cursor.before === before ? [...seen, ...atBefore] : atBefore
+    });
+  }
+
+  return {
+    items: await Promise.all(page.map(withAmounts)),
+    nextCursor
+  };
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  decodeCursor,
+  getActivity
+};
@@ -1,18 +1,45 @@
 const { ethers } = require('ethers');
 const logger = require('./logger');
+const TransactionManager = require('./transactionManager');
+const ChainReader = require('./chainReader');
+const { FailoverProvider, RpcUnavailableError } = require('./rpcProvider');
+const ChainTransaction = require('../models/ChainTransaction');
+const ExchangeRate = require('../models/ExchangeRate');
+const { COLLATERAL_ASSETS, BASE_ASSET } = require('../config/assets');
+const { Money, DECIMALS, bob, rate, price } = require('./money');
+const { NETWORKS, DEFAULT_NETWORK, NetworkConfigError, assertConfigured, getNetwork, getNetworkByChainId } = require('../config/networks');
 
+// EIP-2612 Permit struct
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+class ChainIdMismatchError extends Error {
+  constructor(network, actualChainId) {
+    super(`RPC for ${network.name} is on chain ${actualChainId}, expected ${network.chainId}`);
+    this.name = 'ChainIdMismatchError';
+    this.code = 'CHAIN_ID_MISMATCH';
+  }
+}
+
+// One service per network in config/networks.js. The module exports the
+// default network's service; forNetwork() / forChainId() return the others.
 class BlockchainService {
-  constructor() {
-    this.provider = new ethers.JsonRpcProvider(process.env.SEPOLIA_RPC_URL);
+  constructor(network) {
+    this.network = network;
+    // Fails over across network.rpcUrls; the chain id is fixed by config and checked once by verifyChainId()
+    this.provider = new FailoverProvider(network);
     this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-    
+    this.chainVerified = null;
+
     // Contract addresses
-    this.addresses = {
-      aavePool: process.env.AAVE_POOL_ADDRESS,
-      usdt: process.env.USDT_ADDRESS,
-      aUsdt: process.env.AUSDT_ADDRESS,
-      smartContract: process.env.SMART_CONTRACT_ADDRESS
-    };
+    this.addresses = { ...network.addresses };
 
     // ABI definitions
     this.abis = {
@@ -26,7 +53,25 @@ class BlockchainService {
       aavePool: [
         'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
         'function withdraw(address asset, uint256 amount, address to) returns (uint256)',
-        'function getUserAccountData(address user) view returns (uint256, uint256, uint256, uint256, uint256, uint256)'
+        'function getUserAccountData(address user) view returns (uint256, uint256, uint256, uint256, uint256, uint256)',
+        'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+        'function getReserveNormalizedIncome(address asset) view returns (uint256)'
+      ],
+      // EIP-2612 permit, plus the EIP-712 domain getters needed to sign one
+      erc20Permit: [
+        'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+        'function nonces(address owner) view returns (uint256)',
+        'function DOMAIN_SEPARATOR() view returns (bytes32)',
+        'function name() view returns (string)',
+        'function version() view returns (string)',
+        'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+      ],
+      erc1271: [
+        'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+      ],
+      aaveOracle: [
+        'function getAssetPrice(address asset) view returns (uint256)',
+        'function BASE_CURRENCY_UNIT() view returns (uint256)'
       ],
       toritoWallet: [
         {
@@ -36,6 +81,19 @@ class BlockchainService {
           "stateMutability": "nonpayable",
           "type": "function"
         },
+        {
+          "inputs": [
+            {"internalType": "uint256", "name": "amount", "type": "uint256"},
+            {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+            {"internalType": "uint8", "name": "v", "type": "uint8"},
+            {"internalType": "bytes32", "name": "r", "type": "bytes32"},
+            {"internalType": "bytes32", "name": "s", "type": "bytes32"}
+          ],
+          "name": "depositWithPermit",
+          "outputs": [],
+          "stateMutability": "nonpayable",
+          "type": "function"
+        },
         {
           "inputs": [
             {"internalType": "uint256", "name": "amount", "type": "uint256"},
@@ -104,12 +162,90 @@ class BlockchainService {
           "stateMutability": "view",
           "type": "function"
         },
+        {
+          "anonymous": false,
+          "inputs": [
+            {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+            {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+          ],
+          "name": "Deposit",
+          "type": "event"
+        },
+        {
+          "anonymous": false,
+          "inputs": [
+            {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+            {"indexed": false, "internalType": "uint256", "name": "amount", "type": "uint256"}
+          ],
+          "name": "Withdrawal",
+          "type": "event"
+        },
+        {
+          "anonymous": false,
+          "inputs": [
+            {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+            {"indexed": false, "internalType": "uint256", "name": "loanId", "type": "uint256"},
+            {"indexed": false, "internalType": "uint256", "name": "bobAmount", "type": "uint256"},
+            {"indexed": false, "internalType": "uint256", "name": "usdtCollateral", "type": "uint256"},
+            {"indexed": false, "internalType": "uint256", "name": "rate", "type": "uint256"}
+          ],
+          "name": "LoanRequested",
+          "type": "event"
+        },
+        {
+          "anonymous": false,
+          "inputs": [
+            {"indexed": true, "internalType": "uint256", "name": "loanId", "type": "uint256"}
+          ],
+          "name": "LoanFulfilled",
+          "type": "event"
+        },
+        {
+          "anonymous": false,
+          "inputs": [
+            {"indexed": true, "internalType": "address", "name": "user", "type": "address"},
+            {"indexed": false, "internalType": "uint256", "name": "bobAmount", "type": "uint256"}
+          ],
+          "name": "RepaymentRecorded",
+          "type": "event"
+        },
         {
           "inputs": [{"internalType": "address", "name": "user", "type": "address"}],
           "name": "getUserLoanIds",
           "outputs": [{"internalType": "uint256[]", "name": "", "type": "uint256[]"}],
           "stateMutability": "view",
           "type": "function"
+        },
+        {
+          "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
+          "name": "loanRequests",
+          "outputs": [
+            {"internalType": "address", "name": "user", "type": "address"},
+            {"internalType": "uint256", "name": "bobAmount", "type": "uint256"},
+            {"internalType": "uint256", "name": "usdtCollateral", "type": "uint256"},
+            {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
+            {"internalType": "bool", "name": "fulfilled", "type": "bool"},
+            {"internalType": "bool", "name": "repaid", "type": "bool"}
+          ],
+          "stateMutability": "view",
+          "type": "function"
+        },
+        {
+          "inputs": [{"internalType": "uint256", "name": "loanId", "type": "uint256"}],
+          "name": "fulfillLoan",
+          "outputs": [],
+          "stateMutability": "nonpayable",
+          "type": "function"
+        },
+        {
+          "inputs": [
+            {"internalType": "address", "name": "user", "type": "address"},
+            {"internalType": "uint256", "name": "bobAmount", "type": "uint256"}
+          ],
+          "name": "recordRepayment",
+          "outputs": [],
+          "stateMutability": "nonpayable",
+          "type": "function"
         }
       ]
     };
@@ -120,13 +256,128 @@ class BlockchainService {
       aavePool: new ethers.Contract(this.addresses.aavePool, this.abis.aavePool, this.wallet),
       toritoWallet: new ethers.Contract(this.addresses.smartContract, this.abis.toritoWallet, this.wallet)
     };
+    if (network.aaveOracle) {
+      this.contracts.aaveOracle = new ethers.Contract(network.aaveOracle, this.abis.aaveOracle, this.provider);
+    }
+
+    // Collateral assets offered on this network, with their token and aToken contracts
+    this.assets = {};
+    Object.entries(network.assets).forEach(([symbol, { address, aTokenAddress }]) => {
+      this.assets[symbol] = {
+        ...COLLATERAL_ASSETS[symbol],
+        address,
+        aTokenAddress,
+        token: symbol === BASE_ASSET ? this.contracts.usdt : new ethers.Contract(address, this.abis.erc20, this.wallet),
+        aToken: symbol === BASE_ASSET ? this.contracts.aUsdt : new ethers.Contract(aTokenAddress, this.abis.erc20, this.wallet)
+      };
+    });
+
+    // View calls from the read paths go through the batching, caching reader
+    this.reader = new ChainReader(this.provider, { multicallAddress: network.multicall });
+
+    // Token address -> its EIP-2612 permit domain (null without permit), detected once
+    this.permitDomains = new Map();
+
+    // Every server-signed transaction goes through the manager so nonces never race
+    this.transactionManager = new TransactionManager(this.wallet, {
+      chainId: network.chainId,
+      verifyNetwork: () => this.verifyChainId()
+    });
+  }
+
+  forNetwork(name) {
+    return registry.forNetwork(name);
+  }
+
+  forChainId(chainId) {
+    return registry.forChainId(chainId);
+  }
+
+  getServices() {
+    return registry.getServices();
+  }
+
+  // Refuse to work against RPCs on another chain than configured. Endpoints on
+  // the wrong chain are dropped by the provider; if every endpoint that answers
+  // is, the mismatch is remembered. Connection errors are retried on the next call.
+  verifyChainId() {
+    if (!this.chainVerified) {
+      this.chainVerified = this.provider.getChainIds().then(chainIds => {
+        if (!chainIds.length) {
+          throw new RpcUnavailableError(this.network.name, []);
+        }
+        if (!chainIds.includes(this.network.chainId)) {
+          throw new ChainIdMismatchError(this.network, chainIds[0]);
+        }
+        logger.info(`Connected to ${this.network.name} (chain ${this.network.chainId})`);
+      }).catch(error => {
+        if (!(error instanceof ChainIdMismatchError)) {
+          this.chainVerified = null;
+        }
+        throw error;
+      });
+    }
+    return this.chainVerified;
+  }
+
+  encodeCall(contract, method, args) {
+    return {
+      to: contract.target,
+      data: contract.interface.encodeFunctionData(method, args)
+    };
+  }
+
+  // `context` ({ purpose, userId, loanId, params }) is stored with the ChainTransaction
+  sendTransaction(contract, method, args, context) {
+    return this.transactionManager.send(this.encodeCall(contract, method, args), context);
+  }
+
+  // Wait for the receipt, also when the transaction was re-priced (sped up) by an operator
+  async waitForReceipt(response) {
+    try {
+      return await response.wait();
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED' && !error.cancelled) {
+        return error.receipt;
+      }
+      throw error;
+    }
+  }
+
+  // Token decimals never change, so each token is asked once
+  async getDecimals(contract) {
+    return Number(await this.reader.readImmutable(contract, 'decimals'));
+  }
+
+  // Base units of a token amount; more decimals than the token has is an error
+  async toTokenUnits(contract, amount) {
+    return Money.parse(amount, await this.getDecimals(contract)).units;
+  }
+
+  // Token amount as Money
+  async fromTokenUnits(contract, value) {
+    return Money.fromUnits(value, await this.getDecimals(contract));
+  }
+
+  // View call result; with `quorum`, confirmed by several RPC endpoints instead
+  // of read through the cache. Use it for reads that gate money movements.
+  async read(contract, method, args = [], { quorum = false } = {}) {
+    if (!quorum) {
+      return this.reader.read(contract, method, args);
+    }
+    const data = contract.interface.encodeFunctionData(method, args);
+    const decoded = contract.interface.decodeFunctionResult(method, await this.provider.quorumCall({ to: contract.target, data }));
+    return decoded.length === 1 ? decoded[0] : decoded;
+  }
+
+  async getTokenBalance(contract, address, options) {
+    const balance = await this.read(contract, 'balanceOf', [address], options);
+    return this.fromTokenUnits(contract, balance);
   }
 
   async getUSDTBalance(address) {
     try {
-      const balance = await this.contracts.usdt.balanceOf(address);
-      const decimals = await this.contracts.usdt.decimals();
-      return ethers.formatUnits(balance, decimals);
+      return await this.getTokenBalance(this.contracts.usdt, address);
     } catch (error) {
       logger.error('Error getting USDT balance:', error);
       throw error;
@@ -135,18 +386,81 @@ class BlockchainService {
 
   async getAUSDTBalance(address) {
     try {
-      const balance = await this.contracts.aUsdt.balanceOf(address);
-      const decimals = await this.contracts.aUsdt.decimals();
-      return ethers.formatUnits(balance, decimals);
+      return await this.getTokenBalance(this.contracts.aUsdt, address);
     } catch (error) {
       logger.error('Error getting aUSDT balance:', error);
       throw error;
     }
   }
 
+  // Collateral asset by symbol, or null if it is not offered on this network
+  getCollateralAsset(symbol) {
+    return this.assets[symbol] || null;
+  }
+
+  // USD price of one token (Money, 8 decimals), from the asset's configured price source
+  async getAssetPriceUSD(symbol) {
+    const asset = this.assets[symbol];
+
+    switch (asset.priceSource) {
+      case 'peg':
+        return price(1);
+      case 'exchange_rate': {
+        const exchangeRate = await ExchangeRate.getLatestRate(symbol, 'USD');
+        if (!exchangeRate) {
+          throw new Error(`No ${symbol}/USD exchange rate available`);
+        }
+        return price(exchangeRate.rate);
+      }
+      case 'aave_oracle': {
+        const [oraclePrice, unit] = await Promise.all([
+          this.reader.read(this.contracts.aaveOracle, 'getAssetPrice', [asset.address]),
+          this.reader.readImmutable(this.contracts.aaveOracle, 'BASE_CURRENCY_UNIT')
+        ]);
+        return Money.fromUnits(oraclePrice, 0).div(Money.fromUnits(unit, 0), DECIMALS.PRICE);
+      }
+    }
+  }
+
+  // aToken balance, price and value of every collateral asset for an address,
+  // plus the aggregate collateral value and what it can borrow at each asset's LTV
+  async getCollateralPositions(address) {
+    try {
+      const assets = await Promise.all(Object.values(this.assets).map(async (asset) => {
+        const [balance, decimals, priceUSD] = await Promise.all([
+          this.getTokenBalance(asset.aToken, address),
+          this.getDecimals(asset.aToken),
+          this.getAssetPriceUSD(asset.symbol)
+        ]);
+        const valueUSD = balance.mul(priceUSD, DECIMALS.USD);
+
+        return {
+          symbol: asset.symbol,
+          token: asset.aTokenSymbol,
+          balance,
+          decimals,
+          priceUSD,
+          priceSource: asset.priceSource,
+          ltv: asset.ltv,
+          valueUSD,
+          borrowableUSD: valueUSD.mul(asset.ltv)
+        };
+      }));
+
+      return {
+        assets,
+        totalValueUSD: Money.sum(assets.map(asset => asset.valueUSD), DECIMALS.USD),
+        totalBorrowableUSD: Money.sum(assets.map(asset => asset.borrowableUSD), DECIMALS.USD)
+      };
+    } catch (error) {
+      logger.error('Error getting collateral positions:', error);
+      throw error;
+    }
+  }
+
   async getUserAccountData(address) {
     try {
-      const accountData = await this.contracts.aavePool.getUserAccountData(address);
+      const accountData = await this.reader.read(this.contracts.aavePool, 'getUserAccountData', [address]);
       return {
         totalCollateralETH: ethers.formatEther(accountData[0]),
         totalDebtETH: ethers.formatEther(accountData[1]),
@@ -161,25 +475,58 @@ class BlockchainService {
     }
   }
 
-  async supplyToAave(amount, userAddress) {
+  // Supply-side state of an Aave reserve. Rates and indexes are rays (1e27):
+  // liquidityRate is the current supply APR, liquidityIndex the index stored at
+  // the reserve's last update and normalizedIncome the index as of this block.
+  async getReserveData(symbol = BASE_ASSET) {
     try {
-      const amountWei = ethers.parseUnits(amount.toString(), 6); // USDT has 6 decimals
-      
-      // First approve the Aave pool to spend USDT
-      const approveTx = await this.contracts.usdt.approve(this.addresses.aavePool, amountWei);
-      await approveTx.wait();
-      
-      // Supply to Aave
-      const supplyTx = await this.contracts.aavePool.supply(
-        this.addresses.usdt,
-        amountWei,
-        userAddress,
-        0 // referral code
-      );
+      const asset = this.getCollateralAsset(symbol);
+      const [reserve, normalizedIncome, block] = await Promise.all([
+        this.reader.read(this.contracts.aavePool, 'getReserveData', [asset.address]),
+        this.reader.read(this.contracts.aavePool, 'getReserveNormalizedIncome', [asset.address]),
+        this.provider.getBlock('latest')
+      ]);
+
+      return {
+        asset: symbol,
+        liquidityRate: reserve.currentLiquidityRate,
+        liquidityIndex: reserve.liquidityIndex,
+        normalizedIncome,
+        lastUpdateTimestamp: Number(reserve.lastUpdateTimestamp),
+        blockNumber: block.number,
+        blockTimestamp: block.timestamp
+      };
+    } catch (error) {
+      logger.error('Error getting reserve data:', error);
+      throw error;
+    }
+  }
+
+  // `symbol` is any collateral asset offered on this network (default USDT)
+  async supplyToAave(amount, userAddress, context = {}, symbol = BASE_ASSET) {
+    try {
+      const asset = this.assets[symbol];
+      const amountWei = await this.toTokenUnits(asset.token, amount);
+
+      // Approve and supply back to back, so no other approve can change the allowance in between
+      const supplyTx = await this.transactionManager.sequence(async (send) => {
+        // First approve the Aave pool to spend the token
+        const approveTx = await send(
+          this.encodeCall(asset.token, 'approve', [this.addresses.aavePool, amountWei]),
+          { ...context, purpose: 'aave_approve', params: { amount, asset: symbol, userAddress } }
+        );
+        await this.waitForReceipt(approveTx);
+
+        // Supply to Aave
+        return send(
+          this.encodeCall(this.contracts.aavePool, 'supply', [asset.address, amountWei, userAddress, 0]), // 0 = referral code
+          { ...context, purpose: 'aave_supply', params: { amount, asset: symbol, userAddress } }
+        );
+      });
       
-      const receipt = await supplyTx.wait();
+      const receipt = await this.waitForReceipt(supplyTx);
       
-      logger.info(`USDT supplied to Aave: ${amount} USDT for user ${userAddress}`);
+      logger.info(`${symbol} supplied to Aave: ${amount} ${symbol} for user ${userAddress}`);
       
       return {
         transactionHash: receipt.hash,
@@ -192,19 +539,21 @@ class BlockchainService {
     }
   }
 
-  async withdrawFromAave(amount, userAddress) {
+  async withdrawFromAave(amount, userAddress, context = {}, symbol = BASE_ASSET) {
     try {
-      const amountWei = ethers.parseUnits(amount.toString(), 6);
+      const asset = this.assets[symbol];
+      const amountWei = await this.toTokenUnits(asset.token, amount);
       
-      const withdrawTx = await this.contracts.aavePool.withdraw(
-        this.addresses.usdt,
-        amountWei,
-        userAddress
+      const withdrawTx = await this.sendTransaction(
+        this.contracts.aavePool,
+        'withdraw',
+        [asset.address, amountWei, userAddress],
+        { ...context, purpose: 'aave_withdraw', params: { amount, asset: symbol, userAddress } }
       );
       
-      const receipt = await withdrawTx.wait();
+      const receipt = await this.waitForReceipt(withdrawTx);
       
-      logger.info(`USDT withdrawn from Aave: ${amount} USDT for user ${userAddress}`);
+      logger.info(`${symbol} withdrawn from Aave: ${amount} ${symbol} for user ${userAddress}`);
       
       return {
         transactionHash: receipt.hash,
@@ -236,40 +585,279 @@ class BlockchainService {
     }
   }
 
-  async estimateGas(method, params) {
+  // Simulate each call from `from`. A revert is reported instead of thrown, with
+  // its reason; a call that depends on an earlier one (deposit after approve) or
+  // on a signature the user has not given yet (deposit with permit) can't be
+  // simulated and uses its fallback gas limit.
+  async estimateGas(from, calls) {
     try {
-      const gasEstimate = await method.estimateGas(...params);
-      const gasPrice = await this.provider.getFeeData();
-      
-      return {
-        gasLimit: gasEstimate.toString(),
-        gasPrice: gasPrice.gasPrice.toString(),
-        estimatedCost: ethers.formatEther(gasEstimate * gasPrice.gasPrice)
-      };
+      const steps = [];
+      for (const [index, call] of calls.entries()) {
+        try {
+          const gasLimit = await this.provider.estimateGas({ from, to: call.to, data: call.data });
+          steps.push({ purpose: call.purpose, gasLimit, simulated: true, wouldRevert: false });
+        } catch (error) {
+          if (error.code !== 'CALL_EXCEPTION') throw error;
+
+          if ((index > 0 || call.awaitingSignature) && call.fallbackGasLimit) {
+            steps.push({ purpose: call.purpose, gasLimit: call.fallbackGasLimit, simulated: false, wouldRevert: false });
+          } else {
+            steps.push({
+              purpose: call.purpose,
+              gasLimit: null,
+              simulated: true,
+              wouldRevert: true,
+              revertReason: this.getRevertReason(error)
+            });
+          }
+        }
+      }
+      return steps;
     } catch (error) {
       logger.error('Error estimating gas:', error);
       throw error;
     }
   }
 
+  getRevertReason(error) {
+    if (error.reason) return error.reason;
+    if (error.revert) return `${error.revert.name}(${error.revert.args.join(', ')})`;
+    return error.shortMessage || 'execution reverted';
+  }
+
+  // EIP-1559 fee tiers from the priority fees paid in recent blocks (10th/50th/90th percentile)
+  async getFeeTiers() {
+    try {
+      const blocks = parseInt(process.env.FEE_HISTORY_BLOCKS) || 10;
+      let baseFeePerGas;
+      let priorityFees;
+
+      try {
+        const history = await this.provider.send('eth_feeHistory', [ethers.toQuantity(blocks), 'latest', [10, 50, 90]]);
+        baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]); // Next block
+        priorityFees = [0, 1, 2].map(column => {
+          const rewards = history.reward.map(reward => BigInt(reward[column]));
+          return rewards.reduce((sum, reward) => sum + reward, 0n) / BigInt(rewards.length || 1);
+        });
+      } catch (historyError) {
+        // Node without eth_feeHistory: spread the provider's suggestion instead
+        logger.warn(`eth_feeHistory unavailable, using getFeeData: ${historyError.message}`);
+        const [feeData, block] = await Promise.all([this.provider.getFeeData(), this.provider.getBlock('latest')]);
+        baseFeePerGas = block.baseFeePerGas || feeData.gasPrice;
+        const suggested = feeData.maxPriorityFeePerGas || 0n;
+        priorityFees = [suggested * 80n / 100n, suggested, suggested * 150n / 100n];
+      }
+
+      const tiers = {};
+      ['slow', 'normal', 'fast'].forEach((name, index) => {
+        const maxPriorityFeePerGas = priorityFees[index];
+        tiers[name] = {
+          maxPriorityFeePerGas,
+          maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas, // Survives several full blocks of base fee growth
+          expectedFeePerGas: baseFeePerGas + maxPriorityFeePerGas
+        };
+      });
+
+      return { baseFeePerGas, tiers };
+    } catch (error) {
+      logger.error('Error getting fee tiers:', error);
+      throw error;
+    }
+  }
+
+  // Verify a personal_sign signature from an EOA or an EIP-1271 contract wallet
+  async verifySignature(address, message, signature) {
+    try {
+      try {
+        const recovered = ethers.verifyMessage(message, signature);
+        if (recovered.toLowerCase() === address.toLowerCase()) {
+          return true;
+        }
+      } catch {
+        // Not a valid ECDSA signature; a contract wallet may still accept it
+      }
+
+      const code = await this.provider.getCode(address);
+      if (code === '0x') {
+        return false;
+      }
+
+      const contractWallet = new ethers.Contract(address, this.abis.erc1271, this.provider);
+      try {
+        const magicValue = await contractWallet.isValidSignature(ethers.hashMessage(message), signature);
+        return magicValue === '0x1626ba7e'; // EIP-1271 magic value
+      } catch (error) {
+        if (error.code === 'CALL_EXCEPTION') {
+          return false;
+        }
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error verifying signature:', error);
+      throw error;
+    }
+  }
+
+  // EIP-712 domain of a token's EIP-2612 permit, or null if it has none. The
+  // token must answer nonces() and its DOMAIN_SEPARATOR() must match the domain
+  // rebuilt from eip712Domain() (EIP-5267) or name() and version(), so the typed
+  // data handed out is exactly what the token checks. Detected once per token.
+  getPermitDomain(contract) {
+    const key = contract.target.toLowerCase();
+    if (!this.permitDomains.has(key)) {
+      const detection = this.detectPermitDomain(contract);
+      detection.catch(() => this.permitDomains.delete(key)); // RPC failures are retried
+      this.permitDomains.set(key, detection);
+    }
+    return this.permitDomains.get(key);
+  }
+
+  async detectPermitDomain(contract) {
+    const token = new ethers.Contract(contract.target, this.abis.erc20Permit, this.provider);
+    // A getter the token lacks reverts or returns nothing
+    const optional = (promise) => promise.catch(error => {
+      if (error.code === 'CALL_EXCEPTION' || error.code === 'BAD_DATA') {
+        return null;
+      }
+      throw error;
+    });
+
+    const [separator, nonce, eip712Domain, name, version] = await Promise.all([
+      optional(this.reader.readImmutable(token, 'DOMAIN_SEPARATOR')),
+      optional(this.reader.read(token, 'nonces', [ethers.ZeroAddress])),
+      optional(this.reader.readImmutable(token, 'eip712Domain')),
+      optional(this.reader.readImmutable(token, 'name')),
+      optional(this.reader.readImmutable(token, 'version'))
+    ]);
+    if (!separator || nonce === null) {
+      return null;
+    }
+
+    const base = { chainId: this.network.chainId, verifyingContract: ethers.getAddress(contract.target) };
+    const candidates = [];
+    if (eip712Domain) {
+      candidates.push({ ...base, name: eip712Domain.name, version: eip712Domain.version });
+    }
+    if (name !== null) {
+      // Without version() tokens almost always sign with "1"; some USDC deployments use "2"
+      [version, '1', '2'].filter(candidate => candidate !== null).forEach(candidate => {
+        candidates.push({ ...base, name, version: candidate });
+      });
+    }
+
+    const domain = candidates.find(candidate => ethers.TypedDataEncoder.hashDomain(candidate) === separator);
+    if (!domain) {
+      logger.warn(`Permit domain of ${contract.target} on ${this.network.name} could not be rebuilt; deposits will approve`);
+    }
+    return domain || null;
+  }
+
+  // Unix time until which a permit issued now is valid
+  getPermitDeadline() {
+    return Math.floor(Date.now() / 1000) + (parseInt(process.env.PERMIT_DEADLINE_SECONDS) || 30 * 60);
+  }
+
+  // Permit letting ToritoWallet pull `amount` USDT from `owner` until
+  // `deadline`, at the owner's current nonce; null if USDT has no permit.
+  // `typedData` is the eth_signTypedData_v4 payload.
+  async buildDepositPermit(owner, amount, deadline) {
+    const domain = await this.getPermitDomain(this.contracts.usdt);
+    if (!domain) {
+      return null;
+    }
+
+    // Read directly, not through the cache: a stale nonce makes the signature useless
+    const token = new ethers.Contract(this.addresses.usdt, this.abis.erc20Permit, this.provider);
+    const message = {
+      owner: ethers.getAddress(owner),
+      spender: ethers.getAddress(this.addresses.smartContract),
+      value: (await this.toTokenUnits(this.contracts.usdt, amount)).toString(),
+      nonce: (await token.nonces(owner)).toString(),
+      deadline: String(deadline)
+    };
+
+    return {
+      domain,
+      message,
+      typedData: ethers.TypedDataEncoder.getPayload(domain, PERMIT_TYPES, message)
+    };
+  }
+
+  // True if `signature` is `owner`'s signature of the deposit permit for these terms
+  async verifyDepositPermit(owner, amount, deadline, signature) {
+    const permit = await this.buildDepositPermit(owner, amount, deadline);
+    if (!permit) {
+      return false;
+    }
+    try {
+      return ethers.verifyTypedData(permit.domain, PERMIT_TYPES, permit.message, signature).toLowerCase() === owner.toLowerCase();
+    } catch {
+      return false; // Malformed signature
+    }
+  }
+
+  encodePermitDeposit(amountWei, deadline, signature) {
+    const { v, r, s } = ethers.Signature.from(signature);
+    return this.encodeCall(this.contracts.toritoWallet, 'depositWithPermit', [amountWei, deadline, v, r, s]);
+  }
+
+  // How a deposit of `amountWei` from `owner` gets its allowance: 'allowance'
+  // when the current one covers it, 'permit' when USDT has a permit and the
+  // deployed ToritoWallet has depositWithPermit, 'approve' otherwise
+  async getDepositPath(owner, amountWei) {
+    // Read directly, not through the cache: it decides what gets sent
+    const allowance = await this.contracts.usdt.allowance(owner, this.addresses.smartContract);
+    if (allowance >= amountWei) {
+      return 'allowance';
+    }
+    if (this.network.permitDeposits && await this.getPermitDomain(this.contracts.usdt)) {
+      return 'permit';
+    }
+    return 'approve';
+  }
+
   // ToritoWallet contract methods
-  async depositToToritoContract(amount, userAddress) {
+  async depositToToritoContract(amount, userAddress, context = {}) {
     try {
-      const amountWei = ethers.parseUnits(amount.toString(), 6); // USDT has 6 decimals
-      
-      // First approve the ToritoWallet contract to spend USDT
-      const approveTx = await this.contracts.usdt.approve(this.addresses.smartContract, amountWei);
-      await approveTx.wait();
-      
-      logger.info(`USDT approved for ToritoWallet contract: ${amount} USDT`);
-      
-      // Call deposit function on ToritoWallet contract
-      const depositTx = await this.contracts.toritoWallet.deposit(amountWei);
-      const receipt = await depositTx.wait();
+      const amountWei = await this.toTokenUnits(this.contracts.usdt, amount);
+      const params = { amount, userAddress };
+      let path;
+
+      // Sequenced, so no other server transaction can spend the allowance in between
+      const depositTx = await this.transactionManager.sequence(async (send) => {
+        path = await this.getDepositPath(this.wallet.address, amountWei);
+
+        if (path === 'permit') {
+          // The server wallet is the depositor, so it signs its own permit
+          const deadline = this.getPermitDeadline();
+          const { domain, message } = await this.buildDepositPermit(this.wallet.address, amount, deadline);
+          const signature = await this.wallet.signTypedData(domain, PERMIT_TYPES, message);
+          return send(this.encodePermitDeposit(amountWei, deadline, signature), { ...context, purpose: 'deposit', params });
+        }
+
+        if (path === 'approve') {
+          // First approve the ToritoWallet contract to spend USDT
+          const approveTx = await send(
+            this.encodeCall(this.contracts.usdt, 'approve', [this.addresses.smartContract, amountWei]),
+            { ...context, purpose: 'approve', params }
+          );
+          await this.waitForReceipt(approveTx);
+
+          logger.info(`USDT approved for ToritoWallet contract: ${amount} USDT`);
+        }
+
+        // Call deposit function on ToritoWallet contract
+        return send(
+          this.encodeCall(this.contracts.toritoWallet, 'deposit', [amountWei]),
+          { ...context, purpose: 'deposit', params }
+        );
+      });
+      const receipt = await this.waitForReceipt(depositTx);
       
-      logger.info(`USDT deposited to ToritoWallet: ${amount} USDT for user ${userAddress}`);
+      logger.info(`USDT deposited to ToritoWallet (${path}): ${amount} USDT for user ${userAddress}`);
       
       return {
+        path,
         transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString()
@@ -280,13 +868,22 @@ class BlockchainService {
     }
   }
 
-  async withdrawFromToritoContract(amount, usdtToBobRate, userAddress) {
+  // `onSent(response)` runs once the transaction is broadcast, before waiting for its receipt
+  async withdrawFromToritoContract(amount, usdtToBobRate, userAddress, context = {}, { onSent } = {}) {
     try {
-      const amountWei = ethers.parseUnits(amount.toString(), 6);
-      const rateWei = ethers.parseUnits(usdtToBobRate.toString(), 8); // Rate has 8 decimals
+      const amountWei = await this.toTokenUnits(this.contracts.usdt, amount);
+      const rateWei = rate(usdtToBobRate).units;
       
-      const withdrawTx = await this.contracts.toritoWallet.withdraw(amountWei, rateWei);
-      const receipt = await withdrawTx.wait();
+      const withdrawTx = await this.sendTransaction(
+        this.contracts.toritoWallet,
+        'withdraw',
+        [amountWei, rateWei],
+        { ...context, purpose: 'withdraw', params: { amount, usdtToBobRate, userAddress } }
+      );
+      if (onSent) {
+        await onSent(withdrawTx);
+      }
+      const receipt = await this.waitForReceipt(withdrawTx);
       
       logger.info(`USDT withdrawn from ToritoWallet: ${amount} USDT for user ${userAddress}`);
       
@@ -301,15 +898,206 @@ class BlockchainService {
     }
   }
 
-  async getToritoUserAccount(userAddress) {
+  // Non-custodial mode: the user's own wallet signs, so msg.sender is the user.
+  // Builds fully populated EIP-1559 transactions with consecutive nonces from the
+  // address's pending nonce; the app must sign and broadcast them in order.
+  async buildUnsignedTransactions(from, calls) {
     try {
-      const account = await this.contracts.toritoWallet.getUserAccount(userAddress);
+      const [network, feeData, startNonce] = await Promise.all([
+        this.provider.getNetwork(),
+        this.provider.getFeeData(),
+        this.provider.getTransactionCount(from, 'pending')
+      ]);
+
+      const fees = feeData.maxFeePerGas
+        ? {
+          type: 2,
+          maxFeePerGas: feeData.maxFeePerGas.toString(),
+          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas.toString()
+        }
+        : { type: 0, gasPrice: feeData.gasPrice.toString() };
+
+      const transactions = [];
+      for (const [index, call] of calls.entries()) {
+        let gasLimit;
+        try {
+          const estimate = await this.provider.estimateGas({ from, to: call.to, data: call.data });
+          gasLimit = estimate * 120n / 100n; // 20% headroom
+        } catch (error) {
+          // A call that depends on an earlier one (deposit after approve) reverts until that one is mined
+          if (index === 0 || !call.fallbackGasLimit) throw error;
+          gasLimit = call.fallbackGasLimit;
+        }
+
+        transactions.push({
+          purpose: call.purpose,
+          from: ethers.getAddress(from),
+          to: call.to,
+          data: call.data,
+          value: '0',
+          nonce: startNonce + index,
+          gasLimit: gasLimit.toString(),
+          chainId: network.chainId.toString(),
+          ...fees
+        });
+      }
+
+      return transactions;
+    } catch (error) {
+      logger.error('Error building unsigned transactions:', error);
+      throw error;
+    }
+  }
+
+  // Contract calls behind each user operation, shared by transaction building and gas estimation.
+  // A deposit also reports its path (see getDepositPath); `permit` is the
+  // user's { deadline, signature } for the 'permit' path.
+  async getDepositCalls(amount, userAddress, { permit } = {}) {
+    const amountWei = await this.toTokenUnits(this.contracts.usdt, amount);
+    const path = await this.getDepositPath(userAddress, amountWei);
+    const fallbackGasLimit = BigInt(process.env.DEPOSIT_FALLBACK_GAS_LIMIT || 300000); // deposit also supplies to Aave
+
+    if (path === 'permit') {
+      // Until the user signs, a blank signature stands in so the call can be sized
+      const { data } = permit
+        ? this.encodePermitDeposit(amountWei, permit.deadline, permit.signature)
+        : this.encodeCall(this.contracts.toritoWallet, 'depositWithPermit', [amountWei, 0, 27, ethers.ZeroHash, ethers.ZeroHash]);
+      return {
+        path,
+        calls: [{ purpose: 'deposit', to: this.addresses.smartContract, data, fallbackGasLimit, awaitingSignature: !permit }]
+      };
+    }
+
+    const calls = [];
+    if (path === 'approve') {
+      calls.push({
+        purpose: 'approve',
+        to: this.addresses.usdt,
+        data: this.contracts.usdt.interface.encodeFunctionData('approve', [this.addresses.smartContract, amountWei])
+      });
+    }
+    calls.push({
+      purpose: 'deposit',
+      to: this.addresses.smartContract,
+      data: this.contracts.toritoWallet.interface.encodeFunctionData('deposit', [amountWei]),
+      fallbackGasLimit
+    });
+
+    return { path, calls };
+  }
+
+  async getWithdrawCalls(amount, usdtToBobRate) {
+    const amountWei = await this.toTokenUnits(this.contracts.usdt, amount);
+    const rateWei = rate(usdtToBobRate).units;
+
+    return [{
+      purpose: 'withdraw',
+      to: this.addresses.smartContract,
+      data: this.contracts.toritoWallet.interface.encodeFunctionData('withdraw', [amountWei, rateWei])
+    }];
+  }
+
+  getLoanRequestCalls(bobAmount, usdtToBobRate) {
+    const bobAmountWei = bob(bobAmount).units;
+    const rateWei = rate(usdtToBobRate).units;
+
+    return [{
+      purpose: 'loan_request',
+      to: this.addresses.smartContract,
+      data: this.contracts.toritoWallet.interface.encodeFunctionData('requestLoan', [bobAmountWei, rateWei])
+    }];
+  }
+
+  async prepareWithdrawTransactions(amount, usdtToBobRate, userAddress) {
+    return this.buildUnsignedTransactions(userAddress, await this.getWithdrawCalls(amount, usdtToBobRate));
+  }
+
+  async prepareLoanRequestTransactions(bobAmount, usdtToBobRate, userAddress) {
+    return this.buildUnsignedTransactions(userAddress, this.getLoanRequestCalls(bobAmount, usdtToBobRate));
+  }
+
+  // Identify a user-signed transaction as one of the calls above; null for anything else
+  async describeTransaction({ to, data }) {
+    const target = (to || '').toLowerCase();
+    const parse = (contract) => {
+      try {
+        return contract.interface.parseTransaction({ data });
+      } catch {
+        return null; // Calldata doesn't decode against the ABI
+      }
+    };
+    let parsed = null;
+
+    if (target === this.addresses.usdt.toLowerCase()) {
+      parsed = parse(this.contracts.usdt);
+      if (parsed && parsed.name === 'approve' &&
+        parsed.args[0].toLowerCase() === this.addresses.smartContract.toLowerCase()) {
+        return { purpose: 'approve', params: { amount: await this.fromTokenUnits(this.contracts.usdt, parsed.args[1]) } };
+      }
+      return null;
+    }
+
+    if (target !== this.addresses.smartContract.toLowerCase()) {
+      return null;
+    }
+
+    parsed = parse(this.contracts.toritoWallet);
+    switch (parsed && parsed.name) {
+      case 'deposit':
+      case 'depositWithPermit':
+        return { purpose: 'deposit', params: { amount: await this.fromTokenUnits(this.contracts.usdt, parsed.args[0]) } };
+      case 'withdraw':
+        return {
+          purpose: 'withdraw',
+          params: {
+            amount: await this.fromTokenUnits(this.contracts.usdt, parsed.args[0]),
+            usdtToBobRate: Money.fromUnits(parsed.args[1], DECIMALS.RATE)
+          }
+        };
+      case 'requestLoan':
+        return {
+          purpose: 'loan_request',
+          params: { bobAmount: Money.fromUnits(parsed.args[0], DECIMALS.BOB), usdtToBobRate: Money.fromUnits(parsed.args[1], DECIMALS.RATE) }
+        };
+      default:
+        return null;
+    }
+  }
+
+  async getChainId() {
+    const network = await this.provider.getNetwork();
+    return network.chainId;
+  }
+
+  async getTransaction(txHash) {
+    return this.provider.getTransaction(txHash);
+  }
+
+  async getTransactionCount(address, blockTag = 'latest') {
+    return this.provider.getTransactionCount(address, blockTag);
+  }
+
+  async broadcastSignedTransaction(signedTransaction) {
+    try {
+      const response = await this.provider.broadcastTransaction(signedTransaction);
+      logger.info(`User-signed transaction broadcast: ${response.hash}`);
+      return response.hash;
+    } catch (error) {
+      logger.error('Error broadcasting signed transaction:', error);
+      throw error;
+    }
+  }
+
+  // `options.quorum` confirms the account with several RPC endpoints (see read())
+  async getToritoUserAccount(userAddress, options) {
+    try {
+      const account = await this.read(this.contracts.toritoWallet, 'getUserAccount', [userAddress], options);
       
       return {
-        usdtBalance: ethers.formatUnits(account.usdtBalance, 6),
-        bobDebt: ethers.formatUnits(account.bobDebt, 2), // BOB has 2 decimals
-        totalBobBorrowed: ethers.formatUnits(account.totalBobBorrowed, 2),
-        totalBobRepaid: ethers.formatUnits(account.totalBobRepaid, 2),
+        usdtBalance: await this.fromTokenUnits(this.contracts.usdt, account.usdtBalance),
+        bobDebt: Money.fromUnits(account.bobDebt, DECIMALS.BOB),
+        totalBobBorrowed: Money.fromUnits(account.totalBobBorrowed, DECIMALS.BOB),
+        totalBobRepaid: Money.fromUnits(account.totalBobRepaid, DECIMALS.BOB),
         isActive: account.isActive
       };
     } catch (error) {
@@ -318,13 +1106,18 @@ class BlockchainService {
     }
   }
 
-  async requestLoanFromTorito(bobAmount, usdtToBobRate, userAddress) {
+  async requestLoanFromTorito(bobAmount, usdtToBobRate, userAddress, context = {}) {
     try {
-      const bobAmountWei = ethers.parseUnits(bobAmount.toString(), 2); // BOB has 2 decimals
-      const rateWei = ethers.parseUnits(usdtToBobRate.toString(), 8); // Rate has 8 decimals
+      const bobAmountWei = bob(bobAmount).units;
+      const rateWei = rate(usdtToBobRate).units;
       
-      const loanTx = await this.contracts.toritoWallet.requestLoan(bobAmountWei, rateWei);
-      const receipt = await loanTx.wait();
+      const loanTx = await this.sendTransaction(
+        this.contracts.toritoWallet,
+        'requestLoan',
+        [bobAmountWei, rateWei],
+        { ...context, purpose: 'loan_request', params: { bobAmount, usdtToBobRate, userAddress } }
+      );
+      const receipt = await this.waitForReceipt(loanTx);
       
       // Extract loan ID from transaction receipt
       const loanRequestedEvent = receipt.logs.find(log => {
@@ -340,6 +1133,7 @@ class BlockchainService {
       if (loanRequestedEvent) {
         const parsedLog = this.contracts.toritoWallet.interface.parseLog(loanRequestedEvent);
         loanId = parsedLog.args.loanId.toString();
+        await ChainTransaction.updateOne({ transactionHash: receipt.hash.toLowerCase() }, { $set: { contractLoanId: loanId } });
       }
       
       logger.info(`Loan requested from ToritoWallet: ${bobAmount} BOB for user ${userAddress}, loanId: ${loanId}`);
@@ -356,9 +1150,69 @@ class BlockchainService {
     }
   }
 
+  // A ToritoWallet loan request by contract loan id, or null if there is none.
+  // `options.quorum` confirms it with several RPC endpoints (see read()).
+  async getLoanRequest(contractLoanId, options) {
+    try {
+      const request = await this.read(this.contracts.toritoWallet, 'loanRequests', [contractLoanId], options);
+      if (request.user === ethers.ZeroAddress) {
+        return null;
+      }
+
+      return {
+        contractLoanId: contractLoanId.toString(),
+        user: request.user.toLowerCase(),
+        bobAmount: Money.fromUnits(request.bobAmount, DECIMALS.BOB),
+        usdtCollateral: await this.fromTokenUnits(this.contracts.usdt, request.usdtCollateral),
+        requestedAt: new Date(Number(request.timestamp) * 1000),
+        fulfilled: request.fulfilled,
+        repaid: request.repaid
+      };
+    } catch (error) {
+      logger.error('Error getting ToritoWallet loan request:', error);
+      throw error;
+    }
+  }
+
+  // Owner-only: mark a loan request as paid out by the partner. Resolves once
+  // broadcast; the transaction tracker follows it to confirmation.
+  async fulfillLoan(contractLoanId, context = {}) {
+    try {
+      const response = await this.sendTransaction(
+        this.contracts.toritoWallet,
+        'fulfillLoan',
+        [contractLoanId],
+        { ...context, purpose: 'loan_fulfill', params: { contractLoanId: contractLoanId.toString() } }
+      );
+      logger.info(`ToritoWallet fulfillLoan sent for loan ${contractLoanId}: ${response.hash}`);
+      return response;
+    } catch (error) {
+      logger.error('Error fulfilling ToritoWallet loan:', error);
+      throw error;
+    }
+  }
+
+  // Owner-only: lower a user's BOB debt by a repayment the partner confirmed
+  async recordRepayment(userAddress, bobAmount, context = {}) {
+    try {
+      const bobAmountWei = bob(bobAmount).units;
+      const response = await this.sendTransaction(
+        this.contracts.toritoWallet,
+        'recordRepayment',
+        [userAddress, bobAmountWei],
+        { ...context, purpose: 'loan_repayment', params: { userAddress, bobAmount } }
+      );
+      logger.info(`ToritoWallet recordRepayment sent: ${bobAmount} BOB for user ${userAddress}: ${response.hash}`);
+      return response;
+    } catch (error) {
+      logger.error('Error recording ToritoWallet repayment:', error);
+      throw error;
+    }
+  }
+
   async getUserLoanIds(userAddress) {
     try {
-      const loanIds = await this.contracts.toritoWallet.getUserLoanIds(userAddress);
+      const loanIds = await this.reader.read(this.contracts.toritoWallet, 'getUserLoanIds', [userAddress]);
       return loanIds.map(id => id.toString());
     } catch (error) {
       logger.error('Error getting user loan IDs:', error);
@@ -368,11 +1222,11 @@ class BlockchainService {
 
   async calculateMaxBorrowable(usdtBalance, usdtToBobRate) {
     try {
-      const balanceWei = ethers.parseUnits(usdtBalance.toString(), 6);
-      const rateWei = ethers.parseUnits(usdtToBobRate.toString(), 8);
+      const balanceWei = await this.toTokenUnits(this.contracts.usdt, usdtBalance);
+      const rateWei = rate(usdtToBobRate).units;
       
       const maxBorrowable = await this.contracts.toritoWallet.calculateMaxBorrowable(balanceWei, rateWei);
-      return ethers.formatUnits(maxBorrowable, 2); // BOB has 2 decimals
+      return Money.fromUnits(maxBorrowable, DECIMALS.BOB);
     } catch (error) {
       logger.error('Error calculating max borrowable:', error);
       throw error;
@@ -381,11 +1235,11 @@ class BlockchainService {
 
   async calculateRequiredCollateral(bobAmount, usdtToBobRate) {
     try {
-      const bobAmountWei = ethers.parseUnits(bobAmount.toString(), 2);
-      const rateWei = ethers.parseUnits(usdtToBobRate.toString(), 8);
+      const bobAmountWei = bob(bobAmount).units;
+      const rateWei = rate(usdtToBobRate).units;
       
       const requiredCollateral = await this.contracts.toritoWallet.calculateRequiredCollateral(bobAmountWei, rateWei);
-      return ethers.formatUnits(requiredCollateral, 6); // USDT has 6 decimals
+      return await this.fromTokenUnits(this.contracts.usdt, requiredCollateral);
     } catch (error) {
       logger.error('Error calculating required collateral:', error);
       throw error;
@@ -394,10 +1248,10 @@ class BlockchainService {
 
   async getContractStats() {
     try {
-      const stats = await this.contracts.toritoWallet.getContractStats();
+      const stats = await this.reader.read(this.contracts.toritoWallet, 'getContractStats');
       return {
-        totalDeposits: ethers.formatUnits(stats[0], 6),
-        totalBobLoans: ethers.formatUnits(stats[1], 2)
+        totalDeposits: await this.fromTokenUnits(this.contracts.usdt, stats[0]),
+        totalBobLoans: Money.fromUnits(stats[1], DECIMALS.BOB)
       };
     } catch (error) {
       logger.error('Error getting contract stats:', error);
@@ -406,4 +1260,51 @@ class BlockchainService {
   }
 }
 
-module.exports = new BlockchainService();
+const services = new Map();
+
+// Services are created on first use; a network missing configuration throws a NetworkConfigError
+const getService = (name) => {
+  const network = getNetwork(name);
+  if (!network) {
+    throw new NetworkConfigError(`Unknown network: ${name}`);
+  }
+  if (!services.has(name)) {
+    assertConfigured(network);
+    services.set(name, new BlockchainService(network));
+  }
+  return services.get(name);
+};
+
+// Lookups that work without the default network's service
+const registry = {
+  forNetwork: getService,
+
+  // Service for a chain id, or null if the chain is not configured
+  forChainId(chainId) {
+    const network = getNetworkByChainId(chainId);
+    return network ? getService(network.name) : null;
+  },
+
+  // Services for every configured network
+  getServices() {
+    return Object.keys(NETWORKS).map(getService);
+  }
+};
+
+// The default network's service, created when first used rather than when this
+// module is loaded, so requiring it needs no chain configuration. The registry
+// lookups, symbols and module-interop probes (`__esModule`, `then`) are
+// answered without creating it.
+module.exports = new Proxy({}, {
+  get(target, property) {
+    if (Object.prototype.hasOwnProperty.call(registry, property)) {
+      return registry[property];
+    }
+    if (typeof property === 'symbol' || property === '__esModule' || property === 'then') {
+      return undefined;
+    }
+    const service = getService(DEFAULT_NETWORK);
+    const value = service[property];
+    return typeof value === 'function' ? value.bind(service) : value;
+  }
+});
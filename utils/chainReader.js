@@ -0,0 +1,144 @@
+const { ethers } = require('ethers');
+
+// Read layer for contract view calls. Calls issued within CHAIN_READ_BATCH_MS
+// of each other reach the node as one Multicall3 aggregate3 call, pinned to the
+// current block. Results are cached: values that never change (token decimals,
+// contract constants) for good, everything else until a new block is seen.
+// The head is polled at most every CHAIN_READ_HEAD_TTL_MS, so clients polling
+// the balance cost one eth_blockNumber per interval and one multicall per block.
+
+// Deployed at the same address on nearly every EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)'
+];
+
+const getConfig = () => ({
+  batchWindowMs: parseInt(process.env.CHAIN_READ_BATCH_MS) || 5,
+  maxBatchSize: parseInt(process.env.CHAIN_READ_MAX_BATCH) || 100,
+  headTtlMs: parseInt(process.env.CHAIN_READ_HEAD_TTL_MS) || 2000
+});
+
+class ChainReader {
+  constructor(provider, { multicallAddress } = {}) {
+    this.provider = provider;
+    this.multicall = new ethers.Contract(multicallAddress || MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+    this.immutable = new Map();
+    this.blockCache = { blockNumber: null, entries: new Map() };
+    this.head = null;
+    this.pending = new Map(); // block tag -> calls waiting for the next flush
+    this.timer = null;
+  }
+
+  // Current block number, asked of the node at most once per headTtlMs
+  getBlockNumber() {
+    const now = Date.now();
+    if (!this.head || this.head.expiresAt <= now) {
+      const promise = this.provider.getBlockNumber();
+      this.head = { promise, expiresAt: now + getConfig().headTtlMs };
+      promise.catch(() => {
+        if (this.head && this.head.promise === promise) {
+          this.head = null;
+        }
+      });
+    }
+    return this.head.promise;
+  }
+
+  // Result of a view call at the current block, shared by every caller in that block
+  async read(contract, method, args = []) {
+    const blockNumber = await this.getBlockNumber();
+    if (this.blockCache.blockNumber !== blockNumber) {
+      this.blockCache = { blockNumber, entries: new Map() };
+    }
+    return this.cached(this.blockCache.entries, contract, method, args, blockNumber);
+  }
+
+  // Result of a view call whose value never changes, cached for the life of the process
+  readImmutable(contract, method, args = []) {
+    return this.cached(this.immutable, contract, method, args, 'latest');
+  }
+
+  // Decoded like ethers' Contract does: a single return value is unwrapped.
+  // Failed calls are not cached.
+  cached(cache, contract, method, args, blockTag) {
+    const callData = contract.interface.encodeFunctionData(method, args);
+    const key = `${contract.target.toLowerCase()}:${callData}`;
+
+    if (!cache.has(key)) {
+      const result = this.enqueue({ target: contract.target, callData, iface: contract.interface }, blockTag)
+        .then(returnData => {
+          const decoded = contract.interface.decodeFunctionResult(method, returnData);
+          return decoded.length === 1 ? decoded[0] : decoded;
+        });
+      result.catch(() => cache.delete(key));
+      cache.set(key, result);
+    }
+    return cache.get(key);
+  }
+
+  enqueue(call, blockTag) {
+    const { batchWindowMs, maxBatchSize } = getConfig();
+
+    return new Promise((resolve, reject) => {
+      const key = String(blockTag);
+      if (!this.pending.has(key)) {
+        this.pending.set(key, []);
+      }
+      const batch = this.pending.get(key);
+      batch.push({ ...call, blockTag, resolve, reject });
+
+      if (batch.length >= maxBatchSize) {
+        this.flushBatch(key);
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), batchWindowMs);
+      }
+    });
+  }
+
+  flush() {
+    this.timer = null;
+    [...this.pending.keys()].forEach(key => this.flushBatch(key));
+  }
+
+  async flushBatch(key) {
+    const batch = this.pending.get(key);
+    this.pending.delete(key);
+    if (!batch || !batch.length) {
+      return;
+    }
+    const { blockTag } = batch[0];
+
+    // A lone call gains nothing from Multicall3
+    if (batch.length === 1) {
+      const [call] = batch;
+      try {
+        call.resolve(await this.provider.call({ to: call.target, data: call.callData, blockTag }));
+      } catch (error) {
+        call.reject(error);
+      }
+      return;
+    }
+
+    try {
+      const results = await this.multicall.aggregate3.staticCall(
+        batch.map(({ target, callData }) => ({ target, allowFailure: true, callData })),
+        { blockTag }
+      );
+
+      results.forEach(({ success, returnData }, index) => {
+        const call = batch[index];
+        if (success) {
+          call.resolve(returnData);
+        } else {
+          call.reject(call.iface.makeError(returnData, { to: call.target, data: call.callData }));
+        }
+      });
+    } catch (error) {
+      batch.forEach(call => call.reject(error));
+    }
+  }
+}
+
+module.exports = ChainReader;
@@ -0,0 +1,226 @@
+const cron = require('node-cron');
+const ContractEvent = require('../models/ContractEvent');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const ExchangeRate = require('../models/ExchangeRate');
+const HealthSnapshot = require('../models/HealthSnapshot');
+const HealthEvent = require('../models/HealthEvent');
+const blockchainService = require('./blockchain');
+const mailer = require('./mailer');
+const logger = require('./logger');
+const { Money, DECIMALS, ROUNDING, rate, ratio } = require('./money');
+
+// Watches whether each borrower's USDT collateral on ToritoWallet still covers
+// their BOB debt as the USDT/BOB rate moves. LTV is the debt over the collateral
+// valued in BOB at the latest ExchangeRate; the contract lends up to 50%.
+// Borrowers are banded by LTV:
+//
+//   healthy       below HEALTH_WARNING_LTV
+//   warning       from HEALTH_WARNING_LTV
+//   margin_call   from HEALTH_MARGIN_CALL_LTV: the borrower should add collateral or repay
+//   liquidatable  from HEALTH_LIQUIDATION_LTV
+//
+// The health factor is HEALTH_LIQUIDATION_LTV over the LTV, so it is 1 or
+// less exactly when the borrower is liquidatable. Every HEALTH_MONITOR_CRON the
+// monitor stores a HealthSnapshot per borrower and a HealthEvent when the band
+// changes, and mails the borrower when it worsens.
+
+const { BANDS } = HealthSnapshot;
+
+const getConfig = () => ({
+  warningLtv: ratio(process.env.HEALTH_WARNING_LTV || '0.60'),
+  marginCallLtv: ratio(process.env.HEALTH_MARGIN_CALL_LTV || '0.70'),
+  liquidationLtv: ratio(process.env.HEALTH_LIQUIDATION_LTV || '0.80')
+});
+
+const bandFor = (ltv, { warningLtv, marginCallLtv, liquidationLtv }) => {
+  if (ltv === null || ltv.gte(liquidationLtv)) return 'liquidatable';
+  if (ltv.gte(marginCallLtv)) return 'margin_call';
+  if (ltv.gte(warningLtv)) return 'warning';
+  return 'healthy';
+};
+
+const isWorse = (band, than) => BANDS.indexOf(band) > BANDS.indexOf(than || 'healthy');
+
+// Health of a ToritoWallet account (from getToritoUserAccount) at `usdtToBobRate`.
+// Collateral is valued down and LTV rounded up, so rounding never flatters a borrower.
+const assess = (account, usdtToBobRate, config = getConfig()) => {
+  const { usdtBalance, bobDebt } = account;
+  const collateralBOB = usdtBalance.mul(usdtToBobRate, DECIMALS.BOB);
+
+  let ltv = null;
+  let healthFactor = null;
+  if (!bobDebt.isPositive()) {
+    ltv = Money.zero(DECIMALS.RATIO);
+  } else if (!collateralBOB.isPositive()) {
+    healthFactor = Money.zero(DECIMALS.RATIO);
+  } else {
+    ltv = bobDebt.div(collateralBOB, DECIMALS.RATIO, ROUNDING.UP);
+    healthFactor = collateralBOB.mul(config.liquidationLtv).div(bobDebt, DECIMALS.RATIO);
+  }
+
+  return {
+    usdtBalance,
+    bobDebt,
+    usdtToBobRate,
+    collateralBOB,
+    ltv,
+    healthFactor,
+    band: bandFor(ltv, config)
+  };
+};
+
+// Latest USDT/BOB rate as Money, or null when none is known
+const getLatestRate = async () => {
+  const exchangeRate = await ExchangeRate.getLatestRate('USDT', 'BOB');
+  return exchangeRate ? rate(exchangeRate.rate) : null;
+};
+
+// Current health of `walletAddress` on the service's network
+const getHealth = async (service, walletAddress, usdtToBobRate) => {
+  const account = await service.getToritoUserAccount(walletAddress);
+  return assess(account, usdtToBobRate);
+};
+
+const notify = async (event, user) => {
+  if (!user || !user.email) {
+    return;
+  }
+  try {
+    await mailer.sendCollateralHealthEmail(user, event);
+    event.notifiedAt = new Date();
+    await event.save();
+  } catch (error) {
+    logger.error(`Collateral health mail for ${event.walletAddress} failed:`, error);
+  }
+};
+
+// Record the health of one borrower and any band change. Returns the snapshot,
+// or null when a borrower without debt had nothing new to record.
+const check = async (service, walletAddress, usdtToBobRate) => {
+  const network = service.network.name;
+  const health = await getHealth(service, walletAddress, usdtToBobRate);
+  const previous = await HealthSnapshot.findOne({ network, walletAddress }).sort({ createdAt: -1 });
+
+  // Repaid borrowers stay in the borrower list; one zero-debt snapshot is enough
+  if (health.bobDebt.isZero() && (!previous || Money.parse(previous.bobDebt, DECIMALS.BOB).isZero())) {
+    return null;
+  }
+
+  const user = await User.findByWalletAddress(walletAddress);
+  const snapshot = await HealthSnapshot.create({
+    network,
+    walletAddress,
+    userId: user ? user._id : undefined,
+    ...health
+  });
+
+  const fromBand = previous ? previous.band : null;
+  if (health.band === (fromBand || 'healthy')) {
+    return snapshot;
+  }
+
+  const event = await HealthEvent.create({
+    network,
+    walletAddress,
+    userId: snapshot.userId,
+    fromBand,
+    toBand: health.band,
+    ltv: health.ltv,
+    healthFactor: health.healthFactor,
+    usdtToBobRate,
+    snapshotId: snapshot._id
+  });
+  logger.info(`Collateral health of ${walletAddress} on ${network}: ${fromBand || 'new'} -> ${health.band} (LTV ${health.ltv})`);
+
+  if (isWorse(health.band, fromBand)) {
+    await notify(event, user);
+  }
+  return snapshot;
+};
+
+// Addresses with a ToritoWallet loan on the service's network, from indexed
+// LoanRequested events and from loans linked to a contract loan
+const getBorrowers = async (service) => {
+  const network = service.network.name;
+  const [requested, linked] = await Promise.all([
+    ContractEvent.distinct('user', { network, name: 'LoanRequested' }),
+    Loan.distinct('blockchain.borrower', { network, 'blockchain.borrower': { $ne: null } })
+  ]);
+  return [...new Set([...requested, ...linked])];
+};
+
+const checkNetwork = async (service, usdtToBobRate) => {
+  const borrowers = await getBorrowers(service);
+  const bands = {};
+
+  for (const walletAddress of borrowers) {
+    try {
+      const snapshot = await check(service, walletAddress, usdtToBobRate);
+      if (snapshot) {
+        bands[snapshot.band] = (bands[snapshot.band] || 0) + 1;
+      }
+    } catch (error) {
+      logger.error(`Collateral health check of ${walletAddress} on ${service.network.name} failed:`, error);
+    }
+  }
+
+  return bands;
+};
+
+let running = false;
+
+// Check every borrower on every network at the latest USDT/BOB rate
+const checkAll = async () => {
+  // A slow run is not overlapped by the next one
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    const usdtToBobRate = await getLatestRate();
+    if (!usdtToBobRate) {
+      logger.warn('Collateral health check skipped: no USDT/BOB exchange rate');
+      return;
+    }
+
+    for (const service of blockchainService.getServices()) {
+      try {
+        const bands = await checkNetwork(service, usdtToBobRate);
+        logger.info(`Collateral health checked on ${service.network.name} at ${usdtToBobRate} BOB/USDT: ${JSON.stringify(bands)}`);
+      } catch (error) {
+        logger.error(`Collateral health check failed on ${service.network.name}:`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+let task = null;
+
+// Check borrowers on HEALTH_MONITOR_CRON (default every 15 minutes)
+const start = () => {
+  if (task) {
+    return;
+  }
+  const schedule = process.env.HEALTH_MONITOR_CRON || '*/15 * * * *';
+  task = cron.schedule(schedule, () => {
+    checkAll().catch(error => {
+      logger.error('Scheduled collateral health check failed:', error);
+    });
+  });
+  logger.info(`Collateral health monitor scheduled (${schedule})`);
+};
+
+module.exports = {
+  BANDS,
+  getConfig,
+  assess,
+  getLatestRate,
+  getHealth,
+  check,
+  checkAll,
+  start
+};
@@ -0,0 +1,281 @@
+const ContractEvent = require('../models/ContractEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const blockchainService = require('./blockchain');
+const logger = require('./logger');
+const { Money, DECIMALS } = require('./money');
+
+// Indexes ToritoWallet events into ContractEvent, one indexer per network.
+// Backfills from INDEXER_START_BLOCK (or <NETWORK>_INDEXER_START_BLOCK), then
+// follows new blocks. Blocks younger than the network's confirmation depth are
+// not final: their hashes are kept in the checkpoint and their events are
+// rolled back if a reorg replaces them.
+
+const getConfig = (network) => {
+  const prefix = network.name.toUpperCase();
+  const startBlock = process.env[`${prefix}_INDEXER_START_BLOCK`] || process.env.INDEXER_START_BLOCK;
+
+  return {
+    startBlock: startBlock ? parseInt(startBlock) : null,
+    confirmations: network.confirmations || parseInt(process.env.INDEXER_CONFIRMATIONS) || 12,
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE) || 2000,
+    pollSeconds: parseInt(process.env[`${prefix}_INDEXER_POLL_SECONDS`] || process.env.INDEXER_POLL_SECONDS) || 15
+  };
+};
+
+class EventIndexer {
+  constructor(service) {
+    this.service = service;
+    this.network = service.network;
+    this.checkpointName = `toritoWallet:${service.network.name}`;
+    this.running = false;
+  }
+
+  get contract() {
+    return this.service.contracts.toritoWallet;
+  }
+
+  get provider() {
+    return this.service.provider;
+  }
+
+  async loadCheckpoint(head) {
+    let checkpoint = await IndexerCheckpoint.findOne({ name: this.checkpointName });
+    if (!checkpoint) {
+      const { startBlock } = getConfig(this.network);
+      // Without a start block there is nothing to backfill: follow from the current head
+      checkpoint = await IndexerCheckpoint.create({
+        name: this.checkpointName,
+        lastBlock: (startBlock !== null ? startBlock : head) - 1
+      });
+      logger.info(`Event indexer for ${this.network.name} starting at block ${checkpoint.lastBlock + 1}`);
+    }
+    return checkpoint;
+  }
+
+  // Compare stored hashes of non-final blocks with the chain, newest first.
+  // If the newest still matches, its ancestors do too.
+  async detectReorg(checkpoint) {
+    const recent = [...checkpoint.recentBlocks].sort((a, b) => b.number - a.number);
+    let forkBlock = null;
+
+    for (const block of recent) {
+      const onChain = await this.provider.getBlock(block.number);
+      if (onChain && onChain.hash.toLowerCase() === block.hash) {
+        break;
+      }
+      forkBlock = block.number;
+    }
+
+    if (forkBlock === null) {
+      return false;
+    }
+
+    const { deletedCount } = await ContractEvent.deleteMany({
+      network: this.network.name,
+      blockNumber: { $gte: forkBlock },
+      confirmed: false
+    });
+
+    checkpoint.lastBlock = forkBlock - 1;
+    checkpoint.recentBlocks = checkpoint.recentBlocks.filter(block => block.number < forkBlock);
+    checkpoint.reorgCount += 1;
+    checkpoint.lastReorgAt = new Date();
+    await checkpoint.save();
+
+    logger.warn(`Reorg detected on ${this.network.name} at block ${forkBlock}: rolled back ${deletedCount} events`);
+    return true;
+  }
+
+  // Decode a log into a ContractEvent document
+  async decode(log, parsed, blockTimestamp, confirmed) {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      args[input.name] = parsed.args[index].toString();
+    });
+
+    const event = {
+      name: parsed.name,
+      network: this.network.name,
+      contractAddress: log.address,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash.toLowerCase(),
+      blockTimestamp,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      user: args.user,
+      loanId: args.loanId,
+      args,
+      confirmed
+    };
+
+    const usdt = this.service.contracts.usdt;
+    switch (parsed.name) {
+      case 'Deposit':
+      case 'Withdrawal':
+        event.amountUSDT = await this.service.fromTokenUnits(usdt, args.amount);
+        break;
+      case 'LoanRequested':
+        event.amountBOB = Money.fromUnits(args.bobAmount, DECIMALS.BOB);
+        event.amountUSDT = await this.service.fromTokenUnits(usdt, args.usdtCollateral);
+        event.usdtToBobRate = Money.fromUnits(args.rate, DECIMALS.RATE);
+        break;
+      case 'LoanFulfilled': {
+        const request = await ContractEvent.findOne({ network: this.network.name, name: 'LoanRequested', loanId: args.loanId });
+        event.user = request ? request.user : undefined;
+        break;
+      }
+      case 'RepaymentRecorded':
+        event.amountBOB = Money.fromUnits(args.bobAmount, DECIMALS.BOB);
+        break;
+    }
+
+    return event;
+  }
+
+  // Index one block range and advance the checkpoint
+  async indexRange(checkpoint, fromBlock, toBlock, head) {
+    const { confirmations } = getConfig(this.network);
+    const finalizedBlock = head - confirmations;
+
+    const logs = await this.provider.getLogs({
+      address: this.service.addresses.smartContract,
+      fromBlock,
+      toBlock
+    });
+
+    const blockHashes = new Map();
+    const blockTimestamps = new Map();
+
+    for (const log of logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (!parsed || !ContractEvent.EVENT_NAMES.includes(parsed.name)) {
+        continue;
+      }
+
+      if (!blockTimestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        blockTimestamps.set(log.blockNumber, block ? new Date(block.timestamp * 1000) : undefined);
+      }
+      // Track the hash the events were read from, so a reorg of this block is noticed
+      blockHashes.set(log.blockNumber, log.blockHash.toLowerCase());
+
+      const event = await this.decode(log, parsed, blockTimestamps.get(log.blockNumber), log.blockNumber <= finalizedBlock);
+      await ContractEvent.updateOne(
+        { blockHash: event.blockHash, logIndex: event.logIndex },
+        { $setOnInsert: event },
+        { upsert: true }
+      );
+    }
+
+    // Remember every non-final block of the range, with or without events
+    for (let number = Math.max(fromBlock, finalizedBlock + 1); number <= toBlock; number++) {
+      if (!blockHashes.has(number)) {
+        const block = await this.provider.getBlock(number);
+        if (block) blockHashes.set(number, block.hash.toLowerCase());
+      }
+    }
+
+    const recentBlocks = checkpoint.recentBlocks
+      .filter(block => block.number > finalizedBlock && block.number < fromBlock)
+      .concat([...blockHashes]
+        .filter(([number]) => number > finalizedBlock)
+        .map(([number, hash]) => ({ number, hash })));
+
+    checkpoint.lastBlock = toBlock;
+    checkpoint.recentBlocks = recentBlocks.sort((a, b) => a.number - b.number);
+    await checkpoint.save();
+
+    return logs.length;
+  }
+
+  // Catch up to the chain head once
+  async run() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    try {
+      const { confirmations, batchSize } = getConfig(this.network);
+      await this.service.verifyChainId();
+      const head = await this.provider.getBlockNumber();
+      const checkpoint = await this.loadCheckpoint(head);
+
+      await this.detectReorg(checkpoint);
+
+      while (checkpoint.lastBlock < head) {
+        const fromBlock = checkpoint.lastBlock + 1;
+        const toBlock = Math.min(head, fromBlock + batchSize - 1);
+        const count = await this.indexRange(checkpoint, fromBlock, toBlock, head);
+        if (count) {
+          logger.info(`Indexed ${this.network.name} blocks ${fromBlock}-${toBlock}: ${count} logs`);
+        }
+      }
+
+      await ContractEvent.updateMany(
+        { network: this.network.name, confirmed: false, blockNumber: { $lte: head - confirmations } },
+        { $set: { confirmed: true } }
+      );
+    } catch (error) {
+      logger.error(`Event indexer run failed on ${this.network.name}:`, error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async getStatus() {
+    const { confirmations } = getConfig(this.network);
+    const [checkpoint, head, unconfirmedEvents] = await Promise.all([
+      IndexerCheckpoint.findOne({ name: this.checkpointName }),
+      this.provider.getBlockNumber(),
+      ContractEvent.countDocuments({ network: this.network.name, confirmed: false })
+    ]);
+
+    return {
+      network: this.network.name,
+      lastBlock: checkpoint ? checkpoint.lastBlock : null,
+      headBlock: head,
+      lag: checkpoint ? head - checkpoint.lastBlock : null,
+      confirmations,
+      unconfirmedEvents,
+      reorgCount: checkpoint ? checkpoint.reorgCount : 0,
+      lastReorgAt: checkpoint ? checkpoint.lastReorgAt : null,
+      running: this.running
+    };
+  }
+}
+
+let indexers = null;
+let timers = null;
+
+// One indexer per network, built on first use so loading this module needs no
+// chain configuration
+const getIndexers = () => {
+  if (!indexers) {
+    indexers = blockchainService.getServices().map(service => new EventIndexer(service));
+  }
+  return indexers;
+};
+
+// Poll each network every INDEXER_POLL_SECONDS (or <NETWORK>_INDEXER_POLL_SECONDS).
+// An interval rather than a cron pattern, which only keeps even gaps for
+// periods that divide a minute.
+const start = () => {
+  if (timers) {
+    return;
+  }
+  timers = getIndexers().map(indexer => {
+    const { pollSeconds } = getConfig(indexer.network);
+    indexer.run();
+    logger.info(`Event indexer polling ${indexer.network.name} every ${pollSeconds}s`);
+    return setInterval(() => indexer.run(), pollSeconds * 1000);
+  });
+};
+
+const getStatus = () => Promise.all(getIndexers().map(indexer => indexer.getStatus()));
+
+module.exports = {
+  EventIndexer,
+  start,
+  getStatus
+};
@@ -0,0 +1,289 @@
+const cron = require('node-cron');
+const Loan = require('../models/Loan');
+const ChainTransaction = require('../models/ChainTransaction');
+const blockchainService = require('./blockchain');
+const logger = require('./logger');
+const { Money, bob } = require('./money');
+
+// Mirrors partner callbacks on the ToritoWallet contract: fulfillLoan when a
+// loan is funded, recordRepayment when a repayment is confirmed. Each call's
+// outcome is kept on the loan (loan.chainSync) and its transaction is stored as
+// a ChainTransaction linked to the loan. Calls that fail, revert or are dropped
+// are retried with exponential backoff until LOAN_SYNC_MAX_ATTEMPTS. A call whose
+// broadcast outcome is unknown is followed as sent, not retried.
+//
+// Only loans linked to a ToritoWallet loan request (blockchain.contractLoanId)
+// have an on-chain counterpart; for the others the calls are skipped.
+
+const PURPOSE_ACTIONS = {
+  loan_fulfill: 'fulfillment',
+  loan_repayment: 'repayment'
+};
+
+const getConfig = () => ({
+  maxAttempts: parseInt(process.env.LOAN_SYNC_MAX_ATTEMPTS) || 5,
+  retryDelayMs: parseInt(process.env.LOAN_SYNC_RETRY_MS) || 60 * 1000
+});
+
+const describe = (sync) => (sync ? {
+  status: sync.status,
+  attempts: sync.attempts,
+  transactionHash: sync.transactionHash,
+  lastError: sync.lastError,
+  nextAttemptAt: sync.nextAttemptAt
+} : null);
+
+const scheduleRetry = (loan, action, message) => {
+  const sync = loan.chainSync[action];
+  const { maxAttempts, retryDelayMs } = getConfig();
+  sync.lastError = message;
+
+  if (sync.attempts >= maxAttempts) {
+    sync.status = 'abandoned';
+    sync.nextAttemptAt = undefined;
+    logger.error(`Loan ${loan.loanId} ${action} abandoned after ${sync.attempts} attempts: ${message}`);
+  } else {
+    sync.status = 'failed';
+    sync.nextAttemptAt = new Date(Date.now() + retryDelayMs * 2 ** (sync.attempts - 1));
+    logger.warn(`Loan ${loan.loanId} ${action} attempt ${sync.attempts} failed, retrying at ${sync.nextAttemptAt.toISOString()}: ${message}`);
+  }
+};
+
+// A repayment transaction of an earlier attempt that was mined, or may still be:
+// { status: 'confirmed' } or { status: 'sent' } with its hash, or null if none.
+// recordRepayment has no loan id to check on chain, so sending again would
+// lower the debt twice.
+const findEarlierRepayment = async (service, loan) => {
+  const records = await ChainTransaction.find({
+    loanId: loan._id,
+    purpose: 'loan_repayment',
+    status: { $in: ['pending', 'mined', 'confirmed'] }
+  });
+
+  for (const record of records) {
+    const receipt = await service.getTransactionStatus(record.transactionHash);
+    if (receipt.status === 'confirmed') {
+      return { status: 'confirmed', transactionHash: record.transactionHash, note: `Already recorded by ${record.transactionHash}` };
+    }
+  }
+  const outstanding = records.find(record => record.status !== 'confirmed');
+  return outstanding
+    ? { status: 'sent', transactionHash: outstanding.transactionHash, note: `Still waiting for ${outstanding.transactionHash}` }
+    : null;
+};
+
+// Send the call, or settle it without a transaction when the chain needs none.
+// Resolves with { response } or { status, note, transactionHash }.
+const send = {
+  async fulfillment(service, loan) {
+    const { contractLoanId } = loan.blockchain;
+    const request = await service.getLoanRequest(contractLoanId, { quorum: true });
+    if (!request) {
+      return { status: 'abandoned', note: `ToritoWallet loan ${contractLoanId} does not exist` };
+    }
+    // An earlier attempt whose outcome we lost, or a manual call
+    if (request.fulfilled) {
+      return { status: 'confirmed', note: 'Already fulfilled on chain' };
+    }
+    return { response: await service.fulfillLoan(contractLoanId, { userId: loan.userId, loanId: loan._id }) };
+  },
+
+  async repayment(service, loan) {
+    const earlier = await findEarlierRepayment(service, loan);
+    if (earlier) {
+      return earlier;
+    }
+
+    const { borrower } = loan.blockchain;
+    const account = await service.getToritoUserAccount(borrower, { quorum: true });
+    // The contract rejects repayments above the outstanding debt
+    const bobAmount = Money.min(bob(loan.chainSync.repayment.amountBOB), account.bobDebt);
+    if (!bobAmount.isPositive()) {
+      return { status: 'skipped', note: 'No BOB debt left on chain' };
+    }
+    return { response: await service.recordRepayment(borrower, bobAmount, { userId: loan.userId, loanId: loan._id }) };
+  }
+};
+
+// Calls being attempted in this process, so a retryDue() run does not send a
+// call again while its background attempt is still out
+const inFlight = new Set();
+
+// Make one attempt at `action` ('fulfillment' or 'repayment') and save the outcome
+const attempt = async (loan, action) => {
+  const key = `${loan._id}:${action}`;
+  const sync = loan.chainSync[action];
+  if (inFlight.has(key)) {
+    return sync;
+  }
+  inFlight.add(key);
+  try {
+    return await makeAttempt(loan, action, sync);
+  } finally {
+    inFlight.delete(key);
+  }
+};
+
+const makeAttempt = async (loan, action, sync) => {
+  sync.attempts += 1;
+
+  try {
+    const service = blockchainService.forNetwork(loan.network);
+    const { response, status, note, transactionHash } = await send[action](service, loan);
+
+    if (response) {
+      sync.status = 'sent';
+      sync.transactionHash = response.hash;
+      sync.lastError = undefined;
+    } else {
+      sync.status = status;
+      sync.transactionHash = transactionHash || sync.transactionHash;
+      sync.lastError = ['confirmed', 'sent'].includes(status) ? undefined : note;
+      logger.info(`Loan ${loan.loanId} ${action} ${status}: ${note}`);
+    }
+    sync.nextAttemptAt = undefined;
+  } catch (error) {
+    if (error.code === 'BROADCAST_UNKNOWN') {
+      // It may still be mined: the tracker settles it (see settle())
+      sync.status = 'sent';
+      sync.transactionHash = error.transactionHash;
+      sync.lastError = error.message;
+      sync.nextAttemptAt = undefined;
+      logger.warn(`Loan ${loan.loanId} ${action} broadcast unconfirmed, following ${error.transactionHash}`);
+    } else {
+      scheduleRetry(loan, action, error.shortMessage || error.message);
+    }
+  }
+
+  sync.updatedAt = new Date();
+  await loan.save();
+  return sync;
+};
+
+// Record `action` on the loan as due now, unless it was already recorded (partner
+// callbacks may be delivered more than once). `amountBOB` is the repayment to
+// record. The caller saves it with the change that triggered it, then calls
+// attemptInBackground().
+const queue = (loan, action, { amountBOB } = {}) => {
+  if (loan.chainSync && loan.chainSync[action] && loan.chainSync[action].status) {
+    return loan.chainSync[action];
+  }
+
+  const linked = loan.blockchain && loan.blockchain.contractLoanId;
+  loan.set(`chainSync.${action}`, {
+    status: linked ? 'pending' : 'skipped',
+    amountBOB,
+    attempts: 0,
+    lastError: linked ? undefined : 'Loan is not linked to a ToritoWallet loan',
+    nextAttemptAt: linked ? new Date() : undefined,
+    updatedAt: new Date()
+  });
+  return loan.chainSync[action];
+};
+
+// Make the first attempt at a queued call without waiting for it. A failure is
+// logged and left to retryDue(), which picks up the pending call anyway.
+const attemptInBackground = (loan, action) => {
+  const sync = loan.chainSync && loan.chainSync[action];
+  if (!sync || sync.status !== 'pending' || sync.attempts > 0) {
+    return;
+  }
+  attempt(loan, action).catch(error => {
+    logger.error(`Loan ${loan.loanId} ${action} attempt failed:`, error);
+  });
+};
+
+// Put an abandoned or failed call back in line for an immediate attempt
+const retry = async (loan, action) => {
+  const sync = loan.chainSync[action];
+  sync.status = 'pending';
+  sync.attempts = 0;
+  sync.nextAttemptAt = new Date();
+  return attempt(loan, action);
+};
+
+// Called by the transaction tracker when a loan_fulfill or loan_repayment
+// transaction reaches a new status
+const settle = async (record, replacement) => {
+  const action = PURPOSE_ACTIONS[record.purpose];
+  if (!action || !record.loanId) {
+    return;
+  }
+
+  const loan = await Loan.findById(record.loanId);
+  const sync = loan && loan.chainSync && loan.chainSync[action];
+  // Transactions of earlier attempts no longer matter
+  if (!sync || sync.transactionHash !== record.transactionHash) {
+    return;
+  }
+
+  let final = record;
+  if (record.status === 'replaced' && replacement && replacement.purpose === record.purpose) {
+    // Sped up: the replacement carries the call now
+    sync.transactionHash = replacement.transactionHash;
+    final = replacement;
+  }
+
+  if (final.status === 'confirmed') {
+    sync.status = 'confirmed';
+    sync.lastError = undefined;
+    logger.info(`Loan ${loan.loanId} ${action} confirmed: ${final.transactionHash}`);
+  } else if (['failed', 'dropped', 'replaced'].includes(final.status)) {
+    scheduleRetry(loan, action, `Transaction ${final.transactionHash} ${final.status}`);
+  } else if (final === record) {
+    return; // Mined, not yet confirmed
+  }
+
+  sync.updatedAt = new Date();
+  await loan.save();
+};
+
+// Attempt every call whose retry is due
+const retryDue = async (limit = 50) => {
+  const now = new Date();
+  const due = (action) => ({
+    [`chainSync.${action}.status`]: { $in: ['pending', 'failed'] },
+    [`chainSync.${action}.nextAttemptAt`]: { $lte: now }
+  });
+
+  const loans = await Loan.find({ $or: [due('fulfillment'), due('repayment')] }).limit(limit);
+
+  for (const loan of loans) {
+    for (const action of ['fulfillment', 'repayment']) {
+      const sync = loan.chainSync[action];
+      if (sync && ['pending', 'failed'].includes(sync.status) && sync.nextAttemptAt <= now) {
+        try {
+          await attempt(loan, action);
+        } catch (error) {
+          logger.error(`Loan ${loan.loanId} ${action} retry failed:`, error);
+        }
+      }
+    }
+  }
+
+  return loans.length;
+};
+
+let task = null;
+
+// Retry due calls every minute
+const start = () => {
+  if (task) {
+    return;
+  }
+  task = cron.schedule('* * * * *', () => {
+    retryDue().catch(error => {
+      logger.error('Scheduled loan chain sync failed:', error);
+    });
+  });
+};
+
+module.exports = {
+  queue,
+  attemptInBackground,
+  retry,
+  settle,
+  retryDue,
+  describe,
+  start
+};
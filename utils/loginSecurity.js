@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const mailer = require('./mailer');
+const logger = require('./logger');
+
+// Failed-login policies per account and per IP
+const POLICIES = {
+  account: {
+    delayAfter: parseInt(process.env.LOGIN_ACCOUNT_DELAY_AFTER) || 3,
+    lockAfter: parseInt(process.env.LOGIN_ACCOUNT_LOCK_AFTER) || 10,
+    lockMs: parseInt(process.env.LOGIN_ACCOUNT_LOCK_MS) || 15 * 60 * 1000,
+    maxDelayMs: 30 * 1000,
+    windowMs: 60 * 60 * 1000
+  },
+  ip: {
+    delayAfter: parseInt(process.env.LOGIN_IP_DELAY_AFTER) || 10,
+    lockAfter: parseInt(process.env.LOGIN_IP_LOCK_AFTER) || 50,
+    lockMs: parseInt(process.env.LOGIN_IP_LOCK_MS) || 60 * 60 * 1000,
+    maxDelayMs: 60 * 1000,
+    windowMs: 60 * 60 * 1000
+  },
+  // Step-up codes from a signed-in session: X-2FA-Code and disabling 2FA
+  stepUp: {
+    delayAfter: parseInt(process.env.STEP_UP_DELAY_AFTER) || 3,
+    lockAfter: parseInt(process.env.STEP_UP_LOCK_AFTER) || 5,
+    lockMs: parseInt(process.env.STEP_UP_LOCK_MS) || 15 * 60 * 1000,
+    maxDelayMs: 30 * 1000,
+    windowMs: 60 * 60 * 1000
+  }
+};
+
+const getClientContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || 'unknown',
+  deviceId: req.body.deviceId
+});
+
+const throttleKeys = (req, accountKey) => ({
+  account: `account:${String(accountKey).toLowerCase()}`,
+  ip: `ip:${req.ip}`
+});
+
+// A device is identified by the app-provided deviceId, else by its user agent
+const deviceFingerprint = ({ deviceId, userAgent }) => {
+  return crypto.createHash('sha256').update(deviceId ? `id:${deviceId}` : `ua:${userAgent}`).digest('hex');
+};
+
+// Returns { blocked, locked, retryAfterSeconds } for this account/IP pair
+const checkThrottle = async (req, accountKey) => {
+  const keys = throttleKeys(req, accountKey);
+  return LoginThrottle.check([keys.account, keys.ip]);
+};
+
+// Count a failed attempt and append it to the user's login history (when the account exists)
+const recordFailure = async (req, accountKey, user, { method, outcome = 'failed' }) => {
+  const keys = throttleKeys(req, accountKey);
+  const { ip, userAgent } = getClientContext(req);
+
+  const [accountRecord] = await Promise.all([
+    LoginThrottle.registerFailure(keys.account, POLICIES.account),
+    LoginThrottle.registerFailure(keys.ip, POLICIES.ip)
+  ]);
+
+  if (user) {
+    await User.recordLoginEvent(user._id, { ip, userAgent, method, outcome });
+  }
+
+  if (accountRecord.lockedUntil && accountRecord.lockedUntil > new Date()) {
+    logger.warn(`Account locked after repeated failed logins: ${accountKey} (last IP ${ip})`);
+  }
+};
+
+// Record a blocked attempt without counting it as another failure
+const recordBlocked = async (req, user, method) => {
+  if (user) {
+    const { ip, userAgent } = getClientContext(req);
+    await User.recordLoginEvent(user._id, { ip, userAgent, method, outcome: 'locked' });
+  }
+};
+
+// Clear account counters, remember the device and log the success.
+// The caller saves the user. Returns { newDevice }.
+//
+// A first factor that only earns a 2FA challenge ('2fa_required') leaves the
+// counters alone, so logging in again cannot clear a lockout built up by wrong
+// codes. They are cleared once the second factor passes, for every identifier
+// the user can log in with.
+const recordSuccess = async (req, accountKey, user, { method, outcome = 'success' }) => {
+  const context = getClientContext(req);
+
+  if (outcome === 'success') {
+    const accountKeys = method === '2fa' ? [user.email, ...user.getWalletAddresses()] : [accountKey];
+    await Promise.all(accountKeys.map(key => LoginThrottle.reset(throttleKeys(req, key).account)));
+  }
+
+  const newDevice = outcome === 'success' && user.registerDevice(deviceFingerprint(context), context);
+  // Keep the first ever login quiet; every later unknown device is flagged
+  const isFirstDevice = newDevice && user.knownDevices.length === 1;
+
+  // Atomic, like recordFailure, so concurrent login events are not overwritten
+  const event = { ip: context.ip, userAgent: context.userAgent, method, outcome, newDevice: newDevice && !isFirstDevice };
+  await User.recordLoginEvent(user._id, event);
+
+  if (newDevice && !isFirstDevice) {
+    logger.info(`New device login for ${user.email} from ${context.ip} (${context.userAgent})`);
+    mailer.sendNewDeviceEmail(user, context).catch(error => {
+      logger.error(`Failed to send new device notification to ${user.email}:`, error);
+    });
+  }
+
+  return { newDevice: newDevice && !isFirstDevice };
+};
+
+// Step-up failures are counted per user, apart from logins: a stolen session
+// must not be able to guess the TOTP code behind money-moving operations
+const stepUpKey = (user) => `stepup:${user._id}`;
+
+// Returns { blocked, locked, retryAfterSeconds } for the user's step-up codes
+const checkStepUpThrottle = async (user) => {
+  return LoginThrottle.check([stepUpKey(user)]);
+};
+
+const recordStepUpFailure = async (user) => {
+  const record = await LoginThrottle.registerFailure(stepUpKey(user), POLICIES.stepUp);
+  if (record.lockedUntil && record.lockedUntil > new Date()) {
+    logger.warn(`Step-up locked after repeated invalid two-factor codes: ${user.email}`);
+  }
+};
+
+const recordStepUpSuccess = async (user) => {
+  await LoginThrottle.reset(stepUpKey(user));
+};
+
+module.exports = {
+  checkThrottle,
+  recordFailure,
+  recordBlocked,
+  recordSuccess,
+  checkStepUpThrottle,
+  recordStepUpFailure,
+  recordStepUpSuccess
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Transports implement send({ to, subject, text }) and return a message id.
+// MAIL_TRANSPORT selects one: 'console' (default) or 'file'. Real providers
+// (SMTP, SES, ...) can be plugged in with mailer.setTransport().
+
+class ConsoleTransport {
+  async send(message) {
+    const id = `console-${Date.now()}`;
+    logger.info(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return id;
+  }
+}
+
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+    const file = path.join(this.directory, `${id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date().toISOString() }, null, 2));
+    logger.info(`📧 Mail to ${message.to} written to ${file}`);
+    return id;
+  }
+}
+
+class Mailer {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Torito Wallet <no-reply@torito.app>';
+    this.appUrl = process.env.APP_URL || 'http://localhost:3000';
+    this.transport = process.env.MAIL_TRANSPORT === 'file'
+      ? new FileTransport(process.env.MAIL_OUTBOX_DIR || 'tmp/mail')
+      : new ConsoleTransport();
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      return await this.transport.send({ from: this.from, to, subject, text });
+    } catch (error) {
+      logger.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+
+  async sendVerificationEmail(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Torito Wallet email',
+      text: `Hi${user.profile && user.profile.firstName ? ` ${user.profile.firstName}` : ''},\n\n` +
+        `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+        'If you did not create an account, you can ignore this message.'
+    });
+  }
+
+  async sendPasswordResetEmail(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Torito Wallet password',
+      text: 'We received a request to reset your password. Open the link below to choose a new one:\n\n' +
+        `${link}\n\nThe link expires in one hour. If you did not ask for this, you can ignore this message.`
+    });
+  }
+
+  async sendNewDeviceEmail(user, { ip, userAgent }) {
+    return this.send({
+      to: user.email,
+      subject: 'New sign-in to your Torito Wallet account',
+      text: `Your account was just accessed from a new device.\n\nIP address: ${ip}\nDevice: ${userAgent}\n` +
+        `Time: ${new Date().toISOString()}\n\nIf this wasn't you, reset your password and sign out of all sessions right away.`
+    });
+  }
+
+  // `event` is a HealthEvent whose band worsened
+  async sendCollateralHealthEmail(user, event) {
+    const advice = {
+      warning: 'Your loan is still safe, but a further drop in the USDT/BOB rate would put it at risk.',
+      margin_call: 'Please add USDT collateral or repay part of your BOB debt to bring your loan back to a safe level.',
+      liquidatable: 'Your collateral no longer covers your loan safely and it may be liquidated. Add USDT collateral or repay your BOB debt right away.'
+    };
+    const label = event.toBand.replace('_', ' ');
+    return this.send({
+      to: user.email,
+      subject: `Torito Wallet loan health: ${label}`,
+      text: `${advice[event.toBand]}\n\nWallet: ${event.walletAddress} (${event.network})\n` +
+        `Loan-to-value: ${event.ltv === null ? 'no collateral' : `${(Number(event.ltv) * 100).toFixed(2)}%`}\n` +
+        `Health factor: ${event.healthFactor}\nUSDT/BOB rate: ${event.usdtToBobRate}\n\n` +
+        `You can check your loan health at any time in the app.`
+    });
+  }
+
+  async sendAccountClosedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Torito Wallet account has been closed',
+      text: 'Your Torito Wallet account was closed and your personal data has been removed. ' +
+        'Funds in your own wallet are not affected.\n\nIf you did not request this, contact support right away.'
+    });
+  }
+}
+
+module.exports = new Mailer();
+module.exports.ConsoleTransport = ConsoleTransport;
+module.exports.FileTransport = FileTransport;
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+// Fixed-point amounts. A Money is an integer number of base units (a bigint)
+// with a number of decimals: 12.50 BOB is 1250n with 2 decimals. Comparisons
+// and arithmetic are exact; only division and rescaling round, and they round
+// toward zero unless told otherwise, as the ToritoWallet contract's integer
+// math does. Amounts leave the API as strings with every decimal ("12.50") and
+// are stored as Decimal128.
+
+const DECIMALS = {
+  USDT: 6,  // As the contract assumes; other tokens use their own decimals
+  USD: 6,
+  BOB: 2,
+  RATE: 8,  // usdtToBobRate, BOB per USDT
+  PRICE: 8, // USD price of a collateral asset, as Aave's oracle reports it
+  RATIO: 4  // LTV
+};
+
+const ROUNDING = {
+  EXACT: 'exact',    // Throw rather than lose a digit (user input)
+  DOWN: 'down',      // Toward zero, like Solidity's integer division
+  UP: 'up',          // Away from zero
+  HALF_UP: 'half_up' // To nearest, ties away from zero (external rates, legacy floats)
+};
+
+class AmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AmountError';
+    this.code = 'INVALID_AMOUNT';
+  }
+}
+
+const NUMBER_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// Plain decimals, as amounts are accepted from requests
+const DECIMAL_PATTERN = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+
+// Bounds on parsed input, so a long or "1e10000000" amount cannot build a huge
+// bigint. A uint256 has 78 digits.
+const MAX_DIGITS = 100;
+const MAX_EXPONENT = 100;
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+const abs = (value) => (value < 0n ? -value : value);
+
+// numerator / denominator as an integer, rounded as asked
+const divide = (numerator, denominator, rounding) => {
+  if (denominator === 0n) {
+    throw new AmountError('Division by zero');
+  }
+  const quotient = numerator / denominator; // BigInt division truncates toward zero
+  const remainder = numerator % denominator;
+  if (remainder === 0n || rounding === ROUNDING.DOWN) {
+    return quotient;
+  }
+  if (rounding === ROUNDING.EXACT) {
+    throw new AmountError('Amount has more decimals than allowed');
+  }
+
+  const away = (numerator < 0n) !== (denominator < 0n) ? quotient - 1n : quotient + 1n;
+  if (rounding === ROUNDING.UP) {
+    return away;
+  }
+  return 2n * abs(remainder) >= abs(denominator) ? away : quotient;
+};
+
+// Base units of `value` (a decimal string, a number or a Decimal128) at `decimals`
+const toUnits = (value, decimals, rounding) => {
+  const text = typeof value === 'number' ? String(value) : String(value).trim();
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match || !(match[2] || match[3]) || (typeof value === 'number' && !Number.isFinite(value))) {
+    throw new AmountError(`Invalid amount: ${text}`);
+  }
+
+  const [, sign, whole = '', fraction = '', exponent = '0'] = match;
+  if (whole.length + fraction.length > MAX_DIGITS || Math.abs(parseInt(exponent)) > MAX_EXPONENT) {
+    throw new AmountError(`Amount out of range: ${text}`);
+  }
+  const coefficient = BigInt(`${whole}${fraction}` || '0') * (sign === '-' ? -1n : 1n);
+  const scale = decimals + parseInt(exponent) - fraction.length;
+
+  return scale >= 0 ? coefficient * pow10(scale) : divide(coefficient, pow10(-scale), rounding);
+};
+
+class Money {
+  constructor(units, decimals) {
+    this.units = BigInt(units);
+    this.decimals = decimals;
+  }
+
+  // From a decimal amount ("12.5", 12.5, Decimal128, Money). By default an
+  // amount with more decimals than `decimals` is rejected.
+  static parse(value, decimals, rounding = ROUNDING.EXACT) {
+    if (value instanceof Money) {
+      return value.rescale(decimals, rounding);
+    }
+    if (value === null || value === undefined || value === '') {
+      throw new AmountError('Amount is required');
+    }
+    return new Money(toUnits(value, decimals, rounding), decimals);
+  }
+
+  static fromUnits(units, decimals) {
+    return new Money(units, decimals);
+  }
+
+  static zero(decimals) {
+    return new Money(0n, decimals);
+  }
+
+  static min(first, ...rest) {
+    return rest.reduce((min, value) => (value.lt(min) ? value : min), first);
+  }
+
+  static max(first, ...rest) {
+    return rest.reduce((max, value) => (value.gt(max) ? value : max), first);
+  }
+
+  // Sum of amounts with the same decimals
+  static sum(values, decimals) {
+    return values.reduce((total, value) => total.add(value), Money.zero(decimals));
+  }
+
+  // Same-decimals operand; plain values are parsed exactly
+  coerce(other) {
+    if (!(other instanceof Money)) {
+      return Money.parse(other, this.decimals);
+    }
+    if (other.decimals !== this.decimals) {
+      throw new AmountError(`Cannot combine amounts with ${this.decimals} and ${other.decimals} decimals`);
+    }
+    return other;
+  }
+
+  rescale(decimals, rounding = ROUNDING.DOWN) {
+    if (decimals >= this.decimals) {
+      return new Money(this.units * pow10(decimals - this.decimals), decimals);
+    }
+    return new Money(divide(this.units, pow10(this.decimals - decimals), rounding), decimals);
+  }
+
+  add(other) {
+    return new Money(this.units + this.coerce(other).units, this.decimals);
+  }
+
+  sub(other) {
+    return new Money(this.units - this.coerce(other).units, this.decimals);
+  }
+
+  // this * other, with `decimals` decimals (default: this amount's)
+  mul(other, decimals = this.decimals, rounding = ROUNDING.DOWN) {
+    const product = this.units * other.units;
+    const scale = this.decimals + other.decimals - decimals;
+    return new Money(scale >= 0 ? divide(product, pow10(scale), rounding) : product * pow10(-scale), decimals);
+  }
+
+  // this / other, with `decimals` decimals (default: this amount's)
+  div(other, decimals = this.decimals, rounding = ROUNDING.DOWN) {
+    const scale = decimals + other.decimals - this.decimals;
+    const numerator = scale >= 0 ? this.units * pow10(scale) : this.units;
+    const denominator = scale >= 0 ? other.units : other.units * pow10(-scale);
+    return new Money(divide(numerator, denominator, rounding), decimals);
+  }
+
+  cmp(other) {
+    const { units } = this.coerce(other);
+    return this.units === units ? 0 : this.units < units ? -1 : 1;
+  }
+
+  eq(other) { return this.cmp(other) === 0; }
+  lt(other) { return this.cmp(other) < 0; }
+  lte(other) { return this.cmp(other) <= 0; }
+  gt(other) { return this.cmp(other) > 0; }
+  gte(other) { return this.cmp(other) >= 0; }
+
+  isZero() { return this.units === 0n; }
+  isPositive() { return this.units > 0n; }
+  isNegative() { return this.units < 0n; }
+
+  // "1250.50": every decimal, no exponent
+  toString() {
+    const digits = abs(this.units).toString().padStart(this.decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - this.decimals);
+    const fraction = digits.slice(digits.length - this.decimals);
+    return `${this.units < 0n ? '-' : ''}${whole}${this.decimals ? `.${fraction}` : ''}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+
+  // Lossy; for logs and ratios only, never for money decisions
+  toNumber() {
+    return Number(this.toString());
+  }
+}
+
+// A stored Decimal128 as Money. Amounts saved as numbers before they were
+// Decimal128 may carry float noise ("12.4999999") and are rounded half up;
+// each rounding that changes a value is logged, since what is reported then
+// differs from what is stored.
+const fromStored = (value, decimals) => {
+  const text = value.toString();
+  try {
+    return Money.parse(text, decimals);
+  } catch (error) {
+    const rounded = Money.parse(text, decimals, ROUNDING.HALF_UP);
+    logger.warn(`Stored amount ${text} has more than ${decimals} decimals, read as ${rounded}`);
+    return rounded;
+  }
+};
+
+// Schema type for an amount with `decimals` decimals: Decimal128 in MongoDB,
+// a string such as "12.50" when read. Stored values with more decimals are
+// rounded half up on the way out (see fromStored). Without `decimals` (token
+// amounts whose decimals depend on the token) the amount is kept at the scale
+// it was saved with.
+const moneyField = (decimals, options = {}) => ({
+  type: mongoose.Schema.Types.Decimal128,
+  get: (value) => {
+    if (value == null || decimals == null) {
+      return value == null ? value : value.toString();
+    }
+    return fromStored(value, decimals).toString();
+  },
+  set: (value) => {
+    if (value == null || value === '') {
+      return value;
+    }
+    if (decimals == null) {
+      return value.toString();
+    }
+    return Money.parse(value, decimals).toString();
+  },
+  ...options
+});
+
+// A Decimal128 from an aggregation ($sum over a moneyField) as Money, rounded
+// half up like a moneyField read
+const fromDecimal128 = (value, decimals) => (value == null ? Money.zero(decimals) : fromStored(value, decimals));
+
+// express-validator custom check: a number, or a plain decimal string, with at
+// most `decimals` decimals, no less than `min`
+const isAmount = (decimals, min = 0) => (value) => {
+  if (typeof value === 'string' ? !DECIMAL_PATTERN.test(value) : typeof value !== 'number') {
+    return false;
+  }
+  try {
+    return Money.parse(value, decimals).gte(min);
+  } catch (error) {
+    return false;
+  }
+};
+
+const usdt = (value, rounding) => Money.parse(value, DECIMALS.USDT, rounding);
+const usd = (value, rounding) => Money.parse(value, DECIMALS.USD, rounding);
+const bob = (value, rounding) => Money.parse(value, DECIMALS.BOB, rounding);
+const rate = (value, rounding) => Money.parse(value, DECIMALS.RATE, rounding);
+const price = (value, rounding) => Money.parse(value, DECIMALS.PRICE, rounding);
+const ratio = (value, rounding) => Money.parse(value, DECIMALS.RATIO, rounding);
+
+module.exports = {
+  Money,
+  AmountError,
+  DECIMALS,
+  ROUNDING,
+  moneyField,
+  fromDecimal128,
+  isAmount,
+  usdt,
+  usd,
+  bob,
+  rate,
+  price,
+  ratio
+};
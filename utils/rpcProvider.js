@@ -0,0 +1,356 @@
+const { ethers } = require('ethers');
+const logger = require('./logger');
+
+// JSON-RPC provider over every RPC endpoint of one network. Each request goes
+// to the best-scoring endpoint and fails over to the next on transport errors,
+// timeouts and HTTP errors. JSON-RPC errors (reverts, nonce errors) are the
+// node's answer and are returned as-is.
+//
+// Raw transactions are the exception: an endpoint that timed out may still have
+// taken one, and the next endpoint would then answer "already known" or "nonce
+// too low". eth_sendRawTransaction is sent to every usable endpoint at once and
+// succeeds when any of them accepts it or already knows it.
+//
+// An endpoint's score combines its recent success rate with its latency. A
+// failing endpoint is benched for RPC_COOLDOWN_MS, doubling with each
+// consecutive failure. The health check polls every endpoint's head: one more
+// than RPC_MAX_BLOCK_LAG blocks behind the best, or whose head has not moved in
+// RPC_STALL_SECONDS, is stalled. Benched and stalled endpoints are tried last.
+// An endpoint found on another chain than configured is never used.
+
+class RpcUnavailableError extends Error {
+  constructor(network, errors) {
+    super(`No RPC endpoint for ${network} is available`);
+    this.name = 'RpcUnavailableError';
+    this.code = 'RPC_UNAVAILABLE';
+    this.errors = errors;
+  }
+}
+
+class RpcQuorumError extends Error {
+  constructor(network, quorum, agreeing) {
+    super(`RPC endpoints for ${network} did not agree: ${agreeing} of ${quorum} required`);
+    this.name = 'RpcQuorumError';
+    this.code = 'RPC_QUORUM_FAILED';
+  }
+}
+
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+// Node answers to a raw transaction they already have, across clients
+const ALREADY_KNOWN = /already known|known transaction|already imported|already exists|alreadyknown/i;
+
+const isBroadcast = (payload) => payload.method === 'eth_sendRawTransaction';
+const HEALTH_DECAY = 0.2; // Weight of the latest request in the success rate and latency averages
+
+const getConfig = () => ({
+  timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS) || 10000,
+  cooldownMs: parseInt(process.env.RPC_COOLDOWN_MS) || 30000,
+  maxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG) || 3,
+  stallSeconds: parseInt(process.env.RPC_STALL_SECONDS) || 60,
+  healthCheckSeconds: parseInt(process.env.RPC_HEALTH_CHECK_SECONDS) || 15,
+  quorum: parseInt(process.env.RPC_QUORUM) || null
+});
+
+// 1 for an endpoint that always answers instantly, lower with failures and latency
+const score = (endpoint) => endpoint.successRate / (1 + (endpoint.latencyMs || 0) / 1000);
+
+class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(network) {
+    super(network.rpcUrls[0], network.chainId, { staticNetwork: true });
+    this.networkName = network.name;
+    this.expectedChainId = network.chainId;
+    this.endpoints = network.rpcUrls.map((url, index) => ({
+      index,
+      url,
+      host: new URL(url).host, // URLs often carry API keys; only the host is shown
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      successRate: 1,
+      latencyMs: null,
+      cooldownUntil: 0,
+      lastError: null,
+      lastErrorAt: null,
+      blockNumber: null,
+      blockAdvancedAt: null,
+      stalled: false,
+      chainId: null // Unknown until the endpoint answers eth_chainId
+    }));
+    this.healthTimer = null;
+  }
+
+  isBenched(endpoint) {
+    return endpoint.cooldownUntil > Date.now();
+  }
+
+  isWrongChain(endpoint) {
+    return endpoint.chainId !== null && endpoint.chainId !== this.expectedChainId;
+  }
+
+  // Usable endpoints by score, then stalled ones, then benched ones
+  rankEndpoints() {
+    const group = (endpoint) => (this.isBenched(endpoint) ? 2 : endpoint.stalled ? 1 : 0);
+    return this.endpoints.filter(endpoint => !this.isWrongChain(endpoint)).sort((a, b) => group(a) - group(b) || score(b) - score(a) || a.index - b.index);
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests += 1;
+    endpoint.consecutiveFailures = 0;
+    endpoint.cooldownUntil = 0;
+    endpoint.successRate += HEALTH_DECAY * (1 - endpoint.successRate);
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs + HEALTH_DECAY * (latencyMs - endpoint.latencyMs);
+  }
+
+  recordFailure(endpoint, error) {
+    const { cooldownMs } = getConfig();
+    endpoint.requests += 1;
+    endpoint.failures += 1;
+    endpoint.consecutiveFailures += 1;
+    endpoint.successRate -= HEALTH_DECAY * endpoint.successRate;
+    endpoint.cooldownUntil = Date.now() + Math.min(cooldownMs * 2 ** (endpoint.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.lastErrorAt = new Date();
+    logger.warn(`RPC endpoint ${endpoint.host} (${this.networkName}) failed: ${endpoint.lastError}`);
+  }
+
+  // Send a JSON-RPC payload to one endpoint; throws on transport and HTTP errors only
+  async sendTo(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.timeout = getConfig().timeoutMs;
+    request.setThrottleParams({ maxAttempts: 1 }); // Fail over instead of waiting out rate limits
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+
+    const started = Date.now();
+    try {
+      const response = await request.send();
+      response.assertOk();
+      this.recordSuccess(endpoint, Date.now() - started);
+      return response.bodyJson;
+    } catch (error) {
+      this.recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  // Called by JsonRpcProvider for every (batched) request. Responses are matched
+  // to requests by id, so broadcasts can be answered apart from the rest.
+  async _send(payload) {
+    const payloads = Array.isArray(payload) ? payload : [payload];
+    const broadcasts = payloads.filter(isBroadcast);
+    if (!broadcasts.length) {
+      return this.failover(payload);
+    }
+
+    const others = payloads.filter(item => !isBroadcast(item));
+    const [responses, broadcastResponses] = await Promise.all([
+      others.length ? this.failover(others) : [],
+      Promise.all(broadcasts.map(item => this.broadcast(item)))
+    ]);
+    return [...responses, ...broadcastResponses];
+  }
+
+  // Send to the best endpoint, failing over to the next on transport errors
+  async failover(payload) {
+    const errors = [];
+    for (const endpoint of this.rankEndpoints()) {
+      try {
+        const result = await this.sendTo(endpoint, payload);
+        return Array.isArray(result) ? result : [result];
+      } catch (error) {
+        errors.push({ endpoint: endpoint.host, error: error.shortMessage || error.message });
+      }
+    }
+    throw new RpcUnavailableError(this.networkName, errors);
+  }
+
+  // Send a raw transaction to every usable endpoint (every endpoint when all are
+  // benched). Accepted by one, or already known to one, is success; otherwise the
+  // node's rejection is returned, and if no endpoint answered at all the provider
+  // is unavailable, though the transaction may still have reached one of them.
+  async broadcast(payload) {
+    const ranked = this.rankEndpoints();
+    const endpoints = ranked.filter(endpoint => !this.isBenched(endpoint));
+    const targets = endpoints.length ? endpoints : ranked;
+
+    const errors = [];
+    const responses = await Promise.all(targets.map(endpoint => this.sendTo(endpoint, payload).catch(error => {
+      errors.push({ endpoint: endpoint.host, error: error.shortMessage || error.message });
+      return null;
+    })));
+    const answers = responses.filter(Boolean);
+
+    const accepted = answers.find(response => 'result' in response);
+    if (accepted) {
+      return accepted;
+    }
+    if (answers.some(response => response.error && ALREADY_KNOWN.test(response.error.message))) {
+      return { jsonrpc: '2.0', id: payload.id, result: ethers.keccak256(payload.params[0]) };
+    }
+    if (answers.length) {
+      return answers[0];
+    }
+    throw new RpcUnavailableError(this.networkName, errors);
+  }
+
+  // Chain id of one endpoint, or null if it did not answer. Asked once per endpoint.
+  async checkChainId(endpoint) {
+    if (endpoint.chainId === null) {
+      try {
+        const response = await this.sendTo(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] });
+        if (response.result) {
+          endpoint.chainId = Number(response.result);
+        }
+      } catch (error) {
+        return null;
+      }
+      if (this.isWrongChain(endpoint)) {
+        logger.error(`RPC endpoint ${endpoint.host} is on chain ${endpoint.chainId}, expected ${this.expectedChainId} for ${this.networkName}; not using it`);
+      }
+    }
+    return endpoint.chainId;
+  }
+
+  // Chain ids of every endpoint that answered
+  async getChainIds() {
+    const chainIds = await Promise.all(this.endpoints.map(endpoint => this.checkChainId(endpoint)));
+    return chainIds.filter(chainId => chainId !== null);
+  }
+
+  // Head block of one endpoint, or null if it did not answer
+  async probe(endpoint) {
+    if (await this.checkChainId(endpoint) === null || this.isWrongChain(endpoint)) {
+      return null;
+    }
+    try {
+      const response = await this.sendTo(endpoint, { jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+      if (response.error) {
+        return null;
+      }
+      const blockNumber = Number(response.result);
+      if (blockNumber !== endpoint.blockNumber) {
+        endpoint.blockNumber = blockNumber;
+        endpoint.blockAdvancedAt = Date.now();
+      }
+      return blockNumber;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Poll every endpoint's head and mark the ones lagging or stuck as stalled
+  async checkHealth() {
+    const { maxBlockLag, stallSeconds } = getConfig();
+    await Promise.all(this.endpoints.map(endpoint => this.probe(endpoint)));
+
+    const heads = this.endpoints.map(endpoint => endpoint.blockNumber).filter(blockNumber => blockNumber !== null);
+    const best = heads.length ? Math.max(...heads) : null;
+
+    this.endpoints.forEach(endpoint => {
+      const stalled = endpoint.blockNumber !== null && (
+        best - endpoint.blockNumber > maxBlockLag ||
+        Date.now() - endpoint.blockAdvancedAt > stallSeconds * 1000
+      );
+      if (stalled !== endpoint.stalled) {
+        logger.warn(`RPC endpoint ${endpoint.host} (${this.networkName}) ${stalled ? 'stalled' : 'recovered'} at block ${endpoint.blockNumber}`);
+      }
+      endpoint.stalled = stalled;
+    });
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) {
+      return;
+    }
+    const run = () => this.checkHealth().catch(error => {
+      logger.error(`RPC health check failed on ${this.networkName}:`, error);
+    });
+    this.healthTimer = setInterval(run, getConfig().healthCheckSeconds * 1000);
+    this.healthTimer.unref();
+    run();
+  }
+
+  // eth_call that `quorum` endpoints must answer identically, at a block they all
+  // have. RPC_QUORUM defaults to a majority of the endpoints on the right chain
+  // and is capped at their count, so a network with one endpoint reads from it alone.
+  async quorumCall(transaction) {
+    const usable = this.endpoints.filter(endpoint => !this.isWrongChain(endpoint)).length;
+    const quorum = Math.min(getConfig().quorum || Math.floor(usable / 2) + 1, usable);
+    const participants = this.rankEndpoints().filter(endpoint => !this.isBenched(endpoint));
+    if (participants.length < quorum) {
+      throw new RpcQuorumError(this.networkName, quorum, participants.length);
+    }
+
+    // The highest block at least `quorum` participants have reached
+    const heads = (await Promise.all(participants.map(endpoint => this.probe(endpoint))))
+      .filter(blockNumber => blockNumber !== null)
+      .sort((a, b) => b - a);
+    if (heads.length < quorum) {
+      throw new RpcQuorumError(this.networkName, quorum, heads.length);
+    }
+    const blockTag = ethers.toQuantity(heads[quorum - 1]);
+
+    const payload = { jsonrpc: '2.0', id: 1, method: 'eth_call', params: [transaction, blockTag] };
+    const responses = await Promise.all(participants.map(endpoint => this.sendTo(endpoint, payload).catch(() => null)));
+
+    const votes = new Map();
+    responses.forEach(response => {
+      if (response && 'result' in response) {
+        const value = response.result.toLowerCase();
+        votes.set(value, (votes.get(value) || 0) + 1);
+      }
+    });
+    const [result, agreeing] = [...votes].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+    if (agreeing >= quorum) {
+      return result;
+    }
+
+    // Every endpoint rejected the call itself (e.g. a revert): surface the node's error
+    const rejected = responses.find(response => response && response.error);
+    if (!votes.size && rejected) {
+      throw this.getRpcError(payload, rejected);
+    }
+    throw new RpcQuorumError(this.networkName, quorum, agreeing);
+  }
+
+  getHealth() {
+    const heads = this.endpoints.map(endpoint => endpoint.blockNumber).filter(blockNumber => blockNumber !== null);
+    const best = heads.length ? Math.max(...heads) : null;
+
+    return {
+      network: this.networkName,
+      endpoints: this.endpoints.map(endpoint => ({
+        index: endpoint.index,
+        host: endpoint.host,
+        state: this.isWrongChain(endpoint) ? 'wrong_chain' : this.isBenched(endpoint) ? 'benched' : endpoint.stalled ? 'stalled' : 'healthy',
+        chainId: endpoint.chainId,
+        score: Number(score(endpoint).toFixed(3)),
+        successRate: Number(endpoint.successRate.toFixed(3)),
+        latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        blockNumber: endpoint.blockNumber,
+        lag: endpoint.blockNumber === null ? null : best - endpoint.blockNumber,
+        benchedUntil: this.isBenched(endpoint) ? new Date(endpoint.cooldownUntil) : null,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt
+      }))
+    };
+  }
+}
+
+// Errors that mean the chain could not be read, or could not confirm taking a
+// transaction (BroadcastUnknownError in utils/transactionManager.js), not that
+// the request was wrong. Routes pass them on to errorHandler, which answers 503.
+const isProviderFailure = (error) => error instanceof RpcUnavailableError || error instanceof RpcQuorumError ||
+  error.code === 'BROADCAST_UNKNOWN';
+
+module.exports = {
+  FailoverProvider,
+  isProviderFailure,
+  RpcUnavailableError,
+  RpcQuorumError
+};
@@ -0,0 +1,217 @@
+const { ethers } = require('ethers');
+const AuthNonce = require('../models/AuthNonce');
+const blockchainService = require('./blockchain');
+const { NETWORKS } = require('../config/networks');
+
+// Sign-In with Ethereum (EIP-4361) message helpers
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+class SiweError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SiweError';
+    this.code = code;
+  }
+}
+
+const getConfig = () => ({
+  domain: process.env.SIWE_DOMAIN || 'localhost:3000',
+  uri: process.env.SIWE_URI || 'http://localhost:3000',
+  chainId: parseInt(process.env.CHAIN_ID) || blockchainService.network.chainId, // Chain put in new challenges
+  chainIds: Object.values(NETWORKS).map(network => network.chainId), // Chains accepted in signed messages
+  statement: process.env.SIWE_STATEMENT || 'Sign in to Torito Wallet.',
+  nonceTtlMs: parseInt(process.env.SIWE_NONCE_TTL_MS) || 5 * 60 * 1000
+});
+
+// Build the message the wallet is asked to sign
+const buildMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => {
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(address),
+    ''
+  ];
+
+  if (statement) {
+    lines.push(statement, '');
+  }
+
+  lines.push(
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+// Parse a signed message back into its fields
+const parseMessage = (message) => {
+  const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new SiweError('Malformed SIWE message header', 'SIWE_MALFORMED');
+  }
+
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+    resources: []
+  };
+
+  if (!ethers.isAddress(parsed.address)) {
+    throw new SiweError('Malformed SIWE message address', 'SIWE_MALFORMED');
+  }
+
+  const statementLines = [];
+  let inResources = false;
+
+  for (const line of lines.slice(2)) {
+    if (inResources) {
+      if (line.startsWith('- ')) parsed.resources.push(line.slice(2));
+      continue;
+    }
+
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = separator > 0 ? FIELDS[line.slice(0, separator)] : undefined;
+
+    if (key) {
+      parsed[key] = line.slice(separator + 2);
+    } else if (line.trim() && !parsed.uri) {
+      statementLines.push(line);
+    }
+  }
+
+  if (statementLines.length) {
+    parsed.statement = statementLines.join('\n');
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!parsed[required]) {
+      throw new SiweError(`SIWE message is missing ${required}`, 'SIWE_MALFORMED');
+    }
+  }
+
+  if (parsed.version !== '1') {
+    throw new SiweError('Unsupported SIWE version', 'SIWE_MALFORMED');
+  }
+
+  parsed.chainId = parseInt(parsed.chainId);
+
+  return parsed;
+};
+
+// Check the parsed message against our domain, chain and validity window
+const validateFields = (parsed, { domain, chainId, chainIds = [chainId], now = new Date() }) => {
+  if (parsed.domain !== domain) {
+    throw new SiweError('SIWE domain mismatch', 'SIWE_DOMAIN_MISMATCH');
+  }
+
+  if (!chainIds.includes(parsed.chainId)) {
+    throw new SiweError('SIWE chain ID mismatch', 'SIWE_CHAIN_MISMATCH');
+  }
+
+  const issuedAt = new Date(parsed.issuedAt);
+  if (isNaN(issuedAt) || issuedAt > now) {
+    throw new SiweError('Invalid SIWE issued-at time', 'SIWE_INVALID_TIME');
+  }
+
+  if (parsed.expirationTime) {
+    const expiresAt = new Date(parsed.expirationTime);
+    if (isNaN(expiresAt) || expiresAt <= now) {
+      throw new SiweError('SIWE message expired', 'SIWE_EXPIRED');
+    }
+  }
+
+  if (parsed.notBefore) {
+    const notBefore = new Date(parsed.notBefore);
+    if (isNaN(notBefore) || notBefore > now) {
+      throw new SiweError('SIWE message not yet valid', 'SIWE_NOT_YET_VALID');
+    }
+  }
+};
+
+// Issue a single-use nonce and the message the wallet must sign for it
+const issueChallenge = async (walletAddress, statement) => {
+  const config = getConfig();
+  const authNonce = await AuthNonce.issue(walletAddress, config.nonceTtlMs);
+
+  const fields = {
+    domain: config.domain,
+    address: walletAddress,
+    statement: statement || config.statement,
+    uri: config.uri,
+    chainId: config.chainId,
+    nonce: authNonce.nonce,
+    issuedAt: authNonce.createdAt.toISOString(),
+    expirationTime: authNonce.expiresAt.toISOString()
+  };
+
+  return { ...fields, message: buildMessage(fields) };
+};
+
+// Fully verify a signed message for an address: fields, signature (EOA or
+// EIP-1271 contract wallet), then consume its nonce. Throws SiweError.
+// Pass `statement` to require the purpose-specific statement it was issued with.
+const verifySignedMessage = async ({ message, signature, walletAddress, statement }) => {
+  const config = getConfig();
+
+  const parsed = parseMessage(message);
+  validateFields(parsed, config);
+
+  if (statement && parsed.statement !== statement) {
+    throw new SiweError('SIWE statement mismatch', 'SIWE_STATEMENT_MISMATCH');
+  }
+
+  if (parsed.address.toLowerCase() !== walletAddress.toLowerCase()) {
+    throw new SiweError('Message address does not match wallet address', 'SIWE_ADDRESS_MISMATCH');
+  }
+
+  // Contract wallets are checked on the chain the message was signed for
+  const service = blockchainService.forChainId(parsed.chainId) || blockchainService;
+  const isValidSignature = await service.verifySignature(walletAddress, message, signature);
+  if (!isValidSignature) {
+    throw new SiweError('Invalid signature', 'SIWE_INVALID_SIGNATURE');
+  }
+
+  // Nonces are single use; consume only after the signature checks out
+  const authNonce = await AuthNonce.consume(walletAddress, parsed.nonce);
+  if (!authNonce) {
+    throw new SiweError('Nonce is invalid, expired or already used', 'SIWE_INVALID_NONCE');
+  }
+
+  return parsed;
+};
+
+module.exports = {
+  SiweError,
+  getConfig,
+  buildMessage,
+  parseMessage,
+  validateFields,
+  issueChallenge,
+  verifySignedMessage
+};
@@ -0,0 +1,232 @@
+const { ethers } = require('ethers');
+const ChainTransaction = require('../models/ChainTransaction');
+const logger = require('./logger');
+
+// Serializes every transaction of one signer: nonces are assigned locally from a
+// single queue, each transaction is signed and persisted before broadcast, and
+// a nonce that turns out to be taken triggers a resync and a retry.
+// Confirmations are followed by utils/transactionTracker.js.
+
+const MAX_NONCE_RETRIES = parseInt(process.env.TX_NONCE_RETRIES) || 3;
+const MIN_FEE_BUMP_PERCENT = 10; // Nodes reject replacements priced less than 10% higher
+
+const isNonceError = (error) => {
+  return error.code === 'NONCE_EXPIRED' ||
+    error.code === 'REPLACEMENT_UNDERPRICED' ||
+    /nonce too low|nonce has already been used/i.test(error.message);
+};
+
+// The node refused the transaction. Anything else (timeouts, unreachable
+// endpoints, "already known") leaves open whether it reached the network.
+const isRejection = (error) => {
+  return isNonceError(error) || ['INSUFFICIENT_FUNDS', 'CALL_EXCEPTION'].includes(error.code);
+};
+
+// A signed transaction whose broadcast failed without a rejection. Its record
+// stays pending, so the transaction tracker finds out whether it was mined.
+class BroadcastUnknownError extends Error {
+  constructor(record, cause) {
+    super(`Transaction ${record.transactionHash} may not have reached the network: ${cause.shortMessage || cause.message}`);
+    this.name = 'BroadcastUnknownError';
+    this.code = 'BROADCAST_UNKNOWN';
+    this.transactionHash = record.transactionHash;
+    this.cause = cause;
+  }
+}
+
+const bump = (value, percent) => (BigInt(value) * BigInt(100 + percent) + 99n) / 100n;
+
+class TransactionManager {
+  // `verifyNetwork` must resolve before anything is signed (see BlockchainService.verifyChainId)
+  constructor(wallet, { chainId, verifyNetwork = async () => {} } = {}) {
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.chainId = chainId;
+    this.verifyNetwork = verifyNetwork;
+    this.nextNonce = null;
+    this.queue = Promise.resolve();
+    this.ready = null;
+  }
+
+  get address() {
+    return this.wallet.address.toLowerCase();
+  }
+
+  // Run `task` after everything already queued; the queue keeps going if it fails
+  enqueue(task) {
+    const result = this.queue.then(async () => {
+      await this.init();
+      return task();
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Send one transaction; resolves with the ethers TransactionResponse.
+  // `context` is { purpose, userId, loanId, params } and is stored with it.
+  send(transaction, context) {
+    return this.enqueue(() => this.sendNow(transaction, context));
+  }
+
+  // Send several transactions back to back with no other transaction in between
+  // (e.g. approve + deposit). `task` receives a send(transaction, context) function.
+  sequence(task) {
+    return this.enqueue(() => task((transaction, context) => this.sendNow(transaction, context)));
+  }
+
+  // Re-broadcast transactions lost by the node and load the chain's pending nonce; runs once
+  init() {
+    if (!this.ready) {
+      this.ready = this.resync().catch(error => {
+        this.ready = null; // Try again on the next send
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async resync() {
+    await this.verifyNetwork();
+
+    const latestNonce = await this.provider.getTransactionCount(this.wallet.address, 'latest');
+    const pending = await ChainTransaction.find({
+      signer: 'server',
+      from: this.address,
+      chainId: this.chainId,
+      status: 'pending',
+      nonce: { $gte: latestNonce }
+    }).sort({ nonce: 1 });
+
+    for (const record of pending) {
+      try {
+        if (!(await this.provider.getTransaction(record.transactionHash))) {
+          await this.provider.broadcastTransaction(record.rawTransaction);
+          logger.info(`Re-broadcast signer transaction ${record.transactionHash} (nonce ${record.nonce})`);
+        }
+      } catch (error) {
+        // The tracker settles it as dropped or replaced
+        logger.warn(`Could not re-broadcast ${record.transactionHash}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    this.nextNonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+    logger.info(`Transaction manager ready for ${this.wallet.address} on chain ${this.chainId}, next nonce ${this.nextNonce}`);
+  }
+
+  // Sign, persist, then broadcast. Returns the response. A transaction the node
+  // rejected is marked failed; one whose fate is unknown is left pending for the
+  // tracker and reported with a BroadcastUnknownError.
+  async signAndBroadcast(transaction, fields) {
+    const populated = await this.wallet.populateTransaction(transaction);
+    const rawTransaction = await this.wallet.signTransaction(populated);
+
+    const record = await ChainTransaction.create({
+      ...fields,
+      transactionHash: ethers.keccak256(rawTransaction),
+      signer: 'server',
+      from: this.address,
+      nonce: populated.nonce,
+      chainId: Number(populated.chainId),
+      to: populated.to,
+      data: populated.data,
+      rawTransaction,
+      fees: {
+        gasLimit: populated.gasLimit.toString(),
+        maxFeePerGas: populated.maxFeePerGas != null ? populated.maxFeePerGas.toString() : undefined,
+        maxPriorityFeePerGas: populated.maxPriorityFeePerGas != null ? populated.maxPriorityFeePerGas.toString() : undefined,
+        gasPrice: populated.gasPrice != null ? populated.gasPrice.toString() : undefined
+      }
+    });
+
+    try {
+      const response = await this.provider.broadcastTransaction(rawTransaction);
+      logger.info(`Signer transaction sent: ${record.purpose} ${record.transactionHash} (nonce ${record.nonce})`);
+      return { response, record };
+    } catch (error) {
+      // An endpoint may have taken it before failing, or before another one refused it
+      const known = await this.provider.getTransaction(record.transactionHash).catch(() => null);
+      if (known) {
+        logger.info(`Signer transaction sent despite a broadcast error: ${record.purpose} ${record.transactionHash} (nonce ${record.nonce})`);
+        return { response: known, record };
+      }
+
+      record.error = error.shortMessage || error.message;
+      if (!isRejection(error)) {
+        await record.save();
+        logger.warn(`Broadcast of ${record.transactionHash} (nonce ${record.nonce}) failed without a rejection, left to the tracker: ${record.error}`);
+        throw new BroadcastUnknownError(record, error);
+      }
+      record.setStatus('failed', record.error);
+      await record.save();
+      throw error;
+    }
+  }
+
+  // Must only run inside the queue
+  async sendNow(transaction, { purpose, userId, loanId, params }) {
+    for (let attempt = 1; ; attempt++) {
+      const nonce = this.nextNonce;
+      try {
+        const { response } = await this.signAndBroadcast(
+          { ...transaction, nonce },
+          { purpose, userId, loanId, params, attempts: attempt }
+        );
+        this.nextNonce = nonce + 1;
+        return response;
+      } catch (error) {
+        // A BroadcastUnknownError keeps the nonce: if the transaction is out there,
+        // the next one sent on it is refused and resyncs past it
+        if (!isNonceError(error) || attempt >= MAX_NONCE_RETRIES) {
+          throw error;
+        }
+
+        logger.warn(`Nonce ${nonce} rejected for ${purpose}, resyncing (attempt ${attempt})`);
+        this.nextNonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+      }
+    }
+  }
+
+  // Replace a pending transaction with the same nonce and higher fees: either the
+  // same call ('speed-up') or a zero-value self-transfer ('cancel')
+  replace(record, action, { feeBumpPercent = 20 } = {}) {
+    return this.enqueue(async () => {
+      const percent = Math.max(feeBumpPercent, MIN_FEE_BUMP_PERCENT);
+      const feeData = await this.provider.getFeeData();
+
+      const fees = {};
+      if (record.fees.maxFeePerGas) {
+        const maxFeePerGas = bump(record.fees.maxFeePerGas, percent);
+        const maxPriorityFeePerGas = bump(record.fees.maxPriorityFeePerGas, percent);
+        fees.maxFeePerGas = feeData.maxFeePerGas > maxFeePerGas ? feeData.maxFeePerGas : maxFeePerGas;
+        fees.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas > maxPriorityFeePerGas
+          ? feeData.maxPriorityFeePerGas
+          : maxPriorityFeePerGas;
+      } else {
+        const gasPrice = bump(record.fees.gasPrice, percent);
+        fees.gasPrice = feeData.gasPrice > gasPrice ? feeData.gasPrice : gasPrice;
+      }
+
+      const transaction = action === 'cancel'
+        ? { to: this.wallet.address, data: '0x', value: 0, gasLimit: 21000 }
+        : { to: record.to, data: record.data, value: 0, gasLimit: record.fees.gasLimit };
+
+      const { response } = await this.signAndBroadcast(
+        { ...transaction, ...fees, nonce: record.nonce },
+        {
+          purpose: action === 'cancel' ? 'cancel' : record.purpose,
+          userId: record.userId,
+          loanId: record.loanId,
+          params: record.params,
+          replaces: record.transactionHash,
+          attempts: record.attempts + 1
+        }
+      );
+
+      logger.info(`Signer transaction ${record.transactionHash} ${action === 'cancel' ? 'cancelled' : 'sped up'} by ${response.hash}`);
+      return response;
+    });
+  }
+}
+
+module.exports = TransactionManager;
+module.exports.BroadcastUnknownError = BroadcastUnknownError;
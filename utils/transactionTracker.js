@@ -0,0 +1,154 @@
+const cron = require('node-cron');
+const ChainTransaction = require('../models/ChainTransaction');
+const Withdrawal = require('../models/Withdrawal');
+const blockchainService = require('./blockchain');
+const loanChainSync = require('./loanChainSync');
+const logger = require('./logger');
+
+// Follows every ChainTransaction until it is final: counts confirmations, notices
+// receipts that disappear in a reorg, and tells dropped transactions from ones
+// whose nonce was used by a replacement.
+
+const getConfig = (service = blockchainService) => ({
+  confirmations: service.network.confirmations || parseInt(process.env.TX_CONFIRMATIONS) || 2,
+  dropAfterMs: parseInt(process.env.TX_DROP_AFTER_MS) || 30 * 60 * 1000,
+  stuckAfterMs: parseInt(process.env.TX_STUCK_AFTER_MS) || 10 * 60 * 1000
+});
+
+// The network a record was sent on
+const serviceFor = (record) => blockchainService.forChainId(record.chainId) || blockchainService;
+
+// Find which transaction with the same sender and nonce made it on chain
+const findReplacement = async (service, record) => {
+  const siblings = await ChainTransaction.find({
+    from: record.from,
+    nonce: record.nonce,
+    chainId: record.chainId,
+    _id: { $ne: record._id }
+  });
+
+  for (const sibling of siblings) {
+    const status = await service.getTransactionStatus(sibling.transactionHash);
+    if (status.status !== 'pending') {
+      return sibling;
+    }
+  }
+  return null;
+};
+
+// Keep the withdrawal ledger (daily KYC limits) in line with what happened on chain
+const settleWithdrawal = async (record, replacement) => {
+  if (record.purpose !== 'withdraw') {
+    return;
+  }
+
+  if (['failed', 'dropped'].includes(record.status) || (record.status === 'replaced' && (!replacement || replacement.purpose === 'cancel'))) {
+    await Withdrawal.deleteOne({ transactionHash: record.transactionHash });
+  } else if (record.status === 'replaced') {
+    await Withdrawal.updateOne(
+      { transactionHash: record.transactionHash },
+      { $set: { transactionHash: replacement.transactionHash } }
+    );
+  }
+};
+
+// Refresh one record from the chain and save it
+const refreshTransaction = async (record) => {
+  if (record.isFinal) {
+    return record;
+  }
+
+  const service = serviceFor(record);
+  const config = getConfig(service);
+  const receiptStatus = await service.getTransactionStatus(record.transactionHash);
+  let replacement = null;
+  let changed = false;
+
+  if (receiptStatus.status === 'pending') {
+    if (record.status === 'mined') {
+      changed = record.setStatus('pending', 'Receipt disappeared in a reorg');
+    }
+
+    const known = await service.getTransaction(record.transactionHash);
+    if (!known) {
+      const accountNonce = await service.getTransactionCount(record.from, 'latest');
+      if (accountNonce > record.nonce) {
+        replacement = await findReplacement(service, record);
+        record.replacedBy = replacement ? replacement.transactionHash : undefined;
+        changed = record.setStatus('replaced', replacement
+          ? `Replaced by ${replacement.transactionHash}`
+          : 'Nonce used by another transaction');
+      } else if (Date.now() - record.createdAt.getTime() > config.dropAfterMs) {
+        changed = record.setStatus('dropped', 'No longer known to the node');
+      }
+    }
+  } else {
+    record.blockNumber = receiptStatus.blockNumber;
+    record.gasUsed = receiptStatus.gasUsed;
+    record.confirmations = receiptStatus.confirmations;
+
+    if (receiptStatus.status === 'failed') {
+      changed = record.setStatus('failed', 'Reverted');
+    } else if (receiptStatus.confirmations >= config.confirmations) {
+      changed = record.setStatus('confirmed', `Block ${receiptStatus.blockNumber}`);
+      record.confirmedAt = new Date();
+    } else {
+      changed = record.setStatus('mined', `Block ${receiptStatus.blockNumber}`);
+    }
+  }
+
+  record.lastCheckedAt = new Date();
+  await record.save();
+
+  if (changed) {
+    logger.info(`Transaction ${record.transactionHash} (${record.purpose}) is now ${record.status}`);
+    await settleWithdrawal(record, replacement);
+    await loanChainSync.settle(record, replacement);
+  }
+
+  return record;
+};
+
+// Refresh every non-final record, least recently checked first
+const refreshPendingTransactions = async (limit = 100) => {
+  const records = await ChainTransaction.find({
+    status: { $nin: ChainTransaction.FINAL_STATUSES }
+  }).sort({ lastCheckedAt: 1 }).limit(limit);
+
+  for (const record of records) {
+    try {
+      await refreshTransaction(record);
+    } catch (error) {
+      logger.error(`Failed to refresh transaction ${record.transactionHash}:`, error);
+    }
+  }
+
+  return records.length;
+};
+
+// Pending transactions older than TX_STUCK_AFTER_MS
+const isStuck = (record) => {
+  return record.status === 'pending' && Date.now() - record.createdAt.getTime() > getConfig().stuckAfterMs;
+};
+
+let task = null;
+
+// Follow server- and user-signed transactions to confirmation every minute
+const start = () => {
+  if (task) {
+    return;
+  }
+  task = cron.schedule('* * * * *', () => {
+    refreshPendingTransactions().catch(error => {
+      logger.error('Scheduled transaction tracking failed:', error);
+    });
+  });
+};
+
+module.exports = {
+  getConfig,
+  refreshTransaction,
+  refreshPendingTransactions,
+  isStuck,
+  start
+};